@@ -6,15 +6,22 @@ const epub = require('epub-gen');
 const { promisify } = require('util');
 const execFile = promisify(require('child_process').execFile);
 const temp = require('temp').track(); // Auto-track and clean up temp files
+const { embedImages } = require('./image-processor');
+const { processHtml, fontCss } = require('./html-pipeline');
+const { convertEpubToAzw3 } = require('./kf8-writer');
+const { generateCover, generateDigestCover } = require('./cover-generator');
+const { resolveNewsletterTemplate, applyNewsletterTemplate, scopeCss } = require('./newsletter-detector');
+const systemCheck = require('./system-check');
 
 /**
  * Generate an EPUB file from newsletter content
- * With optional conversion to AZW3 if Calibre is installed
+ * With optional conversion to AZW3 (Calibre if installed, built-in KF8 writer otherwise)
  * @param {string} title - Title of the newsletter
  * @param {string} content - HTML content of the newsletter
  * @param {string} format - Format of content ('html', 'markdown', 'text')
- * @param {Object} options - Additional options including template and newsletter info
- * @returns {Promise<{buffer: Buffer, format: string}>} - Buffer containing the generated file and format type
+ * @param {Object} options - Additional options including template (id or object; the detected type otherwise), newsletter info
+ *   and author (the sender of the newsletter otherwise)
+ * @returns {Promise<{buffer: Buffer, format: string, templateReport: Array<Object>}>} - The generated file, its format and what the template did
  */
 async function generateEbook(title, content, format, options = {}) {
   try {
@@ -25,89 +32,195 @@ async function generateEbook(title, content, format, options = {}) {
       format = 'html';
     }
 
-    let htmlContent;
-    if (format === 'html') {
-      // Apply newsletter-specific transformations if available
-      if (options.template && typeof options.template.contentTransform === 'function') {
-        try {
-          content = options.template.contentTransform(content);
-        } catch (transformError) {
-          console.error(`[Ebook Generator] Error in template transformation: ${transformError.message}`);
-          // Continue with original content if transformation fails
-        }
-      }
-      htmlContent = preprocessHtmlForKindle(content);
-    } else if (format === 'markdown') {
-      const marked = require('marked');
-      marked.setOptions({
-        headerIds: false,
-        mangle: false,
-        breaks: true,
-        sanitize: false
-      });
-      htmlContent = marked.parse(content);
-    } else {
-      htmlContent = `<div>${escapeHtml(content).replace(/\n/g, '<br>')}</div>`;
+    const resolved = resolveNewsletterTemplate(options.template, options.newsletterInfo);
+    const applied = applyNewsletterTemplate(content, format, resolved);
+    const htmlContent = prepareHtmlContent(applied.content, format);
+    if (applied.report) {
+      logTemplateReport(applied.report);
     }
 
     // Use newsletter-specific template if available
-    const customCss = options.template?.cssTemplate || '';
+    const customCss = resolved ? resolved.template.cssTemplate || '' : '';
 
     // Extract author from options if available
-    const author = options.newsletterInfo?.from
+    const author = options.author || (options.newsletterInfo?.from
       ? extractAuthorName(options.newsletterInfo.from)
-      : 'Newsletter';
+      : 'Newsletter');
+
+    // Cover with the newsletter's name, the issue and the template's colours
+    const scheme = resolved ? resolved.template.cover : null;
+    const cover = options.newsletterInfo
+      ? { name: newsletterName(options.newsletterInfo, author), title: coverText(title), date: options.newsletterInfo.date, publisher: author, scheme }
+      : { name: coverText(title), publisher: author, scheme };
 
     // Generate EPUB
-    const epubBuffer = await generateEPUB(title, author, htmlContent, customCss, options);
-
-    // Get format preference
-    const formatPreference = options.formatPreference || 'auto';
-
-    // Try to convert to AZW3 using Calibre if available and requested
-    if (formatPreference === 'auto' || formatPreference === 'azw3') {
-      try {
-        const hasCalibr = await checkCalibreAvailable();
-        if (hasCalibr) {
-          console.log(`[Ebook Generator] Calibre found, converting EPUB to AZW3`);
-          const azw3Buffer = await convertWithCalibre(epubBuffer, 'epub', 'azw3');
-          return { buffer: azw3Buffer, format: 'azw3' };
-        } else {
-          console.log(`[Ebook Generator] Calibre not found, using EPUB format`);
-          return { buffer: epubBuffer, format: 'epub' };
+    const epubBuffer = await generateEPUB(title, author, htmlContent, customCss, { ...options, cover });
+
+    const result = await finalizeEbookFormat(epubBuffer, options.formatPreference || 'auto');
+    return { ...result, templateReport: applied.report ? [applied.report] : [] };
+  } catch (error) {
+    console.error(`[Ebook Generator] Error generating ebook: ${error.message}`);
+    console.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Generate a single EPUB/AZW3 with one chapter per section
+ * Used for multi-newsletter digests so every email keeps its own chapter
+ * and anchor, and appears in the NCX/nav table of contents
+ * @param {string} title - Title of the combined book
+ * @param {Array<Object>} sections - Sections with title, content, format, id and optional template/newsletterInfo
+ * @param {Object} options - Additional options (formatPreference, author, and digest for a mosaic cover of the sections)
+ * @returns {Promise<{buffer: Buffer, format: string, templateReport: Array<Object>}>} - The generated file, its format and one template report per section
+ */
+async function generateMultiSectionEbook(title, sections, options = {}) {
+  try {
+    console.log(`[Ebook Generator] Starting multi-section ebook generation for: ${title} (${sections.length} sections)`);
+
+    if (!Array.isArray(sections) || sections.length === 0) {
+      throw new Error('No sections provided for multi-section ebook');
+    }
+
+    const templateReport = [];
+    // One stylesheet serves the whole book, so each template's CSS is scoped to its sections
+    const scopedCss = new Map();
+
+    const preparedSections = sections.map(section => {
+      let content = section.content;
+      let format = section.format || 'html';
+
+      if (!content || content.trim() === '') {
+        content = `<p>No content available for this newsletter.</p>`;
+        format = 'html';
+      }
+
+      // Sections without a template or newsletter info (the digest's contents page) are left as they are
+      const resolved = resolveNewsletterTemplate(section.template, section.newsletterInfo);
+      const applied = applyNewsletterTemplate(content, format, resolved);
+      let className = null;
+      if (resolved) {
+        className = `template-${resolved.id}`;
+        if (!scopedCss.has(className)) {
+          scopedCss.set(className, scopeCss(resolved.template.cssTemplate || '', `.${className}`));
         }
-      } catch (conversionError) {
-        console.error(`[Ebook Generator] Error converting to AZW3: ${conversionError.message}`);
-        // When auto, we fall back to EPUB on error
-        // When specifically AZW3 is requested, we should still warn but fall back
-        console.log(`[Ebook Generator] Falling back to EPUB format`);
-        return { buffer: epubBuffer, format: 'epub' };
+        logTemplateReport(applied.report, section.title);
+        templateReport.push({ section: section.title, ...applied.report });
       }
-    } else {
-      // User specifically requested EPUB
-      console.log(`[Ebook Generator] User requested EPUB format`);
-      return { buffer: epubBuffer, format: 'epub' };
-    }
+
+      return {
+        id: section.id,
+        title: section.title,
+        html: prepareHtmlContent(applied.content, format),
+        images: section.images,
+        newsletterInfo: section.newsletterInfo,
+        author: section.author,
+        className,
+        coverScheme: resolved ? resolved.template.cover : null,
+        beforeToc: section.beforeToc
+      };
+    });
+
+    const author = options.author || 'Newsletter';
+
+    // A digest's cover is a mosaic of what's inside; other books get one with their title
+    const contents = preparedSections.filter(section => !section.beforeToc);
+    const cover = options.digest && contents.length > 1
+      ? {
+          title: coverText(title),
+          date: new Date(),
+          entries: contents.map(section => section.newsletterInfo
+            ? {
+                name: newsletterName(section.newsletterInfo, extractAuthorName(section.newsletterInfo.from)),
+                title: coverText(section.title),
+                scheme: section.coverScheme
+              }
+            : { name: coverText(section.title), title: section.author || '', scheme: section.coverScheme })
+        }
+      : { name: coverText(title), publisher: author };
+
+    // Generate EPUB with one chapter per section
+    const epubBuffer = await generateEPUB(title, author, '', Array.from(scopedCss.values()).join('\n'), {
+      ...options,
+      sections: preparedSections,
+      cover
+    });
+
+    const result = await finalizeEbookFormat(epubBuffer, options.formatPreference || 'auto');
+    return { ...result, templateReport };
   } catch (error) {
-    console.error(`[Ebook Generator] Error generating ebook: ${error.message}`);
+    console.error(`[Ebook Generator] Error generating multi-section ebook: ${error.message}`);
     console.error(error.stack);
     throw error;
   }
 }
 
+/**
+ * Log which template ran and what it removed
+ * @param {Object} report - Template report from applyNewsletterTemplate
+ * @param {string} sectionTitle - Digest section the report belongs to, if any
+ */
+function logTemplateReport(report, sectionTitle = null) {
+  const where = sectionTitle ? ` to "${sectionTitle}"` : '';
+  const removed = report.removed.elementCount > 0
+    ? `, removed ${report.removed.elementCount} element(s) and ${report.removed.textCharacters} characters of text`
+    : '';
+  const failed = report.error ? ` (transform failed: ${report.error})` : '';
+  console.log(`[Ebook Generator] Applied ${report.source} template ${report.id}${where}${removed}${failed}`);
+}
+
 /**
  * Check if Calibre's ebook-convert tool is available
  * @returns {Promise<boolean>} - True if Calibre is available
  */
 async function checkCalibreAvailable() {
+  const command = systemCheck.getEbookConvertCommand();
+  if (!command) return false;
   try {
-    await execFile('ebook-convert', ['--version']);
+    await execFile(command, ['--version']);
     return true;
   } catch (error) {
     return false;
   }
 }
 
+/**
+ * Convert a generated EPUB to AZW3 when requested
+ * Calibre is used when installed; otherwise, or if Calibre fails, the built-in
+ * KF8 writer produces the AZW3. EPUB is only returned if both fail.
+ * @param {Buffer} epubBuffer - Buffer containing the EPUB
+ * @param {string} formatPreference - Format preference ('auto', 'epub', or 'azw3')
+ * @returns {Promise<{buffer: Buffer, format: string}>} - Buffer containing the final file and format type
+ */
+async function finalizeEbookFormat(epubBuffer, formatPreference = 'auto') {
+  if (formatPreference !== 'auto' && formatPreference !== 'azw3') {
+    // User specifically requested EPUB
+    console.log(`[Ebook Generator] User requested EPUB format`);
+    return { buffer: epubBuffer, format: 'epub' };
+  }
+
+  if (await checkCalibreAvailable()) {
+    try {
+      console.log(`[Ebook Generator] Calibre found, converting EPUB to AZW3`);
+      const azw3Buffer = await convertWithCalibre(epubBuffer, 'epub', 'azw3');
+      return { buffer: azw3Buffer, format: 'azw3' };
+    } catch (conversionError) {
+      console.error(`[Ebook Generator] Calibre conversion failed: ${conversionError.message}`);
+    }
+  } else {
+    console.log(`[Ebook Generator] Calibre not found or switched off, using built-in KF8 writer`);
+  }
+
+  try {
+    const azw3Buffer = await convertEpubToAzw3(epubBuffer);
+    return { buffer: azw3Buffer, format: 'azw3' };
+  } catch (conversionError) {
+    console.error(`[Ebook Generator] Error converting to AZW3: ${conversionError.message}`);
+    console.log(`[Ebook Generator] Falling back to EPUB format`);
+    return { buffer: epubBuffer, format: 'epub' };
+  }
+}
+
 /**
  * Generate a title page EPUB for the newsletter
  * @param {string} titleText - The title of the newsletter
@@ -136,32 +249,12 @@ async function generateTitlePage(titleText, options = {}) {
       : 'Newsletter';
 
     // Generate EPUB
-    const epubBuffer = await generateEPUB(titleText, author, htmlContent, '', options);
-
-    // Get format preference
-    const formatPreference = options.formatPreference || 'auto';
-
-    // Try to convert to AZW3 using Calibre if available and requested
-    if (formatPreference === 'auto' || formatPreference === 'azw3') {
-      try {
-        const hasCalibr = await checkCalibreAvailable();
-        if (hasCalibr) {
-          console.log(`[Ebook Generator] Calibre found, converting title page to AZW3`);
-          const azw3Buffer = await convertWithCalibre(epubBuffer, 'epub', 'azw3');
-          return { buffer: azw3Buffer, format: 'azw3' };
-        } else {
-          console.log(`[Ebook Generator] Calibre not found, using EPUB format for title page`);
-          return { buffer: epubBuffer, format: 'epub' };
-        }
-      } catch (conversionError) {
-        console.error(`[Ebook Generator] Error converting title page to AZW3: ${conversionError.message}`);
-        console.log(`[Ebook Generator] Falling back to EPUB format for title page`);
-        return { buffer: epubBuffer, format: 'epub' };
-      }
-    } else {
-      // User specifically requested EPUB
-      return { buffer: epubBuffer, format: 'epub' };
-    }
+    const epubBuffer = await generateEPUB(titleText, author, htmlContent, '', {
+      ...options,
+      cover: { name: titleText, date: options.date, publisher: author }
+    });
+
+    return await finalizeEbookFormat(epubBuffer, options.formatPreference || 'auto');
   } catch (error) {
     console.error(`[Ebook Generator] Error generating title page: ${error.message}`);
     throw error;
@@ -174,7 +267,8 @@ async function generateTitlePage(titleText, options = {}) {
  * @param {string} author - Author of the book
  * @param {string} htmlContent - HTML content
  * @param {string} customCss - Custom CSS to be applied
- * @param {Object} options - Additional options
+ * @param {Object} options - Additional options, including coverPath (a cover image) or cover (details for
+ *   generateCover, or for generateDigestCover when it has entries), and fonts (reading font settings, see fontCss)
  * @returns {Promise<Buffer>} - Buffer containing the EPUB
  */
 async function generateEPUB(title, author, htmlContent, customCss = '', options = {}) {
@@ -384,35 +478,48 @@ async function generateEPUB(title, author, htmlContent, customCss = '', options
     }
   `;
 
-  // Combine base CSS with custom newsletter CSS
-  const fullCss = baseKindleCss + customCss;
+  // Combine base CSS with custom newsletter CSS, then the reader's font settings
+  const fullCss = baseKindleCss + customCss + fontCss(options.fonts);
 
-  // Newsletter meta information
-  const metaSection = options.newsletterInfo ?
-    `<div class="kindle-meta">
-      ${options.newsletterInfo.date ? `<div>${options.newsletterInfo.date}</div>` : ''}
-      ${options.newsletterInfo.from ? `<div>From: ${escapeHtml(options.newsletterInfo.from)}</div>` : ''}
-     </div>` : '';
+  // Resolve cid:/data:/remote images into optimized local files that epub-gen
+  // packages as manifest items; they live in tempDir until the EPUB is zipped
+  const imageDir = path.join(tempDir, 'images');
+  const localizeImages = (html, images) => embedImages(html, {
+    imageDir,
+    images,
+    imageOptions: options.imageOptions
+  });
 
   // Build full HTML content
-  const wrappedHtmlContent = `
-    <div class="content-wrapper">
-      ${metaSection}
-      ${htmlContent}
-    </div>
-  `;
+  const wrappedHtmlContent = wrapSectionHtml(await localizeImages(htmlContent, options.images), options.newsletterInfo);
+
+  // Each section becomes its own chapter (and NCX/nav entry); a plain
+  // newsletter is a single chapter named after the book
+  const sections = Array.isArray(options.sections) ? options.sections : [];
+  for (const section of sections) {
+    section.html = await localizeImages(section.html, section.images);
+  }
+
+  const content = sections.length > 0
+    ? sections.map(section => ({
+        title: section.title,
+        data: wrapSectionHtml(section.html, section.newsletterInfo, section.id, section.className),
+        filename: section.id ? `${section.id}.xhtml` : undefined,
+        beforeToc: !!section.beforeToc
+      }))
+    : [
+        {
+          title: title,
+          data: wrappedHtmlContent,
+        }
+      ];
 
   // Configure options for epub-gen
   const epubOptions = {
     title: title,
     author: author,
-    content: [
-      {
-        title: title,
-        data: wrappedHtmlContent,
-      }
-    ],
-    customHtmlHeaders: `<style>${fullCss}</style>`,
+    content: content,
+    css: fullCss,
     output: tempEpubPath,
     verbose: false,
     version: 3, // EPUB3 format
@@ -429,9 +536,10 @@ async function generateEPUB(title, author, htmlContent, customCss = '', options
     epubOptions.content[0].data = `<nav epub:type="toc" id="toc">${wrappedHtmlContent}</nav>`;
   }
 
-  // Add cover if available in options
-  if (options.coverPath) {
-    epubOptions.cover = options.coverPath;
+  // Add the given cover, or generate one
+  const coverPath = options.coverPath || await renderCover(options.cover, tempDir);
+  if (coverPath) {
+    epubOptions.cover = coverPath;
   }
 
   try {
@@ -456,6 +564,66 @@ async function generateEPUB(title, author, htmlContent, customCss = '', options
   }
 }
 
+/**
+ * Render a generated cover into the EPUB's temp directory
+ * A cover that fails to render is left out rather than failing the book
+ * @param {Object|null} cover - Details for generateCover, or generateDigestCover when it has entries
+ * @param {string} tempDir - Directory the EPUB is built in
+ * @returns {Promise<string|null>} - Path to the cover image
+ */
+async function renderCover(cover, tempDir) {
+  if (!cover) return null;
+
+  try {
+    const image = cover.entries ? await generateDigestCover(cover) : await generateCover(cover);
+    const coverPath = path.join(tempDir, 'cover.jpg');
+    fs.writeFileSync(coverPath, image);
+    return coverPath;
+  } catch (error) {
+    console.warn(`[Ebook Generator] Could not generate a cover: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Name a newsletter goes by on its cover: the detected name, or the sender for unnamed ones
+ * @param {Object} newsletterInfo - Detection result with name
+ * @param {string} sender - Sender's display name
+ * @returns {string}
+ */
+function newsletterName(newsletterInfo, sender) {
+  return newsletterInfo.name && newsletterInfo.name !== 'Newsletter' ? newsletterInfo.name : sender;
+}
+
+// Titles are sanitized for file names; covers show them with spaces again
+function coverText(title) {
+  return String(title || '').replace(/_+/g, ' ').trim();
+}
+
+/**
+ * Wrap a chapter's HTML with the newsletter meta block
+ * @param {string} htmlContent - Processed HTML content
+ * @param {Object} newsletterInfo - Newsletter info with date and from
+ * @param {string} anchorId - Optional id for the wrapper, used as a link target
+ * @param {string} className - Optional extra class, e.g. the section's template-<id> CSS scope
+ * @returns {string} - Wrapped HTML
+ */
+function wrapSectionHtml(htmlContent, newsletterInfo = null, anchorId = null, className = null) {
+  // Newsletter meta information
+  const metaSection = newsletterInfo ?
+    `<div class="kindle-meta">
+      ${newsletterInfo.date ? `<div>${newsletterInfo.date}</div>` : ''}
+      ${newsletterInfo.from ? `<div>From: ${escapeHtml(newsletterInfo.from)}</div>` : ''}
+     </div>` : '';
+
+  return `
+    <div class="content-wrapper${className ? ` ${className}` : ''}"${anchorId ? ` id="${anchorId}"` : ''}>
+      ${metaSection}
+      ${htmlContent}
+    </div>
+  `;
+}
+
 /**
  * Convert ebook from one format to another using Calibre
  * @param {Buffer} inputBuffer - Input file buffer
@@ -473,7 +641,7 @@ async function convertWithCalibre(inputBuffer, inputFormat, outputFormat) {
     fs.writeFileSync(tempInputPath, inputBuffer);
 
     // Convert using Calibre's ebook-convert
-    await execFile('ebook-convert', [tempInputPath, tempOutputPath]);
+    await execFile(systemCheck.getEbookConvertCommand(), [tempInputPath, tempOutputPath]);
 
     // Read the converted file
     return fs.readFileSync(tempOutputPath);
@@ -489,140 +657,31 @@ async function convertWithCalibre(inputBuffer, inputFormat, outputFormat) {
 }
 
 /**
- * Process HTML to be more Kindle-friendly
- * @param {string} html - HTML content to process
- * @returns {string} - Processed HTML
+ * Turn raw newsletter content into Kindle-ready XHTML
+ * Newsletter templates are applied before this, by applyNewsletterTemplate
+ * @param {string} content - Raw content
+ * @param {string} format - Format of content ('html', 'markdown', 'text')
+ * @returns {string} - Processed XHTML (body content only)
  */
-function preprocessHtmlForKindle(html) {
-  if (!html) return '';
-
-  try {
-    let clean = html;
-
-    // First, preserve image references by converting them to safe placeholders
-    const imageReferences = [];
-    clean = clean.replace(/<img([^>]+)>/gi, (match, attributes) => {
-      // Extract src attribute
-      const srcMatch = attributes.match(/src=["']([^"']+)["']/i);
-      const src = srcMatch ? srcMatch[1] : '';
-
-      // Extract alt attribute
-      const altMatch = attributes.match(/alt=["']([^"']+)["']/i);
-      const alt = altMatch ? altMatch[1] : 'Newsletter image';
-
-      // Store original image tag and generate a placeholder
-      const index = imageReferences.length;
-      imageReferences.push({
-        original: match,
-        src: src,
-        alt: alt
-      });
-
-      // Return a placeholder that we can find later
-      return `<!-- IMAGE_PLACEHOLDER_${index} -->`;
+function prepareHtmlContent(content, format) {
+  let html;
+  if (format === 'html') {
+    html = content;
+  } else if (format === 'markdown') {
+    const marked = require('marked');
+    marked.setOptions({
+      headerIds: false,
+      mangle: false,
+      breaks: true,
+      sanitize: false
     });
-
-    // Remove HTML comments (except our image placeholders)
-    clean = clean.replace(/<!--(?!IMAGE_PLACEHOLDER_)\s*[\s\S]*?-->/gi, '');
-
-    // Remove inline styles, font tags, script, style
-    clean = clean.replace(/<style[\s\S]*?<\/style>/gi, '');
-    clean = clean.replace(/<script[\s\S]*?<\/script>/gi, '');
-    clean = clean.replace(/<font[^>]*>/gi, '');
-    clean = clean.replace(/<\/font>/gi, '');
-
-    // Keep some inline styles for alignment but remove others
-    clean = clean.replace(/\sstyle="([^"]*)"/gi, (match, styles) => {
-      // Only keep alignment, display, margin styles
-      const keepStyles = styles.split(';')
-        .filter(style => {
-          const lowerStyle = style.toLowerCase().trim();
-          return lowerStyle.startsWith('text-align') ||
-                 lowerStyle.startsWith('display') ||
-                 lowerStyle.startsWith('margin') ||
-                 lowerStyle.startsWith('padding');
-        })
-        .join(';');
-
-      return keepStyles ? ` style="${keepStyles}"` : '';
-    });
-
-    // Remove spacer tables, divs, spans with no text
-    clean = clean.replace(/<table[^>]*>(\s|&nbsp;|<br>)*<\/table>/gi, '');
-    clean = clean.replace(/<div[^>]*>(\s|&nbsp;|<br>)*<\/div>/gi, '');
-    clean = clean.replace(/<span[^>]*>(\s|&nbsp;|<br>)*<\/span>/gi, '');
-
-    // Handle tables for better Kindle display
-    clean = clean.replace(/<table([^>]*)>/gi, (match, attrs) => {
-      // If table has border attribute or class with "data", keep it as table
-      if (attrs.includes('border') ||
-          attrs.includes('class="data') ||
-          attrs.includes('class="table')) {
-        return `<table${attrs} style="width:100%; margin:1em 0; border-collapse:collapse;">`;
-      } else {
-        // Otherwise convert to div (likely layout table)
-        return '<div style="width:100%; margin:0.5em 0;">';
-      }
-    });
-    clean = clean.replace(/<\/table>/gi, (match) => {
-      return '</div>';
-    });
-
-    // Better TR/TD handling
-    clean = clean.replace(/<tr[^>]*>/gi, '<div style="margin:0.2em 0; display:flex; flex-wrap:wrap;">');
-    clean = clean.replace(/<\/tr>/gi, '</div>');
-    clean = clean.replace(/<td([^>]*)>/gi, '<div$1 style="flex:1; min-width:50%; padding:0.2em;">');
-    clean = clean.replace(/<\/td>/gi, '</div>');
-
-    // Remove full URLs unless they're linked
-    clean = clean.replace(/https?:\/\/[^\s<>"']+/g, match => {
-      return clean.includes(`href="${match}"`) ? match : '';
-    });
-
-    // Handle lists better
-    clean = clean.replace(/<(ul|ol)([^>]*)>/gi, '<$1$2 style="margin-left:1em; padding-left:1em;">');
-
-    // Improve blockquote appearance
-    clean = clean.replace(/<blockquote([^>]*)>/gi, '<blockquote$1 style="margin:1em 0 1em 1em; padding-left:1em; border-left:3px solid #ccc; font-style:italic;">');
-
-    // Now restore the image placeholders with properly formatted img tags
-    imageReferences.forEach((image, index) => {
-      const placeholder = `<!-- IMAGE_PLACEHOLDER_${index} -->`;
-      if (image.src) {
-        // Create an enhanced image tag with good Kindle formatting
-        const enhancedImageTag = `<img src="${image.src}" alt="${image.alt}" style="max-width:100%; height:auto !important; display:block; margin:1em auto;">`;
-        clean = clean.replace(placeholder, enhancedImageTag);
-      } else {
-        // If for some reason there's no src, remove the placeholder
-        clean = clean.replace(placeholder, '');
-      }
-    });
-
-    // Add first-paragraph class to first paragraph after headings
-    clean = clean.replace(/(<h[1-6][^>]*>[\s\S]*?<\/h[1-6]>)(\s*<p)/gi, '$1$2 class="first-paragraph"');
-
-    // Replace multiple <br> tags with a single paragraph break
-    clean = clean.replace(/<br\s*\/?>\s*<br\s*\/?>/gi, '</p><p>');
-
-    // Create anchors for each heading to improve navigation
-    clean = clean.replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, content) => {
-      // Create an id from the heading content
-      const idText = content.replace(/<[^>]+>/g, '').trim() // Remove any HTML tags
-                           .toLowerCase()
-                           .replace(/[^\w\s-]/g, '') // Remove special characters
-                           .replace(/\s+/g, '-'); // Replace spaces with hyphens
-
-      // Create unique ID with a prefix to avoid duplicates
-      const uniqueId = `heading-${level}-${idText.substring(0, 40)}`;
-
-      return `<h${level} id="${uniqueId}">${content}</h${level}>`;
-    });
-
-    return clean;
-  } catch (error) {
-    console.error(`[Ebook Generator] Error preprocessing HTML: ${error.message}`);
-    return html || ''; // Return original or empty string if null
+    html = marked.parse(content);
+  } else {
+    html = `<div>${escapeHtml(content).replace(/\n/g, '<br>')}</div>`;
   }
+
+  // Sanitize, flatten layout tables, size images, fix links and anchor headings
+  return processHtml(html);
 }
 
 /**
@@ -636,7 +695,7 @@ function extractAuthorName(from) {
   // Check if there's a name part (e.g., "John Doe <john@example.com>")
   const nameMatch = from.match(/^([^<]+)</);
   if (nameMatch && nameMatch[1].trim()) {
-    return nameMatch[1].trim();
+    return nameMatch[1].trim().replace(/^"(.*)"$/, '$1');
   }
 
   // If no name part, try to extract from the email address
@@ -686,5 +745,7 @@ function escapeHtml(text) {
 
 module.exports = {
   generateEbook,
+  generateMultiSectionEbook,
+  finalizeEbookFormat,
   generateTitlePage
 };
@@ -1,36 +1,61 @@
 // utils/azw3-processor.js
-const fs = require('fs');
+// Reads EPUB, AZW3 and MOBI books into one in-memory model (see kf8-reader.js for the Kindle formats)
+// and re-optimizes them for Kindle: publisher fonts and fixed font sizes go, missing metadata and
+// covers are filled in, oversized images are scaled down and a broken table of contents is rebuilt.
 const path = require('path');
-const os = require('os');
-const temp = require('temp').track(); // Auto-track and clean up temp files
-const { promisify } = require('util');
-const execFile = promisify(require('child_process').execFile);
-const { EPub } = require('epub2');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
 const jimp = require('jimp');
+const { readEpub } = require('./kf8-writer');
+const { isKindleBook, readKindleBook } = require('./kf8-reader');
+const { DEFAULT_IMAGE_OPTIONS, optimizeImage } = require('./image-processor');
+const { generateCover } = require('./cover-generator');
+
+// Ebook inputs accepted next to emails and PDFs
+const BOOK_EXTENSIONS = ['.epub', '.azw3', '.mobi'];
+
+// Images are scaled to fit the largest Kindle screen in portrait and keep their colours
+const BOOK_IMAGE_OPTIONS = {
+  ...DEFAULT_IMAGE_OPTIONS,
+  maxWidth: 1264,
+  maxHeight: 1680,
+  grayscale: false,
+  quality: 80
+};
+// Images within the screen size are still re-encoded above this size
+const MAX_IMAGE_BYTES = 400 * 1024;
+const RESIZABLE_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+const FONT_MEDIA_TYPE = /^(?:font\/|application\/(?:x-font|font-|vnd\.ms-opentype))/i;
+const FONT_EXTENSION = /\.(?:ttf|otf|woff2?)$/i;
+// Declarations that override the reader's choice of font, size and spacing
+const ABSOLUTE_LENGTH = /^[\d.]+\s*(?:px|pt|pc|cm|mm|in)$/i;
+const LEADING_HEADING = /^(\s*(?:<(?:div|section)\b[^>]*>\s*)*)<h([1-6])\b[^>]*>([\s\S]*?)<\/h\2>/i;
+const PLACEHOLDER_METADATA = /^(?:untitled|unknown|)$/i;
+const THUMBNAIL_WIDTH = 300;
 
 /**
- * Extract basic info from an input EPUB/AZW3
- * @param {Buffer} bookBuffer - Buffer containing the EPUB/AZW3 file
- * @returns {Promise<Object>} - Book metadata
+ * Extract basic info from an input EPUB/AZW3/MOBI
+ * @param {Buffer} bookBuffer - Buffer containing the book
+ * @returns {Promise<Object>} - Book metadata, and the opening text for previews
  */
 async function extractFromBook(bookBuffer) {
   try {
-    // Save the buffer to a temp file
-    const tempFilePath = temp.path({ suffix: '.epub' });
-    fs.writeFileSync(tempFilePath, bookBuffer);
-
-    // Try to extract using EPub
-    const epub = await EPub.createAsync(tempFilePath);
+    const book = readBook(bookBuffer);
+    const firstText = book.spine
+      .map(docPath => plainText(bodyOf(itemText(book, docPath))))
+      .find(text => text.length > 0) || '';
 
     return {
       metadata: {
-        title: epub.metadata.title || '',
-        author: epub.metadata.creator || '',
-        identifier: epub.metadata.identifier || '',
-        publisher: epub.metadata.publisher || '',
-        language: epub.metadata.language || 'en',
-        pageCount: Object.keys(epub.flow.items).length || 0
-      }
+        title: book.metadata.title || '',
+        author: book.metadata.author || '',
+        identifier: book.metadata.identifier || '',
+        publisher: book.metadata.publisher || '',
+        language: book.metadata.language || 'en',
+        pageCount: book.spine.length
+      },
+      text: firstText
     };
   } catch (error) {
     console.error('Error extracting from EPUB/AZW3:', error);
@@ -40,78 +65,90 @@ async function extractFromBook(bookBuffer) {
         title: '',
         author: '',
         pageCount: 0
-      }
+      },
+      text: ''
     };
-  } finally {
-    // Clean up temp files
-    try {
-      temp.cleanupSync();
-    } catch (e) {
-      console.warn(`Failed to clean up temp files: ${e.message}`);
-    }
   }
 }
 
 /**
- * Convert EPUB to Kindle-optimized AZW3
- * @param {Buffer} bookBuffer - Buffer containing the EPUB file
- * @param {Object} options - Conversion options
- * @returns {Promise<Buffer>} - Optimized AZW3 buffer
+ * Re-optimize an EPUB, AZW3 or MOBI for Kindle
+ * @param {Buffer} bookBuffer - Buffer containing the book
+ * @param {Object} options - fileName (the title when the book has none) and imageOptions (overrides for BOOK_IMAGE_OPTIONS)
+ * @returns {Promise<Buffer>} - The optimized book as an EPUB, ready for the AZW3 writer
  */
 async function convertToKindleFormat(bookBuffer, options = {}) {
-  // For EPUB/AZW3, we don't need to do much conversion as they're already e-reader friendly
-  // Just pass through the buffer unless specific optimizations are needed
-  return bookBuffer;
+  const book = readBook(bookBuffer);
+  const report = [];
+
+  fixMetadata(book, options.fileName, report);
+  stripPublisherFonts(book, report);
+  await compressImages(book, { ...BOOK_IMAGE_OPTIONS, ...(options.imageOptions || {}) }, report);
+  fixCover(book, report);
+  if (!book.cover) {
+    await addGeneratedCover(book, report);
+  }
+  repairToc(book, report);
+
+  console.log(`[Book Processor] Optimized "${book.metadata.title}": ${report.length > 0 ? report.join('; ') : 'nothing to fix'}`);
+  return writeEpub(book);
 }
 
 /**
- * Generate a thumbnail image from an EPUB/AZW3 file
- * @param {Buffer} bookBuffer - Buffer containing the EPUB/AZW3 file
+ * The chapters of a book as HTML with embedded images, for digests and PDF output
+ * Files without a table of contents entry join the chapter before them
+ * @param {Buffer} bookBuffer - Buffer containing the book
+ * @param {Object} options - fileName (the title when the book has none)
+ * @returns {Promise<Object>} - { metadata, chapters: [{ title, html }] }
+ */
+async function readBookChapters(bookBuffer, options = {}) {
+  const book = readBook(bookBuffer);
+  fixMetadata(book, options.fileName, []);
+  repairToc(book, []);
+
+  const titles = new Map();
+  flattenToc(book.toc).forEach(entry => {
+    const file = entry.href.split('#')[0];
+    if (!titles.has(file) && entry.label) titles.set(file, entry.label);
+  });
+
+  const chapters = [];
+  book.spine.forEach(docPath => {
+    const html = inlineImages(book, docPath, unlinkFiles(bodyOf(itemText(book, docPath))));
+    if (!plainText(html) && !/<img\b/i.test(html)) return;
+
+    if (titles.has(docPath) || chapters.length === 0) {
+      chapters.push({ title: titles.get(docPath) || headingOf(itemText(book, docPath)) || book.metadata.title, html });
+    } else {
+      chapters[chapters.length - 1].html += `\n${html}`;
+    }
+  });
+
+  // The chapter title is printed above each chapter, so the book's own copy of it goes
+  chapters.forEach(chapter => {
+    chapter.html = chapter.html.replace(LEADING_HEADING, (match, open, level, heading) =>
+      plainText(heading).toLowerCase() === chapter.title.trim().toLowerCase() ? open : match);
+  });
+
+  return { metadata: book.metadata, chapters };
+}
+
+/**
+ * Generate a thumbnail image from an EPUB/AZW3/MOBI file
+ * @param {Buffer} bookBuffer - Buffer containing the book
  * @param {string} thumbnailPath - Path to save the thumbnail
  * @returns {Promise<string>} - Path to the generated thumbnail
  */
 async function generateBookThumbnail(bookBuffer, thumbnailPath) {
   try {
-    // Save the buffer to a temp file
-    const tempFilePath = temp.path({ suffix: '.epub' });
-    fs.writeFileSync(tempFilePath, bookBuffer);
-
-    // Try to extract cover using EPub
-    const epub = await EPub.createAsync(tempFilePath);
-
-    // Check if we have a cover
-    let coverImagePath = null;
-
-    // First try to get the cover from metadata
-    if (epub.metadata.cover) {
-      const coverId = epub.metadata.cover;
-      const coverItem = epub.resources.resource[coverId];
-      if (coverItem) {
-        coverImagePath = coverItem.path;
-      }
-    }
-
-    // If not found, search for cover image in resources
-    if (!coverImagePath) {
-      // Look for resources that might be cover images
-      for (const id in epub.resources.resource) {
-        const resource = epub.resources.resource[id];
-        if (resource.id.toLowerCase().includes('cover') &&
-            resource.mime.startsWith('image/')) {
-          coverImagePath = resource.path;
-          break;
-        }
-      }
-    }
+    const book = readBook(bookBuffer);
+    fixCover(book, []);
 
     // If we found a cover, save it as thumbnail
-    if (coverImagePath) {
-      // Extract the cover image
-      const coverData = await epub.getResourceAsync(coverImagePath);
-
-      // Process and save the image as thumbnail
-      const image = await jimp.read(coverData);
-      await image.resize(300, jimp.AUTO) // Resize to appropriate thumbnail size
+    const cover = book.cover && findItem(book, book.cover);
+    if (cover) {
+      const image = await jimp.read(cover.data);
+      await image.resize(THUMBNAIL_WIDTH, jimp.AUTO) // Resize to appropriate thumbnail size
                  .quality(90)
                  .writeAsync(thumbnailPath);
 
@@ -123,7 +160,7 @@ async function generateBookThumbnail(bookBuffer, thumbnailPath) {
     const titleFont = await jimp.loadFont(jimp.FONT_SANS_16_BLACK);
 
     // Add some text to the default thumbnail
-    let title = epub.metadata.title || 'E-Book';
+    let title = book.metadata.title || 'E-Book';
     if (title.length > 20) {
       title = title.substring(0, 17) + '...';
     }
@@ -150,18 +187,521 @@ async function generateBookThumbnail(bookBuffer, thumbnailPath) {
       console.error('Failed to create default thumbnail:', e);
       return null;
     }
-  } finally {
-    // Clean up temp files
+  }
+}
+
+/**
+ * Whether a file is one of the ebook formats we accept
+ * @param {string} filePath - Path to the file
+ * @returns {boolean}
+ */
+function isBookFile(filePath) {
+  return BOOK_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Read an EPUB, AZW3 or MOBI into the book model
+ * Paths are the files' paths inside the EPUB (or kf8-reader's layout) and hrefs in the toc are resolved against them
+ * @param {Buffer} bookBuffer - Buffer containing the book
+ * @returns {Object} - { metadata, items: [{ path, mediaType, data }], spine (paths), toc: [{ label, href, children }], cover (path or null) }
+ */
+function readBook(bookBuffer) {
+  if (isKindleBook(bookBuffer)) {
+    return readKindleBook(bookBuffer);
+  }
+  if (bookBuffer.length < 4 || bookBuffer.readUInt32BE(0) !== 0x504b0304) {
+    throw new Error('Not an EPUB, AZW3 or MOBI book');
+  }
+
+  const epub = readEpub(bookBuffer);
+  const spine = new Set(epub.spine.map(item => item.path));
+  const items = [];
+  epub.manifest.forEach(item => {
+    // The package's own navigation is rebuilt when the book is written
+    const isNavigation = item.mediaType === 'application/x-dtbncx+xml' || /\bnav\b/.test(item.properties);
+    if (isNavigation && !spine.has(item.path)) return;
+
+    const data = epub.readEntry(item.path);
+    if (data) {
+      items.push({ path: item.path, mediaType: item.mediaType, data });
+    }
+  });
+
+  return {
+    metadata: { ...epub.metadata },
+    items,
+    spine: epub.spine.map(item => item.path).filter(itemPath => items.some(item => item.path === itemPath)),
+    toc: epub.toc,
+    cover: epub.coverItem ? epub.coverItem.path : null
+  };
+}
+
+function findItem(book, itemPath) {
+  return book.items.find(item => item.path === itemPath) || null;
+}
+
+function itemText(book, itemPath) {
+  const item = findItem(book, itemPath);
+  return item ? item.data.toString('utf8') : '';
+}
+
+function setItemText(item, text) {
+  item.data = Buffer.from(text, 'utf8');
+}
+
+function isDocument(item) {
+  return /html/.test(item.mediaType);
+}
+
+function flattenToc(entries) {
+  return entries.flatMap(entry => [entry, ...flattenToc(entry.children || [])]).filter(entry => entry.href);
+}
+
+/**
+ * Fill in the title, author, language and identifier when the book lacks them
+ */
+function fixMetadata(book, fileName, report) {
+  const metadata = book.metadata;
+  const missing = [];
+
+  if (PLACEHOLDER_METADATA.test((metadata.title || '').trim())) {
+    metadata.title = (fileName || 'Untitled').replace(/\.[^.]+$/, '').replace(/[_]+/g, ' ').trim() || 'Untitled';
+    missing.push('title');
+  }
+  if (PLACEHOLDER_METADATA.test((metadata.author || '').trim())) {
+    metadata.author = 'Unknown Author';
+    missing.push('author');
+  }
+  if (!metadata.language) {
+    metadata.language = 'en';
+    missing.push('language');
+  }
+  if (!metadata.identifier) {
+    metadata.identifier = `urn:uuid:${crypto.randomUUID()}`;
+    missing.push('identifier');
+  }
+
+  if (missing.length > 0) {
+    report.push(`filled in ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Remove embedded fonts and the declarations that pin the font, its size or the line spacing,
+ * so the reader's font settings work; monospace stays monospace
+ */
+function stripPublisherFonts(book, report) {
+  const fonts = book.items.filter(item => FONT_MEDIA_TYPE.test(item.mediaType) || FONT_EXTENSION.test(item.path));
+  book.items = book.items.filter(item => !fonts.includes(item));
+
+  let declarations = 0;
+  const clean = css => cleanCss(css, () => declarations++);
+  book.items.forEach(item => {
+    if (item.mediaType === 'text/css') {
+      setItemText(item, clean(item.data.toString('utf8')));
+    } else if (isDocument(item)) {
+      const markup = item.data.toString('utf8')
+        .replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi, (match, open, css, close) => open + clean(css) + close)
+        .replace(/(\sstyle\s*=\s*)(["'])([\s\S]*?)\2/gi, (match, attribute, quote, css) => attribute + quote + clean(css) + quote);
+      setItemText(item, markup);
+    }
+  });
+
+  if (fonts.length > 0 || declarations > 0) {
+    report.push(`removed ${fonts.length} embedded font(s) and ${declarations} font declaration(s)`);
+  }
+}
+
+/**
+ * Drop @font-face rules, font families other than monospace, absolute font sizes and line heights
+ * @param {string} css - Stylesheet, style element or style attribute
+ * @param {Function} onRemove - Called for every declaration removed
+ * @returns {string} - The cleaned CSS
+ */
+function cleanCss(css, onRemove = () => {}) {
+  return css
+    .replace(/@font-face\s*\{[^}]*\}/gi, () => {
+      onRemove();
+      return '';
+    })
+    .replace(/(?<=^|[;{\s])(font-family|font-size|line-height|font)\s*:\s*([^;}]*)(;?)/gi, (match, property, value, end) => {
+      const name = property.toLowerCase();
+      const bare = value.replace(/!important/i, '').trim();
+      let keep = true;
+      if (name === 'font-family') {
+        if (/monospace/i.test(bare)) return `font-family: monospace${end}`;
+        keep = false;
+      } else if (name === 'font-size' || name === 'line-height') {
+        keep = !ABSOLUTE_LENGTH.test(bare);
+      } else if (name === 'font') {
+        // The shorthand always sets a family
+        keep = false;
+      }
+      if (keep) return match;
+      onRemove();
+      return '';
+    });
+}
+
+/**
+ * Scale images down to the screen size and re-encode large ones; an image that changes format is renamed
+ */
+async function compressImages(book, settings, report) {
+  const renamed = new Map();
+  let before = 0;
+  let after = 0;
+  let count = 0;
+
+  for (const item of book.items) {
+    if (!RESIZABLE_IMAGE_TYPES.includes(item.mediaType)) continue;
+
     try {
-      temp.cleanupSync();
-    } catch (e) {
-      console.warn(`Failed to clean up temp files: ${e.message}`);
+      const image = await jimp.read(item.data);
+      const { width, height } = image.bitmap;
+      const oversized = width > settings.maxWidth || height > settings.maxHeight;
+      if (!oversized && item.data.length <= MAX_IMAGE_BYTES) continue;
+
+      const optimized = await optimizeImage(item.data, settings);
+      if (!optimized || (!oversized && optimized.buffer.length >= item.data.length)) continue;
+
+      before += item.data.length;
+      after += optimized.buffer.length;
+      count++;
+      item.data = optimized.buffer;
+
+      const mediaType = optimized.extension === 'png' ? 'image/png' : 'image/jpeg';
+      if (mediaType !== item.mediaType) {
+        const newPath = uniquePath(book, item.path.replace(/\.[^./]+$/, '') + `.${optimized.extension}`);
+        renamed.set(item.path, newPath);
+        item.path = newPath;
+        item.mediaType = mediaType;
+      }
+    } catch (error) {
+      console.warn(`[Book Processor] Could not optimize image ${item.path}: ${error.message}`);
     }
   }
+
+  if (renamed.size > 0) {
+    rewriteReferences(book, renamed);
+  }
+  if (count > 0) {
+    report.push(`resized ${count} image(s), ${Math.round(before / 1024)} KB to ${Math.round(after / 1024)} KB`);
+  }
+}
+
+/**
+ * Point every src, href and url() that names a renamed file at its new path
+ * @param {Object} book - Book model
+ * @param {Map<string, string>} renamed - Old path to new path
+ */
+function rewriteReferences(book, renamed) {
+  book.items.forEach(item => {
+    if (!isDocument(item) && item.mediaType !== 'text/css') return;
+    const dir = path.posix.dirname(item.path);
+    const target = reference => {
+      const resolved = resolvePath(dir, reference);
+      return renamed.has(resolved) ? encodeURI(path.posix.relative(dir, renamed.get(resolved))) : null;
+    };
+
+    setItemText(item, item.data.toString('utf8')
+      .replace(/(\s(?:src|href|xlink:href)\s*=\s*)(["'])([^"']*)\2/gi, (match, attribute, quote, reference) => {
+        const replacement = target(reference);
+        return replacement ? attribute + quote + replacement + quote : match;
+      })
+      .replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/gi, (match, quote, reference) => {
+        const replacement = target(reference);
+        return replacement ? `url(${quote}${replacement}${quote})` : match;
+      }));
+  });
+
+  if (book.cover && renamed.has(book.cover)) {
+    book.cover = renamed.get(book.cover);
+  }
+}
+
+/**
+ * Make sure the cover names an image: one called cover, or else the first image of the first file
+ */
+function fixCover(book, report) {
+  const isImage = itemPath => {
+    const item = itemPath && findItem(book, itemPath);
+    return !!item && item.mediaType.startsWith('image/');
+  };
+  if (isImage(book.cover)) return;
+
+  let cover = book.items.find(item => item.mediaType.startsWith('image/') && /cover/i.test(path.posix.basename(item.path)));
+  if (!cover && book.spine.length > 0) {
+    const firstFile = book.spine[0];
+    const reference = itemText(book, firstFile).match(/<(?:img\b[^>]*\ssrc|image\b[^>]*\s(?:xlink:)?href)\s*=\s*["']([^"']+)["']/i);
+    const resolved = reference ? resolvePath(path.posix.dirname(firstFile), reference[1]) : null;
+    cover = isImage(resolved) ? findItem(book, resolved) : null;
+  }
+
+  if (cover) {
+    book.cover = cover.path;
+    report.push(`set ${path.posix.basename(cover.path)} as the cover`);
+  } else {
+    book.cover = null;
+  }
+}
+
+/**
+ * Give a book without any cover image a generated one with its title and author
+ */
+async function addGeneratedCover(book, report) {
+  try {
+    const data = await generateCover({ name: book.metadata.title, publisher: book.metadata.author });
+    const dir = book.spine.length > 0 ? path.posix.dirname(book.spine[0]) : '.';
+    const coverPath = uniquePath(book, path.posix.join(dir, 'cover.jpg'));
+    book.items.push({ path: coverPath, mediaType: 'image/jpeg', data });
+    book.cover = coverPath;
+    report.push('generated a cover');
+  } catch (error) {
+    console.warn(`[Book Processor] Could not generate a cover: ${error.message}`);
+  }
+}
+
+/**
+ * Keep the table of contents entries that lead somewhere, or build one from the files' headings
+ */
+function repairToc(book, report) {
+  const documents = new Map(book.spine.map(docPath => [docPath, itemText(book, docPath)]));
+  let repaired = 0;
+
+  const validate = entries => entries.flatMap(entry => {
+    const children = validate(entry.children || []);
+    const [file, fragment] = (entry.href || '').split('#');
+    if (!documents.has(file)) {
+      // An entry for a missing file gives way to its children
+      repaired++;
+      return children;
+    }
+
+    let href = file;
+    if (fragment && hasId(documents.get(file), fragment)) {
+      href += `#${fragment}`;
+    } else if (fragment) {
+      repaired++;
+    }
+    let label = (entry.label || '').trim();
+    if (!label) {
+      label = headingOf(documents.get(file)) || 'Untitled';
+      repaired++;
+    }
+    return [{ label, href, children }];
+  });
+
+  book.toc = validate(book.toc);
+  if (book.toc.length === 0) {
+    book.toc = book.spine
+      .map(docPath => ({ label: headingOf(documents.get(docPath), book.metadata.title), href: docPath, children: [] }))
+      .filter(entry => entry.label);
+    if (book.toc.length === 0) {
+      book.toc = book.spine.map((docPath, i) => ({ label: `Part ${i + 1}`, href: docPath, children: [] }));
+    }
+    report.push(`rebuilt the table of contents (${book.toc.length} entries)`);
+  } else if (repaired > 0) {
+    report.push(`repaired ${repaired} table of contents entr${repaired === 1 ? 'y' : 'ies'}`);
+  }
+}
+
+/**
+ * Package the book model as an EPUB 3 with an NCX for older readers
+ * @param {Object} book - Book model
+ * @returns {Buffer} - The EPUB
+ */
+function writeEpub(book) {
+  const zip = new AdmZip();
+  // The mimetype comes first and uncompressed
+  zip.addFile('mimetype', Buffer.from('application/epub+zip'));
+  zip.getEntry('mimetype').header.method = 0;
+
+  const opfPath = uniquePath(book, 'content.opf');
+  const navPath = uniquePath(book, 'nav.xhtml');
+  const ncxPath = uniquePath(book, 'toc.ncx');
+
+  zip.addFile('META-INF/container.xml', Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="${opfPath}" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`));
+
+  const ids = new Map(book.items.map((item, i) => [item.path, `item-${i + 1}`]));
+  book.items.forEach(item => zip.addFile(item.path, item.data));
+
+  const metadata = book.metadata;
+  const optional = ['publisher', 'description', 'date']
+    .filter(key => metadata[key])
+    .map(key => `    <dc:${key}>${escapeXml(metadata[key])}</dc:${key}>`)
+    .join('\n');
+  const manifest = book.items.map(item => {
+    const properties = [];
+    if (item.path === book.cover) properties.push('cover-image');
+    if (isDocument(item) && /<svg\b/i.test(item.data.toString('utf8'))) properties.push('svg');
+    return `    <item id="${ids.get(item.path)}" href="${escapeXml(encodeURI(item.path))}" media-type="${item.mediaType}"${properties.length > 0 ? ` properties="${properties.join(' ')}"` : ''}/>`;
+  }).join('\n');
+  const spine = book.spine.map(docPath => `    <itemref idref="${ids.get(docPath)}"/>`).join('\n');
+
+  zip.addFile(opfPath, Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(metadata.identifier)}</dc:identifier>
+    <dc:title>${escapeXml(metadata.title)}</dc:title>
+    <dc:creator>${escapeXml(metadata.author)}</dc:creator>
+    <dc:language>${escapeXml(metadata.language)}</dc:language>
+${optional ? `${optional}\n` : ''}    <meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>
+${book.cover ? `    <meta name="cover" content="${ids.get(book.cover)}"/>\n` : ''}  </metadata>
+  <manifest>
+    <item id="nav" href="${navPath}" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="${ncxPath}" media-type="application/x-dtbncx+xml"/>
+${manifest}
+  </manifest>
+  <spine toc="ncx">
+${spine}
+  </spine>
+</package>
+`));
+
+  const navList = entries => `<ol>\n${entries.map(entry =>
+    `<li><a href="${escapeXml(encodeHref(entry.href))}">${escapeXml(entry.label)}</a>${entry.children.length > 0 ? navList(entry.children) : ''}</li>`
+  ).join('\n')}\n</ol>`;
+  zip.addFile(navPath, Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeXml(metadata.language)}">
+<head>
+<title>${escapeXml(metadata.title)}</title>
+</head>
+<body>
+<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+${navList(book.toc)}
+</nav>
+</body>
+</html>
+`));
+
+  let playOrder = 0;
+  const navPoints = entries => entries.map(entry => {
+    playOrder++;
+    return `<navPoint id="nav-${playOrder}" playOrder="${playOrder}"><navLabel><text>${escapeXml(entry.label)}</text></navLabel><content src="${escapeXml(encodeHref(entry.href))}"/>${navPoints(entry.children)}</navPoint>`;
+  }).join('\n');
+  zip.addFile(ncxPath, Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head>
+<meta name="dtb:uid" content="${escapeXml(metadata.identifier)}"/>
+</head>
+<docTitle><text>${escapeXml(metadata.title)}</text></docTitle>
+<navMap>
+${navPoints(book.toc)}
+</navMap>
+</ncx>
+`));
+
+  return zip.toBuffer();
+}
+
+/**
+ * The body of a document with its images as data URIs, so it can leave the book
+ */
+function inlineImages(book, docPath, html) {
+  const dir = path.posix.dirname(docPath);
+  return html.replace(/(<img\b[^>]*?\ssrc\s*=\s*)(["'])([^"']*)\2/gi, (match, start, quote, src) => {
+    const item = /^[a-z]+:/i.test(src) ? null : findItem(book, resolvePath(dir, src));
+    if (!item || !item.mediaType.startsWith('image/')) return match;
+    return `${start}${quote}data:${item.mediaType};base64,${item.data.toString('base64')}${quote}`;
+  });
+}
+
+/**
+ * Links between the book's files point at their anchor alone once the files are joined
+ */
+function unlinkFiles(html) {
+  return html.replace(/(<a\b[^>]*?\shref\s*=\s*)(["'])([^"']*)\2/gi, (match, start, quote, href) => {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('#')) return match;
+    const fragment = href.split('#')[1];
+    return fragment ? `${start}${quote}#${fragment}${quote}` : `${start}${quote}#${quote}`;
+  });
+}
+
+function bodyOf(markup) {
+  const body = markup.match(/<body\b[^>]*>([\s\S]*?)<\/body>/i);
+  return body ? body[1] : markup;
+}
+
+function plainText(html) {
+  return decodeEntities(html.replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * The first h1-h3 of a document, or its title when that isn't just the book's title
+ */
+function headingOf(markup, bookTitle = null) {
+  const heading = markup.match(/<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i);
+  const headingText = heading ? plainText(heading[1]) : '';
+  if (headingText) return headingText;
+
+  const title = markup.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const titleText = title ? plainText(title[1]) : '';
+  return titleText && titleText !== bookTitle ? titleText : '';
+}
+
+function hasId(markup, id) {
+  const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\s(?:id|name)\\s*=\\s*["']${escaped}["']`).test(markup);
+}
+
+function resolvePath(dir, reference) {
+  const file = reference.split('#')[0];
+  let decoded = file;
+  try {
+    decoded = decodeURIComponent(file);
+  } catch (error) {
+    // Keep the raw reference
+  }
+  return path.posix.normalize(path.posix.join(dir, decoded)).replace(/^\.\//, '');
+}
+
+function encodeHref(href) {
+  const [file, fragment] = href.split('#');
+  return encodeURI(file) + (fragment ? `#${fragment}` : '');
+}
+
+function uniquePath(book, wanted) {
+  const taken = new Set(book.items.map(item => item.path.toLowerCase()));
+  let candidate = wanted;
+  for (let i = 2; taken.has(candidate.toLowerCase()); i++) {
+    candidate = wanted.replace(/(\.[^./]+)?$/, `-${i}$1`);
+  }
+  return candidate;
+}
+
+function escapeXml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
 }
 
 module.exports = {
+  BOOK_EXTENSIONS,
+  isBookFile,
   extractFromBook,
   convertToKindleFormat,
+  readBookChapters,
   generateBookThumbnail
 };
@@ -0,0 +1,467 @@
+#!/usr/bin/env node
+// cli.js
+// Headless entry point: converts newsletters without Electron or a display server
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const util = require('util');
+const emlToEbook = require('./utils/eml-to-azw3-converter');
+const systemCheck = require('./utils/system-check');
+const mailboxImporter = require('./utils/mailbox-importer');
+const userTemplates = require('./utils/user-templates');
+const { NEWSLETTER_TEMPLATES, hasNewsletterTemplate, listTemplates } = require('./utils/newsletter-detector');
+const { PAGE_PRESETS, DEFAULT_PAGE_PRESET } = require('./utils/pdf-generator');
+const { PDF_LAYOUTS } = require('./utils/pdf-processor');
+const { BOOK_EXTENSIONS, isBookFile } = require('./utils/azw3-processor');
+const { DEFAULT_OUTPUT_DIR, COLLISION_POLICIES } = require('./utils/output-paths');
+const packageInfo = require('./package.json');
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_CONVERSION_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const FORMATS = ['auto', 'azw3', 'epub', 'pdf'];
+const SUPPORTED_EXTENSIONS = ['.eml', '.pdf', ...BOOK_EXTENSIONS];
+
+const USAGE = `Usage: kindle-format [options] <files or globs...>
+
+Convert newsletter emails (.eml), mailboxes (mbox files, Maildir folders), PDFs and ebooks
+(.epub, .azw3, .mobi) to Kindle ebooks. Each mailbox becomes one digest of its matching messages;
+ebooks are re-optimized for Kindle, or join the email digest with --combine.
+
+Options:
+  -f, --format <auto|azw3|epub|pdf>
+                                 Output format (default: auto); pdf renders emails as Kindle-sized pages
+      --page-size <preset>       PDF page size, and the screen split PDF pages are shaped for:
+                                 ${Object.keys(PAGE_PRESETS).join(', ')} (default: ${DEFAULT_PAGE_PRESET})
+      --pdf-layout <${PDF_LAYOUTS.join('|')}>
+                                 PDF inputs with --format pdf: reflow the text (default), keep the pages
+                                 trimmed to their content, or trimmed and split into columns and screens
+  -t, --template <name>          Force a newsletter template (${Object.keys(NEWSLETTER_TEMPLATES).join(', ')},
+                                 or the id of one of your templates)
+      --templates-dir <dir>      Your templates folder (default: the app's, ${defaultTemplatesDir()})
+  -c, --combine                  Combine all emails and ebooks, all mailboxes and all PDFs into one book each
+  -o, --output-dir <dir>         Output directory (default: ~/Downloads/kindle-books)
+      --on-exists <${COLLISION_POLICIES.join('|')}>
+                                 When an output file exists: keep both as "name (2).ext" (default),
+                                 replace it, or keep it and skip the conversion
+      --from <text>              Mailboxes: only messages whose sender contains text (repeatable)
+      --list-id <text>           Mailboxes: only messages whose List-Id contains text (repeatable)
+      --since <date>             Mailboxes: only messages on or after date (e.g. 2024-01-31)
+      --until <date>             Mailboxes: only messages on or before date
+      --json                     Print results as JSON on stdout
+      --verbose                  Show conversion logs on stderr
+  -h, --help                     Show this help
+  -v, --version                  Show the version
+
+Globs (*, ?, **) are expanded even when quoted, e.g. kindle-format "inbox/**/*.eml".
+
+Exit codes: 0 success, 1 one or more conversions failed, 2 invalid usage.`;
+
+/**
+ * Parse and validate command line arguments
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Object} - Options and input patterns
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = util.parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'auto' },
+      'page-size': { type: 'string', default: DEFAULT_PAGE_PRESET },
+      'pdf-layout': { type: 'string', default: 'reflow' },
+      template: { type: 'string', short: 't' },
+      'templates-dir': { type: 'string' },
+      combine: { type: 'boolean', short: 'c', default: false },
+      'output-dir': { type: 'string', short: 'o' },
+      'on-exists': { type: 'string', default: 'version' },
+      from: { type: 'string', multiple: true, default: [] },
+      'list-id': { type: 'string', multiple: true, default: [] },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+      version: { type: 'boolean', short: 'v', default: false }
+    }
+  });
+
+  const format = values.format.toLowerCase();
+  if (!FORMATS.includes(format)) {
+    throw new UsageError(`Invalid format "${values.format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+
+  const pageSize = values['page-size'].toLowerCase();
+  if (!PAGE_PRESETS[pageSize]) {
+    throw new UsageError(`Invalid page size "${values['page-size']}". Use one of: ${Object.keys(PAGE_PRESETS).join(', ')}`);
+  }
+
+  const pdfLayout = values['pdf-layout'].toLowerCase();
+  if (!PDF_LAYOUTS.includes(pdfLayout)) {
+    throw new UsageError(`Invalid PDF layout "${values['pdf-layout']}". Use one of: ${PDF_LAYOUTS.join(', ')}`);
+  }
+  if (pdfLayout !== 'reflow' && format !== 'pdf') {
+    throw new UsageError(`--pdf-layout ${pdfLayout} keeps the PDF's pages, so it needs --format pdf`);
+  }
+
+  const onExists = values['on-exists'].toLowerCase();
+  if (!COLLISION_POLICIES.includes(onExists)) {
+    throw new UsageError(`Invalid --on-exists "${values['on-exists']}". Use one of: ${COLLISION_POLICIES.join(', ')}`);
+  }
+
+  // Checked against user templates once they are loaded, in main()
+  const template = values.template ? values.template.toLowerCase() : null;
+
+  ['since', 'until'].forEach(name => {
+    if (values[name] && isNaN(new Date(values[name]).getTime())) {
+      throw new UsageError(`Invalid --${name} date "${values[name]}"`);
+    }
+  });
+
+  return {
+    format,
+    pageSize,
+    pdfLayout,
+    template,
+    templatesDir: path.resolve(values['templates-dir'] || defaultTemplatesDir()),
+    combine: values.combine,
+    mailboxFilters: {
+      from: values.from,
+      listId: values['list-id'],
+      since: values.since || null,
+      until: values.until || null
+    },
+    outputDir: path.resolve(values['output-dir'] || DEFAULT_OUTPUT_DIR),
+    onExists,
+    json: values.json,
+    verbose: values.verbose,
+    help: values.help,
+    version: values.version,
+    patterns: positionals
+  };
+}
+
+class UsageError extends Error {}
+
+/**
+ * The templates folder the desktop app uses (<userData>/templates), found without Electron
+ * @returns {string} - Directory path
+ */
+function defaultTemplatesDir() {
+  const appName = packageInfo.productName || packageInfo.name;
+  let appData;
+  if (process.platform === 'darwin') {
+    appData = path.join(os.homedir(), 'Library', 'Application Support');
+  } else if (process.platform === 'win32') {
+    appData = process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+  } else {
+    appData = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  }
+  return path.join(appData, appName, 'templates');
+}
+
+/**
+ * Expand file arguments and glob patterns into existing, supported files
+ * @param {Array<string>} patterns - Paths or glob patterns
+ * @returns {{files: Array<string>, errors: Array<Object>}} - Resolved files and per-argument errors
+ */
+function resolveInputFiles(patterns) {
+  const files = [];
+  const errors = [];
+
+  patterns.forEach(pattern => {
+    const matches = /[*?[]/.test(pattern) ? expandGlob(pattern) : [path.resolve(pattern)];
+    const supported = matches.filter(filePath =>
+      SUPPORTED_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) || mailboxImporter.isMailbox(filePath));
+
+    if (matches.length === 0 || (matches.length === 1 && !fs.existsSync(matches[0]))) {
+      errors.push({ input: pattern, error: 'No such file' });
+    } else if (supported.length === 0) {
+      errors.push({ input: pattern, error: `Unsupported file type (expected ${SUPPORTED_EXTENSIONS.join(', ')}, an mbox file or a Maildir folder)` });
+    }
+
+    supported.forEach(filePath => {
+      if (fs.existsSync(filePath) && !files.includes(filePath)) {
+        files.push(filePath);
+      }
+    });
+  });
+
+  return { files, errors };
+}
+
+/**
+ * Expand a glob pattern supporting *, ?, [...] and ** (any number of directories)
+ * @param {string} pattern - Glob pattern
+ * @returns {Array<string>} - Matching file paths, sorted
+ */
+function expandGlob(pattern) {
+  const segments = path.resolve(pattern).split(/[\\/]+/);
+  const firstGlob = segments.findIndex(segment => /[*?[]/.test(segment));
+  let baseDir = segments.slice(0, firstGlob).join(path.sep) || path.sep;
+  if (/^[A-Za-z]:$/.test(baseDir)) baseDir += path.sep; // Windows drive root
+  const globSegments = segments.slice(firstGlob);
+  const results = new Set();
+
+  const walk = (dir, index) => {
+    if (index === globSegments.length) {
+      if (fs.existsSync(dir) && fs.statSync(dir).isFile()) results.add(dir);
+      return;
+    }
+
+    const segment = globSegments[index];
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    if (segment === '**') {
+      // Zero directories, or descend into every subdirectory
+      walk(dir, index + 1);
+      entries
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .forEach(entry => walk(path.join(dir, entry.name), index));
+      return;
+    }
+
+    const matcher = globSegmentToRegExp(segment);
+    entries
+      .filter(entry => matcher.test(entry.name))
+      .forEach(entry => walk(path.join(dir, entry.name), index + 1));
+  };
+
+  walk(baseDir, 0);
+  return Array.from(results).sort();
+}
+
+function globSegmentToRegExp(segment) {
+  let source = '';
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+    if (char === '*') {
+      source += '[^/\\\\]*';
+    } else if (char === '?') {
+      source += '[^/\\\\]';
+    } else if (char === '[') {
+      const close = segment.indexOf(']', i + 1);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        source += `[${segment.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  // Hidden files only match patterns that start with a dot
+  return new RegExp(`^${segment.startsWith('.') ? '' : '(?!\\.)'}${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+/**
+ * Build the conversion jobs for the resolved files
+ * @param {Array<string>} files - Input files
+ * @param {Object} options - CLI options
+ * @returns {Array<Object>} - Jobs with inputs, output path and converter
+ */
+function planJobs(files, options) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const emlFiles = files.filter(filePath => path.extname(filePath).toLowerCase() === '.eml');
+  const pdfFiles = files.filter(filePath => path.extname(filePath).toLowerCase() === '.pdf');
+  const bookFiles = files.filter(isBookFile);
+  const mailboxes = files.filter(filePath => !emlFiles.includes(filePath) && !pdfFiles.includes(filePath) && !bookFiles.includes(filePath));
+  const jobs = [];
+
+  const single = (filePath, convert) => ({
+    inputs: [filePath],
+    combined: false,
+    outputPath: path.join(options.outputDir, `${path.basename(filePath, path.extname(filePath))}_${timestamp}.epub`),
+    convert
+  });
+
+  // Ebooks join the email digest as chapters
+  if (options.combine && emlFiles.length + bookFiles.length > 1) {
+    jobs.push({
+      inputs: [...emlFiles, ...bookFiles],
+      combined: true,
+      outputPath: path.join(options.outputDir, `Email_Collection_${timestamp}.epub`),
+      convert: emlToEbook.convertMultipleEmlsToEbook
+    });
+  } else {
+    emlFiles.forEach(filePath => jobs.push(single(filePath, emlToEbook.convertEmlToEbook)));
+    bookFiles.forEach(filePath => jobs.push(single(filePath, emlToEbook.convertBookToEbook)));
+  }
+
+  // Mailboxes always produce a digest, so they take the list form
+  const mailboxJob = (inputs, name) => ({
+    inputs,
+    combined: true,
+    outputPath: path.join(options.outputDir, `${name}_${timestamp}.epub`),
+    convert: mailboxImporter.convertMailboxToEbook
+  });
+
+  if (options.combine && mailboxes.length > 1) {
+    jobs.push(mailboxJob(mailboxes, 'Mailbox_Digest'));
+  } else {
+    mailboxes.forEach(mailbox => jobs.push(mailboxJob([mailbox], `${path.basename(mailbox, path.extname(mailbox))}_Digest`)));
+  }
+
+  if (options.combine && pdfFiles.length > 1) {
+    jobs.push({
+      inputs: pdfFiles,
+      combined: true,
+      outputPath: path.join(options.outputDir, `PDF_Collection_${timestamp}.epub`),
+      convert: emlToEbook.convertMultiplePdfsToEbook
+    });
+  } else {
+    pdfFiles.forEach(filePath => jobs.push(single(filePath, emlToEbook.convertPdfToEbook)));
+  }
+
+  return jobs;
+}
+
+/**
+ * Run a conversion job
+ * @param {Object} job - Job from planJobs
+ * @param {Object} options - CLI options
+ * @returns {Promise<Object>} - Result entry for the report
+ */
+async function runJob(job, options) {
+  const converterOptions = {
+    formatPreference: options.format,
+    pagePreset: options.pageSize,
+    pdfLayout: options.pdfLayout,
+    filters: options.mailboxFilters,
+    collision: options.onExists
+  };
+  if (options.template) {
+    converterOptions.selectedTemplate = options.template;
+  }
+
+  try {
+    const input = job.combined ? job.inputs : job.inputs[0];
+    const { filePath, format, skipped, imported, templateReport } = await job.convert(input, job.outputPath, converterOptions);
+    const result = { success: true, inputs: job.inputs, filePath, format, skipped: Boolean(skipped) };
+    if (imported !== undefined) {
+      result.messages = imported;
+    }
+    if (templateReport) {
+      result.templateReport = templateReport;
+    }
+    return result;
+  } catch (error) {
+    return { success: false, inputs: job.inputs, error: error.message };
+  }
+}
+
+/**
+ * Send library logging to stderr (or nowhere) so stdout only carries results
+ * @param {boolean} verbose - Keep conversion logs on stderr
+ */
+function redirectLogging(verbose) {
+  const toStderr = (...args) => process.stderr.write(`${args.map(arg => (typeof arg === 'string' ? arg : util.inspect(arg))).join(' ')}\n`);
+  const silent = () => {};
+  console.log = verbose ? toStderr : silent;
+  console.info = verbose ? toStderr : silent;
+  console.warn = verbose ? toStderr : silent;
+  console.error = verbose ? toStderr : silent;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const stdout = (text) => process.stdout.write(`${text}\n`);
+  const stderr = (text) => process.stderr.write(`${text}\n`);
+
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    stderr(`kindle-format: ${error.message}`);
+    stderr(`Run "kindle-format --help" for usage.`);
+    return EXIT_USAGE;
+  }
+
+  if (options.help) {
+    stdout(USAGE);
+    return EXIT_OK;
+  }
+  if (options.version) {
+    stdout(packageInfo.version);
+    return EXIT_OK;
+  }
+
+  const report = (results, inputErrors) => {
+    if (options.json) {
+      stdout(JSON.stringify({
+        success: inputErrors.length === 0 && results.every(result => result.success),
+        results,
+        inputErrors
+      }, null, 2));
+      return;
+    }
+    inputErrors.forEach(({ input, error }) => stderr(`✗ ${input}: ${error}`));
+    results.forEach(result => {
+      const label = result.inputs.length === 1 ? path.basename(result.inputs[0]) : `${result.inputs.length} files`;
+      if (result.success) {
+        const messages = result.messages !== undefined ? `, ${result.messages} messages` : '';
+        const kept = result.skipped ? ', already existed and was kept' : '';
+        stdout(`✓ ${label} → ${result.filePath} (${result.format.toUpperCase()}${messages}${kept})`);
+      } else {
+        stderr(`✗ ${label}: ${result.error}`);
+      }
+    });
+  };
+
+  if (options.patterns.length === 0) {
+    stderr('kindle-format: no input files given');
+    stderr(`Run "kindle-format --help" for usage.`);
+    return EXIT_USAGE;
+  }
+
+  const { files, errors: inputErrors } = resolveInputFiles(options.patterns);
+  if (files.length === 0) {
+    report([], inputErrors);
+    return EXIT_USAGE;
+  }
+
+  redirectLogging(options.verbose);
+
+  userTemplates.init(options.templatesDir, { watch: false });
+  if (options.template && !hasNewsletterTemplate(options.template)) {
+    stderr(`kindle-format: Unknown template "${options.template}". Use one of: ${listTemplates().map(template => template.id).join(', ')}`);
+    return EXIT_USAGE;
+  }
+
+  try {
+    fs.mkdirSync(options.outputDir, { recursive: true });
+  } catch (error) {
+    stderr(`kindle-format: cannot create output directory ${options.outputDir}: ${error.message}`);
+    return EXIT_USAGE;
+  }
+
+  // Same Calibre lookup the app does at startup
+  await systemCheck.runAllChecks();
+  global.systemCheck = systemCheck;
+
+  const results = [];
+  for (const job of planJobs(files, options)) {
+    results.push(await runJob(job, options));
+  }
+
+  report(results, inputErrors);
+  return inputErrors.length === 0 && results.every(result => result.success) ? EXIT_OK : EXIT_CONVERSION_FAILED;
+}
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    process.stderr.write(`kindle-format: ${error.stack || error.message}\n`);
+    process.exitCode = EXIT_CONVERSION_FAILED;
+  });
+}
+
+module.exports = { main };
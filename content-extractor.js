@@ -0,0 +1,281 @@
+// utils/content-extractor.js
+// Readability-style article extraction: score DOM nodes by text and link density to find a newsletter's main body
+const cheerio = require('cheerio');
+
+// Below this confidence (0-100) the extracted article is ignored and the full body is kept
+const MIN_CONFIDENCE = 50;
+
+// An article this long (in characters of text) counts as fully substantial
+const FULL_ARTICLE_TEXT = 500;
+// An article holding this share of the email's text is not missing anything obvious
+const FULL_ARTICLE_SHARE = 0.4;
+// Leaf blocks shorter than this don't vote for their ancestors
+const MIN_PARAGRAPH_TEXT = 25;
+// How far up the tree a paragraph's score is passed
+const MAX_SCORE_DEPTH = 5;
+// Close runners-up that point to a shared ancestor (several stories in one column)
+const RUNNER_UP_RATIO = 0.75;
+const MIN_RUNNERS_UP = 3;
+
+const UNWANTED_TAGS = 'script, style, noscript, iframe, object, embed, form, input, button, select, textarea, svg, head, title, meta, link';
+const BLOCK_TAGS = ['address', 'article', 'aside', 'blockquote', 'center', 'dd', 'div', 'dl', 'dt', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'td', 'th', 'thead', 'tfoot', 'tr', 'ul'];
+// Elements that can hold an article; table rows and inline wrappers are skipped when passing scores up
+const CANDIDATE_TAGS = ['article', 'blockquote', 'body', 'center', 'div', 'main', 'ol', 'pre', 'section', 'table', 'td', 'th', 'ul'];
+
+const POSITIVE_NAMES = /article|body|content|entry|main|page|post|story|text|blog/i;
+const NEGATIVE_NAMES = /banner|comment|contact|foot|masthead|menu|meta|nav|outbrain|preferences|preheader|promo|related|share|sidebar|social|sponsor|subscribe|tags|tool|widget|header|hidden/i;
+
+/**
+ * Find the main article in a newsletter's HTML
+ * @param {string} html - Newsletter HTML
+ * @param {Object} options - minConfidence (0-100) below which the full body is kept
+ * @returns {Object} - content (the article, or the original HTML when not used), used, confidence,
+ *   candidate (a short description of the chosen element), textCharacters, totalCharacters and linkDensity
+ */
+function extractArticle(html, options = {}) {
+  const minConfidence = options.minConfidence !== undefined ? options.minConfidence : MIN_CONFIDENCE;
+  const fallback = { content: html, used: false, confidence: 0, candidate: null, textCharacters: 0, totalCharacters: 0, linkDensity: 0 };
+  if (!html) return fallback;
+
+  try {
+    const $ = cheerio.load(html);
+    removeUnwanted($);
+
+    const root = $('body').length ? $('body') : $.root();
+    const totalCharacters = textLength($, root);
+    if (totalCharacters === 0) return fallback;
+
+    const scores = scoreCandidates($, root);
+    const top = pickTopCandidate($, scores);
+    if (!top) {
+      console.log('[Content Extractor] No article candidate found; keeping the full body');
+      return { ...fallback, totalCharacters };
+    }
+
+    const article = collectArticle($, top, scores);
+    const textCharacters = textLength($, article);
+    const linkDensity = getLinkDensity($, article);
+    const confidence = Math.round(100 *
+      Math.min(1, textCharacters / FULL_ARTICLE_TEXT) *
+      (1 - linkDensity) *
+      Math.min(1, textCharacters / totalCharacters / FULL_ARTICLE_SHARE));
+
+    const result = {
+      content: html,
+      used: confidence >= minConfidence,
+      confidence,
+      candidate: describeElement(top),
+      textCharacters,
+      totalCharacters,
+      linkDensity: Math.round(linkDensity * 100) / 100
+    };
+
+    if (result.used) {
+      // Layout tables inside it are flattened later, with the rest of the HTML (see html-pipeline.js)
+      cleanArticle($, article);
+      result.content = `<div class="extracted-article">${article.html()}</div>`;
+      console.log(`[Content Extractor] Using ${result.candidate} (${textCharacters} of ${totalCharacters} characters, ${confidence}% confidence)`);
+    } else {
+      console.log(`[Content Extractor] Best candidate ${result.candidate} is only ${confidence}% likely to be the article; keeping the full body`);
+    }
+    return result;
+  } catch (error) {
+    console.error(`[Content Extractor] Extraction failed: ${error.message}`);
+    return fallback;
+  }
+}
+
+/**
+ * Drop scripts, forms and hidden elements (preheaders are usually display:none)
+ */
+function removeUnwanted($) {
+  $(UNWANTED_TAGS).remove();
+  $('[hidden], [aria-hidden="true"]').remove();
+  $('[style]').filter((i, element) => /display\s*:\s*none|mso-hide\s*:\s*all|visibility\s*:\s*hidden/i.test(element.attribs.style)).remove();
+}
+
+/**
+ * Score every element that contains paragraphs
+ * Each leaf block adds 1 + its commas + a point per 100 characters (up to 3) to its
+ * candidate ancestors: all of it to the nearest, half to the next, less further up
+ * @returns {Map<Object, number>} - Element to score, already scaled by (1 - link density)
+ */
+function scoreCandidates($, root) {
+  const scores = new Map();
+
+  root.find(BLOCK_TAGS.join(', ')).toArray()
+    .filter(element => !hasBlockChildren(element))
+    .forEach(element => {
+      const text = normalizeText($(element).text());
+      if (text.length < MIN_PARAGRAPH_TEXT) return;
+
+      const points = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+      const ancestors = [element, ...$(element).parents().toArray()]
+        .filter(ancestor => CANDIDATE_TAGS.includes(ancestor.name))
+        // A leaf that is itself a candidate (a <td> of text) is its own first level
+        .slice(0, MAX_SCORE_DEPTH);
+
+      ancestors.forEach((ancestor, level) => {
+        if (!scores.has(ancestor)) {
+          scores.set(ancestor, initialScore(ancestor));
+        }
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        scores.set(ancestor, scores.get(ancestor) + points / divider);
+      });
+    });
+
+  scores.forEach((score, element) => {
+    scores.set(element, score * (1 - getLinkDensity($, $(element))));
+  });
+  return scores;
+}
+
+/**
+ * The highest-scoring element, moved up to the shared ancestor of close runners-up
+ * so a newsletter made of several similar stories is taken whole
+ */
+function pickTopCandidate($, scores) {
+  const ranked = Array.from(scores.entries()).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0 || ranked[0][1] <= 0) return null;
+
+  let [top, topScore] = ranked[0];
+  const runnersUp = ranked.slice(1)
+    .filter(([element, score]) => score >= topScore * RUNNER_UP_RATIO && !contains(element, top) && !contains(top, element))
+    .map(([element]) => element);
+
+  if (runnersUp.length >= MIN_RUNNERS_UP - 1) {
+    let ancestor = top.parent;
+    while (ancestor && ancestor.type !== 'root') {
+      const shared = runnersUp.filter(element => contains(ancestor, element)).length;
+      if (shared >= MIN_RUNNERS_UP - 1) {
+        top = ancestor;
+        break;
+      }
+      ancestor = ancestor.parent;
+    }
+  }
+
+  // A lone child says nothing its wrapper doesn't (but never climb out of a cell into its row)
+  while (top.name !== 'body' && top.parent && CANDIDATE_TAGS.includes(top.parent.name) &&
+         top.parent.name !== 'body' && $(top.parent).children().length === 1) {
+    top = top.parent;
+  }
+  return top;
+}
+
+/**
+ * The top candidate plus siblings that look like part of the same article
+ * @returns {Object} - Cheerio selection of a wrapper holding the article
+ */
+function collectArticle($, top, scores) {
+  const topScore = scores.get(top) || 0;
+  const threshold = Math.max(10, topScore * 0.2);
+  const article = $('<div></div>');
+
+  const siblings = top.parent ? $(top.parent).children().toArray() : [top];
+  siblings.forEach(sibling => {
+    if (sibling === top) {
+      article.append(asBlock($, sibling));
+      return;
+    }
+
+    let append = (scores.get(sibling) || 0) >= threshold;
+    if (!append && sibling.name === 'p') {
+      const text = normalizeText($(sibling).text());
+      const linkDensity = getLinkDensity($, $(sibling));
+      append = (text.length > 80 && linkDensity < 0.25) ||
+        (text.length > 0 && linkDensity === 0 && /\.( |$)/.test(text));
+    }
+    if (append) {
+      article.append(asBlock($, sibling));
+    }
+  });
+
+  return article;
+}
+
+/**
+ * HTML for an element moved into the article; table cells lose their table and become blocks
+ */
+function asBlock($, element) {
+  if (element.name === 'td' || element.name === 'th') {
+    return `<div>${$(element).html()}</div>`;
+  }
+  return $.html(element);
+}
+
+/**
+ * Remove navigation, share rows and other junk left inside the article
+ * Link-heavy blocks with little text go, and so do blocks whose class or id marks them as chrome
+ */
+function cleanArticle($, article) {
+  article.find('div, section, aside, nav, header, footer, table, ul, ol, center').toArray().reverse().forEach(element => {
+    const block = $(element);
+    const text = normalizeText(block.text());
+    const images = block.find('img').length;
+    if (text.length === 0 && images === 0) {
+      block.remove();
+      return;
+    }
+
+    const linkDensity = getLinkDensity($, block);
+    const negative = classWeight(element) < 0;
+    if ((negative && linkDensity > 0.2) || (negative && text.length < 200) ||
+        (linkDensity > 0.8 && text.length < 200) || ['nav', 'aside'].includes(element.name)) {
+      block.remove();
+    }
+  });
+}
+
+function hasBlockChildren(element) {
+  return (element.children || []).some(child => child.type === 'tag' && (BLOCK_TAGS.includes(child.name) || hasBlockChildren(child)));
+}
+
+function initialScore(element) {
+  let score = classWeight(element);
+  if (['div', 'article', 'main', 'section'].includes(element.name)) score += 5;
+  if (['td', 'th', 'blockquote', 'pre'].includes(element.name)) score += 3;
+  if (['ul', 'ol'].includes(element.name)) score -= 3;
+  return score;
+}
+
+function classWeight(element) {
+  const names = `${element.attribs.class || ''} ${element.attribs.id || ''}`;
+  let weight = 0;
+  if (NEGATIVE_NAMES.test(names)) weight -= 25;
+  if (POSITIVE_NAMES.test(names)) weight += 25;
+  return weight;
+}
+
+function getLinkDensity($, selection) {
+  const length = textLength($, selection);
+  if (length === 0) return 0;
+  const linkLength = selection.find('a').toArray().reduce((sum, link) => sum + textLength($, $(link)), 0);
+  return Math.min(1, linkLength / length);
+}
+
+function textLength($, selection) {
+  return normalizeText(selection.text()).length;
+}
+
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function contains(ancestor, element) {
+  for (let node = element.parent; node; node = node.parent) {
+    if (node === ancestor) return true;
+  }
+  return false;
+}
+
+function describeElement(element) {
+  const id = element.attribs.id ? `#${element.attribs.id}` : '';
+  const className = element.attribs.class ? `.${element.attribs.class.trim().split(/\s+/).join('.')}` : '';
+  return `${element.name}${id}${className}`;
+}
+
+module.exports = {
+  extractArticle,
+  MIN_CONFIDENCE
+};
@@ -0,0 +1,182 @@
+// utils/conversion-library.js
+// Persistent history of generated ebooks, stored as JSON in the app's user-data directory
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LIBRARY_FILE = 'library.json';
+const LIBRARY_VERSION = 1;
+
+class ConversionLibrary {
+  constructor() {
+    this.entries = [];
+    this.libraryPath = null;
+  }
+
+  /**
+   * Load the library from disk
+   * @param {string} dataDir - Directory for library.json (the app's userData)
+   */
+  init(dataDir) {
+    this.libraryPath = path.join(dataDir, LIBRARY_FILE);
+    this.entries = [];
+
+    if (!fs.existsSync(this.libraryPath)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.libraryPath, 'utf8'));
+      this.entries = Array.isArray(saved.entries) ? saved.entries : [];
+      console.log(`[Library] Loaded ${this.entries.length} conversion(s)`);
+    } catch (error) {
+      // Keep the unreadable file around instead of overwriting someone's history
+      const backupPath = `${this.libraryPath}.corrupt-${Date.now()}`;
+      console.error(`[Library] Could not read ${this.libraryPath} (${error.message}); moved it to ${backupPath}`);
+      try {
+        fs.renameSync(this.libraryPath, backupPath);
+      } catch (renameError) {
+        console.error(`[Library] Could not move corrupt library: ${renameError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Record a successful conversion from an 'ebook-generated' result
+   * @param {Object} result - The ebook-generated payload (filePath, format, preview, additionalFiles)
+   * @param {Object} context - How it was made: sources, selectedTemplate, formatPreference, pagePreset, pdfLayout, mailboxFilters, origin
+   * @returns {Object|null} - The new entry, or null if there was nothing to record
+   */
+  recordConversion(result, context = {}) {
+    // A skipped conversion left an earlier file in place; that one is already in the library
+    if (!result || !result.success || !result.filePath || result.skipped) return null;
+
+    const preview = result.preview || {};
+    const newsletterType = preview.newsletterType || (preview.newsletterInfo && preview.newsletterInfo.type) || 'generic';
+
+    const entry = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      title: preview.subject || path.basename(result.filePath, path.extname(result.filePath)),
+      sources: context.sources || [],
+      newsletterType,
+      template: context.selectedTemplate || newsletterType,
+      format: result.format || path.extname(result.filePath).slice(1),
+      formatPreference: context.formatPreference || 'auto',
+      outputPath: result.filePath,
+      additionalFiles: result.additionalFiles || [],
+      size: fileSize(result.filePath),
+      origin: context.origin || 'manual',
+      deliveries: []
+    };
+    if (context.mailboxFilters) {
+      entry.mailboxFilters = context.mailboxFilters;
+    }
+    if (context.pagePreset) {
+      entry.pagePreset = context.pagePreset;
+    }
+    if (context.pdfLayout) {
+      entry.pdfLayout = context.pdfLayout;
+    }
+
+    this.entries.unshift(entry);
+    this.save();
+    console.log(`[Library] Recorded ${entry.title} -> ${entry.outputPath}`);
+    return entry;
+  }
+
+  /**
+   * Note that an ebook was emailed or copied to a device
+   * @param {string} outputPath - The delivered file
+   * @param {Object} delivery - { method: 'email' | 'device', target }
+   */
+  recordDelivery(outputPath, delivery) {
+    const entry = this.entries.find(candidate => candidate.outputPath === outputPath);
+    if (!entry) return;
+
+    entry.deliveries = entry.deliveries || [];
+    entry.deliveries.push({ ...delivery, at: new Date().toISOString() });
+    this.save();
+  }
+
+  /**
+   * Entries, newest first, optionally filtered by a search string
+   * @param {string} query - Matched against title, sources, type, template, format and output path
+   * @returns {Array<Object>} - Entries with an `exists` flag for the output file
+   */
+  list(query = '') {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return this.entries
+      .filter(entry => {
+        if (terms.length === 0) return true;
+        const haystack = [
+          entry.title,
+          entry.newsletterType,
+          entry.template,
+          entry.format,
+          entry.outputPath,
+          ...entry.sources.map(source => path.basename(source))
+        ].join(' ').toLowerCase();
+        return terms.every(term => haystack.includes(term));
+      })
+      .map(entry => ({ ...entry, exists: fs.existsSync(entry.outputPath) }));
+  }
+
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Remove an entry and, unless told otherwise, its output files that no other entry uses
+   * @param {string} id - Entry id
+   * @param {Object} options - keepFiles to only forget the entry
+   * @returns {Object} - { removed, deletedFiles }
+   */
+  remove(id, options = {}) {
+    const entry = this.get(id);
+    if (!entry) {
+      throw new Error('That conversion is no longer in the library');
+    }
+
+    const deletedFiles = [];
+    if (!options.keepFiles) {
+      // With the 'overwrite' collision policy other entries can point at the same file
+      const stillUsed = new Set(this.entries
+        .filter(candidate => candidate.id !== id)
+        .flatMap(candidate => [candidate.outputPath, ...(candidate.additionalFiles || [])]));
+      [entry.outputPath, ...(entry.additionalFiles || [])].forEach(filePath => {
+        if (stillUsed.has(filePath)) {
+          console.log(`[Library] Keeping ${filePath}, other entries still use it`);
+        } else if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+          deletedFiles.push(filePath);
+        }
+      });
+    }
+
+    this.entries = this.entries.filter(candidate => candidate.id !== id);
+    this.save();
+    console.log(`[Library] Removed ${entry.title}${deletedFiles.length ? ` and deleted ${deletedFiles.length} file(s)` : ''}`);
+    return { removed: entry, deletedFiles };
+  }
+
+  save() {
+    if (!this.libraryPath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.libraryPath), { recursive: true });
+      const tempPath = `${this.libraryPath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ version: LIBRARY_VERSION, entries: this.entries }, null, 2));
+      fs.renameSync(tempPath, this.libraryPath);
+    } catch (error) {
+      console.error(`[Library] Could not save ${this.libraryPath}: ${error.message}`);
+    }
+  }
+}
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = new ConversionLibrary();
@@ -0,0 +1,277 @@
+// utils/cover-generator.js
+// Renders ebook covers offline with jimp: one for a newsletter issue, and a mosaic of its
+// newsletters for a digest. Colours and logos come from the newsletter template's cover scheme.
+const jimp = require('jimp');
+
+// Amazon's recommended Kindle cover size (1:1.6)
+const COVER_WIDTH = 1600;
+const COVER_HEIGHT = 2560;
+const MARGIN = 120;
+
+// Used for anything a template's scheme leaves out
+const DEFAULT_COVER_SCHEME = {
+  background: '#2c3e50',
+  accent: '#e67e22',
+  logo: null
+};
+
+// Digest mosaics show this many newsletters; the last tile counts the rest
+const MAX_MOSAIC_TILES = 8;
+
+// Typographic characters the bitmap fonts lack
+const PRINTABLE_REPLACEMENTS = [
+  [/[\u2018\u2019\u201a\u2032`]/g, '\''],
+  [/[\u201c\u201d\u201e\u2033]/g, '"'],
+  [/[\u2010-\u2015\u2212]/g, '-'],
+  [/\u2026/g, '...'],
+  [/[\u00a0\u2000-\u200b\u202f]/g, ' ']
+];
+
+const fontCache = new Map();
+
+/**
+ * Generate the cover of a single newsletter issue (or any single book)
+ * @param {Object} details - name (newsletter or book series), title (the issue), date (Date or date string),
+ *   publisher and scheme (the template's cover scheme, see coverScheme)
+ * @returns {Promise<Buffer>} - JPEG at Kindle cover size
+ */
+async function generateCover(details = {}) {
+  const scheme = coverScheme(details.scheme);
+  const cover = await jimp.create(COVER_WIDTH, COVER_HEIGHT, scheme.background);
+  const fonts = await loadFonts(scheme.background);
+  const textWidth = COVER_WIDTH - MARGIN * 2;
+
+  // Accent bar across the top
+  cover.composite(await jimp.create(COVER_WIDTH, 40, scheme.accent), 0, 0);
+
+  // Logo, or a monogram of the name
+  const name = printable(details.name || details.publisher || 'Newsletter', fonts.large);
+  await drawLogo(cover, scheme, name, (COVER_WIDTH - 480) / 2, 240, 480);
+
+  // Newsletter name, smaller when it would take more than three lines
+  let y = 860;
+  const nameFont = jimp.measureTextHeight(fonts.large, name, textWidth) <= fonts.large.common.lineHeight * 3
+    ? fonts.large
+    : fonts.medium;
+  y += printFitted(cover, nameFont, name, MARGIN, y, textWidth, nameFont.common.lineHeight * 4);
+
+  // Divider, then the issue title
+  y += 60;
+  cover.composite(await jimp.create(400, 12, scheme.accent), (COVER_WIDTH - 400) / 2, y);
+  y += 80;
+  if (details.title && details.title !== details.name) {
+    printFitted(cover, fonts.medium, printable(details.title, fonts.medium), MARGIN, y, textWidth, 2160 - y);
+  }
+
+  // Date and publisher on an accent band at the bottom
+  const bandTop = 2240;
+  cover.composite(await jimp.create(COVER_WIDTH, COVER_HEIGHT - bandTop, scheme.accent), 0, bandTop);
+  const bandFonts = await loadFonts(scheme.accent);
+  const date = formatCoverDate(details.date);
+  let bandY = bandTop + 60;
+  if (date) {
+    bandY += printFitted(cover, bandFonts.medium, date, MARGIN, bandY, textWidth, bandFonts.medium.common.lineHeight);
+  }
+  if (details.publisher && details.publisher !== details.name) {
+    printFitted(cover, bandFonts.medium, printable(details.publisher, bandFonts.medium), MARGIN, bandY + 20, textWidth, bandFonts.medium.common.lineHeight);
+  }
+
+  return cover.quality(85).getBufferAsync(jimp.MIME_JPEG);
+}
+
+/**
+ * Generate a digest cover: the digest's title and date over a mosaic of its newsletters,
+ * each tile in its own template's colours
+ * @param {Object} details - title, date and entries ([{ name, title, scheme }], one per newsletter)
+ * @returns {Promise<Buffer>} - JPEG at Kindle cover size
+ */
+async function generateDigestCover(details = {}) {
+  const scheme = coverScheme(null);
+  const cover = await jimp.create(COVER_WIDTH, COVER_HEIGHT, scheme.background);
+  const fonts = await loadFonts(scheme.background);
+  const textWidth = COVER_WIDTH - MARGIN * 2;
+  const entries = details.entries || [];
+
+  // Header: title, date and how many newsletters are inside
+  cover.composite(await jimp.create(COVER_WIDTH, 40, scheme.accent), 0, 0);
+  const title = printable(details.title || 'Newsletter Digest', fonts.large);
+  const titleFont = jimp.measureTextHeight(fonts.large, title, textWidth) <= fonts.large.common.lineHeight * 2
+    ? fonts.large
+    : fonts.medium;
+  let y = 140;
+  y += printFitted(cover, titleFont, title, MARGIN, y, textWidth, titleFont.common.lineHeight * 3);
+  y += 30;
+  const subtitle = [formatCoverDate(details.date), `${entries.length} newsletter${entries.length === 1 ? '' : 's'}`]
+    .filter(Boolean)
+    .join(' - ');
+  y += printFitted(cover, fonts.medium, subtitle, MARGIN, y, textWidth, fonts.medium.common.lineHeight);
+
+  // Mosaic below the header: one column for a few newsletters, two for more
+  const gap = 40;
+  const mosaicTop = y + 120;
+  const shown = entries.length > MAX_MOSAIC_TILES ? MAX_MOSAIC_TILES - 1 : entries.length;
+  const tileCount = shown + (entries.length > shown ? 1 : 0);
+  if (tileCount > 0) {
+    const columns = tileCount > 3 ? 2 : 1;
+    const rows = Math.ceil(tileCount / columns);
+    const tileWidth = (COVER_WIDTH - MARGIN * 2 - gap * (columns - 1)) / columns;
+    const available = COVER_HEIGHT - mosaicTop - MARGIN;
+    const tileHeight = Math.min(560, (available - gap * (rows - 1)) / rows);
+    // Centre a short mosaic in the space below the header
+    const top = mosaicTop + (available - rows * tileHeight - gap * (rows - 1)) / 2;
+
+    for (let i = 0; i < tileCount; i++) {
+      const x = MARGIN + (i % columns) * (tileWidth + gap);
+      const tileY = top + Math.floor(i / columns) * (tileHeight + gap);
+      const entry = i < shown
+        ? entries[i]
+        : { name: `+ ${entries.length - shown} more`, title: '', scheme: null };
+      await drawTile(cover, entry, Math.round(x), Math.round(tileY), Math.round(tileWidth), Math.round(tileHeight));
+    }
+  }
+
+  return cover.quality(85).getBufferAsync(jimp.MIME_JPEG);
+}
+
+/**
+ * A template's cover scheme with the defaults filled in
+ * @param {Object|null} scheme - { background, accent, logo } from the template (logo: image path or Buffer)
+ * @returns {Object} - Complete scheme
+ */
+function coverScheme(scheme) {
+  const complete = { ...DEFAULT_COVER_SCHEME };
+  Object.entries(scheme || {}).forEach(([key, value]) => {
+    if (value) complete[key] = value;
+  });
+  return complete;
+}
+
+/**
+ * One newsletter in a digest mosaic
+ */
+async function drawTile(cover, entry, x, y, width, height) {
+  const scheme = coverScheme(entry.scheme);
+  cover.composite(await jimp.create(width, height, scheme.background), x, y);
+  cover.composite(await jimp.create(16, height, scheme.accent), x, y);
+
+  const fonts = await loadFonts(scheme.background);
+  const padding = 48;
+  const textWidth = width - padding * 2 - 16;
+  const name = printable(entry.name || 'Newsletter', fonts.medium);
+  const nameFont = jimp.measureTextHeight(fonts.medium, name, textWidth) <= fonts.medium.common.lineHeight * 2
+    ? fonts.medium
+    : fonts.small;
+
+  let textY = y + padding;
+  textY += printFitted(cover, nameFont, name, x + padding + 16, textY, textWidth, nameFont.common.lineHeight * 2, jimp.HORIZONTAL_ALIGN_LEFT);
+  if (entry.title && entry.title !== entry.name) {
+    printFitted(cover, fonts.small, printable(entry.title, fonts.small), x + padding + 16, textY + 20, textWidth,
+      y + height - padding - textY - 20, jimp.HORIZONTAL_ALIGN_LEFT);
+  }
+}
+
+/**
+ * Draw the scheme's logo scaled into a square box, or a circle with the name's initial
+ */
+async function drawLogo(cover, scheme, name, x, y, size) {
+  if (scheme.logo) {
+    try {
+      const logo = await jimp.read(scheme.logo);
+      logo.contain(size, size);
+      cover.composite(logo, x, y);
+      return;
+    } catch (error) {
+      console.warn(`[Cover Generator] Could not read cover logo: ${error.message}`);
+    }
+  }
+
+  const circle = await jimp.create(size, size, scheme.accent);
+  circle.circle();
+  cover.composite(circle, x, y);
+
+  const initial = (name.match(/[A-Za-z0-9\u00c0-\u00ff]/) || ['N'])[0].toUpperCase();
+  const fonts = await loadFonts(scheme.accent);
+  const textHeight = jimp.measureTextHeight(fonts.large, initial, size);
+  cover.print(fonts.large, x, y + (size - textHeight) / 2, {
+    text: initial,
+    alignmentX: jimp.HORIZONTAL_ALIGN_CENTER
+  }, size);
+}
+
+/**
+ * Print wrapped text, dropping words from the end until it fits the height
+ * @returns {number} - Height of the printed text
+ */
+function printFitted(image, font, text, x, y, width, maxHeight, alignmentX = jimp.HORIZONTAL_ALIGN_CENTER) {
+  const words = text.split(/\s+/).filter(Boolean);
+  let fitted = words.join(' ');
+  let height = jimp.measureTextHeight(font, fitted, width);
+  while (height > maxHeight && words.length > 1) {
+    words.pop();
+    fitted = `${words.join(' ').replace(/[\s,.;:-]+$/, '')}...`;
+    height = jimp.measureTextHeight(font, fitted, width);
+  }
+  if (!fitted || height > maxHeight) return 0;
+
+  image.print(font, x, y, { text: fitted, alignmentX }, width);
+  return height;
+}
+
+/**
+ * Large, medium and small fonts that read on the given background
+ */
+async function loadFonts(background) {
+  const { r, g, b } = jimp.intToRGBA(jimp.cssColorToHex(background));
+  // Relative luminance decides between white and black text
+  const dark = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255 < 0.55;
+  const colour = dark ? 'WHITE' : 'BLACK';
+
+  const [large, medium, small] = await Promise.all([128, 64, 32].map(size => {
+    const fontPath = jimp[`FONT_SANS_${size}_${colour}`];
+    if (!fontCache.has(fontPath)) {
+      fontCache.set(fontPath, jimp.loadFont(fontPath));
+    }
+    return fontCache.get(fontPath);
+  }));
+  return { large, medium, small };
+}
+
+/**
+ * Replace characters the bitmap font can't draw: typographic punctuation becomes ASCII,
+ * accented letters outside the font lose their accents and anything else is dropped
+ */
+function printable(text, font) {
+  let result = String(text || '');
+  PRINTABLE_REPLACEMENTS.forEach(([pattern, replacement]) => {
+    result = result.replace(pattern, replacement);
+  });
+
+  return Array.from(result)
+    .map(char => {
+      if (font.chars[char]) return char;
+      const folded = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+      return Array.from(folded).every(part => font.chars[part]) ? folded : '';
+    })
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Long-form date for the cover, e.g. "October 19, 2026"
+ */
+function formatCoverDate(date) {
+  if (!date) return '';
+  const parsed = date instanceof Date ? date : new Date(date);
+  if (isNaN(parsed.getTime())) return String(date);
+  return parsed.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+module.exports = {
+  COVER_WIDTH,
+  COVER_HEIGHT,
+  DEFAULT_COVER_SCHEME,
+  generateCover,
+  generateDigestCover,
+  coverScheme
+};
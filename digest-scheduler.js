@@ -0,0 +1,537 @@
+// utils/digest-scheduler.js
+// Builds one digest book on a cron-like schedule from the .eml files that arrived in chosen folders since the last run
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const CONFIG_FILE = 'digest-schedules.json';
+const STATE_FILE = 'digest-runs.json';
+const MAX_RUNS = 50;
+const DELIVERY_METHODS = ['none', 'email', 'device'];
+const FORMATS = ['auto', 'azw3', 'epub', 'pdf'];
+
+const CRON_PRESETS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// minute hour day-of-month month day-of-week, as in crontab(5)
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+// Searching further than this means the expression can never match (e.g. "0 0 31 2 *")
+const MAX_SEARCH_DAYS = 5 * 366;
+
+class DigestScheduler extends EventEmitter {
+  constructor() {
+    super();
+    this.schedules = [];
+    this.state = {};
+    this.runs = [];
+    this.queue = [];
+    this.running = null;
+    this.runner = null;
+    this.timer = null;
+    this.configPath = null;
+    this.statePath = null;
+    // How often due schedules are checked; a timer per schedule would drift or miss runs across sleep
+    this.tickMs = 60 * 1000;
+  }
+
+  /**
+   * Load the schedules and their last runs, catch up on runs missed while the app was closed, then start the clock
+   * @param {string} dataDir - Directory for the schedules and run log (the app's userData)
+   * @param {Function} runner - async (emlFiles, schedule) => { success, filePath, format, error, delivered, deliveryError }
+   * @param {Object} options - Overrides such as tickMs
+   */
+  init(dataDir, runner, options = {}) {
+    this.stop();
+    this.configPath = path.join(dataDir, CONFIG_FILE);
+    this.statePath = path.join(dataDir, STATE_FILE);
+    this.runner = runner;
+    if (options.tickMs !== undefined) {
+      this.tickMs = options.tickMs;
+    }
+
+    const config = this.readJson(this.configPath, {});
+    this.schedules = Array.isArray(config.schedules) ? config.schedules : [];
+    const saved = this.readJson(this.statePath, {});
+    this.state = saved.state || {};
+    this.runs = Array.isArray(saved.runs) ? saved.runs : [];
+
+    // Schedules without a next run (new, or an unreadable state file) start counting from now
+    this.schedules.forEach(schedule => {
+      if (!this.state[schedule.id] || !this.state[schedule.id].nextRunAt) {
+        this.updateNextRun(schedule, new Date());
+      }
+    });
+    this.saveState();
+
+    console.log(`[Digest Scheduler] Loaded ${this.schedules.length} schedule(s)`);
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.queue = [];
+  }
+
+  /**
+   * Add a schedule, or replace the one with the same id
+   * @param {Object} changes - name, cron, sources (folders), formatPreference, deliver ('none', 'email' or 'device') and enabled
+   * @returns {Object} - Status after the change
+   */
+  saveSchedule(changes = {}) {
+    const existing = this.schedules.find(schedule => schedule.id === changes.id);
+    const schedule = normalizeSchedule({ ...(existing || {}), ...changes });
+    const errors = validateSchedule(schedule);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    if (existing) {
+      this.schedules = this.schedules.map(candidate => candidate.id === schedule.id ? schedule : candidate);
+    } else {
+      schedule.id = `schedule_${Date.now()}`;
+      this.schedules.push(schedule);
+    }
+    // A new time applies from now, not from when the old one was last due
+    if (!existing || existing.cron !== schedule.cron || (!existing.enabled && schedule.enabled)) {
+      this.updateNextRun(schedule, new Date());
+    }
+
+    this.saveConfig();
+    this.saveState();
+    console.log(`[Digest Scheduler] Saved "${schedule.name}" (${schedule.cron})`);
+    return this.getStatus();
+  }
+
+  removeSchedule(id) {
+    this.schedules = this.schedules.filter(schedule => schedule.id !== id);
+    this.queue = this.queue.filter(entry => entry.id !== id);
+    delete this.state[id];
+    this.saveConfig();
+    this.saveState();
+    return this.getStatus();
+  }
+
+  /**
+   * Build a schedule's digest now; the next scheduled run only picks up emails that arrive after this one
+   */
+  runNow(id) {
+    if (!this.schedules.some(schedule => schedule.id === id)) {
+      throw new Error('Schedule not found');
+    }
+    this.enqueue({ id, scheduledFor: new Date().toISOString(), manual: true, caughtUp: false });
+    return this.getStatus();
+  }
+
+  getStatus() {
+    return {
+      schedules: this.schedules.map(schedule => ({
+        ...schedule,
+        description: describeCron(schedule.cron),
+        nextRunAt: schedule.enabled ? (this.state[schedule.id] || {}).nextRunAt || null : null,
+        lastRunAt: (this.state[schedule.id] || {}).lastRunAt || null,
+        running: Boolean(this.running && this.running.id === schedule.id),
+        queued: this.queue.some(entry => entry.id === schedule.id)
+      })),
+      runs: this.runs
+    };
+  }
+
+  /**
+   * Queue every enabled schedule whose next run has passed
+   * A run more than a tick late was missed (app closed or computer asleep); one catch-up run covers every missed one
+   */
+  tick(now = new Date()) {
+    this.schedules.forEach(schedule => {
+      const state = this.state[schedule.id] || {};
+      if (!schedule.enabled || !state.nextRunAt || new Date(state.nextRunAt) > now) return;
+
+      const caughtUp = now - new Date(state.nextRunAt) > this.tickMs * 2;
+      if (caughtUp) {
+        console.log(`[Digest Scheduler] "${schedule.name}" missed its run at ${state.nextRunAt}, catching up`);
+      }
+      this.enqueue({ id: schedule.id, scheduledFor: state.nextRunAt, manual: false, caughtUp });
+      this.updateNextRun(schedule, now);
+      this.saveState();
+    });
+  }
+
+  enqueue(entry) {
+    if (this.queue.some(queued => queued.id === entry.id) || (this.running && this.running.id === entry.id)) {
+      return;
+    }
+    this.queue.push(entry);
+    this.emit('status', this.getStatus());
+    this.processQueue();
+  }
+
+  async processQueue() {
+    if (this.running) return;
+
+    while (this.queue.length > 0) {
+      const entry = this.queue.shift();
+      const schedule = this.schedules.find(candidate => candidate.id === entry.id);
+      if (!schedule) continue;
+
+      this.running = entry;
+      const run = await this.runSchedule(schedule, entry);
+      this.running = null;
+
+      this.runs.unshift(run);
+      this.runs = this.runs.slice(0, MAX_RUNS);
+      this.saveState();
+      this.emit('run-finished', { schedule, run });
+      this.emit('status', this.getStatus());
+    }
+  }
+
+  /**
+   * Gather the new emails and hand them to the runner
+   * @returns {Promise<Object>} - The run as it goes into the log
+   */
+  async runSchedule(schedule, entry) {
+    const state = this.state[schedule.id] || {};
+    const startedAt = new Date();
+    // Emails are picked up from where the last successful run stopped; a first run goes back one period
+    const since = state.coveredUntil
+      ? new Date(state.coveredUntil)
+      : previousRun(schedule.cron, new Date(entry.scheduledFor)) || new Date(0);
+    const run = {
+      scheduleId: schedule.id,
+      name: schedule.name,
+      scheduledFor: entry.scheduledFor,
+      startedAt: startedAt.toISOString(),
+      finishedAt: null,
+      manual: entry.manual,
+      caughtUp: entry.caughtUp,
+      emails: 0,
+      success: false,
+      outputPath: null,
+      format: null,
+      delivered: null,
+      error: null
+    };
+
+    this.emit('run-started', { schedule, run });
+    const files = collectEmails(schedule.sources, since, startedAt);
+    run.emails = files.length;
+    console.log(`[Digest Scheduler] Running "${schedule.name}": ${files.length} email(s) since ${since.toISOString()}`);
+
+    if (files.length === 0) {
+      run.success = true;
+      run.error = 'No new emails';
+    } else {
+      let result;
+      try {
+        result = await this.runner(files, schedule);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+      result = result || { success: false, error: 'No result from the digest builder' };
+
+      run.success = Boolean(result.success);
+      run.outputPath = result.filePath || null;
+      run.format = result.format || null;
+      run.delivered = result.delivered || null;
+      run.error = result.success ? (result.deliveryError || null) : (result.error || 'Unknown error');
+    }
+
+    // A failed build leaves its emails for the next run
+    if (run.success) {
+      this.state[schedule.id] = { ...this.state[schedule.id], coveredUntil: startedAt.toISOString() };
+    }
+    this.state[schedule.id] = { ...this.state[schedule.id], lastRunAt: startedAt.toISOString() };
+    run.finishedAt = new Date().toISOString();
+
+    if (run.success) {
+      console.log(`[Digest Scheduler] "${schedule.name}" finished: ${run.outputPath || run.error}`);
+    } else {
+      console.error(`[Digest Scheduler] "${schedule.name}" failed: ${run.error}`);
+    }
+    return run;
+  }
+
+  updateNextRun(schedule, after) {
+    const next = schedule.enabled ? nextRun(schedule.cron, after) : null;
+    this.state[schedule.id] = { ...this.state[schedule.id], nextRunAt: next ? next.toISOString() : null };
+  }
+
+  saveConfig() {
+    this.writeJson(this.configPath, { schedules: this.schedules });
+  }
+
+  saveState() {
+    this.writeJson(this.statePath, { state: this.state, runs: this.runs });
+  }
+
+  readJson(filePath, fallback) {
+    if (!filePath || !fs.existsSync(filePath)) return fallback;
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`[Digest Scheduler] Could not read ${filePath}, starting fresh: ${error.message}`);
+      return fallback;
+    }
+  }
+
+  writeJson(filePath, data) {
+    if (!filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Write then rename so a crash mid-write can't lose the run log
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`[Digest Scheduler] Could not write ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+function normalizeSchedule(schedule) {
+  return {
+    id: schedule.id || null,
+    name: String(schedule.name || '').trim(),
+    cron: String(schedule.cron || '').trim().replace(/\s+/g, ' '),
+    sources: Array.from(new Set((schedule.sources || []).map(source => path.resolve(String(source))))),
+    formatPreference: schedule.formatPreference || 'auto',
+    deliver: schedule.deliver || 'none',
+    enabled: schedule.enabled !== false
+  };
+}
+
+/**
+ * Check a schedule before it is saved
+ * @returns {Array<string>} - Problems, empty when the schedule is usable
+ */
+function validateSchedule(schedule) {
+  const errors = [];
+  if (!schedule.name) {
+    errors.push('Give the digest a name');
+  }
+  try {
+    if (!nextRun(schedule.cron)) {
+      errors.push(`"${schedule.cron}" never runs`);
+    }
+  } catch (error) {
+    errors.push(error.message);
+  }
+  if (schedule.sources.length === 0) {
+    errors.push('Add at least one folder to collect emails from');
+  }
+  schedule.sources
+    .filter(source => !fs.existsSync(source) || !fs.statSync(source).isDirectory())
+    .forEach(source => errors.push(`Not a folder: ${source}`));
+  if (!FORMATS.includes(schedule.formatPreference)) {
+    errors.push(`Format must be one of ${FORMATS.join(', ')}`);
+  }
+  if (!DELIVERY_METHODS.includes(schedule.deliver)) {
+    errors.push(`Delivery must be one of ${DELIVERY_METHODS.join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * .eml files in the folders that were last changed after since and up to until, oldest first
+ * The modification time is when a mail client or rule saved the email, i.e. when it arrived
+ */
+function collectEmails(sources, since, until) {
+  const files = [];
+  sources.forEach(directory => {
+    let names;
+    try {
+      names = fs.readdirSync(directory);
+    } catch (error) {
+      console.error(`[Digest Scheduler] Could not read ${directory}: ${error.message}`);
+      return;
+    }
+    names
+      .filter(name => !name.startsWith('.') && path.extname(name).toLowerCase() === '.eml')
+      .forEach(name => {
+        const filePath = path.join(directory, name);
+        try {
+          const stats = fs.statSync(filePath);
+          if (stats.isFile() && stats.mtimeMs > since.getTime() && stats.mtimeMs <= until.getTime()) {
+            files.push({ filePath, mtimeMs: stats.mtimeMs });
+          }
+        } catch (error) {
+          // Moved away while we looked
+        }
+      });
+  });
+  return files.sort((a, b) => a.mtimeMs - b.mtimeMs).map(file => file.filePath);
+}
+
+/**
+ * Parse a cron expression (five fields, or @hourly, @daily, @weekly, @monthly)
+ * Fields take *, numbers, ranges (1-5), lists (1,15) and steps (*\/15); months and weekdays also take names
+ * @param {string} expression - e.g. "30 6 * * mon-fri"
+ * @returns {Object} - Allowed values per field
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim().toLowerCase();
+  const fields = (CRON_PRESETS[text] || text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`"${expression}" is not a schedule; use five fields (minute hour day month weekday), e.g. "0 7 * * *"`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  // Sunday can be written as 0 or 7
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+function parseCronField(field, rule) {
+  const values = new Set();
+  const toNumber = (token) => {
+    const named = rule.names ? rule.names.indexOf(token) : -1;
+    const number = named >= 0 ? named + rule.offset : Number(token);
+    if (!Number.isInteger(number) || number < rule.min || number > rule.max) {
+      throw new Error(`"${token}" is not a valid ${rule.name} (${rule.min}-${rule.max})`);
+    }
+    return number;
+  };
+
+  field.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`"${part}" has an invalid step`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = rule.min;
+      end = rule.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(toNumber);
+    } else {
+      start = toNumber(range);
+      end = stepText === undefined ? start : rule.max;
+    }
+    if (start > end) {
+      throw new Error(`"${part}" runs backwards`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+  return values;
+}
+
+// As in cron, a day matches if either the day of month or the weekday does when both are given
+function matchesDay(cron, time) {
+  const dayMatch = cron.days.has(time.getDate());
+  const weekdayMatch = cron.weekdays.has(time.getDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return weekdayMatch;
+  if (cron.anyWeekday) return dayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+/**
+ * The first time after the given one that a cron expression matches, in local time
+ * @returns {Date|null} - null if it never matches
+ */
+function nextRun(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  const time = new Date(after.getTime());
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (time.getTime() <= limit) {
+    if (!cron.months.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1, 0, 0);
+    } else {
+      return time;
+    }
+  }
+  return null;
+}
+
+/**
+ * The last time before the given one that a cron expression matched, in local time
+ * @returns {Date|null} - null if it never matches
+ */
+function previousRun(expression, before = new Date()) {
+  const cron = parseCron(expression);
+  const time = new Date(before.getTime() - 1);
+  time.setSeconds(0, 0);
+  const limit = before.getTime() - MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (time.getTime() >= limit) {
+    if (!cron.months.has(time.getMonth() + 1)) {
+      time.setDate(0);
+      time.setHours(23, 59, 0, 0);
+    } else if (!matchesDay(cron, time)) {
+      time.setDate(time.getDate() - 1);
+      time.setHours(23, 59, 0, 0);
+    } else if (!cron.hours.has(time.getHours())) {
+      time.setHours(time.getHours() - 1, 59, 0, 0);
+    } else if (!cron.minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() - 1, 0, 0);
+    } else {
+      return time;
+    }
+  }
+  return null;
+}
+
+/**
+ * Plain words for the common daily and weekly schedules; anything else is shown as written
+ */
+function describeCron(expression) {
+  const text = String(expression || '').trim().toLowerCase();
+  const fields = (CRON_PRESETS[text] || text).split(/\s+/);
+  if (fields.length !== 5 || !/^\d+$/.test(fields[0]) || !/^\d+$/.test(fields[1]) || fields[2] !== '*' || fields[3] !== '*') {
+    return expression;
+  }
+
+  const time = `${fields[1].padStart(2, '0')}:${fields[0].padStart(2, '0')}`;
+  if (fields[4] === '*') return `Every day at ${time}`;
+  if (fields[4] === '1-5' || fields[4] === 'mon-fri') return `Weekdays at ${time}`;
+
+  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+  try {
+    const weekdays = parseCronField(fields[4], CRON_FIELDS[4]);
+    if (weekdays.size === 1) {
+      return `Every ${dayNames[Array.from(weekdays)[0]]} at ${time}`;
+    }
+  } catch (error) {
+    // Invalid expressions are shown as written
+  }
+  return expression;
+}
+
+module.exports = new DigestScheduler();
@@ -3,11 +3,12 @@
 const fs = require('fs');
 const path = require('path');
 const { simpleParser } = require('mailparser');
+const { collectEmailImages } = require('./image-processor');
 
 /**
  * Parse an .eml file to extract content
  * @param {string} emlFilePath - Path to the .eml file
- * @returns {Promise<Object>} - Extracted content including subject, text, html, and images
+ * @returns {Promise<Object>} - Extracted content including subject, text, html, and inline images
  */
 async function parseEmlFile(emlFilePath) {
   console.log('[EML Parser] Received file path:', emlFilePath);
@@ -34,6 +35,8 @@ async function parseEmlFile(emlFilePath) {
       html: parsed.html || '',
       date: parsed.date ? parsed.date.toUTCString() : new Date().toUTCString(),
       attachments: parsed.attachments || [],
+      images: collectEmailImages(parsed.attachments || []),
+      headers: collectHeaders(parsed.headerLines || []),
       newsletterInfo: { type: 'generic', name: 'Newsletter', confidence: 0 }
     };
     
@@ -64,6 +67,21 @@ async function parseEmlFile(emlFilePath) {
   }
 }
 
+/**
+ * Raw header values keyed by lowercase name, for newsletter detection
+ * Folded lines are unfolded; repeated headers (e.g. Received) are joined with newlines
+ * @param {Array<Object>} headerLines - mailparser's headerLines ({ key, line })
+ * @returns {Object} - Header name to value
+ */
+function collectHeaders(headerLines) {
+  const headers = {};
+  headerLines.forEach(({ key, line }) => {
+    const value = line.slice(line.indexOf(':') + 1).replace(/\r?\n[ \t]+/g, ' ').trim();
+    headers[key] = headers[key] ? `${headers[key]}\n${value}` : value;
+  });
+  return headers;
+}
+
 /**
  * Helper function to create a test EML file for debugging
  * @param {string} originalFilePath - The original file path that failed to parse
@@ -2,20 +2,25 @@
 const fs = require('fs');
 const path = require('path');
 const { parseEmlFile } = require('./eml-parser');
-const { generateEbook, generateTitlePage } = require('./azw3-generator');
+const { generateEbook, generateMultiSectionEbook, finalizeEbookFormat, generateTitlePage } = require('./azw3-generator');
+const { generatePDF, generateMultiSectionPDF } = require('./pdf-generator');
+const { reflowPdf } = require('./pdf-reflow');
+const { extractFromPDF, convertPDFToKindleFormat, combinePDFs } = require('./pdf-processor');
+const { isBookFile, extractFromBook, convertToKindleFormat, readBookChapters } = require('./azw3-processor');
+const { resolveOutputPath, writeOutputFile } = require('./output-paths');
 const crypto = require('crypto');
-const temp = require('temp').track();
-const { execFile } = require('child_process');
-const util = require('util');
-const execFilePromise = util.promisify(execFile);
 const AdmZip = require('adm-zip');
 
+// Digests without digest settings: a contents page, a mosaic cover and the files in the order given
+const DEFAULT_DIGEST_OPTIONS = { contentsPage: true, cover: 'mosaic', order: 'added' };
+
 /**
- * Convert a single EML file to EPUB/AZW3 format
+ * Convert a single EML file to EPUB/AZW3 format, or to PDF when formatPreference is 'pdf'
  * @param {string} emlFilePath - Path to the EML file
- * @param {string} outputPath - Path where the output file will be saved
- * @param {Object} options - Additional options for conversion
- * @returns {Promise<{filePath: string, format: string}>} - Path to the generated file and its format
+ * @param {string|Object} outputPath - Path where the output file will be saved, or output settings to name it from
+ * @param {Object} options - Additional options for conversion (formatPreference, selectedTemplate, imageOptions, fonts, pagePreset for PDF,
+ *   collision for when a plain output path is taken)
+ * @returns {Promise<{filePath: string, format: string, skipped: boolean, templateReport: Array<Object>}>} - Path to the generated file, its format, whether an existing file was kept instead and the template report
  */
  // In eml-to-azw3-converter.js, add this at the beginning of the convertEmlToEbook function
 
@@ -36,11 +41,11 @@ const AdmZip = require('adm-zip');
     // Parse the EML file
     const emlContent = await parseEmlFile(emlFilePath);
 
-    // Get newsletter info and template
-    const { subject, html, text, images, date, from, newsletterInfo, template } = emlContent;
+    // Get newsletter info
+    const { subject, html, text, images, date, from, newsletterInfo } = emlContent;
 
-    // Process overridden template if provided
-    const finalTemplate = options.selectedTemplate || template;
+    // A selected template overrides the detected type; the generator resolves either one
+    const finalTemplate = options.selectedTemplate || null;
 
     // Sanitize title
     const title = sanitizeTitle(subject);
@@ -52,7 +57,7 @@ const AdmZip = require('adm-zip');
     // Use format preference if provided
     const formatPreference = options.formatPreference || 'auto';
 
-    const { buffer, format: outputFormat } = await generateEbook(title, content, format, {
+    const generatorOptions = {
       template: finalTemplate,
       newsletterInfo: {
         ...newsletterInfo,
@@ -60,17 +65,37 @@ const AdmZip = require('adm-zip');
         from
       },
       images,
+      imageOptions: options.imageOptions,
+      fonts: options.fonts,
       formatPreference
-    });
+    };
 
-    // Adjust output path extension based on actual format
-    const adjustedOutputPath = getAdjustedOutputPath(outputPath, outputFormat);
+    let buffer;
+    let outputFormat;
+    let templateReport;
+    if (formatPreference === 'pdf') {
+      // Same template and detection flow, rendered to a page-sized PDF instead of an ebook
+      templateReport = [];
+      buffer = await generatePDF(title, content, format, {
+        ...generatorOptions,
+        pagePreset: options.pagePreset,
+        onTemplateReport: report => templateReport.push(report)
+      });
+      outputFormat = 'pdf';
+    } else {
+      ({ buffer, format: outputFormat, templateReport } = await generateEbook(title, content, format, generatorOptions));
+    }
 
-    // Save to output path
-    fs.writeFileSync(adjustedOutputPath, buffer);
+    const { filePath, skipped } = saveOutput(buffer, outputFormat, outputPath, {
+      subject,
+      newsletter: newsletterName(newsletterInfo, from),
+      sender: extractSender(from),
+      date,
+      source: emlFilePath
+    }, options.collision);
 
-    console.log(`[EML to Ebook] Successfully converted ${emlFilePath} to ${adjustedOutputPath} (${outputFormat} format)`);
-    return { filePath: adjustedOutputPath, format: outputFormat };
+    console.log(`[EML to Ebook] Successfully converted ${emlFilePath} to ${filePath} (${outputFormat} format)`);
+    return { filePath, format: outputFormat, skipped, templateReport };
   } catch (error) {
     console.error(`[EML to Ebook] Error converting EML to ebook: ${error.message}`);
     console.error(error.stack);
@@ -79,11 +104,13 @@ const AdmZip = require('adm-zip');
 }
 
 /**
- * Convert multiple EML files to a single EPUB/AZW3 file
- * @param {Array<string>} emlFilePaths - Array of EML file paths
- * @param {string} outputPath - Path where the combined file will be saved
- * @param {Object} options - Additional options for conversion
- * @returns {Promise<{filePath: string, format: string}>} - Path to the generated file and its format
+ * Convert multiple EML files to a single EPUB/AZW3 file, or to PDF when formatPreference is 'pdf'
+ * EPUB, AZW3 and MOBI books among the files become chapters of the digest too
+ * @param {Array<string>} emlFilePaths - Array of EML (or book) file paths
+ * @param {string|Object} outputPath - Path where the combined file will be saved, or output settings to name it from
+ * @param {Object} options - Additional options for conversion (formatPreference, selectedTemplate, imageOptions, fonts,
+ *   digest settings (contentsPage, cover, order), pagePreset for PDF, and a title instead of one made from the subjects)
+ * @returns {Promise<{filePath: string, format: string, skipped: boolean}>} - Path to the generated file, its format and whether an existing file was kept instead
  */
 async function convertMultipleEmlsToEbook(emlFilePaths, outputPath, options = {}) {
   try {
@@ -94,19 +121,13 @@ async function convertMultipleEmlsToEbook(emlFilePaths, outputPath, options = {}
       options.onProgress(5, 'Starting conversion');
     }
 
-    // Create a temp directory for our individual ebooks
-    const tempDir = temp.mkdirSync('combined-ebooks');
     const allTitles = [];
-    const allEmails = []; // Store email content for TOC generation
+    const tocEntries = []; // Store email content for TOC generation
+    const sections = []; // One chapter per email
     let firstEmlData = null;
 
     // Use format preference if provided
     const formatPreference = options.formatPreference || 'auto';
-    let finalFormat = formatPreference === 'epub' ? 'epub' : 'azw3'; // Default format
-
-    // Process each EML file to create individual EPUB files
-    const individualEbooks = [];
-    const tocEntries = [];
 
     // Calculate progress increment per file
     const progressIncrement = 70 / emlFilePaths.length; // 70% for processing all files
@@ -120,73 +141,73 @@ async function convertMultipleEmlsToEbook(emlFilePaths, outputPath, options = {}
           options.onProgress(currentProgress, `Processing file ${i + 1} of ${emlFilePaths.length}`);
         }
 
+        if (isBookFile(emlFilePath)) {
+          const section = await readBookSection(emlFilePath, `newsletter-${sections.length + 1}`);
+          allTitles.push(section.title);
+          tocEntries.push({
+            title: section.title,
+            subject: section.title,
+            from: section.author,
+            path: emlFilePath,
+            index: sections.length,
+            sectionId: section.id
+          });
+          sections.push(section);
+
+          console.log(`[EML to Ebook] Processed book ${i+1}/${emlFilePaths.length}: ${section.title}`);
+          continue;
+        }
+
         // Parse the EML file
         const emlContent = await parseEmlFile(emlFilePath);
 
-        if (i === 0) {
+        if (!firstEmlData) {
           // Save the first email's data for preview
           firstEmlData = emlContent;
         }
 
-        const { subject, html, text, images, date, from, newsletterInfo, template } = emlContent;
+        const { subject, html, text, images, date, from, newsletterInfo } = emlContent;
 
-        // Process overridden template if provided
-        const finalTemplate = options.selectedTemplate || template;
+        // A selected template overrides the detected type; the generator resolves either one
+        const finalTemplate = options.selectedTemplate || null;
 
         // Add to titles
         const title = sanitizeTitle(subject);
         allTitles.push(title);
 
+        // Anchors are numbered by position in the digest, matching the TOC links
+        const sectionId = `newsletter-${sections.length + 1}`;
+
         // Store email data for TOC
-        const emailData = {
+        tocEntries.push({
           title: title,
           subject: subject,
           date: date,
           from: from,
           newsletterInfo: newsletterInfo,
           path: emlFilePath,
-          index: i
-        };
-
-        allEmails.push(emailData);
-        tocEntries.push(emailData);
-
-        // Define temporary output path for this newsletter
-        const tempOutputPath = path.join(tempDir, `newsletter_${i}.epub`);
+          index: sections.length,
+          sectionId: sectionId
+        });
 
-        // Generate ebook with complete content
+        // Keep the complete content as its own chapter
         const content = html || text || '';
         const format = html ? 'html' : (text ? 'text' : 'text');
 
-        const { buffer: contentBuffer, format: contentFormat } = await generateEbook(
-          title,
-          content,
-          format,
-          {
-            template: finalTemplate,
-            newsletterInfo: {
-              ...newsletterInfo,
-              date,
-              from
-            },
-            images,
-            formatPreference
-          }
-        );
-
-        // Save content to temp file
-        fs.writeFileSync(tempOutputPath, contentBuffer);
-        individualEbooks.push({
-          path: tempOutputPath,
+        sections.push({
+          id: sectionId,
           title: title,
-          data: emailData
+          content: content,
+          format: format,
+          template: finalTemplate,
+          images: images,
+          newsletterInfo: {
+            ...newsletterInfo,
+            date,
+            from
+          }
         });
 
-        // Update final format if needed
-        if (formatPreference === 'auto' && contentFormat === 'epub') {
-          finalFormat = 'epub'; // If calibre not available, all will be epub
-        }
-
         console.log(`[EML to Ebook] Processed email ${i+1}/${emlFilePaths.length}: ${title}`);
       } catch (error) {
         console.error(`[EML to Ebook] Error processing ${emlFilePath}: ${error.message}`);
@@ -194,61 +215,87 @@ async function convertMultipleEmlsToEbook(emlFilePaths, outputPath, options = {}
       }
     }
 
-    if (individualEbooks.length === 0) {
+    if (sections.length === 0) {
       throw new Error('Failed to process any EML files');
     }
 
+    const digest = { ...DEFAULT_DIGEST_OPTIONS, ...(options.digest || {}) };
+    if (digest.order !== 'added') {
+      orderByDate(sections, tocEntries, digest.order === 'newest');
+    }
+
     // Send progress update for TOC generation
     if (options.onProgress) {
       options.onProgress(75, 'Generating table of contents');
     }
 
     // Generate a collection title with current date
-    const collectionTitle = generateCollectionTitle(allTitles);
+    const collectionTitle = options.title ? options.title.trim() : generateCollectionTitle(allTitles);
+    const bookTitle = sections.length === 1 && !options.title
+      ? collectionTitle
+      : `${collectionTitle} [${new Date().toISOString().split('T')[0]}]`;
+
+    // Put the enhanced table of contents in front of the newsletters
+    if (sections.length > 1 && digest.contentsPage) {
+      sections.unshift({
+        id: 'digest-contents',
+        title: 'Contents',
+        // A PDF is one document, so its links point at the anchor alone
+        content: generateEnhancedTableOfContents(tocEntries, { singleDocument: formatPreference === 'pdf' }),
+        format: 'html',
+        beforeToc: true
+      });
+    }
 
-    // Adjust output path based on actual format
-    const adjustedOutputPath = getAdjustedOutputPath(outputPath, finalFormat);
+    // Send progress update for merging
+    if (options.onProgress) {
+      options.onProgress(85, 'Merging newsletters into chapters');
+    }
 
-    if (individualEbooks.length === 1) {
-      // If we only have one book, just copy it
-      fs.copyFileSync(individualEbooks[0].path, adjustedOutputPath);
-      console.log(`[EML to Ebook] Single file - copied to ${adjustedOutputPath}`);
+    let buffer;
+    let finalFormat;
+    let templateReport;
+    if (formatPreference === 'pdf') {
+      templateReport = [];
+      buffer = await generateMultiSectionPDF(bookTitle, sections, {
+        imageOptions: options.imageOptions,
+        fonts: options.fonts,
+        pagePreset: options.pagePreset,
+        onTemplateReport: report => templateReport.push(report)
+      });
+      finalFormat = 'pdf';
     } else {
-      // Generate an enhanced table of contents
-      const tocPath = await generateEnhancedTableOfContents(tocEntries, collectionTitle, tempDir, formatPreference);
-
-      // Send progress update for merging
-      if (options.onProgress) {
-        options.onProgress(85, 'Merging files');
-      }
-
-      try {
-        // For now, just use the TOC file as the final output since merging is complex
-        fs.copyFileSync(tocPath, adjustedOutputPath);
-        console.log(`[EML to Ebook] Using TOC as final output: ${adjustedOutputPath}`);
-      } catch (error) {
-        console.error(`[EML to Ebook] Error in final processing: ${error.message}`);
-        throw error;
-      }
+      ({ buffer, format: finalFormat, templateReport } = await generateMultiSectionEbook(bookTitle, sections, {
+        formatPreference,
+        imageOptions: options.imageOptions,
+        fonts: options.fonts,
+        author: sections.length === 1 ? extractSender(tocEntries[0].from) : 'Newsletter Digest',
+        digest: digest.cover === 'mosaic'
+      }));
     }
 
-    // Clean up temp files
-    try {
-      fs.rmSync(tempDir, { recursive: true, force: true });
-    } catch (cleanupError) {
-      console.warn(`[EML to Ebook] Error cleaning up temp files: ${cleanupError.message}`);
-    }
+    // A digest of one newsletter files with that newsletter
+    const newsletters = new Set(tocEntries.map(entry =>
+      entry.newsletterInfo ? newsletterName(entry.newsletterInfo, entry.from) : 'Books'));
+    const { filePath, skipped } = saveOutput(buffer, finalFormat, outputPath, {
+      subject: collectionTitle.replace(/_+/g, ' '),
+      newsletter: newsletters.size === 1 ? Array.from(newsletters)[0] : 'Digests',
+      sender: sections.length === 1 ? extractSender(tocEntries[0].from) : 'Newsletter Digest',
+      source: emlFilePaths[0]
+    }, options.collision);
 
     // Send final progress update
     if (options.onProgress) {
       options.onProgress(100, 'Complete');
     }
 
-    console.log(`[EML to Ebook] Successfully saved combined file to ${adjustedOutputPath}`);
+    console.log(`[EML to Ebook] Successfully saved combined file to ${filePath}`);
     return {
-      filePath: adjustedOutputPath,
+      filePath,
       format: finalFormat,
-      firstEmlData
+      skipped,
+      firstEmlData,
+      templateReport
     };
   } catch (error) {
     console.error(`[EML to Ebook] Error combining EMls to ebook: ${error.message}`);
@@ -258,26 +305,44 @@ async function convertMultipleEmlsToEbook(emlFilePaths, outputPath, options = {}
 }
 
 /**
- * Generate an enhanced table of contents EPUB file with better navigation
- * @param {Array<Object>} items - Array of newsletter info objects
- * @param {string} collectionTitle - Title for the collection
- * @param {string} tempDir - Temporary directory
- * @param {string} formatPreference - Format preference ('auto', 'epub', or 'azw3')
- * @returns {Promise<string>} - Path to the TOC EPUB
+ * Sort digest chapters by the date of their email; books and undated emails keep their place at the end
+ * Anchors are renumbered so they still match the chapters' positions
+ * @param {Array<Object>} sections - Digest sections
+ * @param {Array<Object>} tocEntries - The matching table of contents entries, in the same order
+ * @param {boolean} newestFirst - Newest email first instead of oldest
  */
-async function generateEnhancedTableOfContents(items, collectionTitle, tempDir, formatPreference = 'auto') {
-  const { generateEbook } = require('./azw3-generator');
+function orderByDate(sections, tocEntries, newestFirst) {
+  const time = entry => {
+    const parsed = entry.date ? new Date(entry.date).getTime() : NaN;
+    return isNaN(parsed) ? null : parsed;
+  };
+  const order = tocEntries.map((entry, index) => ({ entry, section: sections[index], time: time(entry), index }));
+  order.sort((a, b) => {
+    if (a.time === null || b.time === null) {
+      return (a.time === null) - (b.time === null) || a.index - b.index;
+    }
+    return (newestFirst ? b.time - a.time : a.time - b.time) || a.index - b.index;
+  });
 
-  // Format the current date
-  const now = new Date();
-  const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
+  order.forEach(({ entry, section }, index) => {
+    section.id = `newsletter-${index + 1}`;
+    sections[index] = section;
+    tocEntries[index] = { ...entry, index, sectionId: section.id };
+  });
+}
 
-  // Create title with date
-  const title = `${collectionTitle} [${dateStr}]`;
+/**
+ * Build the enhanced table of contents chapter for a newsletter digest
+ * Each entry links to the chapter file and #newsletter-N anchor of its email
+ * @param {Array<Object>} items - Array of newsletter info objects
+ * @param {Object} options - singleDocument: link to the anchor alone, for PDFs where every email is on one page
+ * @returns {string} - TOC HTML
+ */
+function generateEnhancedTableOfContents(items, options = {}) {
+  const now = new Date();
 
   // Build TOC HTML with more structured navigation
   let tocHtml = `
-    <h1>${title}</h1>
     <p class="date">Generated on ${now.toLocaleDateString()} ${now.toLocaleTimeString()}</p>
     <h2>Table of Contents</h2>
     <div class="toc">
@@ -286,6 +351,7 @@ async function generateEnhancedTableOfContents(items, collectionTitle, tempDir,
 
   // Add entries with richer metadata and navigation attributes
   items.forEach((item, index) => {
+    const anchor = item.sectionId || `newsletter-${index+1}`;
     const source = item.newsletterInfo?.name || item.from || 'Unknown Source';
     const date = item.date || '';
     const subtitle = item.newsletterInfo?.type ?
@@ -293,9 +359,9 @@ async function generateEnhancedTableOfContents(items, collectionTitle, tempDir,
 
     tocHtml += `
       <li>
-        <a href="#newsletter-${index+1}" id="toc-item-${index+1}" class="toc-link">${item.title}</a>
+        <a href="${options.singleDocument ? '' : `${anchor}.xhtml`}#${anchor}" id="toc-item-${index+1}" class="toc-link">${escapeHtml(item.title)}</a>
         ${subtitle}
-        <div class="toc-source">${source}</div>
+        <div class="toc-source">${escapeHtml(source)}</div>
         ${date ? `<div class="toc-date">${date}</div>` : ''}
       </li>
     `;
@@ -305,136 +371,82 @@ async function generateEnhancedTableOfContents(items, collectionTitle, tempDir,
   tocHtml += `
       </ol>
     </div>
-    <style>
-      .date {
-        text-align: center;
-        font-style: italic;
-        margin-bottom: 1.5em;
-      }
-      .toc-source {
-        font-style: italic;
-        font-size: 0.9em;
-        color: #666;
-        margin-left: 1em;
-      }
-      .toc-date {
-        font-size: 0.9em;
-        color: #666;
-        margin-left: 1em;
-      }
-      .toc-type {
-        font-size: 0.8em;
-        color: #444;
-        background-color: #f5f5f5;
-        padding: 2px 5px;
-        border-radius: 3px;
-        display: inline-block;
-        margin-left: 0.5em;
-      }
-      .toc ol {
-        padding-left: 1.5em;
-      }
-      .toc li {
-        margin-bottom: 1em;
-      }
-      .toc-link {
-        font-weight: bold;
-        text-decoration: none;
-      }
-    </style>
   `;
 
-  // Generate the EPUB with TOC properties
-  const outputPath = path.join(tempDir, 'table-of-contents.epub');
-
-  // Use the generateEbook function from azw3-generator.js
-  const { buffer } = await generateEbook(title, tocHtml, 'html', {
-    isTableOfContents: true,
-    formatPreference: formatPreference
-  });
-
-  // Save the buffer to a file
-  fs.writeFileSync(outputPath, buffer);
-
-  return outputPath;
+  return tocHtml;
 }
 
 /**
- * Convert a PDF file to EPUB/AZW3 format
+ * Convert a PDF file to EPUB/AZW3 format, or to a page-sized PDF when formatPreference is 'pdf'
+ * The text is reflowed (see pdf-reflow.js) so it reads like a book rather than fixed pages, unless a PDF
+ * is asked to keep its own pages with pdfLayout 'crop' or 'split' (see pdf-processor.js)
+ * The PDF's metadata gives the book its title and author, and its outline the chapters
  * @param {string} pdfFilePath - Path to the PDF file
- * @param {string} outputPath - Path where the output file will be saved
- * @param {Object} options - Additional options for conversion
- * @returns {Promise<{filePath: string, format: string}>} - Path to the generated file and its format
+ * @param {string|Object} outputPath - Path where the output file will be saved, or output settings to name it from
+ * @param {Object} options - Additional options for conversion (formatPreference, imageOptions, fonts, pagePreset and pdfLayout for PDF)
+ * @returns {Promise<{filePath: string, format: string, skipped: boolean}>} - Path to the generated file, its format and whether an existing file was kept instead
  */
 async function convertPdfToEbook(pdfFilePath, outputPath, options = {}) {
   try {
     console.log(`[PDF to Ebook] Starting conversion of ${pdfFilePath}`);
 
-    // Get file name as title
-    const fileName = path.basename(pdfFilePath, path.extname(pdfFilePath));
-    const title = sanitizeTitle(fileName);
+    const pdfBuffer = fs.readFileSync(pdfFilePath);
+    const info = await readPdfInfo(pdfBuffer, pdfFilePath);
 
-    // Create a temp directory
-    const tempDir = temp.mkdirSync('pdf-conversion');
-    const tempEpubPath = path.join(tempDir, `${sanitizeFilename(title)}.epub`);
+    // The PDF's own title, or the file name
+    const fileName = path.basename(pdfFilePath, path.extname(pdfFilePath));
+    const title = info.title || sanitizeTitle(fileName);
 
     // Use format preference if provided
     const formatPreference = options.formatPreference || 'auto';
 
-    // Use Calibre's ebook-convert to convert PDF to EPUB
-    await execFilePromise(getCalibreCommand('ebook-convert'), [
-      pdfFilePath,
-      tempEpubPath,
-      '--enable-heuristics',
-      '--language', 'en',
-      '--title', title
-    ]);
-
-    // Define format based on preference
-    let format = 'epub';
-    let outputBuffer = fs.readFileSync(tempEpubPath);
-
-    // Try to convert to AZW3 for Kindle if requested
-    if (formatPreference === 'auto' || formatPreference === 'azw3') {
-      try {
-        const hasCalibre = await checkCalibreAvailable();
-        if (hasCalibre) {
-          console.log(`[PDF to Ebook] Calibre found, converting EPUB to AZW3`);
-          const tempAzw3Path = path.join(tempDir, `${sanitizeFilename(title)}.azw3`);
-
-          await execFilePromise(getCalibreCommand('ebook-convert'), [
-            tempEpubPath,
-            tempAzw3Path
-          ]);
-
-          outputBuffer = fs.readFileSync(tempAzw3Path);
-          format = 'azw3';
-        }
-      } catch (conversionError) {
-        console.error(`[PDF to Ebook] Error converting to AZW3: ${conversionError.message}`);
-        if (formatPreference === 'azw3') {
-          console.log(`[PDF to Ebook] Falling back to EPUB format despite azw3 preference`);
-        } else {
-          console.log(`[PDF to Ebook] Falling back to EPUB format`);
-        }
+    let buffer;
+    let format = 'pdf';
+    if (keepsPdfPages(formatPreference, options.pdfLayout)) {
+      buffer = await convertPDFToKindleFormat(pdfBuffer, {
+        splitPages: options.pdfLayout === 'split',
+        pagePreset: options.pagePreset
+      });
+    } else {
+      const { html, pageCount, chapters } = await reflowPdf(pdfBuffer, { chapters: outlineChapters(info.outline) });
+      console.log(`[PDF to Ebook] Reflowed ${pageCount} page(s) of ${path.basename(pdfFilePath)} into ${chapters.length || 1} chapter(s)`);
+
+      // One chapter per top-level outline entry, so the book's table of contents follows the PDF's
+      const sections = chapters.length > 1
+        ? chapters.map((chapter, index) => ({ id: `chapter-${index + 1}`, title: chapter.title, content: chapter.html, format: 'html' }))
+        : null;
+
+      if (formatPreference === 'pdf') {
+        const pdfOptions = { imageOptions: options.imageOptions, fonts: options.fonts, pagePreset: options.pagePreset };
+        buffer = sections
+          ? await generateMultiSectionPDF(title, sections, pdfOptions)
+          : await generatePDF(title, html, 'html', pdfOptions);
+      } else if (sections) {
+        ({ buffer, format } = await generateMultiSectionEbook(title, sections, {
+          imageOptions: options.imageOptions,
+          fonts: options.fonts,
+          formatPreference,
+          author: info.author || 'PDF Document'
+        }));
+      } else {
+        ({ buffer, format } = await generateEbook(title, html, 'html', {
+          imageOptions: options.imageOptions,
+          fonts: options.fonts,
+          formatPreference,
+          author: info.author
+        }));
       }
     }
 
-    // Adjust output path based on format
-    const adjustedOutputPath = getAdjustedOutputPath(outputPath, format);
+    const { filePath, skipped } = saveOutput(buffer, format, outputPath, {
+      subject: info.title || fileName,
+      newsletter: 'PDFs',
+      sender: info.author,
+      source: pdfFilePath
+    }, options.collision);
 
-    // Save the output file
-    fs.writeFileSync(adjustedOutputPath, outputBuffer);
-
-    // Clean up temp directory
-    try {
-      fs.rmSync(tempDir, { recursive: true, force: true });
-    } catch (cleanupError) {
-      console.warn(`[PDF to Ebook] Error cleaning up temp files: ${cleanupError.message}`);
-    }
-
-    console.log(`[PDF to Ebook] Successfully converted ${pdfFilePath} to ${adjustedOutputPath} (${format} format)`);
-    return { filePath: adjustedOutputPath, format };
+    console.log(`[PDF to Ebook] Successfully converted ${pdfFilePath} to ${filePath} (${format} format)`);
+    return { filePath, format, skipped };
   } catch (error) {
     console.error(`[PDF to Ebook] Error converting PDF to ebook: ${error.message}`);
     console.error(error.stack);
@@ -443,57 +455,58 @@ async function convertPdfToEbook(pdfFilePath, outputPath, options = {}) {
 }
 
 /**
- * Convert multiple PDF files to a single EPUB/AZW3 file
+ * Convert multiple PDF files to a single EPUB/AZW3 file (one chapter per PDF), or to PDF when formatPreference is 'pdf'
+ * With pdfLayout 'crop' or 'split' the PDFs' own trimmed pages are put one after another instead
  * @param {Array<string>} pdfFilePaths - Array of PDF file paths
- * @param {string} outputPath - Path where the combined file will be saved
- * @param {Object} options - Additional options for conversion
- * @returns {Promise<{filePath: string, format: string}>} - Path to the generated file and its format
+ * @param {string|Object} outputPath - Path where the combined file will be saved, or output settings to name it from
+ * @param {Object} options - Additional options for conversion (formatPreference, imageOptions, fonts, digest settings
+ *   (contentsPage, cover), pagePreset and pdfLayout for PDF)
+ * @returns {Promise<{filePath: string, format: string, skipped: boolean}>} - Path to the generated file, its format and whether an existing file was kept instead
  */
 async function convertMultiplePdfsToEbook(pdfFilePaths, outputPath, options = {}) {
   try {
     console.log(`[PDF to Ebook] Starting conversion of ${pdfFilePaths.length} PDF files`);
 
-    // Create a temp directory for our individual ebooks
-    const tempDir = temp.mkdirSync('combined-pdfs');
     const allTitles = [];
-    const pdfInfoItems = []; // Store metadata for TOC
+    const tocEntries = []; // Store metadata for TOC
+    const sections = []; // One chapter per PDF
 
     // Use format preference if provided
     const formatPreference = options.formatPreference || 'auto';
-    let finalFormat = formatPreference === 'epub' ? 'epub' : 'azw3'; // Default format
-
-    // Process each PDF file
-    const individualEbooks = [];
+    const keepPages = keepsPdfPages(formatPreference, options.pdfLayout);
 
     for (let i = 0; i < pdfFilePaths.length; i++) {
       const pdfFilePath = pdfFilePaths[i];
       try {
-        // Get file name as title
+        const pdfBuffer = fs.readFileSync(pdfFilePath);
+        const info = await readPdfInfo(pdfBuffer, pdfFilePath);
+
+        // The PDF's own title, or the file name
         const fileName = path.basename(pdfFilePath, path.extname(pdfFilePath));
-        const title = sanitizeTitle(fileName);
-        allTitles.push(title);
+        const title = info.title || sanitizeTitle(fileName);
+
+        const sectionId = `pdf-${sections.length + 1}`;
+        const section = { id: sectionId, title: title };
+        if (keepPages) {
+          section.pages = await convertPDFToKindleFormat(pdfBuffer, {
+            splitPages: options.pdfLayout === 'split',
+            pagePreset: options.pagePreset
+          });
+        } else {
+          section.content = (await reflowPdf(pdfBuffer)).html;
+          section.format = 'html';
+        }
 
-        // Add info for TOC
-        pdfInfoItems.push({
+        allTitles.push(title);
+        tocEntries.push({
           title: title,
           subject: title,
-          from: 'PDF Document',
-          index: i
+          from: info.author || 'PDF Document',
+          index: sections.length,
+          sectionId: sectionId
         });
+        sections.push(section);
 
-        // Create temporary epub file
-        const tempEpubPath = path.join(tempDir, `pdf_${i}.epub`);
-
-        // Convert PDF to EPUB using Calibre
-        await execFilePromise(getCalibreCommand('ebook-convert'), [
-          pdfFilePath,
-          tempEpubPath,
-          '--enable-heuristics',
-          '--language', 'en',
-          '--title', title
-        ]);
-
-        individualEbooks.push(tempEpubPath);
         console.log(`[PDF to Ebook] Processed PDF ${i+1}/${pdfFilePaths.length}: ${title}`);
       } catch (error) {
         console.error(`[PDF to Ebook] Error processing ${pdfFilePath}: ${error.message}`);
@@ -501,61 +514,58 @@ async function convertMultiplePdfsToEbook(pdfFilePaths, outputPath, options = {}
       }
     }
 
-    if (individualEbooks.length === 0) {
+    if (sections.length === 0) {
       throw new Error('Failed to process any PDF files');
     }
 
     // Generate a collection title with date
     const collectionTitle = generateCollectionTitle(allTitles);
+    const bookTitle = sections.length === 1 && !options.title
+      ? collectionTitle
+      : `${collectionTitle} [${new Date().toISOString().split('T')[0]}]`;
+
+    const digest = { ...DEFAULT_DIGEST_OPTIONS, ...(options.digest || {}) };
+    if (sections.length > 1 && !keepPages && digest.contentsPage) {
+      sections.unshift({
+        id: 'pdf-contents',
+        title: 'Contents',
+        content: generateEnhancedTableOfContents(tocEntries, { singleDocument: formatPreference === 'pdf' }),
+        format: 'html',
+        beforeToc: true
+      });
+    }
 
-    // Adjust output path based on actual format
-    const adjustedOutputPath = getAdjustedOutputPath(outputPath, finalFormat);
-
-    if (individualEbooks.length === 1) {
-      // If we only have one book, just copy it
-      fs.copyFileSync(individualEbooks[0], adjustedOutputPath);
-      console.log(`[PDF to Ebook] Single file - copied to ${adjustedOutputPath}`);
-
-      // Try to convert to AZW3 if needed and requested
-      if ((formatPreference === 'auto' || formatPreference === 'azw3') &&
-          adjustedOutputPath.toLowerCase().endsWith('.epub')) {
-        try {
-          const azw3Path = adjustedOutputPath.replace(/\.epub$/i, '.azw3');
-          await execFilePromise(getCalibreCommand('ebook-convert'), [adjustedOutputPath, azw3Path]);
-          finalFormat = 'azw3';
-          adjustedOutputPath = azw3Path;
-          console.log(`[PDF to Ebook] Converted single PDF to AZW3: ${azw3Path}`);
-        } catch (error) {
-          console.error(`[PDF to Ebook] Error converting to AZW3: ${error.message}`);
-          // Keep the EPUB version
-        }
-      }
+    let buffer;
+    let finalFormat;
+    if (keepPages) {
+      buffer = await combinePDFs(sections.map(section => section.pages), bookTitle);
+      finalFormat = 'pdf';
+    } else if (formatPreference === 'pdf') {
+      buffer = await generateMultiSectionPDF(bookTitle, sections, {
+        imageOptions: options.imageOptions,
+        fonts: options.fonts,
+        pagePreset: options.pagePreset
+      });
+      finalFormat = 'pdf';
     } else {
-      // Generate a table of contents EPUB
-      const tocPath = await generatePdfCollectionToc(pdfInfoItems, collectionTitle, tempDir, formatPreference);
-
-      // Try to merge with Calibre
-      try {
-        await mergeWithCalibre([tocPath, ...individualEbooks], adjustedOutputPath);
-        console.log(`[PDF to Ebook] Successfully merged with Calibre: ${adjustedOutputPath}`);
-      } catch (error) {
-        console.error(`[PDF to Ebook] Calibre merge failed: ${error.message}`);
-
-        // Fallback: Simply copy TOC as the final output
-        fs.copyFileSync(tocPath, adjustedOutputPath);
-        console.log(`[PDF to Ebook] Used TOC as final output: ${adjustedOutputPath}`);
-      }
+      ({ buffer, format: finalFormat } = await generateMultiSectionEbook(bookTitle, sections, {
+        formatPreference,
+        imageOptions: options.imageOptions,
+        fonts: options.fonts,
+        author: 'PDF Collection',
+        digest: digest.cover === 'mosaic'
+      }));
     }
 
-    // Clean up temp directory
-    try {
-      fs.rmSync(tempDir, { recursive: true, force: true });
-    } catch (cleanupError) {
-      console.warn(`[PDF to Ebook] Error cleaning up temp files: ${cleanupError.message}`);
-    }
+    const { filePath, skipped } = saveOutput(buffer, finalFormat, outputPath, {
+      subject: collectionTitle.replace(/_+/g, ' '),
+      newsletter: 'PDFs',
+      sender: 'PDF Collection',
+      source: pdfFilePaths[0]
+    }, options.collision);
 
-    console.log(`[PDF to Ebook] Successfully saved combined file to ${adjustedOutputPath}`);
-    return { filePath: adjustedOutputPath, format: finalFormat };
+    console.log(`[PDF to Ebook] Successfully saved combined file to ${filePath}`);
+    return { filePath, format: finalFormat, skipped };
   } catch (error) {
     console.error(`[PDF to Ebook] Error combining PDFs to ebook: ${error.message}`);
     console.error(error.stack);
@@ -564,127 +574,126 @@ async function convertMultiplePdfsToEbook(pdfFilePaths, outputPath, options = {}
 }
 
 /**
- * Generate a table of contents for a PDF collection
- * @param {Array<Object>} items - Array of PDF info objects
- * @param {string} collectionTitle - Title for the collection
- * @param {string} tempDir - Temporary directory
- * @param {string} formatPreference - Format preference
- * @returns {Promise<string>} - Path to the TOC EPUB
+ * Convert an EPUB, AZW3 or MOBI book to a Kindle-optimized EPUB/AZW3, or to PDF when formatPreference is 'pdf'
+ * The book keeps its own chapters; see azw3-processor.js for what the optimization pass fixes
+ * @param {string} bookFilePath - Path to the book
+ * @param {string|Object} outputPath - Path where the output file will be saved, or output settings to name it from
+ * @param {Object} options - Additional options for conversion (formatPreference, fonts, pagePreset for PDF)
+ * @returns {Promise<{filePath: string, format: string, skipped: boolean}>} - Path to the generated file, its format and whether an existing file was kept instead
  */
-async function generatePdfCollectionToc(items, collectionTitle, tempDir, formatPreference = 'auto') {
-  const { generateEbook } = require('./azw3-generator');
+async function convertBookToEbook(bookFilePath, outputPath, options = {}) {
+  try {
+    console.log(`[Book to Ebook] Starting conversion of ${bookFilePath}`);
 
-  // Format the current date
-  const now = new Date();
-  const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
+    const bookBuffer = fs.readFileSync(bookFilePath);
+    const fileName = path.basename(bookFilePath);
 
-  // Create title with date
-  const title = `${collectionTitle} [${dateStr}]`;
+    // Use format preference if provided
+    const formatPreference = options.formatPreference || 'auto';
 
-  // Build TOC HTML
-  let tocHtml = `
-    <h1>${title}</h1>
-    <p class="date">Generated on ${now.toLocaleDateString()} ${now.toLocaleTimeString()}</p>
-    <h2>Table of Contents</h2>
-    <div class="toc">
-      <ol>
-  `;
+    let buffer;
+    let format;
+    let metadata;
+    if (formatPreference === 'pdf') {
+      let chapters;
+      ({ metadata, chapters } = await readBookChapters(bookBuffer, { fileName }));
+      const sections = chapters.map((chapter, index) => ({
+        id: `chapter-${index + 1}`,
+        title: chapter.title,
+        content: chapter.html,
+        format: 'html'
+      }));
+      buffer = await generateMultiSectionPDF(metadata.title, sections, {
+        imageOptions: options.imageOptions,
+        fonts: options.fonts,
+        pagePreset: options.pagePreset
+      });
+      format = 'pdf';
+    } else {
+      ({ metadata } = await extractFromBook(bookBuffer));
+      const epubBuffer = await convertToKindleFormat(bookBuffer, { fileName });
+      ({ buffer, format } = await finalizeEbookFormat(epubBuffer, formatPreference));
+    }
 
-  // Add entries
-  items.forEach((item, index) => {
-    tocHtml += `
-      <li>
-        <a href="#pdf-${index+1}" class="toc-link">${item.title}</a>
-        <div class="toc-source">PDF Document</div>
-      </li>
-    `;
-  });
+    const { filePath, skipped } = saveOutput(buffer, format, outputPath, {
+      subject: metadata.title || path.basename(bookFilePath, path.extname(bookFilePath)),
+      newsletter: 'Books',
+      sender: metadata.author,
+      source: bookFilePath
+    }, options.collision);
 
-  // Close TOC
-  tocHtml += `
-      </ol>
-    </div>
-    <style>
-      .date {
-        text-align: center;
-        font-style: italic;
-        margin-bottom: 1.5em;
-      }
-      .toc-source {
-        font-style: italic;
-        font-size: 0.9em;
-        color: #666;
-        margin-left: 1em;
-      }
-      .toc ol {
-        padding-left: 1.5em;
-      }
-      .toc li {
-        margin-bottom: 1em;
-      }
-      .toc-link {
-        font-weight: bold;
-        text-decoration: none;
-      }
-    </style>
-  `;
-
-  // Generate the EPUB with TOC
-  const outputPath = path.join(tempDir, 'pdf-collection-toc.epub');
+    console.log(`[Book to Ebook] Successfully converted ${bookFilePath} to ${filePath} (${format} format)`);
+    return { filePath, format, skipped };
+  } catch (error) {
+    console.error(`[Book to Ebook] Error converting book to ebook: ${error.message}`);
+    console.error(error.stack);
+    throw error;
+  }
+}
 
-  const { buffer } = await generateEbook(title, tocHtml, 'html', {
-    isTableOfContents: true,
-    formatPreference: formatPreference
+/**
+ * A book as one chapter of a digest, its own chapters one after another under their titles
+ * @param {string} bookFilePath - Path to the EPUB, AZW3 or MOBI
+ * @param {string} sectionId - Id of the digest chapter
+ * @returns {Promise<Object>} - Section for the multi-section generators, with the book's author
+ */
+async function readBookSection(bookFilePath, sectionId) {
+  const { metadata, chapters } = await readBookChapters(fs.readFileSync(bookFilePath), {
+    fileName: path.basename(bookFilePath)
   });
 
-  // Save the buffer to a file
-  fs.writeFileSync(outputPath, buffer);
-
-  return outputPath;
+  return {
+    id: sectionId,
+    title: sanitizeTitle(metadata.title),
+    author: metadata.author,
+    content: chapters.map(chapter => `<h2>${escapeHtml(chapter.title)}</h2>\n${chapter.html}`).join('\n'),
+    format: 'html',
+    template: null
+  };
 }
 
 /**
- * Merge EPUB files using Calibre
- * @param {Array<string>} epubPaths - Array of EPUB file paths
- * @param {string} outputPath - Path for the output file
- * @returns {Promise<void>}
+ * Metadata of a PDF for naming the book; a PDF whose metadata can't be read still converts
+ * @param {Buffer} pdfBuffer - The PDF
+ * @param {string} pdfFilePath - Its path, for the log
+ * @returns {Promise<Object>} - What extractFromPDF found, or an empty title, author and outline
  */
-async function mergeWithCalibre(epubPaths, outputPath) {
+async function readPdfInfo(pdfBuffer, pdfFilePath) {
   try {
-    await execFilePromise(getCalibreCommand('ebook-convert'), [
-      ...epubPaths,
-      outputPath
-    ]);
+    return await extractFromPDF(pdfBuffer);
   } catch (error) {
-    console.error(`[EML to Ebook] Calibre merge failed: ${error.message}`);
-    throw error;
+    console.warn(`[PDF to Ebook] Could not read the metadata of ${path.basename(pdfFilePath)}: ${error.message}`);
+    return { title: '', author: '', outline: [] };
   }
 }
 
 /**
- * Check if Calibre is available
- * @returns {Promise<boolean>}
+ * The outline entries that make good chapters: the top level, or the level below a single root entry
+ * (many PDFs put the whole outline under the document's title)
+ * @param {Array<Object>} outline - From extractFromPDF
+ * @returns {Array<{title: string, page: number}>} - Chapters in page order, or none if the outline has too few
  */
-async function checkCalibreAvailable() {
-  try {
-    await execFilePromise(getCalibreCommand('ebook-convert'), ['--version']);
-    return true;
-  } catch (error) {
-    return false;
+function outlineChapters(outline) {
+  let entries = outline.filter(entry => entry.page && entry.title);
+  if (outline.length === 1 && outline[0].children.length > 1) {
+    entries = outline[0].children.filter(entry => entry.page && entry.title);
   }
+  return entries.length > 1 ? entries.map(entry => ({ title: entry.title, page: entry.page })) : [];
 }
 
 /**
- * Helper function to get Calibre command path
- * @param {string} command - Calibre command name
- * @returns {string} - Full path to Calibre command or just the command name
+ * Whether PDF inputs keep their own (trimmed) pages rather than being reflowed; only PDF output can hold them
+ * @param {string} formatPreference - Requested output format
+ * @param {string} pdfLayout - 'reflow', 'crop' or 'split'
+ * @returns {boolean}
  */
-function getCalibreCommand(command = 'ebook-convert') {
-  const calibrePath = global.systemCheck ? global.systemCheck.getCalibrePath() : null;
-  if (calibrePath) {
-    return path.join(calibrePath, command);
+function keepsPdfPages(formatPreference, pdfLayout) {
+  if (pdfLayout !== 'crop' && pdfLayout !== 'split') return false;
+  if (formatPreference !== 'pdf') {
+    console.warn(`[PDF to Ebook] Keeping PDF pages needs PDF output; reflowing for ${formatPreference}`);
+    return false;
   }
-  return command;
+  return true;
 }
 
 /**
@@ -716,6 +725,32 @@ function generateCollectionTitle(titles) {
   return `${titles.length} ${type}`;
 }
 
+/**
+ * Write a finished book to outputPath, or where the output settings' filename template puts it
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'epub', 'azw3' or 'pdf'
+ * @param {string|Object} outputPath - Output path, or output settings (see output-paths.js)
+ * @param {Object} details - Template fields for this conversion: subject, newsletter, sender, date and source
+ * @param {string} collision - When the file exists: 'version', 'overwrite' or 'skip'; the output settings' policy wins
+ * @returns {{filePath: string, skipped: boolean}} - Where the file went, and whether an existing file was kept instead
+ */
+function saveOutput(buffer, format, outputPath, details, collision = 'version') {
+  if (typeof outputPath === 'string') {
+    return writeOutputFile(getAdjustedOutputPath(outputPath, format), buffer, collision);
+  }
+  const filePath = resolveOutputPath(outputPath, { ...details, ext: format });
+  return writeOutputFile(filePath, buffer, outputPath.collision || collision);
+}
+
+/**
+ * Newsletter name for {newsletter} in filename templates: the detected one, or the sender
+ */
+function newsletterName(newsletterInfo, from) {
+  return newsletterInfo && newsletterInfo.name && newsletterInfo.name !== 'Newsletter'
+    ? newsletterInfo.name
+    : extractSender(from);
+}
+
 /**
  * Get adjusted output path with correct extension
  * @param {string} outputPath - Original output path
@@ -730,6 +765,8 @@ function getAdjustedOutputPath(outputPath, format) {
     return outputPath.replace(/\.[^.]+$/, '.azw3');
   } else if (format === 'epub' && ext !== '.epub') {
     return outputPath.replace(/\.[^.]+$/, '.epub');
+  } else if (format === 'pdf' && ext !== '.pdf') {
+    return outputPath.replace(/\.[^.]+$/, '.pdf');
   }
 
   return outputPath;
@@ -751,22 +788,34 @@ function sanitizeTitle(title) {
 }
 
 /**
- * Sanitize filename for safe file system usage
- * @param {string} filename - Original filename
- * @returns {string} - Sanitized filename
+ * Extract a display name from an email "from" field
+ * @param {string} from - Email "from" field (e.g., "John Doe <john@example.com>")
+ * @returns {string} - Sender name
  */
-function sanitizeFilename(filename) {
-  if (!filename) return 'newsletter';
+function extractSender(from) {
+  if (!from) return 'Newsletter';
+  const nameMatch = from.match(/^([^<]+)</);
+  return nameMatch && nameMatch[1].trim() ? nameMatch[1].trim().replace(/^"|"$/g, '') : from;
+}
 
-  return filename
-    .replace(/[<>:"/\\|?*]/g, '')
-    .replace(/\s+/g, '_')
-    .trim();
+/**
+ * Escape HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  return String(text).replace(/&/g, '&amp;')
+                     .replace(/</g, '&lt;')
+                     .replace(/>/g, '&gt;')
+                     .replace(/"/g, '&quot;')
+                     .replace(/'/g, '&#039;');
 }
 
 module.exports = {
   convertEmlToEbook,
   convertMultipleEmlsToEbook,
   convertPdfToEbook,
-  convertMultiplePdfsToEbook
+  convertMultiplePdfsToEbook,
+  convertBookToEbook
 };
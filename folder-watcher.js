@@ -0,0 +1,363 @@
+// utils/folder-watcher.js
+// Watches user-chosen folders and converts newsletters that appear in them
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const WATCHED_EXTENSIONS = ['.eml', '.pdf'];
+const CONFIG_FILE = 'watch-folders.json';
+const LEDGER_FILE = 'watch-ledger.json';
+const MAX_RECENT = 20;
+
+class FolderWatcher extends EventEmitter {
+  constructor() {
+    super();
+    this.directories = [];
+    this.formatPreference = 'auto';
+    this.watchers = new Map();
+    this.pending = new Map();
+    this.queue = [];
+    this.processing = false;
+    this.ledger = {};
+    this.recent = [];
+    this.processor = null;
+    this.configPath = null;
+    this.ledgerPath = null;
+    // Converted books are saved here, so nothing in it is taken as new input
+    this.outputDirectory = null;
+    // A file is converted once its size and mtime hold still for one debounce interval
+    this.debounceMs = 2000;
+  }
+
+  /**
+   * Load saved folders and the processed-files ledger, then start watching
+   * @param {string} dataDir - Directory for the config and ledger (the app's userData)
+   * @param {Function} processor - async (filePath, options) => result with success, filePath, error
+   * @param {Object} options - Overrides such as debounceMs
+   */
+  init(dataDir, processor, options = {}) {
+    this.stop();
+    this.configPath = path.join(dataDir, CONFIG_FILE);
+    this.ledgerPath = path.join(dataDir, LEDGER_FILE);
+    this.processor = processor;
+    if (options.debounceMs !== undefined) {
+      this.debounceMs = options.debounceMs;
+    }
+
+    const config = this.readJson(this.configPath, {});
+    this.directories = Array.isArray(config.directories) ? config.directories : [];
+    this.ledger = this.readJson(this.ledgerPath, {});
+    this.pruneLedger();
+
+    console.log(`[Folder Watcher] Loaded ${this.directories.length} watch folder(s), ${Object.keys(this.ledger).length} processed file(s) in ledger`);
+    this.directories.forEach(directory => this.watchDirectory(directory));
+  }
+
+  addDirectory(directory) {
+    const resolved = path.resolve(directory);
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+      throw new Error(`Not a directory: ${resolved}`);
+    }
+    if (this.isInOutputDirectory(resolved)) {
+      throw new Error(`${resolved} is where converted books are saved; choose another folder to watch, or change the output folder`);
+    }
+    if (!this.directories.includes(resolved)) {
+      this.directories.push(resolved);
+      this.saveConfig();
+      this.watchDirectory(resolved);
+    }
+    return this.getStatus();
+  }
+
+  removeDirectory(directory) {
+    const resolved = path.resolve(directory);
+    this.unwatchDirectory(resolved);
+    this.directories = this.directories.filter(dir => dir !== resolved);
+    this.saveConfig();
+    return this.getStatus();
+  }
+
+  /**
+   * @param {string} directory - The output folder from the settings
+   */
+  setOutputDirectory(directory) {
+    this.outputDirectory = directory ? path.resolve(directory) : null;
+    this.directories.filter(dir => this.isInOutputDirectory(dir))
+      .forEach(dir => console.warn(`[Folder Watcher] ${dir} is the output folder (or inside it); its files are not converted`));
+  }
+
+  /**
+   * Note a file the app is about to write, so a watch folder doesn't take its own output as new input
+   * Called before the write, so the entry holds for whatever size and time the file ends up with
+   * @param {string} filePath - The output file
+   */
+  recordOutput(filePath) {
+    const resolved = path.resolve(filePath);
+    if (!this.directories.includes(path.dirname(resolved))) return;
+
+    this.ledger[resolved] = { output: true, processedAt: new Date().toISOString() };
+    this.saveLedger();
+
+    const entry = this.pending.get(resolved);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.pending.delete(resolved);
+    }
+  }
+
+  /**
+   * @param {string} formatPreference - The watch folder format from the settings
+   */
+  setFormatPreference(formatPreference) {
+    this.formatPreference = formatPreference || 'auto';
+    return this.getStatus();
+  }
+
+  getStatus() {
+    return {
+      directories: this.directories.map(directory => ({
+        path: directory,
+        active: this.watchers.has(directory)
+      })),
+      formatPreference: this.formatPreference,
+      queued: this.queue.length + (this.processing ? 1 : 0),
+      recent: this.recent
+    };
+  }
+
+  stop() {
+    Array.from(this.watchers.keys()).forEach(directory => this.unwatchDirectory(directory));
+    this.pending.forEach(entry => clearTimeout(entry.timer));
+    this.pending.clear();
+    this.queue = [];
+  }
+
+  watchDirectory(directory) {
+    if (this.watchers.has(directory)) return;
+
+    if (!fs.existsSync(directory)) {
+      console.warn(`[Folder Watcher] Watch folder does not exist, skipping: ${directory}`);
+      return;
+    }
+
+    try {
+      const watcher = fs.watch(directory, (eventType, filename) => {
+        if (filename) {
+          this.schedule(path.join(directory, filename.toString()));
+        } else {
+          // Some platforms omit the filename; fall back to a scan
+          this.scanDirectory(directory);
+        }
+      });
+      watcher.on('error', error => {
+        console.error(`[Folder Watcher] Error watching ${directory}: ${error.message}`);
+        this.unwatchDirectory(directory);
+        this.emit('status', this.getStatus());
+      });
+      this.watchers.set(directory, watcher);
+      console.log(`[Folder Watcher] Watching ${directory}`);
+    } catch (error) {
+      console.error(`[Folder Watcher] Could not watch ${directory}: ${error.message}`);
+      return;
+    }
+
+    // Pick up anything that arrived while the app was closed
+    this.scanDirectory(directory);
+  }
+
+  unwatchDirectory(directory) {
+    const watcher = this.watchers.get(directory);
+    if (watcher) {
+      watcher.close();
+      this.watchers.delete(directory);
+      console.log(`[Folder Watcher] Stopped watching ${directory}`);
+    }
+    this.pending.forEach((entry, filePath) => {
+      if (path.dirname(filePath) === directory) {
+        clearTimeout(entry.timer);
+        this.pending.delete(filePath);
+      }
+    });
+    this.queue = this.queue.filter(filePath => path.dirname(filePath) !== directory);
+  }
+
+  scanDirectory(directory) {
+    let names;
+    try {
+      names = fs.readdirSync(directory);
+    } catch (error) {
+      console.error(`[Folder Watcher] Could not read ${directory}: ${error.message}`);
+      return;
+    }
+    names.forEach(name => this.schedule(path.join(directory, name)));
+  }
+
+  isWatchedFile(filePath) {
+    const name = path.basename(filePath);
+    return !name.startsWith('.') && WATCHED_EXTENSIONS.includes(path.extname(name).toLowerCase()) &&
+      !this.isInOutputDirectory(filePath);
+  }
+
+  isInOutputDirectory(filePath) {
+    if (!this.outputDirectory) return false;
+    const relative = path.relative(this.outputDirectory, path.resolve(filePath));
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+
+  /**
+   * (Re)start the debounce timer for a file; every new write pushes it back
+   */
+  schedule(filePath) {
+    if (!this.isWatchedFile(filePath) || this.queue.includes(filePath)) return;
+
+    const entry = this.pending.get(filePath) || { snapshot: null, timer: null };
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => this.checkStable(filePath), this.debounceMs);
+    this.pending.set(filePath, entry);
+  }
+
+  checkStable(filePath) {
+    const entry = this.pending.get(filePath);
+    if (!entry) return;
+
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch (error) {
+      // Removed or renamed away before it settled; a new file by that name is new input, even if the app wrote the old one
+      this.pending.delete(filePath);
+      if (this.ledger[filePath] && this.ledger[filePath].output) {
+        delete this.ledger[filePath];
+        this.saveLedger();
+      }
+      return;
+    }
+
+    if (!stats.isFile() || this.isProcessed(filePath, stats)) {
+      this.pending.delete(filePath);
+      return;
+    }
+
+    const snapshot = { size: stats.size, mtimeMs: stats.mtimeMs };
+    const settled = entry.snapshot && stats.size > 0 &&
+      entry.snapshot.size === snapshot.size && entry.snapshot.mtimeMs === snapshot.mtimeMs;
+
+    if (!settled) {
+      // Still being written (or first look); check again after another interval
+      entry.snapshot = snapshot;
+      entry.timer = setTimeout(() => this.checkStable(filePath), this.debounceMs);
+      return;
+    }
+
+    this.pending.delete(filePath);
+    this.queue.push(filePath);
+    this.processQueue();
+  }
+
+  isProcessed(filePath, stats) {
+    const record = this.ledger[filePath];
+    return Boolean(record && (record.output || (record.size === stats.size && record.mtimeMs === stats.mtimeMs)));
+  }
+
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    while (this.queue.length > 0) {
+      const filePath = this.queue.shift();
+      let stats;
+      try {
+        stats = fs.statSync(filePath);
+      } catch (error) {
+        continue;
+      }
+      if (this.isProcessed(filePath, stats)) continue;
+
+      console.log(`[Folder Watcher] Converting ${filePath}`);
+      this.emit('processing', { filePath });
+
+      let result;
+      try {
+        result = await this.processor(filePath, { formatPreference: this.formatPreference });
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+      result = result || { success: false, error: 'No result from converter' };
+
+      // Failures are recorded too, so a broken file is not retried on every restart;
+      // saving a new version of it changes the mtime and queues it again
+      const record = {
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        processedAt: new Date().toISOString(),
+        success: Boolean(result.success),
+        outputPath: result.filePath || null,
+        format: result.format || null,
+        error: result.success ? null : (result.error || 'Unknown error')
+      };
+      this.ledger[filePath] = record;
+      this.saveLedger();
+
+      this.recent.unshift({ sourcePath: filePath, ...record });
+      this.recent = this.recent.slice(0, MAX_RECENT);
+
+      if (record.success) {
+        console.log(`[Folder Watcher] Converted ${path.basename(filePath)} -> ${record.outputPath}`);
+      } else {
+        console.error(`[Folder Watcher] Failed to convert ${path.basename(filePath)}: ${record.error}`);
+      }
+      this.emit('processed', { filePath, result, record });
+    }
+
+    this.processing = false;
+  }
+
+  /**
+   * Drop ledger entries for files that no longer exist so the ledger doesn't grow forever
+   */
+  pruneLedger() {
+    let removed = 0;
+    Object.keys(this.ledger).forEach(filePath => {
+      if (!fs.existsSync(filePath)) {
+        delete this.ledger[filePath];
+        removed++;
+      }
+    });
+    if (removed > 0) {
+      this.saveLedger();
+    }
+  }
+
+  saveConfig() {
+    this.writeJson(this.configPath, { directories: this.directories });
+  }
+
+  saveLedger() {
+    this.writeJson(this.ledgerPath, this.ledger);
+  }
+
+  readJson(filePath, fallback) {
+    if (!filePath || !fs.existsSync(filePath)) return fallback;
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`[Folder Watcher] Could not read ${filePath}, starting fresh: ${error.message}`);
+      return fallback;
+    }
+  }
+
+  writeJson(filePath, data) {
+    if (!filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Write then rename so a crash mid-write can't corrupt the ledger
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`[Folder Watcher] Could not write ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new FolderWatcher();
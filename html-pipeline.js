@@ -0,0 +1,358 @@
+// utils/html-pipeline.js
+// DOM-based cleanup shared by the ebook and PDF generators.
+// Newsletter HTML is parsed once and run through a list of passes; the result is
+// well-formed XHTML that also parses as HTML, so both generators can use it as is.
+const cheerio = require('cheerio');
+const { isTrackingPixel } = require('./image-processor');
+
+const REMOVED_TAGS = 'script, style, noscript, iframe, frame, frameset, object, embed, applet, form, input, button, select, textarea, svg, canvas, audio, video, head, title, meta, link, base';
+// Presentational or layout wrappers whose content is kept
+const UNWRAPPED_TAGS = ['font', 'o:p', 'span'];
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+const ALLOWED_ATTRIBUTES = ['id', 'class', 'href', 'src', 'alt', 'title', 'lang', 'dir', 'colspan', 'rowspan', 'start', 'style'];
+// normalizeImages reads these to spot tracking pixels and inline icons, then removes them
+const IMAGE_ATTRIBUTES = ['width', 'height'];
+// Inline styles worth keeping on a Kindle; sizes, colours and layout come from the template CSS
+const ALLOWED_STYLES = ['text-align', 'font-weight', 'font-style', 'text-decoration'];
+const HIDDEN_STYLE = /display\s*:\s*none|mso-hide\s*:\s*all|visibility\s*:\s*hidden|max-height\s*:\s*0(?![.\d])/i;
+const EMPTY_REMOVABLE = 'div, p, span, center, table, tbody, tr, section, blockquote, ul, ol, li, h1, h2, h3, h4, h5, h6, a';
+// Images up to this size (emoji, inline icons) keep their size and stay in the line
+const INLINE_IMAGE_MAX = 48;
+// Reading fonts offered in the settings, as CSS font stacks
+const FONT_FAMILIES = {
+  bookerly: '\'Bookerly\', Georgia, \'Times New Roman\', serif',
+  georgia: 'Georgia, \'Times New Roman\', serif',
+  palatino: '\'Palatino Linotype\', Palatino, \'Book Antiqua\', serif',
+  helvetica: 'Helvetica, Arial, sans-serif',
+  verdana: 'Verdana, Tahoma, sans-serif'
+};
+const URL_TEXT_LENGTH = 40;
+
+/**
+ * Run newsletter HTML through the cleanup passes
+ * @param {string} html - HTML fragment or full document
+ * @param {Object} options - passes: the passes to run (default DEFAULT_PASSES), in order; each is called
+ *   as pass($, root, options) and edits the document in place
+ * @returns {string} - The body content as an XHTML fragment
+ */
+function processHtml(html, options = {}) {
+  if (!html) return '';
+
+  const passes = options.passes || DEFAULT_PASSES;
+  try {
+    const $ = cheerio.load(html);
+    const root = $('body').length ? $('body') : $.root();
+
+    passes.forEach(pass => pass($, root, options));
+    return serializeXhtml($, root);
+  } catch (error) {
+    console.error(`[HTML Pipeline] Error processing HTML: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Remove scripts, forms, comments and hidden elements, unwrap presentational tags
+ * and drop attributes and inline styles that don't belong in an ebook
+ */
+function sanitize($, root) {
+  removeComments($, root.get(0));
+  root.find(REMOVED_TAGS).remove();
+  root.find('[hidden], [aria-hidden="true"]').remove();
+  root.find('[style]').filter((i, element) => HIDDEN_STYLE.test(element.attribs.style)).remove();
+
+  // Namespaced Office/VML tags (<o:p>, <v:roundrect>) are not declared in the XHTML output
+  root.find('*').toArray().reverse().forEach(element => {
+    if (element.name.includes(':') || UNWRAPPED_TAGS.includes(element.name)) {
+      // Keep spans that still carry something, e.g. bold text styled inline
+      if (element.name === 'span' && keptStyle(element.attribs.style)) return;
+      unwrap($, element);
+    } else if (element.name === 'center') {
+      element.name = 'div';
+      element.attribs.style = [keptStyle(element.attribs.style), 'text-align:center'].filter(Boolean).join(';');
+    }
+  });
+
+  root.find('*').each((i, element) => {
+    const attribs = element.attribs;
+    const align = attribs.align && /^(left|center|right|justify)$/i.test(attribs.align) && element.name !== 'img' && element.name !== 'table'
+      ? `text-align:${attribs.align.toLowerCase()}`
+      : null;
+    // Old-style named anchors become ids
+    if (element.name === 'a' && attribs.name && !attribs.id) {
+      attribs.id = attribs.name;
+    }
+
+    Object.keys(attribs).forEach(name => {
+      if (!ALLOWED_ATTRIBUTES.includes(name) && !(element.name === 'img' && IMAGE_ATTRIBUTES.includes(name))) {
+        delete attribs[name];
+      }
+    });
+    if (element.name === 'img') return;
+
+    const style = [keptStyle(attribs.style), align].filter(Boolean).join(';');
+    if (style) {
+      attribs.style = style;
+    } else {
+      delete attribs.style;
+    }
+  });
+}
+
+/**
+ * Turn layout tables into plain blocks, one per cell; data tables stay tables
+ */
+function unwrapLayoutTables($, root) {
+  // Innermost first, so a layout table is judged after its nested tables are gone
+  root.find('table').toArray().reverse().forEach(table => {
+    if (!isLayoutTable($, table)) return;
+
+    const blocks = ownCells($, table)
+      .filter(cell => !isEmpty($, cell))
+      .map(cell => {
+        const block = $('<div></div>');
+        if (cell.attribs.style) {
+          block.attr('style', cell.attribs.style);
+        }
+        return block.append($(cell).contents()).get(0);
+      });
+    $(table).replaceWith(blocks);
+  });
+
+  // Spacer blocks left behind by the layout
+  root.find(EMPTY_REMOVABLE).toArray().reverse().forEach(element => {
+    if (isEmpty($, element) && !element.attribs.id) {
+      $(element).remove();
+    }
+  });
+}
+
+/**
+ * Drop tracking pixels, size images for the screen and turn figures into the
+ * .figure/.image-caption blocks the templates style
+ */
+function normalizeImages($, root) {
+  root.find('img').each((i, img) => {
+    const $img = $(img);
+    const src = ($img.attr('src') || '').trim();
+    // Check the original tag, sizes and all
+    if (!src || isTrackingPixel($.html(img))) {
+      $img.remove();
+    }
+  });
+
+  root.find('img').each((i, img) => {
+    const $img = $(img);
+    const width = parseInt(img.attribs.width, 10);
+    const height = parseInt(img.attribs.height, 10);
+    const inline = width > 0 && width <= INLINE_IMAGE_MAX && (!(height > 0) || height <= INLINE_IMAGE_MAX);
+
+    $img.attr('alt', $img.attr('alt') || '');
+    $img.removeAttr('width').removeAttr('height');
+    $img.attr('style', inline
+      ? `display:inline;margin:0;width:${width}px;height:auto`
+      : 'max-width:100%;height:auto');
+  });
+
+  root.find('figure').each((i, figure) => {
+    figure.name = 'div';
+    $(figure).addClass('figure');
+  });
+  root.find('figcaption').each((i, caption) => {
+    caption.name = 'div';
+    $(caption).addClass('image-caption');
+  });
+}
+
+/**
+ * Unwrap links that go nowhere and turn bare URLs in the text into short links
+ */
+function fixLinks($, root) {
+  root.find('a').each((i, link) => {
+    const href = (link.attribs.href || '').trim();
+    if (!href || href === '#' || /^javascript:/i.test(href)) {
+      // Empty anchors that are link targets keep their id
+      if (link.attribs.id && !$(link).text().trim()) {
+        delete link.attribs.href;
+        return;
+      }
+      unwrap($, link);
+      return;
+    }
+    link.attribs.href = href;
+  });
+
+  linkifyText($, root.get(0));
+}
+
+/**
+ * Give every heading a unique id (the ebook's navigation targets) and mark the paragraph after it
+ */
+function addHeadingAnchors($, root, options = {}) {
+  const prefix = options.idPrefix || '';
+  const used = new Set();
+
+  // Ids must be unique; later duplicates lose theirs
+  root.find('[id]').each((i, element) => {
+    if (used.has(element.attribs.id) || !/^[A-Za-z_][\w.-]*$/.test(element.attribs.id)) {
+      delete element.attribs.id;
+    } else {
+      used.add(element.attribs.id);
+    }
+  });
+
+  root.find('h1, h2, h3, h4, h5, h6').each((i, heading) => {
+    if (!heading.attribs.id) {
+      const level = heading.name.substring(1);
+      const slug = $(heading).text().trim().toLowerCase()
+        .replace(/[^\w\s-]/g, '')
+        .replace(/\s+/g, '-')
+        .substring(0, 40);
+      const base = `${prefix}heading-${level}-${slug}`;
+      let id = base;
+      for (let n = 2; used.has(id); n++) {
+        id = `${base}-${n}`;
+      }
+      heading.attribs.id = id;
+      used.add(id);
+    }
+
+    const next = $(heading).next();
+    if (next.length && next.get(0).name === 'p') {
+      next.addClass('first-paragraph');
+    }
+  });
+}
+
+const DEFAULT_PASSES = [sanitize, unwrapLayoutTables, normalizeImages, fixLinks, addHeadingAnchors];
+
+/**
+ * Tables used to position content rather than hold rows of data
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} table - The <table> element
+ * @returns {boolean}
+ */
+function isLayoutTable($, table) {
+  const $table = $(table);
+  if ($table.attr('role') === 'presentation') return true;
+  if ($table.children('caption, thead').length > 0 || $table.find('th').length > 0) return false;
+
+  const rows = $table.find('tr').toArray().filter(row => $(row).closest('table').get(0) === table);
+  const columns = Math.max(0, ...rows.map(row => $(row).children('td, th').length));
+  if (rows.length <= 1 || columns <= 1) return true;
+
+  // Cells holding paragraphs, images or other tables are layout, not data
+  return ownCells($, table).some(cell => $(cell).find('p, div, table, img, h1, h2, h3, h4, ul, ol, blockquote').length > 0);
+}
+
+function ownCells($, table) {
+  return $(table).find('td, th').toArray().filter(cell => $(cell).closest('table').get(0) === table);
+}
+
+function isEmpty($, element) {
+  // Spacer cells are often filled with &nbsp; or zero-width characters
+  return !$(element).text().replace(/[\s\u200b\u200c\u034f\ufeff]+/g, '') &&
+    $(element).find('img, br, hr, [id]').length === 0;
+}
+
+function keptStyle(style) {
+  if (!style) return '';
+  return style.split(';')
+    .map(rule => rule.trim())
+    .filter(rule => ALLOWED_STYLES.includes(rule.split(':')[0].trim().toLowerCase()))
+    .join(';');
+}
+
+function unwrap($, element) {
+  $(element).replaceWith($(element).contents());
+}
+
+function removeComments($, node) {
+  (node.children || []).slice().forEach(child => {
+    if (child.type === 'comment' || child.type === 'directive') {
+      $(child).remove();
+    } else {
+      removeComments($, child);
+    }
+  });
+}
+
+/**
+ * Wrap http(s) URLs in text nodes (outside links) in <a> tags with a shortened label
+ */
+function linkifyText($, node) {
+  (node.children || []).slice().forEach(child => {
+    if (child.type === 'tag') {
+      if (child.name !== 'a' && child.name !== 'pre' && child.name !== 'code') {
+        linkifyText($, child);
+      }
+      return;
+    }
+    if (child.type !== 'text' || !/https?:\/\//i.test(child.data)) return;
+
+    const html = escapeText(child.data).replace(/https?:\/\/[^\s<>"']+/gi, match => {
+      // Sentence punctuation after a URL isn't part of it
+      const url = match.replace(/[.,;:!?)\]]+$/, '');
+      const rest = match.substring(url.length);
+      return `<a href="${url}">${shortenUrl(url)}</a>${rest}`;
+    });
+    $(child).replaceWith(html);
+  });
+}
+
+function shortenUrl(url) {
+  const text = url.replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, '');
+  return text.length > URL_TEXT_LENGTH ? `${text.substring(0, URL_TEXT_LENGTH - 1)}…` : text;
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * CSS for the reading font settings, added after the generator's and the template's CSS
+ * @param {Object} fonts - family (a FONT_FAMILIES key), size (percent), lineHeight and indent (paragraph indents)
+ * @returns {string} - CSS, empty without font settings
+ */
+function fontCss(fonts) {
+  if (!fonts) return '';
+  const family = FONT_FAMILIES[fonts.family] || FONT_FAMILIES.bookerly;
+  const rules = [
+    `body { font-family: ${family}; font-size: ${Number(fonts.size) || 100}%; line-height: ${Number(fonts.lineHeight) || 1.6}; }`,
+    `h1, h2, h3, h4, h5, h6 { font-family: ${family}; }`,
+    // The PDF stylesheet sizes paragraphs in points; follow the body instead
+    'p { font-size: 1em; }'
+  ];
+  if (fonts.indent === false) {
+    rules.push('p { text-indent: 0; }');
+  }
+  return `\n${rules.join('\n')}\n`;
+}
+
+/**
+ * Serialize as XHTML that HTML parsers read the same way: void elements self-close,
+ * everything else gets an explicit end tag
+ */
+function serializeXhtml($, root) {
+  root.find('*').each((i, element) => {
+    if (!VOID_TAGS.includes(element.name) && (!element.children || element.children.length === 0)) {
+      $(element).text('');
+    }
+  });
+  // Given a selection, $.xml() keeps the parser's HTML rendering; plain nodes are written as XML
+  return $.xml(root.contents().toArray());
+}
+
+module.exports = {
+  processHtml,
+  sanitize,
+  unwrapLayoutTables,
+  normalizeImages,
+  fixLinks,
+  addHeadingAnchors,
+  serializeXhtml,
+  fontCss,
+  FONT_FAMILIES,
+  DEFAULT_PASSES,
+  isLayoutTable
+};
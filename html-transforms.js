@@ -0,0 +1,135 @@
+// utils/html-transforms.js
+// Selector- and text-based cleanup rules shared by the platform templates and user templates
+const cheerio = require('cheerio');
+
+// Elements that can be removed as a unit when their text marks them as chrome or a sponsor slot
+const BLOCK_SELECTOR = 'p, div, section, aside, header, footer, center, table, tr, td, ul, ol, li, blockquote, h1, h2, h3, h4, h5, h6';
+
+// Only short blocks count as chrome; a longer one that matches is article text mentioning the words
+const MAX_MATCH_TEXT = 200;
+
+// A text-matched block is widened to its largest ancestor under this many characters of text...
+const DEFAULT_MAX_BLOCK_TEXT = 1200;
+// ...but never to one holding this share of the whole email, so short emails survive...
+const MAX_BLOCK_SHARE = 0.5;
+// ...nor to one that is a section of the article: it has a heading or more than one paragraph
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+const PARAGRAPH_SELECTOR = 'p, blockquote, pre';
+
+const FULL_DOCUMENT = /<(html|body)\b/i;
+
+/**
+ * Apply keep/strip rules to an HTML document
+ * @param {string} html - Newsletter HTML
+ * @param {Object} rules - keep: selectors for the article (everything else is dropped if any match),
+ *   strip: selectors to remove, stripText: RegExps or strings whose enclosing block is removed,
+ *   maxBlockText: widest block (in characters of text) a stripText match may remove
+ * @param {Array<Object>} steps - Receives one entry per rule with what it matched, for the template report
+ * @returns {string} - Cleaned HTML
+ */
+function applyRules(html, rules = {}, steps = []) {
+  // A fragment stays a fragment, so the rules don't add <html> and <body> around it
+  let $ = cheerio.load(html, null, FULL_DOCUMENT.test(html));
+  const keep = rules.keep || [];
+  const strip = rules.strip || [];
+  const stripText = rules.stripText || [];
+
+  if (keep.length > 0) {
+    const selector = keep.join(', ');
+    const kept = $(selector).toArray();
+    // Nested matches are already included with their ancestor
+    const topLevel = kept.filter(element => !$(element).parents().toArray().some(parent => kept.includes(parent)));
+    if (topLevel.length > 0) {
+      $ = cheerio.load(topLevel.map(element => $.html(element)).join('\n'), null, false);
+    }
+    steps.push({ action: 'keep', selector, matched: topLevel.length });
+  }
+
+  strip.forEach(selector => {
+    const matches = $(selector);
+    steps.push({ action: 'strip', selector, removed: matches.length });
+    matches.remove();
+  });
+
+  stripText.forEach(pattern => {
+    const removed = removeBlocksWithText($, toRegExp(pattern), rules.maxBlockText || DEFAULT_MAX_BLOCK_TEXT);
+    steps.push({ action: 'strip-text', pattern: String(pattern), removed });
+  });
+
+  return $.html();
+}
+
+/**
+ * Remove the block around each piece of text matching a pattern
+ * The innermost block whose text matches, if it is short, is widened to its largest ancestor
+ * that is still small and holds no more than that one line, so a bar like "Sponsored by Acme"
+ * takes its table cells with it while a sponsor line inside an article section goes alone
+ * @returns {number} - Blocks removed
+ */
+function removeBlocksWithText($, pattern, maxBlockText) {
+  const totalText = textOf($, $.root()).length;
+  const limit = Math.min(maxBlockText, Math.floor(totalText * MAX_BLOCK_SHARE));
+  const removedBlocks = new Set();
+
+  $(BLOCK_SELECTOR).toArray().forEach(element => {
+    // Skip blocks already removed along with an ancestor
+    if (isInside(element, removedBlocks)) return;
+
+    const text = textOf($, $(element));
+    if (!pattern.test(text) || text.length > Math.min(limit, MAX_MATCH_TEXT)) return;
+
+    // Only act on the innermost matching block
+    const innerMatch = $(element).find(BLOCK_SELECTOR).toArray()
+      .some(child => pattern.test(textOf($, $(child))));
+    if (innerMatch) return;
+
+    let target = element;
+    $(element).parents(BLOCK_SELECTOR).toArray().some(parent => {
+      if (textOf($, $(parent)).length > limit || isSection($, parent)) return true;
+      target = parent;
+      return false;
+    });
+
+    $(target).remove();
+    removedBlocks.add(target);
+  });
+
+  return removedBlocks.size;
+}
+
+function isSection($, element) {
+  return $(element).find(HEADING_SELECTOR).length > 0 || $(element).find(PARAGRAPH_SELECTOR).length > 1;
+}
+
+function textOf($, selection) {
+  return selection.text().replace(/\s+/g, ' ').trim();
+}
+
+function isInside(element, blocks) {
+  for (let node = element; node; node = node.parent) {
+    if (blocks.has(node)) return true;
+  }
+  return false;
+}
+
+function toRegExp(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  return new RegExp(String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+}
+
+/**
+ * Throw if a selector can't be parsed, so bad rules are reported when a template loads
+ * @param {string} selector - CSS selector
+ */
+function validateSelector(selector) {
+  try {
+    cheerio.load('<div></div>')(selector);
+  } catch (error) {
+    throw new Error(`Invalid selector "${selector}": ${error.message}`);
+  }
+}
+
+module.exports = {
+  applyRules,
+  validateSelector
+};
@@ -0,0 +1,272 @@
+// utils/image-processor.js
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const jimp = require('jimp');
+
+// Default image handling for e-ink screens
+const DEFAULT_IMAGE_OPTIONS = {
+  maxWidth: 800,          // Wide enough for Paperwhite/Oasis, small enough for email delivery
+  maxHeight: 1200,
+  grayscale: true,
+  quality: 75,            // JPEG quality
+  downloadRemote: true,   // Fetch and cache remote images so they can be optimized too
+  remoteTimeout: 10000,   // ms
+  maxRemoteBytes: 5 * 1024 * 1024
+};
+
+// Remote images are cached here so re-converting the same newsletter is fast
+const REMOTE_CACHE_DIR = path.join(os.tmpdir(), 'kindle-image-cache');
+
+// URL fragments used by open-tracking pixels across common email platforms
+const TRACKING_URL_PATTERNS = [
+  /spacer\.gif/i,
+  /[/._-]pixel[/._?-]/i,
+  /[/._-]beacon[/._?-]/i,
+  /[/._-]track(?:ing)?[/._?-]/i,
+  /[/._-]open(?:ed)?\.(?:gif|png|jpe?g)/i,
+  /\/o\.gif/i,
+  /\/e2t\/o\//i,               // HubSpot
+  /list-manage\.com\/track/i,  // Mailchimp
+  /email\.mg\./i,              // Mailgun
+  /sendgrid\.net\/wf\/open/i,
+  /ct\.sendgrid\.net/i,
+  /\/open\?/i
+];
+
+/**
+ * Collect the inline images of a parsed email, keyed by Content-ID
+ * @param {Array<Object>} attachments - mailparser attachments
+ * @returns {Array<Object>} - Images with cid, contentType, filename and content
+ */
+function collectEmailImages(attachments = []) {
+  return attachments
+    .filter(att => att && att.content && /^image\//i.test(att.contentType || ''))
+    .map(att => ({
+      cid: att.cid || (att.contentId ? att.contentId.replace(/^<|>$/g, '').trim() : null),
+      contentType: att.contentType.toLowerCase(),
+      filename: att.filename || null,
+      content: att.content
+    }));
+}
+
+/**
+ * Check whether an <img> tag looks like a tracking pixel
+ * @param {string} tag - The full <img ...> tag
+ * @returns {boolean} - True if the image should be dropped
+ */
+function isTrackingPixel(tag) {
+  const attr = (name) => {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? (match[1] ?? match[2] ?? match[3]) : null;
+  };
+
+  const width = parseInt(attr('width'), 10);
+  const height = parseInt(attr('height'), 10);
+  if ((!isNaN(width) && width <= 2) || (!isNaN(height) && height <= 2)) {
+    return true;
+  }
+
+  const style = attr('style') || '';
+  if (/(?:^|;)\s*(?:width|height)\s*:\s*[0-2]px/i.test(style) || /display\s*:\s*none/i.test(style)) {
+    return true;
+  }
+
+  const src = attr('src') || '';
+  if (!src || src.startsWith('data:') || src.startsWith('cid:')) {
+    return false;
+  }
+
+  return TRACKING_URL_PATTERNS.some(pattern => pattern.test(src));
+}
+
+/**
+ * Resolve, optimize and localize every image in an HTML fragment
+ * cid: references are resolved against the email's inline images, data: URIs are
+ * decoded and remote images are downloaded (and cached). Every resolved image is
+ * downscaled/grayscaled for e-ink and written to imageDir, and its src rewritten to a
+ * file:// URL so epub-gen packages it as a manifest item. With inline set the images
+ * become data: URIs instead, for HTML rendered straight to PDF.
+ * @param {string} html - HTML content
+ * @param {Object} options - Options
+ * @param {string} options.imageDir - Directory to write optimized images to
+ * @param {boolean} options.inline - Embed images as data: URIs instead of writing files
+ * @param {Array<Object>} options.images - Inline images from collectEmailImages
+ * @param {Object} options.imageOptions - Overrides for DEFAULT_IMAGE_OPTIONS
+ * @returns {Promise<string>} - HTML with localized images
+ */
+async function embedImages(html, options = {}) {
+  if (!html || !/<img\b/i.test(html)) return html || '';
+
+  const settings = { ...DEFAULT_IMAGE_OPTIONS, ...(options.imageOptions || {}) };
+  const imageDir = options.imageDir;
+  if (!imageDir && !options.inline) {
+    throw new Error('embedImages requires an imageDir');
+  }
+  if (imageDir) {
+    fs.mkdirSync(imageDir, { recursive: true });
+  }
+
+  const cidMap = new Map();
+  (options.images || []).forEach(image => {
+    if (image.cid) cidMap.set(image.cid, image);
+  });
+
+  // Process each distinct source once
+  const tags = html.match(/<img\b[^>]*>/gi) || [];
+  const resolved = new Map();
+
+  for (const tag of tags) {
+    const srcMatch = tag.match(/\ssrc\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    const src = srcMatch ? (srcMatch[1] ?? srcMatch[2]) : '';
+    if (!src || resolved.has(src)) continue;
+
+    try {
+      const source = await loadImageSource(src, cidMap, settings);
+      if (!source) {
+        resolved.set(src, src.startsWith('cid:') ? null : src);
+        continue;
+      }
+
+      const optimized = await optimizeImage(source.buffer, settings);
+      if (!optimized) {
+        // Decoded to a tracking-sized image
+        resolved.set(src, null);
+        continue;
+      }
+
+      if (options.inline) {
+        const mimeType = optimized.extension === 'png' ? 'image/png' : 'image/jpeg';
+        resolved.set(src, `data:${mimeType};base64,${optimized.buffer.toString('base64')}`);
+        continue;
+      }
+
+      const hash = crypto.createHash('sha1').update(src).digest('hex').substring(0, 16);
+      const filePath = path.join(imageDir, `img_${hash}.${optimized.extension}`);
+      fs.writeFileSync(filePath, optimized.buffer);
+      resolved.set(src, `file://${filePath}`);
+    } catch (error) {
+      console.warn(`[Image Processor] Could not process image ${src.substring(0, 80)}: ${error.message}`);
+      // Unresolvable cid/data references would break the EPUB, remote URLs are left for epub-gen
+      resolved.set(src, /^https?:/i.test(src) ? src : null);
+    }
+  }
+
+  return html.replace(/<img\b[^>]*>/gi, tag => {
+    const srcMatch = tag.match(/\ssrc\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    const src = srcMatch ? (srcMatch[1] ?? srcMatch[2]) : '';
+    if (!src || !resolved.has(src)) return tag;
+
+    const target = resolved.get(src);
+    if (!target) return '';
+    return tag.replace(srcMatch[0], ` src="${target}"`);
+  });
+}
+
+/**
+ * Load the raw bytes behind an image src
+ * @param {string} src - cid:, data: or http(s) URL
+ * @param {Map} cidMap - Inline images keyed by cid
+ * @param {Object} settings - Image settings
+ * @returns {Promise<{buffer: Buffer}|null>} - Image bytes or null if not resolvable
+ */
+async function loadImageSource(src, cidMap, settings) {
+  if (src.startsWith('cid:')) {
+    const cid = decodeURIComponent(src.slice(4)).replace(/^<|>$/g, '');
+    const image = cidMap.get(cid);
+    return image ? { buffer: image.content } : null;
+  }
+
+  if (src.startsWith('data:')) {
+    const dataMatch = src.match(/^data:([^;,]+)?((?:;[^;,]+)*?),(.*)$/s);
+    if (!dataMatch) return null;
+    const isBase64 = /;base64/i.test(dataMatch[2] || '');
+    const payload = dataMatch[3];
+    return {
+      buffer: isBase64 ? Buffer.from(payload, 'base64') : Buffer.from(decodeURIComponent(payload), 'binary')
+    };
+  }
+
+  if (/^https?:\/\//i.test(src) && settings.downloadRemote) {
+    return { buffer: await fetchRemoteImage(src, settings) };
+  }
+
+  return null;
+}
+
+/**
+ * Download a remote image, using the on-disk cache when possible
+ * @param {string} url - Image URL
+ * @param {Object} settings - Image settings
+ * @returns {Promise<Buffer>} - Image bytes
+ */
+async function fetchRemoteImage(url, settings) {
+  const cacheKey = crypto.createHash('sha1').update(url).digest('hex');
+  const cachePath = path.join(REMOTE_CACHE_DIR, cacheKey);
+
+  if (fs.existsSync(cachePath)) {
+    return fs.readFileSync(cachePath);
+  }
+
+  const fetch = require('node-fetch');
+  const response = await fetch(url, {
+    timeout: settings.remoteTimeout,
+    size: settings.maxRemoteBytes,
+    headers: { 'User-Agent': 'Mozilla/5.0 (Kindle Newsletter Formatter)' }
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const buffer = await response.buffer();
+
+  try {
+    fs.mkdirSync(REMOTE_CACHE_DIR, { recursive: true });
+    fs.writeFileSync(cachePath, buffer);
+  } catch (cacheError) {
+    console.warn(`[Image Processor] Could not cache remote image: ${cacheError.message}`);
+  }
+
+  return buffer;
+}
+
+/**
+ * Downscale and grayscale an image for e-ink screens
+ * @param {Buffer} buffer - Original image bytes
+ * @param {Object} settings - Image settings
+ * @returns {Promise<{buffer: Buffer, extension: string}|null>} - Optimized image, or null for tracking-sized images
+ */
+async function optimizeImage(buffer, settings = DEFAULT_IMAGE_OPTIONS) {
+  const image = await jimp.read(buffer);
+  const { width, height } = image.bitmap;
+
+  if (width <= 2 && height <= 2) {
+    return null;
+  }
+
+  if (width > settings.maxWidth || height > settings.maxHeight) {
+    image.scaleToFit(settings.maxWidth, settings.maxHeight);
+  }
+
+  if (settings.grayscale) {
+    image.greyscale();
+  }
+
+  // Keep PNG for images with transparency (logos, diagrams), JPEG for everything else
+  if (image.hasAlpha()) {
+    return { buffer: await image.getBufferAsync(jimp.MIME_PNG), extension: 'png' };
+  }
+
+  image.quality(settings.quality);
+  return { buffer: await image.getBufferAsync(jimp.MIME_JPEG), extension: 'jpg' };
+}
+
+module.exports = {
+  DEFAULT_IMAGE_OPTIONS,
+  collectEmailImages,
+  isTrackingPixel,
+  embedImages,
+  optimizeImage
+};
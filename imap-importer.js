@@ -0,0 +1,395 @@
+// utils/imap-importer.js
+// Fetches newsletters from an IMAP mailbox into .eml files for the EML pipeline, then marks or moves them
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { ImapFlow } = require('imapflow');
+const { normalizeFilters, matchesFilters } = require('./mailbox-importer');
+const { SecretConfig } = require('./secret-config');
+
+const CONFIG_FILE = 'imap-mailbox.json';
+// Fetched messages stay here, one folder per import, so library entries made from them can be re-converted
+const MESSAGES_DIR = 'imap-messages';
+
+const DEFAULT_CONFIG = {
+  host: '',
+  port: 993,
+  security: 'tls', // 'tls' (implicit, usually port 993), 'starttls' (usually port 143) or 'none'
+  user: '',
+  pass: '',
+  allowSelfSigned: false,
+  folders: ['INBOX'], // Gmail shows labels as folders, so a label works here too
+  afterConversion: 'none', // 'none', 'read' (set \Seen) or 'move' (to moveTo)
+  moveTo: '',
+  maxMessages: 50
+};
+
+const SECURITY_MODES = ['tls', 'starttls', 'none'];
+const AFTER_CONVERSION = ['none', 'read', 'move'];
+const MAX_MESSAGES_LIMIT = 500;
+
+class ImapImporter extends SecretConfig {
+  constructor() {
+    super({
+      file: CONFIG_FILE,
+      defaults: DEFAULT_CONFIG,
+      logLabel: 'IMAP Importer',
+      notSetUp: 'The IMAP mailbox is not set up',
+      normalize: normalizeConfig,
+      validate: validateConfig,
+      describe: config => `${config.user}@${config.host}:${config.port}, ${config.security}, folders ${config.folders.join(', ')}`
+    });
+    this.messagesDir = null;
+  }
+
+  /**
+   * Load the saved mailbox settings
+   * @param {string} dataDir - Directory for the config file and fetched messages (the app's userData)
+   * @param {Object} secretStore - Optional Electron safeStorage (or compatible) to encrypt the password at rest
+   */
+  init(dataDir, secretStore = null) {
+    super.init(dataDir, secretStore);
+    this.messagesDir = path.join(dataDir, MESSAGES_DIR);
+  }
+
+  /**
+   * Log in and list the folders, without fetching anything
+   * @param {Object} overrides - Unsaved settings to try instead of the saved ones
+   * @returns {Promise<{success: boolean, folders: Array<string>, missing: Array<string>}>} - Folder paths to pick from, and configured folders the server lacks
+   */
+  async testConnection(overrides = {}) {
+    const config = this.resolveConfig(overrides);
+    const client = createClient(config);
+    try {
+      await client.connect();
+      const folders = (await client.list()).map(folder => folder.path);
+      console.log(`[IMAP Importer] Connected to ${config.host}:${config.port}, ${folders.length} folder(s)`);
+
+      const missing = config.folders.filter(folder => !folders.some(candidate => candidate.toLowerCase() === folder.toLowerCase()));
+      return { success: true, folders, missing };
+    } catch (error) {
+      throw new Error(`Could not connect to ${config.host}: ${describeError(error)}`);
+    } finally {
+      await closeClient(client);
+    }
+  }
+
+  /**
+   * Download the messages in the configured folders that match the filters
+   * The folders are opened read-only, so nothing changes on the server until finishMessages
+   * @param {Object} filters - from, listId, since and until as for mbox imports, plus unread (only messages not yet read)
+   * @returns {Promise<Object>} - { messages, scanned, importDir, cleanup }, messages sorted oldest first;
+   *   each has the path of its .eml file plus subject, from, listId, date, folder, uid and uidValidity.
+   *   The files are kept for re-converting; call cleanup() when the import made no book
+   */
+  async fetchMessages(filters = {}) {
+    const config = this.resolveConfig();
+    const criteria = normalizeFilters(filters);
+    const query = searchQuery(criteria, Boolean(filters.unread));
+    const baseDir = this.messagesDir || os.tmpdir();
+    fs.mkdirSync(baseDir, { recursive: true });
+    const importDir = fs.mkdtempSync(path.join(baseDir, `import-${new Date().toISOString().slice(0, 10)}-`));
+    const messages = [];
+    let scanned = 0;
+
+    const cleanup = () => {
+      try {
+        fs.rmSync(importDir, { recursive: true, force: true });
+      } catch (error) {
+        console.warn(`[IMAP Importer] Could not remove ${importDir}: ${error.message}`);
+      }
+    };
+
+    const client = createClient(config);
+    try {
+      await client.connect();
+
+      for (const folder of config.folders) {
+        const room = config.maxMessages - messages.length;
+        if (room <= 0) {
+          console.warn(`[IMAP Importer] Stopped at ${config.maxMessages} message(s); the rest wait for the next import`);
+          break;
+        }
+
+        const lock = await openFolder(client, folder, true);
+        try {
+          const uidValidity = String(client.mailbox.uidValidity);
+          const uids = (await client.search(query, { uid: true })) || [];
+          scanned += uids.length;
+          if (uids.length === 0) continue;
+
+          // The newest messages win when there are more than the limit
+          const wanted = uids.sort((a, b) => a - b).slice(-room);
+          console.log(`[IMAP Importer] ${folder}: ${uids.length} message(s) found, fetching ${wanted.length}`);
+
+          for await (const message of client.fetch(wanted, { uid: true, envelope: true, internalDate: true, source: true, headers: ['list-id'] }, { uid: true })) {
+            const envelope = message.envelope || {};
+            const date = envelope.date ? new Date(envelope.date) : message.internalDate ? new Date(message.internalDate) : null;
+            const summary = {
+              subject: envelope.subject || '',
+              from: (envelope.from || []).map(address => address.name ? `${address.name} <${address.address}>` : address.address || '').join(', '),
+              listId: headerValue(message.headers),
+              date: date && !isNaN(date.getTime()) ? date : null,
+              folder,
+              uid: message.uid,
+              uidValidity,
+              source: `imap://${config.host}/${folder}`
+            };
+
+            // The server's search is coarse (dates are whole days, matching rules vary), so check again here
+            if (!message.source || !matchesFilters(summary, criteria)) continue;
+
+            summary.path = path.join(importDir, `${String(messages.length + 1).padStart(5, '0')}.eml`);
+            fs.writeFileSync(summary.path, message.source);
+            messages.push(summary);
+          }
+        } finally {
+          lock.release();
+        }
+      }
+    } catch (error) {
+      cleanup();
+      throw new Error(`Could not read ${config.host}: ${describeError(error)}`);
+    } finally {
+      await closeClient(client);
+    }
+
+    // Digests read oldest to newest; undated messages go last
+    messages.sort((a, b) => (a.date ? a.date.getTime() : Infinity) - (b.date ? b.date.getTime() : Infinity));
+
+    console.log(`[IMAP Importer] ${messages.length} of ${scanned} message(s) matched the filters`);
+    return { messages, scanned, importDir, cleanup };
+  }
+
+  /**
+   * Mark converted messages read, or move them, as the settings ask
+   * @param {Array<Object>} messages - Messages from fetchMessages
+   * @returns {Promise<{updated: number, action: string}>} - How many messages were changed, and how
+   */
+  async finishMessages(messages) {
+    const config = this.config;
+    if (config.afterConversion === 'none' || messages.length === 0) {
+      return { updated: 0, action: 'none' };
+    }
+
+    const byFolder = new Map();
+    messages.forEach(message => {
+      byFolder.set(message.folder, [...(byFolder.get(message.folder) || []), message]);
+    });
+
+    const client = createClient(this.resolveConfig());
+    let updated = 0;
+    try {
+      await client.connect();
+
+      for (const [folder, folderMessages] of byFolder) {
+        const lock = await openFolder(client, folder, false);
+        try {
+          // UIDs only point at the same messages while the folder's UIDVALIDITY is unchanged
+          if (String(client.mailbox.uidValidity) !== folderMessages[0].uidValidity) {
+            console.warn(`[IMAP Importer] ${folder} was rebuilt on the server since the import; leaving its messages alone`);
+            continue;
+          }
+
+          const uids = folderMessages.map(message => message.uid);
+          if (config.afterConversion === 'read') {
+            await client.messageFlagsAdd(uids, ['\\Seen'], { uid: true });
+          } else {
+            await client.messageMove(uids, config.moveTo, { uid: true });
+          }
+          updated += uids.length;
+        } finally {
+          lock.release();
+        }
+      }
+    } catch (error) {
+      throw new Error(`Could not update messages on ${config.host}: ${describeError(error)}`);
+    } finally {
+      await closeClient(client);
+    }
+
+    console.log(`[IMAP Importer] ${config.afterConversion === 'read' ? 'Marked' : 'Moved'} ${updated} message(s)${config.afterConversion === 'move' ? ` to ${config.moveTo}` : ' as read'}`);
+    return { updated, action: config.afterConversion };
+  }
+
+  /**
+   * Delete kept messages once no library entry needs them
+   * Only files inside the messages folder are touched, so other sources passed in are ignored
+   * @param {Array<string>} paths - Message files, e.g. the sources of a removed library entry
+   * @returns {number} - How many files were deleted
+   */
+  discardMessages(paths) {
+    if (!this.messagesDir) return 0;
+
+    let deleted = 0;
+    paths.forEach(filePath => {
+      const relative = path.relative(this.messagesDir, filePath);
+      if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return;
+
+      try {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+          deleted++;
+        }
+        // An import's folder goes with its last message
+        const importDir = path.dirname(filePath);
+        if (importDir !== this.messagesDir && fs.existsSync(importDir) && fs.readdirSync(importDir).length === 0) {
+          fs.rmdirSync(importDir);
+        }
+      } catch (error) {
+        console.warn(`[IMAP Importer] Could not remove ${filePath}: ${error.message}`);
+      }
+    });
+
+    if (deleted > 0) {
+      console.log(`[IMAP Importer] Deleted ${deleted} kept message(s)`);
+    }
+    return deleted;
+  }
+}
+
+// Form fields arrive as strings; folders may be an array or comma/line separated text
+function normalizeConfig(config) {
+  const folders = Array.isArray(config.folders) ? config.folders : String(config.folders || '').split(/[,\n]/);
+  return {
+    ...config,
+    host: String(config.host || '').trim(),
+    port: Number(config.port) || DEFAULT_CONFIG.port,
+    user: String(config.user || '').trim(),
+    allowSelfSigned: Boolean(config.allowSelfSigned),
+    folders: folders.map(folder => String(folder).trim()).filter(Boolean),
+    moveTo: String(config.moveTo || '').trim(),
+    maxMessages: Number(config.maxMessages) || DEFAULT_CONFIG.maxMessages
+  };
+}
+
+/**
+ * List what is missing or wrong in a mailbox configuration
+ * @param {Object} config - Mailbox settings
+ * @returns {Array<string>} - Human-readable problems, empty when usable
+ */
+function validateConfig(config) {
+  const errors = [];
+  if (!config.host) {
+    errors.push('IMAP server is required');
+  }
+  const port = Number(config.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    errors.push('IMAP port must be between 1 and 65535');
+  }
+  if (!SECURITY_MODES.includes(config.security)) {
+    errors.push(`Security must be one of: ${SECURITY_MODES.join(', ')}`);
+  }
+  if (!config.user || !config.pass) {
+    errors.push('Username and password are required');
+  }
+  if (!config.folders || config.folders.length === 0) {
+    errors.push('Choose at least one folder to read');
+  }
+  if (!AFTER_CONVERSION.includes(config.afterConversion)) {
+    errors.push(`After conversion must be one of: ${AFTER_CONVERSION.join(', ')}`);
+  }
+  if (config.afterConversion === 'move' && !config.moveTo) {
+    errors.push('Choose the folder converted messages are moved to');
+  }
+  if (config.afterConversion === 'move' && config.folders.includes(config.moveTo)) {
+    errors.push('Converted messages must move to a folder that is not read from');
+  }
+  const maxMessages = Number(config.maxMessages);
+  if (!Number.isInteger(maxMessages) || maxMessages < 1 || maxMessages > MAX_MESSAGES_LIMIT) {
+    errors.push(`Messages per import must be between 1 and ${MAX_MESSAGES_LIMIT}`);
+  }
+  return errors;
+}
+
+/**
+ * Narrow the search on the server; matchesFilters makes the final call
+ * Several senders or List-Ids become an OR; with both, only the senders are searched on the server
+ */
+function searchQuery(criteria, unreadOnly) {
+  const query = {};
+  if (unreadOnly) {
+    query.seen = false;
+  }
+  if (criteria.since) {
+    query.since = criteria.since;
+  }
+  if (criteria.until) {
+    // BEFORE compares whole days and excludes the day itself
+    query.before = new Date(criteria.until.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  const anyOf = (conditions) => {
+    if (conditions.length === 1) {
+      Object.assign(query, conditions[0]);
+    } else if (conditions.length > 1) {
+      query.or = conditions;
+    }
+  };
+  if (criteria.from.length > 0) {
+    anyOf(criteria.from.map(from => ({ from })));
+  } else if (criteria.listId.length > 0) {
+    anyOf(criteria.listId.map(listId => ({ header: { 'list-id': listId } })));
+  }
+
+  // An empty query would be rejected; ALL is the IMAP way to ask for everything
+  return Object.keys(query).length > 0 ? query : { all: true };
+}
+
+async function openFolder(client, folder, readOnly) {
+  try {
+    return await client.getMailboxLock(folder, { readOnly });
+  } catch (error) {
+    // Not every server sends the NONEXISTENT response code, so check the folder list too
+    const folders = error.mailboxMissing ? [] : await client.list().catch(() => null);
+    if (folders && !folders.some(candidate => candidate.path.toLowerCase() === folder.toLowerCase())) {
+      throw new Error(`Folder "${folder}" does not exist`);
+    }
+    throw error;
+  }
+}
+
+function createClient(config) {
+  return new ImapFlow({
+    host: config.host,
+    port: Number(config.port),
+    secure: config.security === 'tls',
+    doSTARTTLS: config.security === 'starttls' ? true : config.security === 'none' ? false : undefined,
+    auth: { user: config.user, pass: config.pass },
+    tls: config.allowSelfSigned ? { rejectUnauthorized: false } : undefined,
+    logger: false,
+    connectionTimeout: 30000,
+    greetingTimeout: 15000,
+    socketTimeout: 60000
+  });
+}
+
+async function closeClient(client) {
+  try {
+    if (client.usable) {
+      await client.logout();
+    } else {
+      client.close();
+    }
+  } catch (error) {
+    // Already gone
+  }
+}
+
+// "List-Id: Weekly <weekly.example.com>" from the raw header lines
+function headerValue(headers) {
+  if (!headers) return '';
+  const text = headers.toString('utf8').replace(/\r?\n[ \t]+/g, ' ');
+  const match = /^list-id:\s*(.*)$/im.exec(text);
+  return match ? match[1].trim() : '';
+}
+
+// IMAP errors keep the server's reason in responseText
+function describeError(error) {
+  if (error.authenticationFailed) {
+    return 'the username or password was not accepted';
+  }
+  return error.responseText || error.message;
+}
+
+module.exports = new ImapImporter();
@@ -0,0 +1,840 @@
+// utils/kf8-reader.js
+const path = require('path');
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const { serializeXhtml } = require('./html-pipeline');
+
+/*
+ * Pure JavaScript MOBI/KF8 reader
+ *
+ * The counterpart of kf8-writer.js: reads a Kindle book back into its files
+ * so AZW3 and MOBI inputs go through the same pipeline as EPUBs.
+ *
+ *   KF8 (AZW3, and the KF8 half of joint MOBI files)
+ *                       the skeleton and fragment tables rebuild the original
+ *                       XHTML files, FDST flows hold the stylesheets
+ *   MOBI 6              one HTML flow, split into files at its page breaks;
+ *                       filepos links become anchors, recindex images files
+ *
+ * Text may be uncompressed, PalmDOC or HUFF/CDIC compressed. Books with DRM
+ * are refused.
+ */
+
+const NULL_INDEX = 0xffffffff;
+const COMPRESSION_NONE = 1;
+const COMPRESSION_PALMDOC = 2;
+const COMPRESSION_HUFFCDIC = 17480;
+const MAX_INDEX_DEPTH = 20;
+
+// EXTH record types
+const EXTH_AUTHOR = 100;
+const EXTH_PUBLISHER = 101;
+const EXTH_DESCRIPTION = 103;
+const EXTH_ISBN = 104;
+const EXTH_DATE = 106;
+const EXTH_ASIN = 113;
+const EXTH_KF8_BOUNDARY = 121;
+const EXTH_COVER_OFFSET = 201;
+const EXTH_TITLE = 503;
+const EXTH_LANGUAGE = 524;
+
+const IMAGE_SIGNATURES = [
+  [Buffer.from([0xff, 0xd8, 0xff]), 'image/jpeg', 'jpg'],
+  [Buffer.from('\x89PNG', 'latin1'), 'image/png', 'png'],
+  [Buffer.from('GIF8', 'latin1'), 'image/gif', 'gif'],
+  [Buffer.from('BM', 'latin1'), 'image/bmp', 'bmp']
+];
+
+const FLOW_TYPES = {
+  'text/css': ['styles', 'css'],
+  'image/svg+xml': ['images', 'svg']
+};
+
+/**
+ * Whether a buffer holds a MOBI/AZW3 book (a PalmDB of type BOOKMOBI)
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean}
+ */
+function isKindleBook(buffer) {
+  return buffer.length > 78 && buffer.toString('latin1', 60, 68) === 'BOOKMOBI';
+}
+
+/**
+ * Read a MOBI or AZW3 book into its files
+ * Paths are relative to the book root: text/partNNNN.xhtml, styles/, images/ and fonts/
+ * @param {Buffer} buffer - Contents of the .azw3/.mobi file
+ * @returns {Object} - { metadata, items: [{ path, mediaType, data }], spine (paths), toc: [{ label, href, children }], cover (path or null) }
+ */
+function readKindleBook(buffer) {
+  if (!isKindleBook(buffer)) {
+    throw new Error('Not a Kindle book: missing the BOOKMOBI header');
+  }
+
+  const records = readPalmDatabase(buffer);
+  const header = readHeader(records[0]);
+  if (header.encryption !== 0) {
+    throw new Error('This book is protected by DRM and cannot be converted');
+  }
+
+  // Joint files carry an older MOBI 6 copy first and the KF8 book after the boundary
+  const boundary = exthNumber(header.exth, EXTH_KF8_BOUNDARY);
+  let kf8 = header.version >= 8 ? { header, start: 0 } : null;
+  if (!kf8 && boundary !== null && boundary < records.length) {
+    kf8 = { header: readHeader(records[boundary]), start: boundary };
+  }
+
+  const metadata = readMetadata(kf8 ? kf8.header : header);
+  // Joint files share their images, which are numbered from the MOBI 6 header's first resource
+  const resources = readResources(records, header.firstResource);
+
+  const book = kf8
+    ? readKf8(records, kf8.header, kf8.start, resources)
+    : readMobi6(records, header, resources);
+
+  const coverOffset = exthNumber(header.exth, EXTH_COVER_OFFSET);
+  const cover = coverOffset !== null && resources.get(coverOffset + 1);
+  const items = [...book.items, ...Array.from(new Set(resources.values())).filter(resource => resource.used || resource === cover)];
+
+  console.log(`[KF8 Reader] Read ${kf8 ? 'KF8' : 'MOBI 6'} book "${metadata.title}" (${book.spine.length} files, ${items.length - book.items.length} resources)`);
+  return {
+    metadata,
+    items: items.map(({ path: itemPath, mediaType, data }) => ({ path: itemPath, mediaType, data })),
+    spine: book.spine,
+    toc: book.toc,
+    cover: cover && cover.mediaType.startsWith('image/') ? cover.path : null
+  };
+}
+
+/**
+ * Split a Palm database into its records
+ * @param {Buffer} buffer - The whole file
+ * @returns {Array<Buffer>} - Record contents, in order
+ */
+function readPalmDatabase(buffer) {
+  const count = buffer.readUInt16BE(76);
+  const offsets = [];
+  for (let i = 0; i < count; i++) {
+    offsets.push(buffer.readUInt32BE(78 + i * 8));
+  }
+  return offsets.map((offset, i) => buffer.subarray(offset, i + 1 < count ? offsets[i + 1] : buffer.length));
+}
+
+/**
+ * Read record 0 of a book (or of the KF8 half of a joint file): PalmDOC header, MOBI header and EXTH
+ * @param {Buffer} record - The header record
+ * @returns {Object} - Compression, text geometry, encoding, record indices and EXTH records
+ */
+function readHeader(record) {
+  if (record.toString('latin1', 16, 20) !== 'MOBI') {
+    throw new Error('Not a Kindle book: missing the MOBI header');
+  }
+
+  const headerLength = record.readUInt32BE(20);
+  const field = offset => (offset + 4 <= 16 + headerLength && offset + 4 <= record.length ? record.readUInt32BE(offset) : NULL_INDEX);
+  const version = field(36);
+  const encoding = field(28) === 65001 ? 'utf-8' : 'windows-1252';
+
+  const titleOffset = field(84);
+  const titleLength = field(88);
+  const fullTitle = titleOffset !== NULL_INDEX && titleOffset + titleLength <= record.length
+    ? decodeText(record.subarray(titleOffset, titleOffset + titleLength), encoding)
+    : '';
+
+  return {
+    compression: record.readUInt16BE(0),
+    textLength: record.readUInt32BE(4),
+    textRecordCount: record.readUInt16BE(8),
+    encryption: record.readUInt16BE(12),
+    version,
+    encoding,
+    fullTitle,
+    firstResource: field(108),
+    huffRecord: field(112),
+    huffRecordCount: field(116),
+    exth: field(128) & 0x40 ? readExth(record, 16 + headerLength) : new Map(),
+    // Trailing entries each text record carries after its data
+    extraFlags: headerLength >= 0xe4 && version >= 5 ? record.readUInt16BE(242) : 0,
+    ncxIndex: field(244),
+    // KF8 only
+    fdstRecord: version >= 8 ? field(192) : NULL_INDEX,
+    chunkIndex: version >= 8 ? field(248) : NULL_INDEX,
+    skelIndex: version >= 8 ? field(252) : NULL_INDEX
+  };
+}
+
+function readExth(record, offset) {
+  const exth = new Map();
+  if (record.toString('latin1', offset, offset + 4) !== 'EXTH') return exth;
+
+  const count = record.readUInt32BE(offset + 8);
+  let position = offset + 12;
+  for (let i = 0; i < count && position + 8 <= record.length; i++) {
+    const type = record.readUInt32BE(position);
+    const size = record.readUInt32BE(position + 4);
+    if (size < 8) break;
+    const data = record.subarray(position + 8, position + size);
+    if (!exth.has(type)) exth.set(type, []);
+    exth.get(type).push(data);
+    position += size;
+  }
+  return exth;
+}
+
+function exthNumber(exth, type) {
+  const data = exth.get(type);
+  if (!data || data[0].length < 4) return null;
+  const value = data[0].readUInt32BE(0);
+  return value === NULL_INDEX ? null : value;
+}
+
+function exthStrings(header, type) {
+  return (header.exth.get(type) || []).map(data => decodeText(data, header.encoding).trim()).filter(Boolean);
+}
+
+function readMetadata(header) {
+  const first = type => exthStrings(header, type)[0] || '';
+  return {
+    title: first(EXTH_TITLE) || header.fullTitle || 'Untitled',
+    author: exthStrings(header, EXTH_AUTHOR).join(', ') || 'Unknown',
+    language: first(EXTH_LANGUAGE) || 'en',
+    publisher: first(EXTH_PUBLISHER),
+    description: first(EXTH_DESCRIPTION),
+    date: first(EXTH_DATE),
+    identifier: first(EXTH_ISBN) || first(EXTH_ASIN)
+  };
+}
+
+function decodeText(buffer, encoding) {
+  return new TextDecoder(encoding).decode(buffer);
+}
+
+/**
+ * Decompress the text flow of a book
+ * @param {Array<Buffer>} records - All records of the file
+ * @param {Object} header - Header of the book part
+ * @param {number} start - Record index of that header
+ * @returns {Buffer} - The raw markup, as bytes
+ */
+function readText(records, header, start) {
+  let decompress;
+  if (header.compression === COMPRESSION_NONE) {
+    decompress = data => data;
+  } else if (header.compression === COMPRESSION_PALMDOC) {
+    decompress = decompressPalmDoc;
+  } else if (header.compression === COMPRESSION_HUFFCDIC) {
+    decompress = createHuffReader(records.slice(start + header.huffRecord, start + header.huffRecord + header.huffRecordCount));
+  } else {
+    throw new Error(`Unsupported text compression ${header.compression}`);
+  }
+
+  const parts = [];
+  for (let i = 1; i <= header.textRecordCount && start + i < records.length; i++) {
+    const record = records[start + i];
+    parts.push(decompress(record.subarray(0, record.length - trailingEntriesSize(record, header.extraFlags))));
+  }
+  const text = Buffer.concat(parts);
+  return text.length > header.textLength ? text.subarray(0, header.textLength) : text;
+}
+
+/**
+ * Size of the entries a text record carries after its data: one backward-encoded
+ * size per flag bit above bit 0, then the overlapping bytes of a multibyte character
+ */
+function trailingEntriesSize(record, flags) {
+  let size = 0;
+  for (let bits = flags >> 1; bits; bits >>= 1) {
+    if (bits & 1) {
+      let value = 0;
+      let shift = 0;
+      for (let position = record.length - size - 1; position >= 0; position--) {
+        const byte = record[position];
+        value |= (byte & 0x7f) << shift;
+        shift += 7;
+        if (byte & 0x80 || shift >= 28) break;
+      }
+      size += value;
+    }
+  }
+  if (flags & 1 && record.length > size) {
+    size += (record[record.length - size - 1] & 0x3) + 1;
+  }
+  return Math.min(size, record.length);
+}
+
+/**
+ * PalmDOC (LZ77 variant) decompression, the inverse of compressPalmDoc in kf8-writer.js
+ */
+function decompressPalmDoc(data) {
+  const out = [];
+  let i = 0;
+  while (i < data.length) {
+    const byte = data[i++];
+    if (byte >= 1 && byte <= 8) {
+      // Literal run
+      for (let j = 0; j < byte && i < data.length; j++) out.push(data[i++]);
+    } else if (byte < 0x80) {
+      out.push(byte);
+    } else if (byte >= 0xc0) {
+      // Space followed by a printable ASCII character
+      out.push(0x20, byte ^ 0x80);
+    } else if (i < data.length) {
+      const code = (byte << 8) | data[i++];
+      const distance = (code >> 3) & 0x7ff;
+      const length = (code & 7) + 3;
+      const from = out.length - distance;
+      if (from < 0) continue;
+      for (let j = 0; j < length; j++) out.push(out[from + j]);
+    }
+  }
+  return Buffer.from(out);
+}
+
+/**
+ * HUFF/CDIC decompression: a canonical Huffman code over a dictionary of phrases,
+ * which may themselves be compressed
+ * @param {Array<Buffer>} records - The HUFF record followed by the CDIC records
+ * @returns {Function} - Decompresses one text record
+ */
+function createHuffReader(records) {
+  const [huff, ...cdics] = records;
+  if (!huff || huff.toString('latin1', 0, 4) !== 'HUFF') {
+    throw new Error('Missing HUFF record for HUFF/CDIC compressed text');
+  }
+
+  const table1Offset = huff.readUInt32BE(8);
+  const table2Offset = huff.readUInt32BE(12);
+  const codeTable = [];
+  for (let i = 0; i < 256; i++) {
+    const value = huff.readUInt32BE(table1Offset + i * 4);
+    const codeLength = value & 0x1f;
+    codeTable.push({
+      codeLength,
+      terminal: (value & 0x80) !== 0,
+      maxCode: ((BigInt(value >>> 8) + 1n) << BigInt(32 - codeLength)) - 1n
+    });
+  }
+  const minCodes = [0n];
+  const maxCodes = [0n];
+  for (let length = 1; length <= 32; length++) {
+    minCodes.push(BigInt(huff.readUInt32BE(table2Offset + (length - 1) * 8)) << BigInt(32 - length));
+    maxCodes.push(((BigInt(huff.readUInt32BE(table2Offset + (length - 1) * 8 + 4)) + 1n) << BigInt(32 - length)) - 1n);
+  }
+
+  const dictionary = [];
+  cdics.forEach(cdic => {
+    if (cdic.toString('latin1', 0, 4) !== 'CDIC') return;
+    const phraseCount = cdic.readUInt32BE(8);
+    const bits = cdic.readUInt32BE(12);
+    const count = Math.min(1 << bits, phraseCount - dictionary.length);
+    for (let i = 0; i < count; i++) {
+      const offset = cdic.readUInt16BE(16 + i * 2);
+      const lengthField = cdic.readUInt16BE(16 + offset);
+      dictionary.push({
+        data: cdic.subarray(18 + offset, 18 + offset + (lengthField & 0x7fff)),
+        decompressed: (lengthField & 0x8000) !== 0
+      });
+    }
+  });
+
+  const unpack = (data, depth = 0) => {
+    if (depth > 32) throw new Error('HUFF/CDIC phrases nest too deeply');
+    const padded = Buffer.concat([data, Buffer.alloc(8)]);
+    let bitsLeft = data.length * 8;
+    let position = 0;
+    let x = padded.readBigUInt64BE(0);
+    let n = 32;
+    const out = [];
+
+    for (;;) {
+      if (n <= 0) {
+        position += 4;
+        x = padded.readBigUInt64BE(position);
+        n += 32;
+      }
+      const code = (x >> BigInt(n)) & 0xffffffffn;
+      let { codeLength, terminal, maxCode } = codeTable[Number(code >> 24n)];
+      if (!terminal) {
+        while (codeLength < 32 && code < minCodes[codeLength]) codeLength++;
+        maxCode = maxCodes[codeLength];
+      }
+      n -= codeLength;
+      bitsLeft -= codeLength;
+      if (bitsLeft < 0 || codeLength === 0) break;
+
+      const phrase = dictionary[Number((maxCode - code) >> BigInt(32 - codeLength))];
+      if (!phrase) break;
+      if (!phrase.decompressed) {
+        phrase.data = unpack(phrase.data, depth + 1);
+        phrase.decompressed = true;
+      }
+      out.push(phrase.data);
+    }
+    return Buffer.concat(out);
+  };
+
+  return data => unpack(data);
+}
+
+/**
+ * Read an INDX index: header record, entry records and CNCX string records
+ * @param {Array<Buffer>} records - All records of the file
+ * @param {number} first - Record index of the index header
+ * @returns {{entries: Array<{text: string, tags: Object}>, cncx: Function}} - Entries with their tag values, and a string table lookup
+ */
+function readIndex(records, first) {
+  const header = records[first];
+  if (!header || header.toString('latin1', 0, 4) !== 'INDX') {
+    return { entries: [], cncx: () => '' };
+  }
+
+  const entryRecordCount = header.readUInt32BE(24);
+  const cncxCount = header.readUInt32BE(52);
+  const tagxOffset = header.readUInt32BE(180) || header.readUInt32BE(4);
+  const tagTable = [];
+  let controlByteCount = 1;
+  if (header.toString('latin1', tagxOffset, tagxOffset + 4) === 'TAGX') {
+    const tagxLength = header.readUInt32BE(tagxOffset + 4);
+    controlByteCount = header.readUInt32BE(tagxOffset + 8);
+    for (let offset = tagxOffset + 12; offset + 4 <= tagxOffset + tagxLength; offset += 4) {
+      tagTable.push({
+        tag: header[offset],
+        valuesPerEntry: header[offset + 1],
+        mask: header[offset + 2],
+        endFlag: header[offset + 3]
+      });
+    }
+  }
+
+  const entries = [];
+  for (let r = 1; r <= entryRecordCount; r++) {
+    const record = records[first + r];
+    if (!record || record.toString('latin1', 0, 4) !== 'INDX') continue;
+    const idxtOffset = record.readUInt32BE(20);
+    const count = record.readUInt32BE(24);
+    const offsets = [];
+    for (let i = 0; i < count; i++) {
+      offsets.push(record.readUInt16BE(idxtOffset + 4 + i * 2));
+    }
+    offsets.forEach((offset, i) => {
+      const end = i + 1 < offsets.length ? offsets[i + 1] : idxtOffset;
+      const textLength = record[offset];
+      const text = record.toString('latin1', offset + 1, offset + 1 + textLength);
+      entries.push({ text, tags: readTags(record.subarray(offset + 1 + textLength, end), tagTable, controlByteCount) });
+    });
+  }
+
+  const cncxRecords = records.slice(first + 1 + entryRecordCount, first + 1 + entryRecordCount + cncxCount);
+  const encoding = header.readUInt32BE(28) === 1252 ? 'windows-1252' : 'utf-8';
+  const cncx = offset => {
+    const record = cncxRecords[Math.floor(offset / 0x10000)];
+    if (!record) return '';
+    const [length, consumed] = readVarint(record, offset % 0x10000);
+    const start = (offset % 0x10000) + consumed;
+    return decodeText(record.subarray(start, start + length), encoding);
+  };
+
+  return { entries, cncx };
+}
+
+/**
+ * Decode the tag values of one index entry; the control bytes say which tags are present and how many values they have
+ */
+function readTags(data, tagTable, controlByteCount) {
+  const tags = {};
+  let controlIndex = 0;
+  let position = controlByteCount;
+  const present = [];
+
+  tagTable.forEach(({ tag, valuesPerEntry, mask, endFlag }) => {
+    if (endFlag === 1) {
+      controlIndex++;
+      return;
+    }
+    let value = data[controlIndex] & mask;
+    if (value === 0) return;
+    if (value === mask && bitCount(mask) > 1) {
+      // A byte count of variable width values follows
+      const [byteCount, consumed] = readVarint(data, position);
+      position += consumed;
+      present.push({ tag, byteCount });
+    } else {
+      let shiftedMask = mask;
+      while ((shiftedMask & 1) === 0) {
+        shiftedMask >>= 1;
+        value >>= 1;
+      }
+      present.push({ tag, valueCount: value * valuesPerEntry });
+    }
+  });
+
+  present.forEach(({ tag, valueCount, byteCount }) => {
+    const values = [];
+    if (valueCount !== undefined) {
+      for (let i = 0; i < valueCount && position < data.length; i++) {
+        const [value, consumed] = readVarint(data, position);
+        values.push(value);
+        position += consumed;
+      }
+    } else {
+      const end = position + byteCount;
+      while (position < end && position < data.length) {
+        const [value, consumed] = readVarint(data, position);
+        values.push(value);
+        position += consumed;
+      }
+    }
+    tags[tag] = values;
+  });
+
+  return tags;
+}
+
+/**
+ * Forward variable width integer: 7 bits per byte, high bit set on the last byte
+ * @returns {Array<number>} - [value, bytes consumed]
+ */
+function readVarint(buffer, offset) {
+  let value = 0;
+  let consumed = 0;
+  while (offset + consumed < buffer.length && consumed < 5) {
+    const byte = buffer[offset + consumed++];
+    value = value * 128 + (byte & 0x7f);
+    if (byte & 0x80) break;
+  }
+  return [value, consumed];
+}
+
+function bitCount(value) {
+  let count = 0;
+  for (let bits = value; bits; bits >>= 1) count += bits & 1;
+  return count;
+}
+
+/**
+ * The table of contents from an NCX index, as a tree of entries with a target found by locate()
+ * @param {Object} index - From readIndex
+ * @param {Function} locate - Maps an entry's tags to an href, or null
+ * @returns {Array<Object>} - Entries with label, href and children
+ */
+function readNcx(index, locate) {
+  const nodes = index.entries.map(entry => ({
+    label: entry.tags[3] ? index.cncx(entry.tags[3][0]).trim() : '',
+    href: locate(entry.tags),
+    position: entry.tags[1] ? entry.tags[1][0] : 0,
+    parent: entry.tags[21] ? entry.tags[21][0] : null,
+    children: []
+  }));
+
+  const root = [];
+  nodes.forEach((node, i) => {
+    const parent = node.parent !== null && node.parent !== i ? nodes[node.parent] : null;
+    (parent ? parent.children : root).push(node);
+  });
+
+  const finish = (entries, depth) => entries
+    .sort((a, b) => a.position - b.position)
+    .map(node => ({ label: node.label, href: node.href, children: depth < MAX_INDEX_DEPTH ? finish(node.children, depth + 1) : [] }));
+  return finish(root, 0);
+}
+
+/**
+ * The resources of a book by their 1-based number, as kindle:embed and recindex refer to them
+ * Images and fonts become files; other records (indices, RESC, FLIS...) keep their number but no file
+ * @returns {Map<number, Object>} - { path, mediaType, data, used }
+ */
+function readResources(records, firstResource) {
+  const resources = new Map();
+  if (firstResource === NULL_INDEX) return resources;
+
+  for (let i = firstResource; i < records.length; i++) {
+    const record = records[i];
+    const number = i - firstResource + 1;
+    const signature = record.toString('latin1', 0, 4);
+    if (signature === 'BOUN' || record.equals(Buffer.from([0xe9, 0x8e, 0x0d, 0x0a]))) break;
+
+    const image = IMAGE_SIGNATURES.find(([magic]) => record.subarray(0, magic.length).equals(magic));
+    if (image) {
+      resources.set(number, {
+        path: `images/image${String(number).padStart(5, '0')}.${image[2]}`,
+        mediaType: image[1],
+        data: record,
+        used: false
+      });
+    } else if (signature === 'FONT') {
+      const font = readFont(record);
+      if (font) {
+        resources.set(number, { path: `fonts/font${String(number).padStart(5, '0')}.${font.extension}`, ...font, used: false });
+      }
+    }
+  }
+  return resources;
+}
+
+/**
+ * Embedded fonts are stored zlib-compressed, their start optionally XOR-obfuscated
+ */
+function readFont(record) {
+  try {
+    const flags = record.readUInt32BE(8);
+    const dataStart = record.readUInt32BE(12);
+    const keyLength = record.readUInt32BE(16);
+    const keyStart = record.readUInt32BE(20);
+    let data = Buffer.from(record.subarray(dataStart));
+
+    if (flags & 0b10 && keyLength > 0) {
+      const key = record.subarray(keyStart, keyStart + keyLength);
+      const end = Math.min(1040, data.length);
+      for (let i = 0; i < end; i++) data[i] ^= key[i % keyLength];
+    }
+    if (flags & 0b1) {
+      data = zlib.inflateSync(data);
+    }
+
+    const isOpenType = data.toString('latin1', 0, 4) === 'OTTO';
+    return { data, mediaType: isOpenType ? 'font/otf' : 'font/ttf', extension: isOpenType ? 'otf' : 'ttf' };
+  } catch (error) {
+    console.warn(`[KF8 Reader] Skipping unreadable font: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Point kindle:embed (KF8) and recindex (MOBI 6) references in markup at the resource files
+ * @param {string} markup - XHTML or CSS
+ * @param {Map} resources - From readResources
+ * @param {string} prefix - Path from the markup's directory to the book root
+ */
+function linkResources(markup, resources, prefix) {
+  const target = number => {
+    const resource = resources.get(number);
+    if (!resource) return null;
+    resource.used = true;
+    return prefix + resource.path;
+  };
+
+  return markup
+    .replace(/kindle:embed:([0-9A-V]{4})(?:\?mime=[\w/+.-]+)?/g, (match, base32) => target(parseInt(base32, 32)) || match)
+    .replace(/<img\b[^>]*>/gi, tag => {
+      const recindex = tag.match(/\srecindex\s*=\s*["']?0*(\d+)["']?/i);
+      if (!recindex) return tag;
+      const src = target(parseInt(recindex[1], 10));
+      const cleaned = tag.replace(recindex[0], '').replace(/\ssrc\s*=\s*(?:"[^"]*"|'[^']*')/i, '');
+      return src ? cleaned.replace(/^<img\b/i, `<img src="${src}"`) : '';
+    });
+}
+
+/**
+ * Rebuild the XHTML files of a KF8 book from its skeletons and fragments
+ */
+function readKf8(records, header, start, resources) {
+  const rawMarkup = readText(records, header, start);
+
+  // Flow 0 is the text; later flows are stylesheets and SVG images referenced by kindle:flow
+  let flows = [[0, rawMarkup.length]];
+  const fdst = header.fdstRecord !== NULL_INDEX ? records[start + header.fdstRecord] : null;
+  if (fdst && fdst.toString('latin1', 0, 4) === 'FDST') {
+    const count = fdst.readUInt32BE(8);
+    flows = [];
+    for (let i = 0; i < count; i++) {
+      flows.push([fdst.readUInt32BE(12 + i * 8), fdst.readUInt32BE(16 + i * 8)]);
+    }
+  }
+  const text = rawMarkup.subarray(flows[0][0], flows[0][1]);
+
+  const skelIndex = header.skelIndex !== NULL_INDEX ? readIndex(records, start + header.skelIndex) : { entries: [] };
+  const chunkIndex = header.chunkIndex !== NULL_INDEX ? readIndex(records, start + header.chunkIndex) : { entries: [], cncx: () => '' };
+  const fragments = chunkIndex.entries.map(entry => ({
+    insertPos: parseInt(entry.text, 10),
+    length: entry.tags[6] ? entry.tags[6][1] : 0
+  }));
+
+  // Each skeleton is followed by its fragments in the text; a fragment goes in at its insert position
+  const files = [];
+  let fragmentIndex = 0;
+  skelIndex.entries.forEach((entry, fileNumber) => {
+    const chunkCount = entry.tags[1] ? entry.tags[1][0] : 0;
+    const [skeletonStart, skeletonLength] = entry.tags[6] || [0, 0];
+    let markup = text.subarray(skeletonStart, skeletonStart + skeletonLength);
+    let position = skeletonStart + skeletonLength;
+
+    for (let i = 0; i < chunkCount && fragmentIndex < fragments.length; i++, fragmentIndex++) {
+      const fragment = fragments[fragmentIndex];
+      const insertAt = Math.max(0, Math.min(markup.length, fragment.insertPos - skeletonStart));
+      markup = Buffer.concat([markup.subarray(0, insertAt), text.subarray(position, position + fragment.length), markup.subarray(insertAt)]);
+      position += fragment.length;
+    }
+
+    files.push({
+      path: `text/part${String(fileNumber).padStart(4, '0')}.xhtml`,
+      start: skeletonStart,
+      end: position,
+      markup
+    });
+  });
+
+  if (files.length === 0) {
+    // No skeleton table: the whole flow is one file
+    files.push({ path: 'text/part0000.xhtml', start: 0, end: text.length, markup: text });
+  }
+
+  // A position in the text is a file and the closest id at or before it
+  const hrefAt = position => {
+    const file = files.find(candidate => position >= candidate.start && position < candidate.end) || files[files.length - 1];
+    const id = idBefore(file.markup, position - file.start);
+    return `${file.path}${id ? `#${id}` : ''}`;
+  };
+  const hrefOfFragment = (fid, offset) => (fragments[fid] ? hrefAt(fragments[fid].insertPos + offset) : null);
+
+  const flowFiles = new Map();
+  flows.slice(1).forEach(([flowStart, flowEnd], i) => {
+    const mime = detectFlowType(rawMarkup.subarray(flowStart, Math.min(flowEnd, flowStart + 200)));
+    if (!FLOW_TYPES[mime]) return;
+    const [dir, extension] = FLOW_TYPES[mime];
+    flowFiles.set(i + 1, {
+      path: `${dir}/flow${String(i + 1).padStart(4, '0')}.${extension}`,
+      mediaType: mime,
+      content: rawMarkup.subarray(flowStart, flowEnd).toString('utf8')
+    });
+  });
+
+  const relative = (fromPath, toPath) => path.posix.relative(path.posix.dirname(fromPath), toPath);
+  const items = files.map(file => {
+    let markup = file.markup.toString('utf8')
+      .replace(/kindle:pos:fid:([0-9A-V]{4}):off:([0-9A-V]{10})/g, (match, fid, offset) => {
+        const href = hrefOfFragment(parseInt(fid, 32), parseInt(offset, 32));
+        return href ? relative(file.path, href.split('#')[0]) + (href.includes('#') ? `#${href.split('#')[1]}` : '') : '#';
+      })
+      .replace(/kindle:flow:([0-9A-V]{4})(?:\?mime=[\w/+.-]+)?/g, (match, base32) => {
+        const flow = flowFiles.get(parseInt(base32, 32));
+        return flow ? relative(file.path, flow.path) : match;
+      })
+      .replace(/\s+aid\s*=\s*(?:"[^"]*"|'[^']*')/g, '');
+    markup = linkResources(markup, resources, '../');
+    return { path: file.path, mediaType: 'application/xhtml+xml', data: Buffer.from(markup, 'utf8') };
+  });
+
+  flowFiles.forEach(flow => {
+    items.push({ path: flow.path, mediaType: flow.mediaType, data: Buffer.from(linkResources(flow.content, resources, '../'), 'utf8') });
+  });
+
+  let toc = [];
+  if (header.ncxIndex !== NULL_INDEX) {
+    toc = readNcx(readIndex(records, start + header.ncxIndex), tags => {
+      if (tags[6] && tags[6].length >= 2) return hrefOfFragment(tags[6][0], tags[6][1]);
+      return tags[1] ? hrefAt(tags[1][0]) : null;
+    });
+  }
+
+  return { items, spine: files.map(file => file.path), toc };
+}
+
+function detectFlowType(head) {
+  const start = head.toString('utf8').trimStart();
+  if (/^(?:<\?xml[^>]*>\s*)?<svg\b/i.test(start)) return 'image/svg+xml';
+  if (/^</.test(start)) return 'application/xhtml+xml';
+  return 'text/css';
+}
+
+/**
+ * The id (or name) of the last element that starts at or before a byte position, including the tag the position is in
+ */
+function idBefore(markup, position) {
+  let end = Math.max(0, Math.min(position, markup.length));
+  const nextClose = markup.indexOf('>', end);
+  const nextOpen = markup.indexOf('<', end);
+  if (nextClose !== -1 && (nextOpen === end || nextClose < nextOpen || nextOpen === -1)) {
+    end = nextClose + 1;
+  }
+  const before = markup.subarray(0, end).toString('utf8');
+  const matches = [...before.matchAll(/<[^>]*?\s(?:id|name)\s*=\s*["']([^"']+)["'][^>]*>/gi)];
+  return matches.length > 0 ? matches[matches.length - 1][1] : null;
+}
+
+/**
+ * Split the single HTML flow of a MOBI 6 book into XHTML files at its page breaks
+ */
+function readMobi6(records, header, resources) {
+  const raw = readText(records, header, 0);
+  const ncxIndex = header.ncxIndex !== NULL_INDEX ? readIndex(records, header.ncxIndex) : null;
+
+  // filepos links and the NCX point at byte offsets; anchors go in before the text is decoded
+  const targets = new Set();
+  for (const match of raw.toString('latin1').matchAll(/\sfilepos\s*=\s*["']?0*(\d+)/gi)) {
+    targets.add(parseInt(match[1], 10));
+  }
+  if (ncxIndex) {
+    ncxIndex.entries.forEach(entry => entry.tags[1] && targets.add(entry.tags[1][0]));
+  }
+
+  const pieces = [];
+  let last = 0;
+  Array.from(targets).filter(target => target <= raw.length).sort((a, b) => a - b).forEach(target => {
+    // An anchor can't go inside a tag: move it to the start of the tag
+    const open = raw.lastIndexOf(0x3c, target - 1);
+    const close = raw.lastIndexOf(0x3e, target - 1);
+    const at = open > close && open >= last ? open : target;
+    pieces.push(raw.subarray(last, at), Buffer.from(`<a id="filepos${target}"></a>`, 'latin1'));
+    last = at;
+  });
+  pieces.push(raw.subarray(last));
+  let html = decodeText(Buffer.concat(pieces), header.encoding);
+
+  html = linkResources(html, resources, '../')
+    .replace(/(<a\b[^>]*?)\sfilepos\s*=\s*["']?0*(\d+)["']?/gi, '$1 href="#filepos$2"');
+
+  const bodyMatch = html.match(/<body\b[^>]*>([\s\S]*?)(?:<\/body>|$)/i);
+  const body = (bodyMatch ? bodyMatch[1] : html).replace(/<\/?html\b[^>]*>|<head\b[^>]*>[\s\S]*?<\/head>/gi, '');
+
+  const chunks = body
+    .split(/<mbp:pagebreak\b[^>]*>/i)
+    .map(chunk => chunk.replace(/<\/?mbp:[^>]*>/gi, ''))
+    .filter(chunk => chunk.replace(/<(?!img\b)[^>]*>/gi, '').trim() || /<img\b/i.test(chunk));
+
+  const files = chunks.map((chunk, i) => {
+    const $ = cheerio.load(`<body>${chunk}</body>`);
+    return { path: `text/part${String(i).padStart(4, '0')}.xhtml`, body: serializeXhtml($, $('body')) };
+  });
+
+  // Anchors now live in known files, so links can name them
+  const fileOfAnchor = new Map();
+  files.forEach(file => {
+    for (const match of file.body.matchAll(/\sid="(filepos\d+)"/g)) fileOfAnchor.set(match[1], file.path);
+  });
+  const hrefOf = id => (fileOfAnchor.has(id) ? `${fileOfAnchor.get(id)}#${id}` : null);
+
+  const title = readMetadata(header).title;
+  const items = files.map(file => {
+    const body = file.body.replace(/href="#(filepos\d+)"/g, (match, id) => {
+      const href = hrefOf(id);
+      return href ? `href="${path.posix.relative(path.posix.dirname(file.path), href.split('#')[0])}#${id}"` : match;
+    });
+    return {
+      path: file.path,
+      mediaType: 'application/xhtml+xml',
+      data: Buffer.from(xhtmlDocument(title, body), 'utf8')
+    };
+  });
+
+  const toc = ncxIndex ? readNcx(ncxIndex, tags => (tags[1] ? hrefOf(`filepos${tags[1][0]}`) : null)) : [];
+  return { items, spine: files.map(file => file.path), toc };
+}
+
+function xhtmlDocument(title, body) {
+  const escaped = title.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml">
+<head>
+<title>${escaped}</title>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  isKindleBook,
+  readKindleBook
+};
@@ -0,0 +1,1365 @@
+// utils/kf8-writer.js
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const jimp = require('jimp');
+
+/*
+ * Pure JavaScript KF8 (AZW3) writer
+ *
+ * Turns the EPUB produced by generateEPUB into a standalone KF8 book so AZW3
+ * output does not depend on Calibre. The layout follows what kindlegen and
+ * Calibre produce for KF8-only files:
+ *
+ *   record 0            PalmDOC + MOBI header, EXTH metadata, full title
+ *   text records        PalmDOC-compressed 4096 byte slices of the raw markup
+ *   FRAG index          fragment table (where each chunk is inserted)
+ *   SKEL index          skeleton table (one per spine file)
+ *   NCX index           table of contents
+ *   resource records    images, cover and thumbnail
+ *   FDST, FLIS, FCIS    flow table and fixed bookkeeping records
+ *   EOF
+ *
+ * Stylesheets are inlined into each file so the book has a single text flow.
+ */
+
+const RECORD_SIZE = 4096;
+const CHUNK_SIZE = 8192;
+const INDEX_HEADER_LENGTH = 192;
+const MAX_INDEX_RECORD_SIZE = 0x10000 - 1024;
+const NULL_INDEX = 0xffffffff;
+const BASE32_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUV';
+const EOF_RECORD = Buffer.from([0xe9, 0x8e, 0x0d, 0x0a]);
+const THUMBNAIL_HEIGHT = 330;
+
+// Placeholder for internal links, same length as the real kindle:pos URI so
+// byte offsets stay valid when the targets are filled in afterwards
+const POS_PLACEHOLDER = 'kindle:pos:fid:0000:off:0000000000';
+
+const NATIVE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+
+// Windows LCIDs used by the MOBI header language field
+const LANGUAGE_CODES = {
+  en: 0x09, de: 0x07, fr: 0x0c, es: 0x0a, it: 0x10, nl: 0x13, pt: 0x16,
+  ja: 0x11, zh: 0x04, ru: 0x19, sv: 0x1d, da: 0x06, fi: 0x0b, nb: 0x14,
+  no: 0x14, pl: 0x15, ko: 0x12
+};
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link',
+  'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Tokenizes markup into comments, CDATA, processing instructions and tags,
+// allowing '>' inside quoted attribute values
+const MARKUP_TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/?[A-Za-z][^\s/>]*(?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*\s*\/?>/gi;
+
+// Index tag tables: [name, tag number, values per entry, control byte mask, end flag]
+const END_TAG_TABLE = ['', 0, 0, 0, 1];
+
+const CHUNK_TAGS = [
+  ['cncx_offset', 2, 1, 1, 0],
+  ['file_number', 3, 1, 2, 0],
+  ['sequence_number', 4, 1, 4, 0],
+  ['geometry', 6, 2, 8, 0],
+  END_TAG_TABLE
+];
+
+const SKEL_TAGS = [
+  ['chunk_count', 1, 1, 3, 0],
+  ['geometry', 6, 2, 12, 0],
+  END_TAG_TABLE
+];
+
+const NCX_TAGS = [
+  ['offset', 1, 1, 1, 0],
+  ['length', 2, 1, 2, 0],
+  ['label', 3, 1, 4, 0],
+  ['depth', 4, 1, 8, 0],
+  ['parent', 21, 1, 16, 0],
+  ['first_child', 22, 1, 32, 0],
+  ['last_child', 23, 1, 64, 0],
+  ['pos_fid', 6, 2, 128, 0],
+  END_TAG_TABLE
+];
+
+/**
+ * Convert an EPUB to a KF8 (AZW3) book
+ * @param {Buffer} epubBuffer - Buffer containing the EPUB
+ * @param {Object} options - Metadata overrides (title, author, language, publisher, description, cdeType)
+ * @returns {Promise<Buffer>} - Buffer containing the AZW3 file
+ */
+async function convertEpubToAzw3(epubBuffer, options = {}) {
+  const book = readEpub(epubBuffer);
+  const metadata = { ...book.metadata };
+  ['title', 'author', 'language', 'publisher', 'description'].forEach(key => {
+    if (options[key]) metadata[key] = options[key];
+  });
+
+  console.log(`[KF8 Writer] Building AZW3 for "${metadata.title}" (${book.spine.length} files)`);
+
+  const resources = await collectResources(book);
+  const layout = layoutText(book, resources);
+  const text = layout.text;
+
+  const records = [null]; // Record 0 is built last, once every offset is known
+
+  // Text records
+  const textRecords = buildTextRecords(text);
+  records.push(...textRecords);
+  const textRecordsSize = textRecords.reduce((sum, record) => sum + record.length, 0);
+  if (textRecordsSize % 4 !== 0) {
+    // Pad so the first non-text record starts on a 4 byte boundary
+    records.push(Buffer.alloc(4 - (textRecordsSize % 4)));
+  }
+  const firstNonTextRecord = records.length;
+
+  // KF8 indices
+  const chunkIndex = records.length;
+  records.push(...buildChunkIndex(layout.fragments));
+  const skelIndex = records.length;
+  records.push(...buildSkeletonIndex(layout.skeletons));
+
+  let ncxIndex = NULL_INDEX;
+  const tocEntries = buildTocEntries(book, layout, text.length);
+  if (tocEntries.length > 0) {
+    ncxIndex = records.length;
+    records.push(...buildNcxIndex(tocEntries));
+  }
+
+  // Resources
+  let firstResourceRecord = NULL_INDEX;
+  if (resources.records.length > 0) {
+    firstResourceRecord = records.length;
+    records.push(...resources.records);
+  }
+
+  // Flow table, FLIS/FCIS and EOF
+  const fdstRecord = records.length;
+  records.push(buildFdst([[0, text.length]]));
+  const flisRecord = records.length;
+  records.push(buildFlis());
+  const fcisRecord = records.length;
+  records.push(buildFcis(text.length));
+  records.push(EOF_RECORD);
+
+  records[0] = buildRecord0({
+    metadata,
+    cdeType: options.cdeType || 'EBOK',
+    textLength: text.length,
+    textRecordCount: textRecords.length,
+    firstNonTextRecord,
+    firstResourceRecord,
+    resourceCount: resources.records.length,
+    coverOffset: resources.coverOffset,
+    thumbnailOffset: resources.thumbnailOffset,
+    chunkIndex,
+    skelIndex,
+    ncxIndex,
+    fdstRecord,
+    flisRecord,
+    fcisRecord
+  });
+
+  const azw3Buffer = buildPalmDatabase(metadata.title, records);
+  console.log(`[KF8 Writer] Wrote ${records.length} records (${azw3Buffer.length} bytes)`);
+  return azw3Buffer;
+}
+
+/**
+ * Read the package document, spine and table of contents of an EPUB
+ * @param {Buffer} epubBuffer - Buffer containing the EPUB
+ * @returns {Object} - Parsed book
+ */
+function readEpub(epubBuffer) {
+  const zip = new AdmZip(epubBuffer);
+  const readEntry = (entryPath) => {
+    const entry = zip.getEntry(entryPath);
+    return entry ? entry.getData() : null;
+  };
+
+  const container = readEntry('META-INF/container.xml');
+  if (!container) {
+    throw new Error('Not a valid EPUB: missing META-INF/container.xml');
+  }
+
+  const rootfileMatch = container.toString('utf8').match(/<rootfile\b[^>]*\sfull-path\s*=\s*["']([^"']+)["']/i);
+  if (!rootfileMatch) {
+    throw new Error('Not a valid EPUB: no rootfile in container.xml');
+  }
+
+  const opfPath = rootfileMatch[1];
+  const opfData = readEntry(opfPath);
+  if (!opfData) {
+    throw new Error(`Not a valid EPUB: missing package document ${opfPath}`);
+  }
+
+  const opf = opfData.toString('utf8');
+  const opfDir = path.posix.dirname(opfPath);
+
+  // Manifest
+  const manifest = new Map();
+  const byPath = new Map();
+  (opf.match(/<item\b[^>]*>/gi) || []).forEach(tag => {
+    const attrs = parseAttributes(tag);
+    if (!attrs.id || !attrs.href) return;
+    const item = {
+      id: attrs.id,
+      path: resolveHref(opfDir, attrs.href),
+      mediaType: (attrs['media-type'] || '').toLowerCase(),
+      properties: attrs.properties || ''
+    };
+    manifest.set(item.id, item);
+    byPath.set(item.path, item);
+  });
+
+  // Spine
+  const spineMatch = opf.match(/<spine\b([^>]*)>([\s\S]*?)<\/spine>/i);
+  const spineAttrs = spineMatch ? parseAttributes(`<spine ${spineMatch[1]}>`) : {};
+  const spine = [];
+  if (spineMatch) {
+    (spineMatch[2].match(/<itemref\b[^>]*>/gi) || []).forEach(tag => {
+      const item = manifest.get(parseAttributes(tag).idref);
+      if (item && /html/.test(item.mediaType)) {
+        spine.push(item);
+      }
+    });
+  }
+
+  if (spine.length === 0) {
+    throw new Error('Not a valid EPUB: the spine is empty');
+  }
+
+  // Cover image: EPUB 2 <meta name="cover"> or EPUB 3 cover-image property
+  let coverItem = null;
+  const coverMeta = (opf.match(/<meta\b[^>]*>/gi) || [])
+    .map(parseAttributes)
+    .find(attrs => attrs.name === 'cover' && attrs.content);
+  if (coverMeta && manifest.has(coverMeta.content)) {
+    coverItem = manifest.get(coverMeta.content);
+  }
+  if (!coverItem) {
+    coverItem = Array.from(manifest.values()).find(item => /\bcover-image\b/.test(item.properties)) || null;
+  }
+
+  // Table of contents: NCX first, EPUB 3 nav document as fallback
+  const ncxItem = manifest.get(spineAttrs.toc) ||
+    Array.from(manifest.values()).find(item => item.mediaType === 'application/x-dtbncx+xml');
+  const navItem = Array.from(manifest.values()).find(item => /\bnav\b/.test(item.properties));
+
+  let toc = [];
+  if (ncxItem && readEntry(ncxItem.path)) {
+    toc = parseNcx(readEntry(ncxItem.path).toString('utf8'), path.posix.dirname(ncxItem.path));
+  }
+  if (toc.length === 0 && navItem && readEntry(navItem.path)) {
+    toc = parseNav(readEntry(navItem.path).toString('utf8'), path.posix.dirname(navItem.path));
+  }
+
+  const metaText = (tagName) => {
+    const match = opf.match(new RegExp(`<dc:${tagName}\\b[^>]*>([\\s\\S]*?)<\\/dc:${tagName}>`, 'i'));
+    return match ? decodeEntities(match[1].replace(/<[^>]+>/g, '')).trim() : '';
+  };
+
+  return {
+    readEntry,
+    manifest,
+    byPath,
+    spine,
+    coverItem,
+    toc,
+    metadata: {
+      title: metaText('title') || 'Untitled',
+      author: metaText('creator') || 'Unknown',
+      language: metaText('language') || 'en',
+      publisher: metaText('publisher'),
+      description: metaText('description'),
+      date: metaText('date'),
+      identifier: metaText('identifier')
+    }
+  };
+}
+
+/**
+ * Parse the navMap of an NCX document into a tree of entries
+ * @param {string} ncx - NCX document
+ * @param {string} baseDir - Directory of the NCX inside the EPUB
+ * @returns {Array<Object>} - Entries with label, href and children
+ */
+function parseNcx(ncx, baseDir) {
+  const navMapStart = ncx.search(/<navMap\b/i);
+  if (navMapStart === -1) return [];
+
+  const root = { children: [] };
+  const stack = [root];
+  const pattern = /<navPoint\b[^>]*>|<\/navPoint>|<text\b[^>]*>([\s\S]*?)<\/text>|<content\b[^>]*>/gi;
+  let match;
+
+  pattern.lastIndex = navMapStart;
+  while ((match = pattern.exec(ncx)) !== null) {
+    const token = match[0];
+    const current = stack[stack.length - 1];
+
+    if (/^<navPoint/i.test(token)) {
+      const entry = { label: '', href: null, children: [] };
+      current.children.push(entry);
+      stack.push(entry);
+    } else if (/^<\/navPoint/i.test(token)) {
+      if (stack.length > 1) stack.pop();
+    } else if (/^<text/i.test(token)) {
+      if (current !== root && !current.label) {
+        current.label = decodeEntities(match[1].replace(/<[^>]+>/g, '')).trim();
+      }
+    } else if (current !== root && !current.href) {
+      const src = parseAttributes(token).src;
+      if (src) current.href = resolveHref(baseDir, src, true);
+    }
+  }
+
+  return root.children;
+}
+
+/**
+ * Parse the toc nav of an EPUB 3 navigation document into a tree of entries
+ * @param {string} nav - Navigation document
+ * @param {string} baseDir - Directory of the document inside the EPUB
+ * @returns {Array<Object>} - Entries with label, href and children
+ */
+function parseNav(nav, baseDir) {
+  const tocNav = nav.match(/<nav\b[^>]*epub:type\s*=\s*["'][^"']*\btoc\b[^"']*["'][^>]*>([\s\S]*?)<\/nav>/i) ||
+    nav.match(/<nav\b[^>]*>([\s\S]*?)<\/nav>/i);
+  if (!tocNav) return [];
+
+  const root = { children: [] };
+  const stack = [root];
+  const pattern = /<li\b[^>]*>|<\/li>|<a\b([^>]*)>([\s\S]*?)<\/a>|<span\b[^>]*>([\s\S]*?)<\/span>/gi;
+  let match;
+
+  while ((match = pattern.exec(tocNav[1])) !== null) {
+    const token = match[0];
+    const current = stack[stack.length - 1];
+
+    if (/^<li/i.test(token)) {
+      const entry = { label: '', href: null, children: [] };
+      current.children.push(entry);
+      stack.push(entry);
+    } else if (/^<\/li/i.test(token)) {
+      if (stack.length > 1) stack.pop();
+    } else if (current !== root && !current.label) {
+      current.label = decodeEntities((match[2] ?? match[3] ?? '').replace(/<[^>]+>/g, '')).trim();
+      const href = match[1] !== undefined ? parseAttributes(`<a ${match[1]}>`).href : null;
+      if (href) current.href = resolveHref(baseDir, href, true);
+    }
+  }
+
+  return root.children;
+}
+
+/**
+ * Collect the images of the book as resource records
+ * Images Kindles cannot display natively are re-encoded as JPEG
+ * @param {Object} book - Parsed book
+ * @returns {Promise<Object>} - Resource records, embed URIs by path, cover and thumbnail offsets
+ */
+async function collectResources(book) {
+  const records = [];
+  const embeds = new Map();
+  let coverOffset = null;
+  let thumbnailOffset = null;
+
+  for (const item of book.manifest.values()) {
+    if (!item.mediaType.startsWith('image/')) continue;
+
+    const data = book.readEntry(item.path);
+    if (!data) continue;
+
+    let buffer = data;
+    let mediaType = item.mediaType === 'image/jpg' ? 'image/jpeg' : item.mediaType;
+
+    if (!NATIVE_IMAGE_TYPES.includes(mediaType)) {
+      try {
+        const image = await jimp.read(data);
+        buffer = await image.quality(85).getBufferAsync(jimp.MIME_JPEG);
+        mediaType = 'image/jpeg';
+      } catch (error) {
+        console.warn(`[KF8 Writer] Skipping unsupported image ${item.path}: ${error.message}`);
+        continue;
+      }
+    }
+
+    records.push(buffer);
+    embeds.set(item.path, `kindle:embed:${toBase32(records.length, 4)}?mime=${mediaType}`);
+
+    if (book.coverItem && book.coverItem.path === item.path) {
+      coverOffset = records.length - 1;
+    }
+  }
+
+  // Thumbnail shown in the Kindle library grid
+  if (coverOffset !== null) {
+    try {
+      const cover = await jimp.read(records[coverOffset]);
+      cover.resize(jimp.AUTO, THUMBNAIL_HEIGHT).quality(75);
+      records.push(await cover.getBufferAsync(jimp.MIME_JPEG));
+      thumbnailOffset = records.length - 1;
+    } catch (error) {
+      console.warn(`[KF8 Writer] Could not create cover thumbnail: ${error.message}`);
+    }
+  }
+
+  return { records, embeds, coverOffset, thumbnailOffset };
+}
+
+/**
+ * Split every spine file into a skeleton and fragments and lay them out as
+ * one text flow. Each skeleton is followed by its fragments, and a reader
+ * rebuilds the file by inserting each fragment at its insert position.
+ * @param {Object} book - Parsed book
+ * @param {Object} resources - Collected resources
+ * @returns {Object} - Text buffer, skeleton and fragment tables, target positions
+ */
+function layoutText(book, resources) {
+  const spinePaths = new Set(book.spine.map(item => item.path));
+  const skeletons = [];
+  const fragments = [];
+  const files = [];
+  const targets = new Map(); // 'path' or 'path#id' -> { fragment, offset }
+  let aidCounter = 0;
+  let textOffset = 0;
+  const nextAid = () => toBase32(aidCounter++, 4);
+
+  book.spine.forEach((item, fileNumber) => {
+    const raw = book.readEntry(item.path);
+    const source = raw ? raw.toString('utf8') : '<html><body></body></html>';
+    const baseDir = path.posix.dirname(item.path);
+    const links = [];
+
+    let markup = inlineStylesheets(source, baseDir, book);
+    markup = rewriteImages(markup, baseDir, resources.embeds);
+
+    // Split around the body; the body tag itself stays in the skeleton
+    const bodyOpen = markup.match(/<body\b[^>]*>/i);
+    const bodyClose = markup.lastIndexOf('</body>');
+    let head, bodyTag, body, tail;
+    if (bodyOpen && bodyClose > bodyOpen.index) {
+      head = markup.slice(0, bodyOpen.index);
+      bodyTag = bodyOpen[0];
+      body = markup.slice(bodyOpen.index + bodyOpen[0].length, bodyClose);
+      tail = markup.slice(bodyClose);
+    } else {
+      head = '<html xmlns="http://www.w3.org/1999/xhtml"><head><title></title></head>';
+      bodyTag = '<body>';
+      body = markup.replace(/^[\s\S]*?<html\b[^>]*>|<\/html>\s*$/gi, '');
+      tail = '</body></html>';
+    }
+
+    body = rewriteLinks(body, item.path, spinePaths, links);
+
+    const bodyAid = nextAid();
+    const pieces = [{ skeleton: true, text: head + addAid(bodyTag, bodyAid) }];
+    layoutChildren(body, bodyAid, pieces, nextAid);
+    if (!pieces.some(piece => !piece.skeleton)) {
+      pieces.push({ skeleton: false, text: ' ', selector: aidSelector(bodyAid) });
+    }
+    pieces.push({ skeleton: true, text: tail });
+
+    // Work out where every fragment lands in the rebuilt file
+    const skeletonLength = pieces
+      .filter(piece => piece.skeleton)
+      .reduce((sum, piece) => sum + Buffer.byteLength(piece.text), 0);
+    const fileFragments = [];
+    let rebuiltOffset = 0;
+    let chunkOffset = 0;
+    let pendingIds = [];
+
+    pieces.forEach(piece => {
+      const length = Buffer.byteLength(piece.text);
+
+      if (piece.skeleton) {
+        pendingIds.push(...findIds(piece.text).map(found => found.id));
+      } else {
+        const fragment = {
+          index: fragments.length,
+          insertPos: textOffset + rebuiltOffset,
+          selector: piece.selector,
+          fileNumber,
+          sequenceNumber: fragments.length,
+          startPos: chunkOffset,
+          length,
+          piece
+        };
+        fragments.push(fragment);
+        fileFragments.push(fragment);
+
+        // Ids opened in the skeleton resolve to the start of the next fragment
+        pendingIds.forEach(id => targets.set(`${item.path}#${id}`, { fragment, offset: 0 }));
+        pendingIds = [];
+
+        findIds(piece.text).forEach(found => {
+          targets.set(`${item.path}#${found.id}`, {
+            fragment,
+            offset: Buffer.byteLength(piece.text.slice(0, found.index))
+          });
+        });
+
+        chunkOffset += length;
+      }
+
+      rebuiltOffset += length;
+    });
+
+    const lastFragment = fileFragments[fileFragments.length - 1];
+    pendingIds.forEach(id => targets.set(`${item.path}#${id}`, { fragment: lastFragment, offset: 0 }));
+    targets.set(item.path, { fragment: fileFragments[0], offset: 0 });
+
+    skeletons.push({
+      name: `SKEL${String(fileNumber).padStart(10, '0')}`,
+      chunkCount: fileFragments.length,
+      startPos: textOffset,
+      length: skeletonLength
+    });
+
+    files.push({ pieces, links });
+    textOffset += rebuiltOffset;
+  });
+
+  // Fill in the internal links now that every target has a position
+  files.forEach(file => {
+    let linkIndex = 0;
+    file.pieces.forEach(piece => {
+      piece.text = piece.text.split(POS_PLACEHOLDER).reduce((result, part, i) => {
+        if (i === 0) return part;
+        const link = file.links[linkIndex++];
+        const target = (link && (targets.get(link) || targets.get(link.split('#')[0]))) ||
+          { fragment: fragments[0], offset: 0 };
+        return result + kindlePosUri(target) + part;
+      });
+    });
+  });
+
+  // Skeleton first, then its fragments in order
+  const parts = [];
+  files.forEach(file => {
+    file.pieces.filter(piece => piece.skeleton).forEach(piece => parts.push(Buffer.from(piece.text, 'utf8')));
+    file.pieces.filter(piece => !piece.skeleton).forEach(piece => parts.push(Buffer.from(piece.text, 'utf8')));
+  });
+
+  return { text: Buffer.concat(parts), skeletons, fragments, targets };
+}
+
+/**
+ * Split element content into fragments of roughly CHUNK_SIZE bytes
+ * Children that are too large on their own are opened in the skeleton and
+ * their content is split recursively.
+ * @param {string} html - Element content
+ * @param {string} aid - aid of the element the fragments are inserted into
+ * @param {Array<Object>} pieces - Output list of skeleton and fragment pieces
+ * @param {Function} nextAid - Generator for unique aid values
+ */
+function layoutChildren(html, aid, pieces, nextAid) {
+  const selector = aidSelector(aid);
+  let pending = '';
+  let pendingSize = 0;
+
+  const flush = () => {
+    if (pending) {
+      pieces.push({ skeleton: false, text: pending, selector });
+      pending = '';
+      pendingSize = 0;
+    }
+  };
+
+  splitChildren(html).forEach(child => {
+    const size = Buffer.byteLength(child.text);
+
+    if (size > CHUNK_SIZE && child.inner) {
+      flush();
+      const childAid = nextAid();
+      pieces.push({ skeleton: true, text: addAid(child.openTag, childAid) });
+      layoutChildren(child.inner, childAid, pieces, nextAid);
+      pieces.push({ skeleton: true, text: child.closeTag });
+      return;
+    }
+
+    if (pending && pendingSize + size > CHUNK_SIZE) {
+      flush();
+    }
+    pending += child.text;
+    pendingSize += size;
+  });
+
+  flush();
+}
+
+/**
+ * Split markup into its top level children
+ * @param {string} html - Markup
+ * @returns {Array<Object>} - Children with text, and openTag/inner/closeTag for elements with content
+ */
+function splitChildren(html) {
+  const children = [];
+  const pattern = new RegExp(MARKUP_TOKEN.source, 'gi');
+  let depth = 0;
+  let elementStart = 0;
+  let openTag = null;
+  let textStart = 0;
+  let match;
+
+  const pushText = (end) => {
+    if (end > textStart) children.push({ text: html.slice(textStart, end) });
+  };
+
+  while ((match = pattern.exec(html)) !== null) {
+    const token = match[0];
+    const isTag = /^<\/?[A-Za-z]/.test(token);
+    if (!isTag) continue; // Comments and the like stay with the surrounding text
+
+    const isClose = token.startsWith('</');
+    const name = token.match(/^<\/?([^\s/>]+)/)[1].toLowerCase();
+    const selfClosing = !isClose && (token.endsWith('/>') || VOID_ELEMENTS.has(name));
+
+    if (isClose) {
+      if (depth === 0) continue; // Stray closing tag, keep it as text
+      depth--;
+      if (depth === 0) {
+        const end = match.index + token.length;
+        children.push({
+          text: html.slice(elementStart, end),
+          openTag,
+          inner: html.slice(elementStart + openTag.length, match.index),
+          closeTag: token
+        });
+        textStart = end;
+      }
+    } else if (selfClosing) {
+      if (depth === 0) {
+        pushText(match.index);
+        children.push({ text: token });
+        textStart = match.index + token.length;
+      }
+    } else {
+      if (depth === 0) {
+        pushText(match.index);
+        elementStart = match.index;
+        textStart = match.index;
+        openTag = token;
+      }
+      depth++;
+    }
+  }
+
+  // Anything left open (unbalanced markup) stays together as text
+  pushText(html.length);
+
+  return children;
+}
+
+/**
+ * Replace stylesheet links with inline <style> blocks
+ * @param {string} markup - XHTML document
+ * @param {string} baseDir - Directory of the document inside the EPUB
+ * @param {Object} book - Parsed book
+ * @returns {string} - Document with inlined styles
+ */
+function inlineStylesheets(markup, baseDir, book) {
+  return markup.replace(/<link\b[^>]*>/gi, tag => {
+    const attrs = parseAttributes(tag);
+    if (!/stylesheet/i.test(attrs.rel || '') || !attrs.href) return tag;
+
+    const data = book.readEntry(resolveHref(baseDir, attrs.href));
+    if (!data) return '';
+
+    // Kindles ship their own fonts; embedded font faces only bloat the book
+    const css = data.toString('utf8')
+      .replace(/@font-face\s*\{[^}]*\}/gi, '')
+      .replace(/<\/style/gi, '<\\/style');
+    return `<style type="text/css">${css}</style>`;
+  });
+}
+
+/**
+ * Point image references at their resource records
+ * @param {string} markup - XHTML document
+ * @param {string} baseDir - Directory of the document inside the EPUB
+ * @param {Map} embeds - kindle:embed URIs by image path
+ * @returns {string} - Document with rewritten image references
+ */
+function rewriteImages(markup, baseDir, embeds) {
+  return markup.replace(/<(img|image)\b[^>]*>/gi, tag => {
+    return tag.replace(/(\s(?:src|xlink:href|href)\s*=\s*)(["'])([^"']*)\2/i, (attr, prefix, quote, value) => {
+      if (/^[a-z][a-z0-9+.-]*:/i.test(value)) return attr;
+      const embed = embeds.get(resolveHref(baseDir, value));
+      return embed ? `${prefix}${quote}${embed}${quote}` : attr;
+    });
+  });
+}
+
+/**
+ * Replace links to other parts of the book with kindle:pos placeholders
+ * @param {string} body - Body markup
+ * @param {string} filePath - Path of the current file inside the EPUB
+ * @param {Set} spinePaths - Paths of all spine files
+ * @param {Array<string>} links - Output list of link targets, in document order
+ * @returns {string} - Body with placeholder links
+ */
+function rewriteLinks(body, filePath, spinePaths, links) {
+  const baseDir = path.posix.dirname(filePath);
+
+  return body.replace(/<(a|area)\b[^>]*>/gi, tag => {
+    return tag.replace(/(\shref\s*=\s*)(["'])([^"']*)\2/i, (attr, prefix, quote, value) => {
+      if (!value || /^[a-z][a-z0-9+.-]*:/i.test(value)) return attr;
+
+      const target = value.startsWith('#')
+        ? `${filePath}${value}`
+        : resolveHref(baseDir, value, true);
+      if (!spinePaths.has(target.split('#')[0])) return attr;
+
+      links.push(target);
+      return `${prefix}${quote}${POS_PLACEHOLDER}${quote}`;
+    });
+  });
+}
+
+/**
+ * Resolve the table of contents to text positions
+ * Entries are ordered by depth as the NCX index expects, with parent and
+ * child links expressed as entry indices.
+ * @param {Object} book - Parsed book
+ * @param {Object} layout - Text layout
+ * @param {number} textLength - Length of the text flow
+ * @returns {Array<Object>} - NCX index entries
+ */
+function buildTocEntries(book, layout, textLength) {
+  const flat = [];
+
+  const walk = (entries, depth, parent) => {
+    entries.forEach(entry => {
+      const target = entry.href && (layout.targets.get(entry.href) || layout.targets.get(entry.href.split('#')[0]));
+      const node = target ? {
+        label: entry.label || 'Untitled',
+        depth,
+        parent,
+        children: [],
+        fragment: target.fragment,
+        offset: target.offset,
+        pos: target.fragment.insertPos + target.offset
+      } : null;
+
+      if (node) {
+        flat.push(node);
+        if (parent) parent.children.push(node);
+      }
+      walk(entry.children || [], node ? depth + 1 : depth, node || parent);
+    });
+  };
+
+  walk(book.toc, 0, null);
+
+  // No usable table of contents: one entry per spine file
+  if (flat.length === 0) {
+    layout.skeletons.forEach((skeleton, i) => {
+      const fragment = layout.fragments.find(f => f.fileNumber === i);
+      if (!fragment) return;
+      flat.push({ label: `Part ${i + 1}`, depth: 0, parent: null, children: [], fragment, offset: 0, pos: fragment.insertPos });
+    });
+  }
+
+  // Each entry spans up to the next entry in reading order
+  const byPosition = flat.slice().sort((a, b) => a.pos - b.pos);
+  byPosition.forEach((node, i) => {
+    const next = byPosition.slice(i + 1).find(other => other.pos > node.pos);
+    node.length = (next ? next.pos : textLength) - node.pos;
+  });
+
+  const ordered = flat
+    .map((node, order) => ({ node, order }))
+    .sort((a, b) => a.node.depth - b.node.depth || a.order - b.order)
+    .map(({ node }) => node);
+  ordered.forEach((node, i) => { node.index = i; });
+
+  return ordered.map(node => {
+    const entry = {
+      index: node.index,
+      label: node.label,
+      offset: node.pos,
+      length: Math.max(node.length, 1),
+      depth: node.depth,
+      pos_fid: [node.fragment.index, node.offset]
+    };
+    if (node.parent) entry.parent = node.parent.index;
+    if (node.children.length > 0) {
+      entry.first_child = node.children[0].index;
+      entry.last_child = node.children[node.children.length - 1].index;
+    }
+    return entry;
+  });
+}
+
+/**
+ * Build the chunk (fragment) index that maps text positions to fragments
+ * @param {Array<Object>} fragments - Fragments from the text layout
+ * @returns {Array<Buffer>} - Index records
+ */
+function buildChunkIndex(fragments) {
+  const cncx = buildCncx(fragments.map(fragment => fragment.selector));
+  const entries = fragments.map(fragment => [String(fragment.insertPos).padStart(10, '0'), {
+    cncx_offset: cncx.offsets.get(fragment.selector),
+    file_number: fragment.fileNumber,
+    sequence_number: fragment.sequenceNumber,
+    geometry: [fragment.startPos, fragment.length]
+  }]);
+  return buildIndex(CHUNK_TAGS, entries, cncx.records);
+}
+
+function buildSkeletonIndex(skeletons) {
+  // Kindlegen writes every skeleton value twice
+  const entries = skeletons.map(skeleton => [skeleton.name, {
+    chunk_count: [skeleton.chunkCount, skeleton.chunkCount],
+    geometry: [skeleton.startPos, skeleton.length, skeleton.startPos, skeleton.length]
+  }]);
+  return buildIndex(SKEL_TAGS, entries, []);
+}
+
+function buildNcxIndex(tocEntries) {
+  const cncx = buildCncx(tocEntries.map(entry => entry.label));
+  const largest = tocEntries.reduce((max, entry) => Math.max(max, entry.index), 0);
+  const width = Math.max(2, largest.toString(16).length);
+
+  const entries = tocEntries.map(entry => {
+    const tags = {};
+    ['offset', 'length', 'depth', 'parent', 'first_child', 'last_child', 'pos_fid'].forEach(key => {
+      if (entry[key] !== undefined) tags[key] = entry[key];
+    });
+    tags.label = cncx.offsets.get(entry.label);
+    return [entry.index.toString(16).toUpperCase().padStart(width, '0'), tags];
+  });
+  return buildIndex(NCX_TAGS, entries, cncx.records);
+}
+
+/**
+ * Serialize an index: header INDX record, entry INDX records, then CNCX records
+ * @param {Array<Array>} tagTable - Tag definitions
+ * @param {Array<Array>} entries - [leadText, tags] pairs in index order
+ * @param {Array<Buffer>} cncxRecords - String table records
+ * @returns {Array<Buffer>} - Records
+ */
+function buildIndex(tagTable, entries, cncxRecords) {
+  const controlByteCount = tagTable.filter(tag => tag[4] === 1).length;
+
+  // Render every entry: lead text, control bytes, tag values
+  const rendered = entries.map(([leadText, tags]) => {
+    const lead = Buffer.from(leadText, 'utf8');
+    const controlBytes = [];
+    const values = [];
+    let controlByte = 0;
+
+    tagTable.forEach(([name, , valuesPerEntry, mask, endFlag]) => {
+      if (endFlag === 1) {
+        controlBytes.push(controlByte);
+        controlByte = 0;
+        return;
+      }
+      if (tags[name] === undefined || tags[name] === null) return;
+      const tagValues = Array.isArray(tags[name]) ? tags[name] : [tags[name]];
+      controlByte |= mask & ((tagValues.length / valuesPerEntry) << trailingZeros(mask));
+    });
+
+    tagTable.forEach(([name, , , , endFlag]) => {
+      if (endFlag === 1 || tags[name] === undefined || tags[name] === null) return;
+      (Array.isArray(tags[name]) ? tags[name] : [tags[name]]).forEach(value => values.push(encodeVarint(value)));
+    });
+
+    return { lead, data: Buffer.concat([Buffer.from([lead.length]), lead, Buffer.from(controlBytes), ...values]) };
+  });
+
+  // Group entries into records
+  const blocks = [];
+  let block = [];
+  let blockSize = INDEX_HEADER_LENGTH;
+  rendered.forEach(entry => {
+    const needed = entry.data.length + 2;
+    if (block.length > 0 && blockSize + needed + 8 > MAX_INDEX_RECORD_SIZE) {
+      blocks.push(block);
+      block = [];
+      blockSize = INDEX_HEADER_LENGTH;
+    }
+    block.push(entry);
+    blockSize += needed;
+  });
+  if (block.length > 0) blocks.push(block);
+
+  const entryRecords = blocks.map(entriesInRecord => {
+    const body = [];
+    const offsets = [];
+    let position = INDEX_HEADER_LENGTH;
+    entriesInRecord.forEach(entry => {
+      offsets.push(position);
+      body.push(entry.data);
+      position += entry.data.length;
+    });
+
+    const bodyBuffer = align(Buffer.concat(body), position);
+    const idxtOffset = INDEX_HEADER_LENGTH + bodyBuffer.length;
+
+    const header = Buffer.alloc(INDEX_HEADER_LENGTH);
+    header.write('INDX', 0, 'ascii');
+    header.writeUInt32BE(INDEX_HEADER_LENGTH, 4);
+    header.writeUInt32BE(1, 12);
+    header.writeUInt32BE(idxtOffset, 20);
+    header.writeUInt32BE(entriesInRecord.length, 24);
+    header.writeUInt32BE(NULL_INDEX, 28);
+    header.writeUInt32BE(NULL_INDEX, 32);
+
+    return Buffer.concat([header, bodyBuffer, buildIdxt(offsets)]);
+  });
+
+  // Header record: TAGX plus the last entry and entry count of every record
+  const tagx = buildTagx(tagTable, controlByteCount);
+  const geometry = [];
+  const geometryOffsets = [];
+  let position = INDEX_HEADER_LENGTH + tagx.length;
+  blocks.forEach(entriesInRecord => {
+    const last = entriesInRecord[entriesInRecord.length - 1].lead;
+    const count = Buffer.alloc(2);
+    count.writeUInt16BE(entriesInRecord.length, 0);
+    const geometryEntry = Buffer.concat([Buffer.from([last.length]), last, count]);
+    geometryOffsets.push(position);
+    geometry.push(geometryEntry);
+    position += geometryEntry.length;
+  });
+  const geometryBuffer = align(Buffer.concat(geometry), position);
+  const idxtOffset = INDEX_HEADER_LENGTH + tagx.length + geometryBuffer.length;
+
+  const header = Buffer.alloc(INDEX_HEADER_LENGTH);
+  header.write('INDX', 0, 'ascii');
+  header.writeUInt32BE(INDEX_HEADER_LENGTH, 4);
+  header.writeUInt32BE(2, 16);
+  header.writeUInt32BE(idxtOffset, 20);
+  header.writeUInt32BE(entryRecords.length, 24);
+  header.writeUInt32BE(65001, 28); // UTF-8
+  header.writeUInt32BE(NULL_INDEX, 32);
+  header.writeUInt32BE(entries.length, 36);
+  header.writeUInt32BE(cncxRecords.length, 52);
+  header.writeUInt32BE(INDEX_HEADER_LENGTH, 180); // TAGX offset
+
+  const headerRecord = Buffer.concat([header, tagx, geometryBuffer, buildIdxt(geometryOffsets)]);
+  return [headerRecord, ...entryRecords, ...cncxRecords];
+}
+
+function buildTagx(tagTable, controlByteCount) {
+  const header = Buffer.alloc(12);
+  header.write('TAGX', 0, 'ascii');
+  header.writeUInt32BE(12 + tagTable.length * 4, 4);
+  header.writeUInt32BE(controlByteCount, 8);
+  const tags = Buffer.from(tagTable.flatMap(([, number, valuesPerEntry, mask, endFlag]) => [number, valuesPerEntry, mask, endFlag]));
+  return Buffer.concat([header, tags]);
+}
+
+function buildIdxt(offsets) {
+  const idxt = Buffer.alloc(4 + offsets.length * 2);
+  idxt.write('IDXT', 0, 'ascii');
+  offsets.forEach((offset, i) => idxt.writeUInt16BE(offset, 4 + i * 2));
+  return align(idxt, idxt.length);
+}
+
+/**
+ * Build the string table records used by an index
+ * @param {Array<string>} strings - Strings (duplicates are stored once)
+ * @returns {{records: Array<Buffer>, offsets: Map}} - Records and the offset of each string
+ */
+function buildCncx(strings) {
+  const records = [];
+  const offsets = new Map();
+  let current = [];
+  let currentSize = 0;
+
+  strings.forEach(value => {
+    if (offsets.has(value)) return;
+    const utf8 = Buffer.from(value.slice(0, 500), 'utf8');
+    const raw = Buffer.concat([encodeVarint(utf8.length), utf8]);
+
+    if (currentSize + raw.length > MAX_INDEX_RECORD_SIZE) {
+      records.push(align(Buffer.concat(current), currentSize));
+      current = [];
+      currentSize = 0;
+    }
+
+    // Offsets address records in 0x10000 steps
+    offsets.set(value, records.length * 0x10000 + currentSize);
+    current.push(raw);
+    currentSize += raw.length;
+  });
+
+  if (current.length > 0) {
+    records.push(align(Buffer.concat(current), currentSize));
+  }
+
+  return { records, offsets };
+}
+
+/**
+ * Split the text into compressed 4096 byte records
+ * A UTF-8 character cut by a record boundary is completed in the record's
+ * trailing multibyte entry.
+ * @param {Buffer} text - Text flow
+ * @returns {Array<Buffer>} - Text records
+ */
+function buildTextRecords(text) {
+  const records = [];
+
+  for (let start = 0; start < text.length; start += RECORD_SIZE) {
+    const end = Math.min(start + RECORD_SIZE, text.length);
+    let overlap = 0;
+    while (end + overlap < text.length && overlap < 3 && (text[end + overlap] & 0xc0) === 0x80) {
+      overlap++;
+    }
+
+    records.push(Buffer.concat([
+      compressPalmDoc(text.subarray(start, end)),
+      text.subarray(end, end + overlap),
+      Buffer.from([overlap])
+    ]));
+  }
+
+  return records;
+}
+
+/**
+ * PalmDOC (LZ77 variant) compression
+ * @param {Buffer} data - Up to 4096 bytes
+ * @returns {Buffer} - Compressed data
+ */
+function compressPalmDoc(data) {
+  const out = [];
+  const length = data.length;
+  let i = 0;
+
+  while (i < length) {
+    // Back-references of 3 to 10 bytes up to 2047 bytes away
+    if (i > 10 && length - i > 10) {
+      const windowStart = Math.max(0, i - 2047);
+      const window = data.subarray(windowStart, i);
+      let matched = false;
+
+      for (let size = 10; size > 2; size--) {
+        const found = window.lastIndexOf(data.subarray(i, i + size));
+        if (found !== -1) {
+          const distance = i - (windowStart + found);
+          const code = 0x8000 + ((distance << 3) & 0x3ff8) + (size - 3);
+          out.push(code >> 8, code & 0xff);
+          i += size;
+          matched = true;
+          break;
+        }
+      }
+      if (matched) continue;
+    }
+
+    const byte = data[i++];
+
+    // Space followed by a printable ASCII character packs into one byte
+    if (byte === 0x20 && i + 1 < length) {
+      const next = data[i];
+      if (next >= 0x40 && next < 0x80) {
+        out.push(next ^ 0x80);
+        i++;
+        continue;
+      }
+    }
+
+    if (byte === 0 || (byte > 8 && byte < 0x80)) {
+      out.push(byte);
+    } else {
+      // Run of up to 8 bytes that need escaping
+      const run = [byte];
+      while (i < length && run.length < 8) {
+        const next = data[i];
+        if (next === 0 || (next > 8 && next < 0x80)) break;
+        run.push(next);
+        i++;
+      }
+      out.push(run.length, ...run);
+    }
+  }
+
+  return Buffer.from(out);
+}
+
+function buildFdst(flows) {
+  const fdst = Buffer.alloc(12 + flows.length * 8);
+  fdst.write('FDST', 0, 'ascii');
+  fdst.writeUInt32BE(12, 4);
+  fdst.writeUInt32BE(flows.length, 8);
+  flows.forEach(([start, end], i) => {
+    fdst.writeUInt32BE(start, 12 + i * 8);
+    fdst.writeUInt32BE(end, 16 + i * 8);
+  });
+  return fdst;
+}
+
+function buildFlis() {
+  return Buffer.from('464c4953000000080041000000000000ffffffff000100030000000300000001ffffffff', 'hex');
+}
+
+function buildFcis(textLength) {
+  const fcis = Buffer.from(
+    '46434953000000140000001000000002000000000000000000000000000000280000000000000028000000080001000100000000',
+    'hex'
+  );
+  fcis.writeUInt32BE(textLength, 20);
+  return fcis;
+}
+
+/**
+ * Build the EXTH metadata block
+ * @param {Object} info - Book information
+ * @returns {Buffer} - EXTH block, padded to a multiple of four bytes
+ */
+function buildExth(info) {
+  const records = [];
+  const addString = (type, value) => {
+    if (value) records.push([type, Buffer.from(String(value), 'utf8')]);
+  };
+  const addNumber = (type, value) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value >>> 0, 0);
+    records.push([type, buffer]);
+  };
+
+  const { metadata } = info;
+  const uuid = metadata.identifier || crypto.randomUUID();
+
+  addString(100, metadata.author);
+  addString(101, metadata.publisher);
+  addString(103, metadata.description);
+  addString(106, metadata.date);
+  addString(113, uuid);
+  addString(501, info.cdeType);
+  addString(503, metadata.title);
+  addString(504, uuid);
+  addString(524, metadata.language);
+  addNumber(125, info.resourceCount);
+  if (info.resourceCount > 0) {
+    addNumber(131, 0);
+  }
+
+  if (info.coverOffset !== null && info.coverOffset !== undefined) {
+    addNumber(201, info.coverOffset);
+    addNumber(203, 0); // Real cover, not a generated one
+    addString(129, `kindle:embed:${toBase32(info.coverOffset + 1, 4)}`);
+  }
+  if (info.thumbnailOffset !== null && info.thumbnailOffset !== undefined) {
+    addNumber(202, info.thumbnailOffset);
+  }
+
+  // Creator fields, same values kindlegen 2.9 writes on Linux
+  addNumber(204, 201);
+  addNumber(205, 2);
+  addNumber(206, 9);
+  addNumber(207, 0);
+
+  const body = Buffer.concat(records.map(([type, data]) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(type, 0);
+    header.writeUInt32BE(data.length + 8, 4);
+    return Buffer.concat([header, data]);
+  }));
+
+  const header = Buffer.alloc(12);
+  header.write('EXTH', 0, 'ascii');
+  header.writeUInt32BE(body.length + 12, 4);
+  header.writeUInt32BE(records.length, 8);
+
+  // Always pad with at least one byte
+  const padding = Buffer.alloc(4 - (body.length % 4));
+  return Buffer.concat([header, body, padding]);
+}
+
+/**
+ * Build record 0: PalmDOC header, MOBI header, EXTH and full title
+ * @param {Object} info - Record offsets and book information
+ * @returns {Buffer} - Record 0
+ */
+function buildRecord0(info) {
+  const header = Buffer.alloc(280);
+  const exth = buildExth(info);
+  const fullTitle = Buffer.from(info.metadata.title, 'utf8');
+  const language = LANGUAGE_CODES[(info.metadata.language || 'en').toLowerCase().split(/[-_]/)[0]] || 0;
+
+  // PalmDOC header
+  header.writeUInt16BE(2, 0); // PalmDOC compression
+  header.writeUInt32BE(info.textLength, 4);
+  header.writeUInt16BE(info.textRecordCount, 8);
+  header.writeUInt16BE(RECORD_SIZE, 10);
+
+  // MOBI header
+  header.write('MOBI', 16, 'ascii');
+  header.writeUInt32BE(264, 20); // Header length
+  header.writeUInt32BE(2, 24); // Book
+  header.writeUInt32BE(65001, 28); // UTF-8
+  header.writeUInt32BE(crypto.randomBytes(4).readUInt32BE(0), 32);
+  header.writeUInt32BE(8, 36); // KF8
+  for (let offset = 40; offset < 80; offset += 4) {
+    header.writeUInt32BE(NULL_INDEX, offset); // Orth, inflection and extra indices
+  }
+  header.writeUInt32BE(info.firstNonTextRecord, 80);
+  header.writeUInt32BE(280 + exth.length, 84);
+  header.writeUInt32BE(fullTitle.length, 88);
+  header.writeUInt32BE(language, 92);
+  header.writeUInt32BE(8, 104); // Minimum reader version
+  header.writeUInt32BE(info.firstResourceRecord, 108);
+  header.writeUInt32BE(0x50, 128); // EXTH present
+  header.writeUInt32BE(NULL_INDEX, 164);
+  header.writeUInt32BE(NULL_INDEX, 168); // No DRM
+  header.writeUInt32BE(info.fdstRecord, 192);
+  header.writeUInt32BE(1, 196);
+  header.writeUInt32BE(info.fcisRecord, 200);
+  header.writeUInt32BE(1, 204);
+  header.writeUInt32BE(info.flisRecord, 208);
+  header.writeUInt32BE(1, 212);
+  header.writeUInt32BE(NULL_INDEX, 224); // No SRCS
+  header.writeUInt32BE(NULL_INDEX, 232);
+  header.writeUInt32BE(NULL_INDEX, 236);
+  header.writeUInt32BE(0b1, 240); // Trailing multibyte bytes on text records
+  header.writeUInt32BE(info.ncxIndex, 244);
+  header.writeUInt32BE(info.chunkIndex, 248);
+  header.writeUInt32BE(info.skelIndex, 252);
+  header.writeUInt32BE(NULL_INDEX, 256); // DATP
+  header.writeUInt32BE(NULL_INDEX, 260); // Guide
+  header.writeUInt32BE(NULL_INDEX, 264);
+  header.writeUInt32BE(NULL_INDEX, 272);
+
+  // Title is followed by padding that Amazon's tools expect to be able to use
+  const titleBlock = align(Buffer.concat([fullTitle, Buffer.alloc(2)]), fullTitle.length + 2);
+  return Buffer.concat([header, exth, titleBlock, Buffer.alloc(8192)]);
+}
+
+/**
+ * Wrap records in a PalmDB container
+ * @param {string} title - Book title, used for the database name
+ * @param {Array<Buffer>} records - Records
+ * @returns {Buffer} - The complete file
+ */
+function buildPalmDatabase(title, records) {
+  const headerLength = 78 + records.length * 8 + 2;
+  const header = Buffer.alloc(headerLength);
+  const now = Math.floor(Date.now() / 1000);
+
+  const name = title.normalize('NFKD').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 31) || 'Newsletter';
+  header.write(name, 0, 'ascii');
+  header.writeUInt32BE(now, 36); // Created
+  header.writeUInt32BE(now, 40); // Modified
+  header.write('BOOK', 60, 'ascii');
+  header.write('MOBI', 64, 'ascii');
+  header.writeUInt32BE(2 * records.length - 1, 68);
+  header.writeUInt16BE(records.length, 76);
+
+  let offset = headerLength;
+  records.forEach((record, i) => {
+    header.writeUInt32BE(offset, 78 + i * 8);
+    header.writeUInt32BE((2 * i) & 0xffffff, 82 + i * 8); // Attributes byte 0, then unique id
+    offset += record.length;
+  });
+
+  return Buffer.concat([header, ...records]);
+}
+
+/**
+ * Link target in the form KF8 readers resolve: fragment number and offset in base 32
+ */
+function kindlePosUri(target) {
+  return `kindle:pos:fid:${toBase32(target.fragment.index, 4)}:off:${toBase32(target.offset, 10)}`;
+}
+
+function aidSelector(aid) {
+  return `P-//*[@aid='${aid}']`;
+}
+
+function addAid(openTag, aid) {
+  if (/\said\s*=/i.test(openTag)) return openTag;
+  return openTag.replace(/^(<[^\s/>]+)/, `$1 aid="${aid}"`);
+}
+
+function findIds(markup) {
+  const ids = [];
+  const pattern = /<[A-Za-z][^>]*?\sid\s*=\s*(["'])([^"']+)\1/g;
+  let match;
+  while ((match = pattern.exec(markup)) !== null) {
+    ids.push({ id: match[2], index: match.index });
+  }
+  return ids;
+}
+
+function toBase32(value, width) {
+  let result = '';
+  do {
+    result = BASE32_DIGITS[value % 32] + result;
+    value = Math.floor(value / 32);
+  } while (value > 0);
+  return result.padStart(width, '0');
+}
+
+/**
+ * Forward variable width integer used in index entries: 7 bits per byte,
+ * high bit set on the last byte
+ */
+function encodeVarint(value) {
+  const bytes = [];
+  do {
+    bytes.unshift(value & 0x7f);
+    value = Math.floor(value / 128);
+  } while (value > 0);
+  bytes[bytes.length - 1] |= 0x80;
+  return Buffer.from(bytes);
+}
+
+function trailingZeros(mask) {
+  let shifts = 0;
+  while (mask && (mask & 1) === 0) {
+    mask >>= 1;
+    shifts++;
+  }
+  return shifts;
+}
+
+function align(buffer, length) {
+  const remainder = length % 4;
+  return remainder === 0 ? buffer : Buffer.concat([buffer, Buffer.alloc(4 - remainder)]);
+}
+
+function resolveHref(baseDir, href, keepFragment = false) {
+  const [file, fragment] = href.split('#');
+  let decoded = file;
+  try {
+    decoded = decodeURIComponent(file);
+  } catch (error) {
+    // Keep the raw href
+  }
+  const resolved = path.posix.normalize(path.posix.join(baseDir, decoded)).replace(/^\.\//, '');
+  return keepFragment && fragment ? `${resolved}#${fragment}` : resolved;
+}
+
+function parseAttributes(tag) {
+  const attrs = {};
+  const pattern = /([^\s=/<>]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attrs[match[1]] = decodeEntities(match[2] ?? match[3] ?? match[4]);
+  }
+  return attrs;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+  convertEpubToAzw3,
+  readEpub
+};
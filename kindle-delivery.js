@@ -0,0 +1,215 @@
+// utils/kindle-delivery.js
+// Emails generated ebooks to a Send-to-Kindle (@kindle.com) address over SMTP
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { SecretConfig } = require('./secret-config');
+
+const CONFIG_FILE = 'kindle-delivery.json';
+
+// Amazon rejects Send-to-Kindle emails over 50 MB, attachments included
+const DEFAULT_MAX_SIZE_MB = 50;
+
+const DEFAULT_CONFIG = {
+  kindleAddress: '',
+  fromAddress: '',
+  host: '',
+  port: 587,
+  security: 'starttls', // 'starttls', 'tls' (implicit, usually port 465) or 'none'
+  user: '',
+  pass: '',
+  allowSelfSigned: false,
+  maxSizeMb: DEFAULT_MAX_SIZE_MB,
+  maxRetries: 3,
+  retryDelayMs: 2000
+};
+
+const SECURITY_MODES = ['starttls', 'tls', 'none'];
+const KINDLE_ADDRESS = /^[^@\s]+@(free\.)?kindle\.(com|cn)$/i;
+
+// Network hiccups and 4xx replies are worth retrying; auth failures and 5xx are not
+const RETRYABLE_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNRESET', 'EPIPE'];
+
+const MIME_TYPES = {
+  '.epub': 'application/epub+zip',
+  '.pdf': 'application/pdf'
+};
+
+class KindleDelivery extends SecretConfig {
+  constructor() {
+    super({
+      file: CONFIG_FILE,
+      defaults: DEFAULT_CONFIG,
+      logLabel: 'Kindle Delivery',
+      notSetUp: 'Kindle email delivery is not set up',
+      normalize: normalizeConfig,
+      validate: validateConfig,
+      describe: config => `${config.host}:${config.port}, ${config.security}, for ${config.kindleAddress}`
+    });
+  }
+
+  /**
+   * Connect and authenticate without sending anything
+   * @param {Object} overrides - Unsaved settings to try instead of the saved ones
+   */
+  async testConnection(overrides = {}) {
+    const config = this.resolveConfig(overrides);
+    const transporter = createTransport(config);
+    try {
+      await transporter.verify();
+      console.log(`[Kindle Delivery] SMTP connection to ${config.host}:${config.port} verified`);
+      return { success: true };
+    } finally {
+      transporter.close();
+    }
+  }
+
+  /**
+   * Email an ebook to the configured Kindle address, retrying transient failures
+   * Amazon bounces AZW3 attachments, so an AZW3 book is refused; send an EPUB made from it instead
+   * @param {string} filePath - EPUB or PDF file to send
+   * @param {Object} options - onProgress(percentage, status) callback and optional setting overrides
+   * @returns {Promise<Object>} - { success, to, attempts, messageId, size }
+   */
+  async sendFile(filePath, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const config = this.resolveConfig(options.config);
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath ? path.basename(filePath) : '(none)'}`);
+    }
+
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.azw3') {
+      throw new Error(`${path.basename(filePath)} is an AZW3 book, which Send to Kindle by email rejects; send it as EPUB or PDF`);
+    }
+
+    onProgress(5, 'Checking file size');
+    const size = fs.statSync(filePath).size;
+    // Base64 grows the attachment by a third, and that's what counts against the limit
+    const encodedSize = Math.ceil(size / 3) * 4;
+    const limit = config.maxSizeMb * 1024 * 1024;
+    if (encodedSize > limit) {
+      throw new Error(`${path.basename(filePath)} is ${formatMb(size)} (${formatMb(encodedSize)} encoded), over the ${config.maxSizeMb} MB Send-to-Kindle limit`);
+    }
+
+    const message = {
+      from: config.fromAddress,
+      to: config.kindleAddress,
+      subject: path.basename(filePath, ext),
+      text: 'Sent by Kindle Newsletter Formatter.',
+      attachments: [{
+        filename: path.basename(filePath),
+        path: filePath,
+        contentType: MIME_TYPES[ext] || 'application/octet-stream'
+      }]
+    };
+
+    const attempts = config.maxRetries + 1;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const transporter = createTransport(config);
+      try {
+        onProgress(10 + Math.round((attempt - 1) * 60 / attempts), attempt === 1
+          ? `Connecting to ${config.host}`
+          : `Retrying (attempt ${attempt} of ${attempts})`);
+
+        const info = await transporter.sendMail(message);
+
+        // Accepted mail with a rejected Kindle address is still a failed delivery
+        if (info.rejected && info.rejected.length > 0) {
+          const error = new Error(`Server rejected recipient ${info.rejected.join(', ')}`);
+          error.code = 'EENVELOPE';
+          throw error;
+        }
+
+        onProgress(100, `Sent to ${config.kindleAddress}`);
+        console.log(`[Kindle Delivery] Sent ${path.basename(filePath)} to ${config.kindleAddress} (${info.messageId}) on attempt ${attempt}`);
+        return { success: true, to: config.kindleAddress, attempts: attempt, messageId: info.messageId, size };
+      } catch (error) {
+        lastError = error;
+        console.error(`[Kindle Delivery] Attempt ${attempt}/${attempts} failed: ${error.message}`);
+
+        if (!isRetryable(error) || attempt === attempts) break;
+
+        const delay = config.retryDelayMs * Math.pow(2, attempt - 1);
+        onProgress(10 + Math.round(attempt * 60 / attempts), `Send failed (${error.message}), retrying in ${Math.ceil(delay / 1000)}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      } finally {
+        transporter.close();
+      }
+    }
+
+    const failure = new Error(`Could not send to ${config.kindleAddress}: ${lastError.message}`);
+    failure.code = lastError.code;
+    failure.responseCode = lastError.responseCode;
+    throw failure;
+  }
+}
+
+// Form fields arrive as strings
+function normalizeConfig(config) {
+  return {
+    ...config,
+    port: Number(config.port) || DEFAULT_CONFIG.port,
+    maxSizeMb: Number(config.maxSizeMb) || DEFAULT_MAX_SIZE_MB
+  };
+}
+
+/**
+ * List what is missing or wrong in a delivery configuration
+ * @param {Object} config - Delivery settings
+ * @returns {Array<string>} - Human-readable problems, empty when usable
+ */
+function validateConfig(config) {
+  const errors = [];
+  if (!KINDLE_ADDRESS.test(config.kindleAddress || '')) {
+    errors.push('Kindle address must be your @kindle.com Send-to-Kindle address');
+  }
+  if (!/^[^@\s]+@[^@\s]+$/.test(config.fromAddress || '')) {
+    errors.push('From address must be an email address on your approved senders list');
+  }
+  if (!config.host) {
+    errors.push('SMTP host is required');
+  }
+  const port = Number(config.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    errors.push('SMTP port must be between 1 and 65535');
+  }
+  if (!SECURITY_MODES.includes(config.security)) {
+    errors.push(`Security must be one of: ${SECURITY_MODES.join(', ')}`);
+  }
+  if (config.user && !config.pass) {
+    errors.push('Password is required when a username is set');
+  }
+  return errors;
+}
+
+function createTransport(config) {
+  return nodemailer.createTransport({
+    host: config.host,
+    port: Number(config.port),
+    secure: config.security === 'tls',
+    requireTLS: config.security === 'starttls',
+    ignoreTLS: config.security === 'none',
+    auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+    tls: config.allowSelfSigned ? { rejectUnauthorized: false } : undefined,
+    connectionTimeout: 30000,
+    greetingTimeout: 15000,
+    socketTimeout: 60000
+  });
+}
+
+function isRetryable(error) {
+  if (error.responseCode) {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+function formatMb(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+module.exports = new KindleDelivery();
@@ -0,0 +1,217 @@
+// utils/kindle-device.js
+// Finds Kindles mounted over USB and copies ebooks onto them
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// A volume counts as a Kindle when it has documents/ and one of these markers
+const DEVICE_MARKERS = ['system/version.txt', 'system/.version', 'system/thumbnails'];
+
+// Path the Kindle itself sees for the USB volume; legacy collections.json hashes use it
+const DEVICE_ROOT = '/mnt/us';
+
+/**
+ * Directories that may contain mounted volumes on this platform
+ * KINDLE_MOUNT_ROOTS (separated like PATH) overrides the defaults
+ * @returns {Array<string>} - Mount roots
+ */
+function getDefaultMountRoots() {
+  if (process.env.KINDLE_MOUNT_ROOTS) {
+    return process.env.KINDLE_MOUNT_ROOTS.split(path.delimiter).filter(Boolean);
+  }
+  if (process.platform === 'darwin') {
+    return ['/Volumes'];
+  }
+  if (process.platform === 'win32') {
+    // Each drive letter is a volume root of its own
+    return 'DEFGHIJKLMNOPQRSTUVWXYZ'.split('').map(letter => `${letter}:\\`);
+  }
+  return ['/media', '/run/media', '/mnt'];
+}
+
+/**
+ * Find mounted Kindle volumes
+ * @param {Array<string>} mountRoots - Directories to search (volumes may sit one or two levels down, e.g. /media/<user>/Kindle)
+ * @returns {Array<Object>} - Devices with path, name, version and free space
+ */
+function findKindleDevices(mountRoots = getDefaultMountRoots()) {
+  const devices = [];
+  const seen = new Set();
+
+  const consider = (candidate) => {
+    let realPath;
+    try {
+      realPath = fs.realpathSync(candidate);
+    } catch (error) {
+      return false;
+    }
+    if (seen.has(realPath) || !isKindleVolume(realPath)) return false;
+    seen.add(realPath);
+    devices.push(describeDevice(realPath));
+    return true;
+  };
+
+  // Drive letters are volumes themselves; walking into them would crawl whole disks
+  const searchBelowRoots = process.platform !== 'win32';
+
+  mountRoots.forEach(root => {
+    if (consider(root) || !searchBelowRoots) return;
+    listDirectories(root).forEach(level1 => {
+      if (consider(level1)) return;
+      listDirectories(level1).forEach(level2 => consider(level2));
+    });
+  });
+
+  return devices;
+}
+
+function isKindleVolume(volumePath) {
+  try {
+    if (!fs.statSync(path.join(volumePath, 'documents')).isDirectory()) return false;
+  } catch (error) {
+    return false;
+  }
+  return DEVICE_MARKERS.some(marker => fs.existsSync(path.join(volumePath, marker)));
+}
+
+function describeDevice(volumePath) {
+  let version = null;
+  try {
+    version = fs.readFileSync(path.join(volumePath, 'system', 'version.txt'), 'utf8').split(/\r?\n/)[0].trim() || null;
+  } catch (error) {
+    // Older models have no version.txt; the marker check already passed
+  }
+
+  return {
+    path: volumePath,
+    name: path.basename(volumePath) || volumePath,
+    version,
+    documentsPath: path.join(volumePath, 'documents'),
+    ...getFreeSpace(volumePath)
+  };
+}
+
+/**
+ * Free and total space of the volume holding a path
+ * @param {string} volumePath - Any path on the volume
+ * @returns {{freeBytes: number|null, totalBytes: number|null}} - Sizes in bytes (null if unknown)
+ */
+function getFreeSpace(volumePath) {
+  try {
+    const stats = fs.statfsSync(volumePath);
+    return {
+      freeBytes: stats.bavail * stats.bsize,
+      totalBytes: stats.blocks * stats.bsize
+    };
+  } catch (error) {
+    console.warn(`[Kindle Device] Could not read free space for ${volumePath}: ${error.message}`);
+    return { freeBytes: null, totalBytes: null };
+  }
+}
+
+/**
+ * Copy an ebook into a Kindle's documents/ folder
+ * @param {string} filePath - Ebook to copy
+ * @param {string} devicePath - Volume path from findKindleDevices
+ * @param {Object} options - Optional collection name
+ * @returns {Object} - { destination, collection, freeBytes }
+ */
+function copyToDevice(filePath, devicePath, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${path.basename(filePath)}`);
+  }
+  if (!isKindleVolume(devicePath)) {
+    throw new Error(`No Kindle found at ${devicePath}. Is it still connected?`);
+  }
+
+  const collection = sanitizeCollectionName(options.collection);
+  // Books are grouped in a subfolder per collection; the Kindle indexes subfolders of documents/
+  const targetDir = collection
+    ? path.join(devicePath, 'documents', collection)
+    : path.join(devicePath, 'documents');
+
+  const size = fs.statSync(filePath).size;
+  const { freeBytes } = getFreeSpace(devicePath);
+  if (freeBytes !== null && size > freeBytes) {
+    throw new Error(`Not enough space on the Kindle: ${formatBytes(size)} needed, ${formatBytes(freeBytes)} free`);
+  }
+
+  fs.mkdirSync(targetDir, { recursive: true });
+  const destination = path.join(targetDir, path.basename(filePath));
+
+  // Copy under a temporary name so an unplugged device never shows a half-written book
+  const partialPath = `${destination}.part`;
+  try {
+    fs.copyFileSync(filePath, partialPath);
+    fs.renameSync(partialPath, destination);
+  } catch (error) {
+    fs.rmSync(partialPath, { force: true });
+    throw new Error(`Could not copy to the Kindle: ${error.message}`);
+  }
+
+  if (collection) {
+    addToLegacyCollection(devicePath, destination, collection);
+  }
+
+  console.log(`[Kindle Device] Copied ${path.basename(filePath)} to ${destination}`);
+  return {
+    destination,
+    collection,
+    freeBytes: getFreeSpace(devicePath).freeBytes
+  };
+}
+
+/**
+ * Older firmware keeps collections in system/collections.json and reads it on restart.
+ * Newer firmware uses its own database, so the file is only updated when it already exists.
+ */
+function addToLegacyCollection(devicePath, destination, collection) {
+  const collectionsPath = path.join(devicePath, 'system', 'collections.json');
+  if (!fs.existsSync(collectionsPath)) return;
+
+  try {
+    const collections = JSON.parse(fs.readFileSync(collectionsPath, 'utf8') || '{}');
+    const relative = path.relative(devicePath, destination).split(path.sep).join('/');
+    const itemKey = `*${crypto.createHash('sha1').update(`${DEVICE_ROOT}/${relative}`).digest('hex')}`;
+    const key = `${collection}@en-US`;
+
+    collections[key] = collections[key] || { items: [], lastAccess: 0 };
+    if (!collections[key].items.includes(itemKey)) {
+      collections[key].items.push(itemKey);
+    }
+    collections[key].lastAccess = Date.now();
+
+    fs.writeFileSync(collectionsPath, JSON.stringify(collections));
+  } catch (error) {
+    console.warn(`[Kindle Device] Could not update collections.json: ${error.message}`);
+  }
+}
+
+function sanitizeCollectionName(name) {
+  if (typeof name !== 'string') return null;
+  const clean = name.replace(/[\\/:*?"<>|\x00-\x1f]/g, '').replace(/^\.+/, '').trim().substring(0, 80);
+  return clean || null;
+}
+
+function listDirectories(dirPath) {
+  try {
+    return fs.readdirSync(dirPath, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() || entry.isSymbolicLink())
+      .map(entry => path.join(dirPath, entry.name));
+  } catch (error) {
+    return [];
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+module.exports = {
+  getDefaultMountRoots,
+  findKindleDevices,
+  getFreeSpace,
+  copyToDevice,
+  formatBytes
+};
@@ -5,6 +5,7 @@ const os = require('os');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const { ipcMain } = require('electron');
+const imapImporter = require('./imap-importer');
 const execPromise = promisify(exec);
 
 class MailDropHandler {
@@ -57,11 +58,17 @@ class MailDropHandler {
     return validFiles;
   }
 
-  async extractMailContent() {
-    // This is a placeholder for the actual Mail extraction logic
-    // In a full implementation, this would use AppleScript or similar
-    // to extract files from Mail.app
-    return null;
+  /**
+   * Pull newsletters straight from the IMAP mailbox set up in Settings
+   * @param {Object} filters - from, listId, since, until and unread, as for mailbox imports
+   * @returns {Promise<Object|null>} - { messages, scanned, importDir, cleanup } with one .eml per message,
+   *   or null when no mailbox is set up
+   */
+  async extractMailContent(filters = {}) {
+    if (!imapImporter.isConfigured()) {
+      return null;
+    }
+    return imapImporter.fetchMessages(filters);
   }
 
   async createTestFiles(filePaths) {
@@ -0,0 +1,375 @@
+// utils/mailbox-importer.js
+// Splits mbox files and Maildir trees into individual messages for the EML pipeline
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { convertMultipleEmlsToEbook } = require('./eml-to-azw3-converter');
+
+const MBOX_EXTENSIONS = ['.mbox', '.mbx'];
+const MAX_MAILDIR_DEPTH = 6;
+
+/**
+ * Check whether a path is an mbox file or a directory containing Maildir folders
+ * @param {string} sourcePath - File or directory path
+ * @returns {boolean} - True if it can be imported as a mailbox
+ */
+function isMailbox(sourcePath) {
+  let stats;
+  try {
+    stats = fs.statSync(sourcePath);
+  } catch (error) {
+    return false;
+  }
+
+  if (stats.isDirectory()) {
+    return findMaildirs(sourcePath).length > 0;
+  }
+
+  const ext = path.extname(sourcePath).toLowerCase();
+  if (MBOX_EXTENSIONS.includes(ext)) {
+    return true;
+  }
+
+  // Thunderbird keeps mbox files without an extension ("Inbox", "Sent")
+  if (ext === '' && stats.isFile() && stats.size > 5) {
+    const fd = fs.openSync(sourcePath, 'r');
+    try {
+      const head = Buffer.alloc(5);
+      fs.readSync(fd, head, 0, 5, 0);
+      return head.toString('latin1') === 'From ';
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+  return false;
+}
+
+/**
+ * Split mailboxes into .eml files, keeping only messages that match the filters
+ * @param {Array<string>} sources - mbox files and/or Maildir directories
+ * @param {Object} filters - Optional filters
+ * @param {string|Array<string>} filters.from - Sender substring(s), matched case-insensitively
+ * @param {string|Array<string>} filters.listId - List-Id substring(s)
+ * @param {string|Date} filters.since - Earliest message date (inclusive)
+ * @param {string|Date} filters.until - Latest message date (inclusive; a bare date means the whole day)
+ * @returns {Promise<Object>} - { messages, scanned, tempDir, cleanup }, messages sorted oldest first
+ */
+async function extractMailboxMessages(sources, filters = {}) {
+  const criteria = normalizeFilters(filters);
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kindle-mailbox-'));
+  const messages = [];
+  let scanned = 0;
+
+  const cleanup = () => {
+    try {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    } catch (error) {
+      console.warn(`[Mailbox Importer] Could not remove ${tempDir}: ${error.message}`);
+    }
+  };
+
+  const accept = (raw, source, fallbackDate) => {
+    scanned++;
+    const headers = parseHeaders(raw);
+    const date = parseDate(headers.date) || fallbackDate;
+    const summary = {
+      subject: decodeMimeWords(headers.subject || ''),
+      from: decodeMimeWords(headers.from || ''),
+      listId: decodeMimeWords(headers['list-id'] || ''),
+      date,
+      source
+    };
+
+    if (!matchesFilters(summary, criteria)) return;
+
+    summary.path = path.join(tempDir, `${String(messages.length + 1).padStart(5, '0')}.eml`);
+    fs.writeFileSync(summary.path, raw);
+    messages.push(summary);
+  };
+
+  try {
+    for (const source of sources) {
+      if (fs.statSync(source).isDirectory()) {
+        const maildirs = findMaildirs(source);
+        console.log(`[Mailbox Importer] Reading ${maildirs.length} Maildir folder(s) under ${source}`);
+        maildirs.forEach(maildir => readMaildir(maildir, accept));
+      } else {
+        console.log(`[Mailbox Importer] Reading mbox ${source}`);
+        await readMbox(source, accept);
+      }
+    }
+  } catch (error) {
+    cleanup();
+    throw error;
+  }
+
+  // Digests read oldest to newest; undated messages go last
+  messages.sort((a, b) => (a.date ? a.date.getTime() : Infinity) - (b.date ? b.date.getTime() : Infinity));
+
+  console.log(`[Mailbox Importer] ${messages.length} of ${scanned} message(s) matched the filters`);
+  return { messages, scanned, tempDir, cleanup };
+}
+
+/**
+ * Import mailboxes and build one digest ebook from the matching messages
+ * @param {Array<string>} sources - mbox files and/or Maildir directories
+ * @param {string} outputPath - Path where the digest will be saved
+ * @param {Object} options - Conversion options plus a `filters` object (see extractMailboxMessages)
+ * @returns {Promise<Object>} - convertMultipleEmlsToEbook's result plus imported and scanned counts
+ */
+async function convertMailboxToEbook(sources, outputPath, options = {}) {
+  const { messages, scanned, cleanup } = await extractMailboxMessages(sources, options.filters);
+  try {
+    if (messages.length === 0) {
+      throw new Error(`None of the ${scanned} message(s) matched the mailbox filters`);
+    }
+    const result = await convertMultipleEmlsToEbook(messages.map(message => message.path), outputPath, options);
+    return { ...result, imported: messages.length, scanned };
+  } finally {
+    cleanup();
+  }
+}
+
+/**
+ * Stream an mbox file and hand each message to the callback
+ * Lines are handled as bytes so 8-bit bodies survive untouched
+ */
+function readMbox(mboxPath, onMessage) {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(mboxPath);
+    let remainder = Buffer.alloc(0);
+    let lines = null;
+    let envelopeDate = null;
+    let previousBlank = true;
+
+    const flush = () => {
+      if (!lines) return;
+      // The blank line before the next "From " separator belongs to the mbox, not the message
+      while (lines.length > 0 && isBlankLine(lines[lines.length - 1])) {
+        lines.pop();
+      }
+      if (lines.length > 0) {
+        onMessage(Buffer.concat(lines), mboxPath, envelopeDate);
+      }
+      lines = null;
+    };
+
+    const handleLine = (line) => {
+      if (previousBlank && isSeparator(line)) {
+        flush();
+        lines = [];
+        envelopeDate = parseEnvelopeDate(line.toString('latin1'));
+        previousBlank = false;
+        return;
+      }
+
+      previousBlank = isBlankLine(line);
+      if (!lines) return; // Junk before the first separator
+
+      // mboxrd quoting: ">From " and ">>From " lose one ">"
+      if (line[0] === 0x3e) {
+        let depth = 0;
+        while (line[depth] === 0x3e) depth++;
+        if (line.toString('latin1', depth, depth + 5) === 'From ') {
+          line = line.subarray(1);
+        }
+      }
+      lines.push(line);
+    };
+
+    stream.on('data', chunk => {
+      const data = remainder.length > 0 ? Buffer.concat([remainder, chunk]) : chunk;
+      let start = 0;
+      let newline;
+      try {
+        while ((newline = data.indexOf(0x0a, start)) !== -1) {
+          handleLine(data.subarray(start, newline + 1));
+          start = newline + 1;
+        }
+      } catch (error) {
+        stream.destroy();
+        reject(error);
+        return;
+      }
+      remainder = Buffer.from(data.subarray(start));
+    });
+    stream.on('end', () => {
+      try {
+        if (remainder.length > 0) handleLine(remainder);
+        flush();
+        resolve();
+      } catch (error) {
+        reject(error);
+      }
+    });
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Hand every message in a Maildir folder (cur/ and new/, never tmp/) to the callback
+ */
+function readMaildir(maildir, onMessage) {
+  ['cur', 'new'].forEach(subdir => {
+    const dir = path.join(maildir, subdir);
+    if (!fs.existsSync(dir)) return;
+
+    fs.readdirSync(dir).forEach(name => {
+      const filePath = path.join(dir, name);
+      if (name.startsWith('.') || !fs.statSync(filePath).isFile()) return;
+
+      // Maildir file names start with the delivery time in seconds
+      const delivered = /^(\d{9,10})\./.exec(name);
+      onMessage(fs.readFileSync(filePath), filePath, delivered ? new Date(Number(delivered[1]) * 1000) : null);
+    });
+  });
+}
+
+/**
+ * Find Maildir folders (directories with cur/ or new/) at or below a directory
+ */
+function findMaildirs(rootDir, depth = 0) {
+  let entries;
+  try {
+    entries = fs.readdirSync(rootDir, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  const subdirs = entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+  const found = [];
+  if (subdirs.includes('cur') || subdirs.includes('new')) {
+    found.push(rootDir);
+  }
+
+  if (depth < MAX_MAILDIR_DEPTH) {
+    // Maildir++ keeps subfolders as ".Folder" next to cur/new/tmp
+    subdirs
+      .filter(name => !['cur', 'new', 'tmp'].includes(name))
+      .forEach(name => found.push(...findMaildirs(path.join(rootDir, name), depth + 1)));
+  }
+  return found;
+}
+
+function normalizeFilters(filters = {}) {
+  const toList = (value) => (Array.isArray(value) ? value : [value])
+    .filter(item => typeof item === 'string' && item.trim() !== '')
+    .map(item => item.trim().toLowerCase());
+
+  const toDate = (value, endOfDay) => {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid date filter: ${value}`);
+    }
+    // "2024-05-31" as an upper bound should include that whole day
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCMilliseconds(-1);
+    }
+    return date;
+  };
+
+  return {
+    from: toList(filters.from || []),
+    listId: toList(filters.listId || []),
+    since: toDate(filters.since, false),
+    until: toDate(filters.until, true)
+  };
+}
+
+function matchesFilters(message, criteria) {
+  if (criteria.from.length > 0) {
+    const from = message.from.toLowerCase();
+    if (!criteria.from.some(sender => from.includes(sender))) return false;
+  }
+
+  if (criteria.listId.length > 0) {
+    const listId = message.listId.toLowerCase();
+    if (!listId || !criteria.listId.some(id => listId.includes(id))) return false;
+  }
+
+  if (criteria.since || criteria.until) {
+    // Undated messages can't be shown to be in range
+    if (!message.date) return false;
+    if (criteria.since && message.date < criteria.since) return false;
+    if (criteria.until && message.date > criteria.until) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Parse the header block of a raw message (first occurrence of each header wins)
+ * @param {Buffer} raw - Raw RFC 822 message
+ * @returns {Object} - Lower-cased header names mapped to unfolded values
+ */
+function parseHeaders(raw) {
+  const text = raw.toString('latin1');
+  const match = /\r?\n\r?\n/.exec(text);
+  const block = (match ? text.slice(0, match.index) : text).replace(/\r?\n[ \t]+/g, ' ');
+  const headers = {};
+
+  block.split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon <= 0) return;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!(name in headers)) {
+      // Raw 8-bit headers are nearly always UTF-8
+      headers[name] = Buffer.from(line.slice(colon + 1).trim(), 'latin1').toString('utf8');
+    }
+  });
+  return headers;
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?charset?B|Q?...?=)
+ */
+function decodeMimeWords(value) {
+  return value
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]+)?\?([BbQq])\?([^?]*)\?=/g, (word, charset, encoding, text) => {
+      try {
+        const bytes = encoding.toUpperCase() === 'B'
+          ? Buffer.from(text, 'base64')
+          : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+        return new TextDecoder(charset.toLowerCase()).decode(bytes);
+      } catch (error) {
+        return word;
+      }
+    });
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  // Drop trailing comments such as "(UTC)" or "(PST)"
+  const date = new Date(value.replace(/\([^)]*\)\s*$/, '').trim());
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function parseEnvelopeDate(separator) {
+  // "From sender@example.com Tue Jan  2 10:00:00 2024"
+  const match = /^From \S+\s+(.+?)\s*$/.exec(separator);
+  return match ? parseDate(match[1]) : null;
+}
+
+function isBlankLine(line) {
+  return line.length === 0 || (line.length === 1 && line[0] === 0x0a) ||
+    (line.length === 2 && line[0] === 0x0d && line[1] === 0x0a);
+}
+
+// Unquoted "From " lines in bodies are common, so a separator must also carry a time
+function isSeparator(line) {
+  return line.length > 5 && line.toString('latin1', 0, 5) === 'From ' &&
+    /^From \S*\s.*\d{1,2}:\d{2}/.test(line.toString('latin1'));
+}
+
+module.exports = {
+  isMailbox,
+  extractMailboxMessages,
+  convertMailboxToEbook,
+  // Shared with the IMAP importer so both apply the filters the same way
+  normalizeFilters,
+  matchesFilters
+};
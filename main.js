@@ -1,12 +1,23 @@
-const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const emlParser = require('./utils/eml-parser');
 const emlToEbook = require('./utils/eml-to-azw3-converter');
 const pdfProcessor = require('./utils/pdf-processor');
+const bookProcessor = require('./utils/azw3-processor');
 // Correct the require path - make sure path is accurate
 const mailDropHandler = require('./utils/mail-drop-handler');
 const systemCheck = require('./utils/system-check');
+const folderWatcher = require('./utils/folder-watcher');
+const mailboxImporter = require('./utils/mailbox-importer');
+const kindleDelivery = require('./utils/kindle-delivery');
+const imapImporter = require('./utils/imap-importer');
+const kindleDevice = require('./utils/kindle-device');
+const conversionLibrary = require('./utils/conversion-library');
+const userTemplates = require('./utils/user-templates');
+const settingsStore = require('./utils/settings-store');
+const digestScheduler = require('./utils/digest-scheduler');
+const { exampleOutputPath, TEMPLATE_FIELDS, onOutputWrite } = require('./utils/output-paths');
 const os = require('os');
 
 // Diagnostics for mailDropHandler
@@ -148,6 +159,17 @@ process.on('unhandledRejection', (reason, promise) => {
 app.whenReady().then(async () => {
   log('App ready, creating window and ensuring directories');
 
+  // Settings first: the system check looks for Calibre where they say
+  settingsStore.on('change', settings => systemCheck.configureCalibre(settings.calibre));
+  settingsStore.on('change', settings => folderWatcher.setOutputDirectory(settings.output.directory));
+  settingsStore.on('change', settings => {
+    folderWatcher.setFormatPreference(settings.watch.format);
+    if (mainWindow) {
+      mainWindow.webContents.send('watch-folder-status', folderWatcher.getStatus());
+    }
+  });
+  settingsStore.init(app.getPath('userData'));
+
   // Run system checks
   const checkResults = await systemCheck.runAllChecks();
   global.systemCheck = systemCheck; // Make it available globally
@@ -160,6 +182,13 @@ app.whenReady().then(async () => {
   // Ensure directories BEFORE creating the window might be safer
   ensureRequiredDirectories();
   createWindow();
+  conversionLibrary.init(app.getPath('userData'));
+  startUserTemplates();
+  startFolderWatcher();
+  kindleDelivery.init(app.getPath('userData'), safeStorage);
+  imapImporter.init(app.getPath('userData'), safeStorage);
+  startDeviceMonitor();
+  startDigestScheduler();
 
 
   // Register file handlers for both .eml and .pdf files
@@ -207,6 +236,13 @@ app.whenReady().then(async () => {
   log(`Electron version: ${process.versions.electron}`);
 });
 
+app.on('will-quit', () => {
+  userTemplates.stop();
+  folderWatcher.stop();
+  digestScheduler.stop();
+  clearInterval(deviceMonitorTimer);
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
 });
@@ -256,7 +292,7 @@ function handleFileOpen(filePath) {
     // Get file extension
     const fileExt = path.extname(filePath).toLowerCase();
 
-    if (fileExt === '.eml' || fileExt === '.pdf') {
+    if (fileExt === '.eml' || fileExt === '.pdf' || bookProcessor.isBookFile(filePath)) {
       log(`Processing ${fileExt.toUpperCase()} file via file-dropped event: ${filePath}`);
       // Use the existing drop mechanism
       mainWindow.webContents.send('file-dropped', [filePath]);
@@ -277,7 +313,6 @@ function handleFileOpen(filePath) {
 // Ensure required directories exist
 function ensureRequiredDirectories() {
   const dirsToEnsure = [
-    path.join(os.homedir(), 'Downloads', 'kindle-books'),
     path.join(__dirname, 'temp')
   ];
 
@@ -290,8 +325,7 @@ function ensureRequiredDirectories() {
 }
 
 const requiredDirs = [
-  path.join(__dirname, 'temp'),
-  path.join(os.homedir(), 'Downloads', 'kindle-books')
+  path.join(__dirname, 'temp')
 ];
 
 requiredDirs.forEach(dir => {
@@ -301,6 +335,229 @@ requiredDirs.forEach(dir => {
   }
 });
 
+// User templates: JSON/CSS/JS plugins in <userData>/templates, reloaded when they change
+function startUserTemplates() {
+  userTemplates.removeAllListeners();
+
+  userTemplates.on('change', status => {
+    status.errors.forEach(({ file, error }) => log(`Template ${path.basename(file)} not loaded: ${error}`, 'WARN'));
+    if (mainWindow) {
+      mainWindow.webContents.send('templates-updated', status);
+    }
+  });
+
+  userTemplates.init(path.join(app.getPath('userData'), 'templates'));
+}
+
+ipcMain.on('templates-list', (event) => {
+  event.reply('templates-updated', userTemplates.getStatus());
+});
+
+ipcMain.on('templates-open-folder', () => {
+  if (!userTemplates.directory) return;
+  shell.openPath(userTemplates.directory).then(errMsg => {
+    if (errMsg) {
+      log(`Could not open templates folder: ${errMsg}`, 'ERROR');
+    }
+  });
+});
+
+// Watch folders: convert .eml/.pdf files as they appear in user-chosen directories
+// Books the app writes into a watch folder (e.g. PDF output) are recorded first, so they aren't converted again
+onOutputWrite(filePath => folderWatcher.recordOutput(filePath));
+
+function startFolderWatcher() {
+  folderWatcher.removeAllListeners();
+
+  folderWatcher.on('processing', ({ filePath }) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('watch-folder-processing', { sourcePath: filePath });
+    }
+  });
+
+  folderWatcher.on('processed', ({ filePath, result }) => {
+    const entry = conversionLibrary.recordConversion(result, {
+      sources: [filePath],
+      formatPreference: folderWatcher.formatPreference,
+      origin: 'watch-folder'
+    });
+    if (mainWindow) {
+      mainWindow.webContents.send('watch-folder-result', { ...result, sourcePath: filePath, libraryId: entry ? entry.id : null });
+      mainWindow.webContents.send('watch-folder-status', folderWatcher.getStatus());
+    }
+  });
+
+  folderWatcher.on('status', status => {
+    if (mainWindow) {
+      mainWindow.webContents.send('watch-folder-status', status);
+    }
+  });
+
+  folderWatcher.init(app.getPath('userData'), processWatchedFile);
+}
+
+/**
+ * Convert a watched file with the same code path as a manual drop
+ * @param {string} filePath - Path to the .eml or .pdf file
+ * @param {Object} options - Options such as formatPreference
+ * @returns {Promise<Object>} - The payload the processor would have sent as 'ebook-generated'
+ */
+function processWatchedFile(filePath, options) {
+  return new Promise(resolve => {
+    // Capture the reply instead of sending it, so a background conversion
+    // doesn't reset whatever the user is doing in the main view
+    const watchEvent = { reply: (channel, payload) => resolve(payload) };
+    const processor = path.extname(filePath).toLowerCase() === '.pdf' ? processSinglePdf : processSingleEml;
+
+    processor(watchEvent, filePath, options)
+      .then(() => resolve({ success: false, error: 'Conversion finished without a result' }))
+      .catch(error => resolve({ success: false, error: error.message }));
+  });
+}
+
+ipcMain.on('watch-folder-list', (event) => {
+  event.reply('watch-folder-status', folderWatcher.getStatus());
+});
+
+ipcMain.on('watch-folder-add', async (event) => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Choose a folder to watch',
+      properties: ['openDirectory', 'createDirectory']
+    });
+    if (canceled || filePaths.length === 0) return;
+
+    log(`Adding watch folder: ${filePaths[0]}`);
+    event.reply('watch-folder-status', folderWatcher.addDirectory(filePaths[0]));
+  } catch (error) {
+    log(`Error adding watch folder: ${error.message}`, 'ERROR');
+    event.reply('error', `Could not watch folder: ${error.message}`);
+  }
+});
+
+ipcMain.on('watch-folder-remove', (event, { directory }) => {
+  log(`Removing watch folder: ${directory}`);
+  event.reply('watch-folder-status', folderWatcher.removeDirectory(directory));
+});
+
+ipcMain.on('watch-folder-format', (event, { formatPreference }) => {
+  try {
+    settingsStore.save({ watch: { format: formatPreference } });
+  } catch (error) {
+    event.reply('error', `Watch folder format not saved: ${error.message}`);
+  }
+  event.reply('watch-folder-status', folderWatcher.getStatus());
+});
+
+// Scheduled digests: one book from the emails that arrived in chosen folders since the last run
+function startDigestScheduler() {
+  digestScheduler.removeAllListeners();
+
+  digestScheduler.on('run-started', ({ schedule }) => {
+    log(`Building scheduled digest "${schedule.name}"`);
+  });
+
+  digestScheduler.on('run-finished', ({ schedule, run }) => {
+    log(`Scheduled digest "${schedule.name}": ${run.outputPath || run.error}`, run.success ? 'INFO' : 'ERROR');
+    if (mainWindow) {
+      mainWindow.webContents.send('digest-schedule-result', run);
+    }
+  });
+
+  digestScheduler.on('status', status => {
+    if (mainWindow) {
+      mainWindow.webContents.send('digest-schedules', status);
+    }
+  });
+
+  digestScheduler.init(app.getPath('userData'), buildScheduledDigest);
+}
+
+/**
+ * Build a scheduled digest with the saved settings and deliver it the way the schedule asks
+ * @param {Array<string>} emlFiles - Emails that arrived since the last run, oldest first
+ * @param {Object} schedule - The schedule being run
+ * @returns {Promise<Object>} - success, filePath, format and error, plus delivered or deliveryError
+ */
+async function buildScheduledDigest(emlFiles, schedule) {
+  const options = converterOptions({ formatPreference: schedule.formatPreference }, { title: schedule.name });
+  const result = await emlToEbook.convertMultipleEmlsToEbook(emlFiles, settingsStore.get('output'), options);
+  // The converter only returns what it wrote; the library records successful conversions
+  conversionLibrary.recordConversion({ ...result, success: true }, {
+    sources: emlFiles,
+    formatPreference: options.formatPreference,
+    origin: 'schedule'
+  });
+
+  const built = { success: true, filePath: result.filePath, format: result.format };
+  if (schedule.deliver === 'none') return built;
+  if (result.skipped) {
+    return { ...built, deliveryError: 'Not delivered: a book with this name already existed and was kept' };
+  }
+
+  try {
+    if (schedule.deliver === 'email') {
+      if (!kindleDelivery.isConfigured()) {
+        throw new Error('Kindle email delivery is not set up');
+      }
+      const sent = await emailToKindle(result.filePath);
+      conversionLibrary.recordDelivery(result.filePath, { method: 'email', target: sent.to });
+      return { ...built, delivered: `email to ${sent.to}` };
+    }
+
+    const devices = kindleDevice.findKindleDevices();
+    if (devices.length === 0) {
+      throw new Error('No Kindle connected');
+    }
+    const collection = settingsStore.get('delivery').deviceCollection || null;
+    kindleDevice.copyToDevice(result.filePath, devices[0].path, { collection });
+    conversionLibrary.recordDelivery(result.filePath, { method: 'device', target: devices[0].name });
+    return { ...built, delivered: devices[0].name };
+  } catch (error) {
+    log(`Scheduled digest delivery failed: ${error.message}`, 'ERROR');
+    return { ...built, deliveryError: `Built, but not delivered: ${error.message}` };
+  }
+}
+
+ipcMain.on('digest-schedules-list', (event) => {
+  event.reply('digest-schedules', digestScheduler.getStatus());
+});
+
+ipcMain.on('digest-schedule-save', (event, schedule) => {
+  try {
+    event.reply('digest-schedules', digestScheduler.saveSchedule(schedule));
+  } catch (error) {
+    log(`Invalid digest schedule: ${error.message}`, 'WARN');
+    event.reply('error', `Schedule not saved: ${error.message}`);
+  }
+});
+
+ipcMain.on('digest-schedule-remove', (event, { id }) => {
+  event.reply('digest-schedules', digestScheduler.removeSchedule(id));
+});
+
+ipcMain.on('digest-schedule-run-now', (event, { id }) => {
+  try {
+    event.reply('digest-schedules', digestScheduler.runNow(id));
+  } catch (error) {
+    event.reply('error', error.message);
+  }
+});
+
+ipcMain.on('digest-schedule-choose-source', async (event) => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Choose a folder of .eml files for the digest',
+      properties: ['openDirectory', 'createDirectory']
+    });
+    if (canceled || filePaths.length === 0) return;
+    event.reply('digest-schedule-source', { directory: filePaths[0] });
+  } catch (error) {
+    log(`Error choosing digest folder: ${error.message}`, 'ERROR');
+    event.reply('error', `Could not choose folder: ${error.message}`);
+  }
+});
+
 // Handle open file request
 ipcMain.on('open-file', (event, { filePath }) => {
   if (!filePath || typeof filePath !== 'string') {
@@ -416,7 +673,7 @@ ipcMain.on('open-send-to-kindle', (event) => {
       log('Send to Kindle not supported on this platform', 'WARN');
       return mainWindow.webContents.send('file-operation-result', {
         success: false,
-        error: 'Send to Kindle is not supported on this platform.'
+        error: 'The Send to Kindle app is not available on this platform. Use "Email to Kindle" instead.'
       });
     }
 
@@ -476,6 +733,356 @@ ipcMain.on('open-send-to-kindle', (event) => {
   }
 });
 
+// Library: conversion history with search, delete and re-convert
+ipcMain.on('library-list', (event, { query } = {}) => {
+  event.reply('library-entries', conversionLibrary.list(query || ''));
+});
+
+ipcMain.on('library-delete', (event, { id, query, keepFiles }) => {
+  try {
+    const { removed, deletedFiles } = conversionLibrary.remove(id, { keepFiles });
+    log(`Library entry removed: ${removed.title} (${deletedFiles.length} file(s) deleted)`);
+
+    // Messages fetched over IMAP are the app's own copies, kept only so the entry can be re-converted
+    const stillUsed = new Set(conversionLibrary.list().flatMap(entry => entry.sources));
+    imapImporter.discardMessages(removed.sources.filter(source => !stillUsed.has(source)));
+  } catch (error) {
+    log(`Could not remove library entry ${id}: ${error.message}`, 'ERROR');
+    event.reply('error', `Could not delete: ${error.message}`);
+  }
+  event.reply('library-entries', conversionLibrary.list(query || ''));
+});
+
+ipcMain.on('library-reconvert', async (event, { id, selectedTemplate, formatPreference }) => {
+  const entry = conversionLibrary.get(id);
+  if (!entry) {
+    return event.reply('ebook-generated', { success: false, error: 'That conversion is no longer in the library' });
+  }
+
+  const missing = entry.sources.filter(source => !fs.existsSync(source));
+  if (missing.length === entry.sources.length) {
+    return event.reply('ebook-generated', {
+      success: false,
+      error: `The source files are gone: ${missing.map(source => path.basename(source)).join(', ')}`
+    });
+  }
+
+  log(`Re-converting "${entry.title}" with template ${selectedTemplate || entry.template}`);
+  await handleProcessDroppedFiles(event, {
+    paths: entry.sources,
+    formatPreference: formatPreference || entry.formatPreference,
+    selectedTemplate: selectedTemplate || entry.template,
+    pagePreset: entry.pagePreset,
+    pdfLayout: entry.pdfLayout,
+    mailboxFilters: entry.mailboxFilters
+  });
+});
+
+// USB Kindle detection: poll the mount roots and tell the renderer when devices come and go
+const DEVICE_POLL_INTERVAL = 5000;
+let deviceMonitorTimer = null;
+let lastDeviceList = '[]';
+
+function startDeviceMonitor() {
+  const poll = () => {
+    const devices = kindleDevice.findKindleDevices();
+    const signature = JSON.stringify(devices.map(device => device.path));
+    if (signature !== lastDeviceList) {
+      lastDeviceList = signature;
+      log(`Kindle devices: ${devices.length ? devices.map(device => device.path).join(', ') : 'none'}`);
+      if (mainWindow) {
+        mainWindow.webContents.send('kindle-devices', devices);
+      }
+    }
+  };
+  poll();
+  deviceMonitorTimer = setInterval(poll, DEVICE_POLL_INTERVAL);
+}
+
+ipcMain.on('kindle-devices-list', (event) => {
+  event.reply('kindle-devices', kindleDevice.findKindleDevices());
+});
+
+ipcMain.on('send-to-device', async (event, { filePath, collection }) => {
+  try {
+    const devices = kindleDevice.findKindleDevices();
+    if (devices.length === 0) {
+      throw new Error('No Kindle connected. Plug it in over USB and wait for it to mount.');
+    }
+
+    let device = devices[0];
+    if (devices.length > 1) {
+      const { response } = await dialog.showMessageBox(mainWindow, {
+        type: 'question',
+        message: 'Which Kindle should receive the book?',
+        buttons: [...devices.map(candidate => candidate.name), 'Cancel'],
+        cancelId: devices.length
+      });
+      if (response === devices.length) return;
+      device = devices[response];
+    }
+
+    log(`Copying ${filePath} to Kindle at ${device.path}${collection ? ` (collection "${collection}")` : ''}`);
+    const result = kindleDevice.copyToDevice(filePath, device.path, { collection });
+    conversionLibrary.recordDelivery(filePath, { method: 'device', target: device.name });
+    event.reply('send-to-device-result', { success: true, device: device.name, ...result });
+    event.reply('kindle-devices', kindleDevice.findKindleDevices());
+  } catch (error) {
+    log(`Copy to Kindle failed: ${error.message}`, 'ERROR');
+    event.reply('send-to-device-result', { success: false, error: error.message });
+  }
+});
+
+// Settings: preferences for conversion, images, fonts, Calibre, output, delivery, watch folders and digests
+const SETTINGS_FOLDERS = {
+  'output.directory': 'Choose where converted books are saved',
+  'calibre.path': 'Choose the folder that contains Calibre\'s ebook-convert'
+};
+
+function sendSettings(event, saved = false) {
+  const settings = settingsStore.get();
+  event.reply('settings', {
+    settings,
+    outputExample: exampleOutputPath(settings.output),
+    outputFields: TEMPLATE_FIELDS,
+    detectedCalibrePath: systemCheck.getCalibrePath(),
+    saved
+  });
+}
+
+ipcMain.on('settings-get', (event) => {
+  sendSettings(event);
+});
+
+ipcMain.on('settings-save', (event, changes) => {
+  try {
+    settingsStore.save(changes);
+    sendSettings(event, true);
+  } catch (error) {
+    log(`Invalid settings: ${error.message}`, 'WARN');
+    event.reply('error', `Settings not saved: ${error.message}`);
+    sendSettings(event);
+  }
+});
+
+ipcMain.on('settings-reset', (event, { section } = {}) => {
+  settingsStore.reset(section || null);
+  sendSettings(event, true);
+});
+
+ipcMain.on('settings-choose-folder', async (event, { setting }) => {
+  if (!SETTINGS_FOLDERS[setting]) return;
+  const [section, key] = setting.split('.');
+
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: SETTINGS_FOLDERS[setting],
+      defaultPath: settingsStore.get(section)[key] || undefined,
+      properties: ['openDirectory', 'createDirectory']
+    });
+    if (canceled || filePaths.length === 0) {
+      sendSettings(event);
+      return;
+    }
+
+    log(`Setting ${setting} to ${filePaths[0]}`);
+    settingsStore.save({ [section]: { [key]: filePaths[0] } });
+    sendSettings(event, true);
+  } catch (error) {
+    log(`Error choosing folder for ${setting}: ${error.message}`, 'ERROR');
+    event.reply('error', `Could not change the folder: ${error.message}`);
+  }
+});
+
+/**
+ * Converter options: what was picked for this conversion, with the saved settings for the rest
+ * @param {Object} options - formatPreference, selectedTemplate, pagePreset and pdfLayout from the renderer (or the watcher)
+ * @param {Object} extra - More converter options, such as onProgress
+ * @returns {Object} - Options for the emlToEbook converters
+ */
+function converterOptions(options = {}, extra = {}) {
+  const settings = settingsStore.get();
+  const formatPreference = options.formatPreference || settings.conversion.format;
+  return {
+    formatPreference,
+    selectedTemplate: options.selectedTemplate || settings.conversion.defaultTemplate || null,
+    pagePreset: formatPreference === 'pdf' ? options.pagePreset || settings.conversion.pagePreset : null,
+    pdfLayout: formatPreference === 'pdf' ? options.pdfLayout || settings.conversion.pdfLayout : null,
+    imageOptions: settings.images,
+    fonts: settings.fonts,
+    digest: settings.digest,
+    ...extra
+  };
+}
+
+// Shown when safeStorage can't encrypt (e.g. Linux without a keyring) and a password is saved as it is
+const PLAINTEXT_PASSWORD_WARNING = 'Settings saved, but this system has no secure storage, so the password is stored unencrypted in the app\'s data folder';
+
+// Kindle email delivery: settings and sending over SMTP
+ipcMain.on('kindle-delivery-get-config', (event) => {
+  event.reply('kindle-delivery-config', kindleDelivery.getConfig());
+});
+
+ipcMain.on('kindle-delivery-save-config', (event, config) => {
+  try {
+    const saved = kindleDelivery.saveConfig(config);
+    event.reply('kindle-delivery-config', saved);
+    event.reply('kindle-delivery-result', {
+      success: true,
+      action: 'save',
+      warning: saved.passwordStorage === 'plaintext' ? PLAINTEXT_PASSWORD_WARNING : null
+    });
+  } catch (error) {
+    log(`Invalid Kindle delivery settings: ${error.message}`, 'WARN');
+    event.reply('kindle-delivery-result', { success: false, action: 'save', error: error.message });
+  }
+});
+
+ipcMain.on('kindle-delivery-test', async (event, config) => {
+  try {
+    await kindleDelivery.testConnection(config);
+    event.reply('kindle-delivery-result', { success: true, action: 'test' });
+  } catch (error) {
+    log(`Kindle delivery connection test failed: ${error.message}`, 'WARN');
+    event.reply('kindle-delivery-result', { success: false, action: 'test', error: error.message });
+  }
+});
+
+ipcMain.on('send-to-kindle-email', async (event, { filePath }) => {
+  const taskId = `delivery_${Date.now()}`;
+  progressTracker.startTask(taskId, 100);
+  log(`Emailing ${filePath} to Kindle`);
+
+  try {
+    const result = await emailToKindle(filePath, {
+      onProgress: (percentage, status) => progressTracker.sendProgressToRenderer(taskId, percentage, status)
+    });
+    progressTracker.completeTask(taskId);
+    conversionLibrary.recordDelivery(filePath, { method: 'email', target: result.to });
+    event.reply('kindle-delivery-result', { ...result, action: 'send', filePath });
+  } catch (error) {
+    log(`Kindle delivery failed: ${error.message}`, 'ERROR');
+    progressTracker.addError(taskId, error);
+    event.reply('kindle-delivery-result', { success: false, action: 'send', filePath, error: error.message });
+  }
+});
+
+/**
+ * Email a book to the Kindle
+ * Send to Kindle by email rejects AZW3, so an AZW3 book goes as an EPUB made from it
+ * @param {string} filePath - The book
+ * @param {Object} options - As for kindleDelivery.sendFile
+ * @returns {Promise<Object>} - The sendFile result, with sentAs 'epub' when the book was converted for the email
+ */
+async function emailToKindle(filePath, options = {}) {
+  if (path.extname(filePath).toLowerCase() !== '.azw3') {
+    return kindleDelivery.sendFile(filePath, options);
+  }
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kindle-email-'));
+  try {
+    if (options.onProgress) {
+      options.onProgress(2, 'Making an EPUB copy to email');
+    }
+    const epubPath = path.join(tempDir, `${path.basename(filePath, path.extname(filePath))}.epub`);
+    const epub = await emlToEbook.convertBookToEbook(filePath, epubPath, { formatPreference: 'epub' });
+    log(`Emailing ${path.basename(filePath)} as ${path.basename(epub.filePath)}, since Send to Kindle by email rejects AZW3`);
+    return { ...(await kindleDelivery.sendFile(epub.filePath, options)), sentAs: 'epub' };
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// IMAP mailbox: settings, connection test, and importing newsletters straight from the server
+ipcMain.on('imap-get-config', (event) => {
+  event.reply('imap-config', imapImporter.getConfig());
+});
+
+ipcMain.on('imap-save-config', (event, config) => {
+  try {
+    const saved = imapImporter.saveConfig(config);
+    event.reply('imap-config', saved);
+    event.reply('imap-result', {
+      success: true,
+      action: 'save',
+      warning: saved.passwordStorage === 'plaintext' ? PLAINTEXT_PASSWORD_WARNING : null
+    });
+  } catch (error) {
+    log(`Invalid IMAP settings: ${error.message}`, 'WARN');
+    event.reply('imap-result', { success: false, action: 'save', error: error.message });
+  }
+});
+
+ipcMain.on('imap-test', async (event, config) => {
+  try {
+    const result = await imapImporter.testConnection(config);
+    event.reply('imap-result', { ...result, action: 'test' });
+  } catch (error) {
+    log(`IMAP connection test failed: ${error.message}`, 'WARN');
+    event.reply('imap-result', { success: false, action: 'test', error: error.message });
+  }
+});
+
+ipcMain.on('imap-import', async (event, data = {}) => {
+  const filters = data.filters || {};
+  let imported = null;
+  let recorded = false;
+
+  try {
+    imported = await mailDropHandler.extractMailContent(filters);
+    if (!imported) {
+      return event.reply('ebook-generated', { success: false, error: 'Set up the IMAP mailbox in Settings first' });
+    }
+    log(`Fetched ${imported.messages.length} of ${imported.scanned} message(s) from the IMAP mailbox`);
+    if (imported.messages.length === 0) {
+      return event.reply('ebook-generated', {
+        success: false,
+        error: imported.scanned > 0
+          ? `None of the ${imported.scanned} message(s) in the IMAP mailbox matched the filters`
+          : 'No messages in the IMAP mailbox matched the filters'
+      });
+    }
+
+    // Messages are only marked read or moved once the book is made, and only kept while the library uses them
+    let converted = false;
+    const watched = {
+      reply: (channel, payload) => {
+        if (channel === 'ebook-generated' && payload && payload.success) {
+          converted = true;
+          recorded = recorded || Boolean(payload.libraryId);
+        }
+        event.reply(channel, payload);
+      }
+    };
+
+    await handleProcessDroppedFiles(watched, {
+      ...data,
+      paths: imported.messages.map(message => message.path),
+      mailboxFilters: filters,
+      origin: 'imap'
+    });
+
+    if (converted) {
+      try {
+        const finished = await imapImporter.finishMessages(imported.messages);
+        if (finished.action !== 'none') {
+          event.reply('imap-result', { success: true, action: 'finish', updated: finished.updated, after: finished.action });
+        }
+      } catch (error) {
+        log(`Could not update the converted messages: ${error.message}`, 'WARN');
+        event.reply('imap-result', { success: false, action: 'finish', error: error.message });
+      }
+    }
+  } catch (error) {
+    log(`IMAP import failed: ${error.message}`, 'ERROR');
+    event.reply('ebook-generated', { success: false, error: error.message });
+  } finally {
+    if (imported && !recorded) {
+      imported.cleanup();
+    }
+  }
+});
+
 // Handle newsletter analysis request
 ipcMain.on('analyze-newsletter', async (event, { path: emlFilePath }) => {
   try {
@@ -597,7 +1204,29 @@ const progressTracker = {
 };
 
 // UPDATED: Process files dropped into the application
-ipcMain.on('process-dropped-files', async (event, data) => {
+ipcMain.on('process-dropped-files', (event, data) => handleProcessDroppedFiles(event, data));
+
+/**
+ * Wrap an IPC event so successful 'ebook-generated' replies are added to the library
+ * @param {Object} event - The original IPC event
+ * @param {Object} context - Sources and options of the conversion
+ * @returns {Object} - An event-like object with the same reply()
+ */
+function withLibraryRecording(event, context) {
+  return {
+    reply: (channel, payload) => {
+      if (channel === 'ebook-generated' && payload && payload.success) {
+        const entry = conversionLibrary.recordConversion(payload, context);
+        if (entry) {
+          payload = { ...payload, libraryId: entry.id };
+        }
+      }
+      event.reply(channel, payload);
+    }
+  };
+}
+
+async function handleProcessDroppedFiles(event, data) {
   console.log('[Main] Received process-dropped-files event:', typeof data, data ? Object.keys(data) : 'null');
   
   // Check if data exists and has expected structure
@@ -654,12 +1283,25 @@ ipcMain.on('process-dropped-files', async (event, data) => {
   console.log(`[Main] Processing ${validPaths.length} valid files`);
   
   // Extract format and template preferences
-  const formatPreference = data.formatPreference || 'auto';
-  const selectedTemplate = data.selectedTemplate || null;
+  // Anything not picked for this conversion comes from the settings; the Kindle screen size (pagePreset)
+  // and whether PDF inputs keep their pages (pdfLayout) only apply to PDF output
+  const { formatPreference, selectedTemplate, pagePreset, pdfLayout } = converterOptions(data);
+
+  event = withLibraryRecording(event, {
+    sources: validPaths,
+    formatPreference,
+    selectedTemplate,
+    pagePreset,
+    pdfLayout,
+    mailboxFilters: mailboxFiltersInUse(data.mailboxFilters),
+    origin: data.origin
+  });
   
   // Categorize files by type
   const emlFiles = [];
   const pdfFiles = [];
+  const bookFiles = [];
+  const mailboxSources = [];
   
   // Create task ID for progress tracking
   const taskId = `task_${Date.now()}`;
@@ -673,19 +1315,46 @@ ipcMain.on('process-dropped-files', async (event, data) => {
       emlFiles.push(filePath);
     } else if (ext === '.pdf') {
       pdfFiles.push(filePath);
+    } else if (bookProcessor.isBookFile(filePath)) {
+      bookFiles.push(filePath);
+    } else if (mailboxImporter.isMailbox(filePath)) {
+      mailboxSources.push(filePath);
     } else {
       console.warn(`[Main] Unsupported file type: ${ext} for ${filePath}`);
     }
   });
   
+  let mailboxImport = null;
   try {
+    // mbox files and Maildir trees are split into messages that join the .eml files
+    if (mailboxSources.length > 0) {
+      progressTracker.sendProgressToRenderer(taskId, 5, `Reading ${mailboxSources.length} mailbox(es)...`);
+      mailboxImport = await mailboxImporter.extractMailboxMessages(mailboxSources, data.mailboxFilters || {});
+      log(`[Main] Imported ${mailboxImport.messages.length} of ${mailboxImport.scanned} message(s) from ${mailboxSources.length} mailbox(es)`);
+
+      if (mailboxImport.messages.length === 0 && emlFiles.length === 0 && pdfFiles.length === 0 && bookFiles.length === 0) {
+        return event.reply('ebook-generated', {
+          success: false,
+          error: `None of the ${mailboxImport.scanned} message(s) in the mailbox matched the filters`
+        });
+      }
+      emlFiles.push(...mailboxImport.messages.map(message => message.path));
+    }
+
+    // A book on its own is re-optimized; alongside emails it becomes a chapter of the digest
+    if (bookFiles.length === 1 && emlFiles.length === 0 && pdfFiles.length === 0) {
+      await processSingleBook(event, bookFiles[0], { formatPreference, pagePreset }, taskId);
+      return;
+    }
+    emlFiles.push(...bookFiles);
+
     // Handle different file type combinations
     if (emlFiles.length > 0 && pdfFiles.length === 0) {
       // Only EML files
       if (emlFiles.length === 1) {
         // Process single EML - check if function exists
         if (typeof processSingleEml === 'function') {
-          await processSingleEml(event, emlFiles[0], { formatPreference, selectedTemplate }, taskId);
+          await processSingleEml(event, emlFiles[0], { formatPreference, selectedTemplate, pagePreset }, taskId);
         } else {
           // Fallback if function doesn't exist
           console.error('[Main] processSingleEml function is not defined');
@@ -697,7 +1366,7 @@ ipcMain.on('process-dropped-files', async (event, data) => {
       } else {
         // Process multiple EMLs - check if function exists
         if (typeof processMultipleEmls === 'function') {
-          await processMultipleEmls(event, emlFiles, { formatPreference, selectedTemplate }, taskId);
+          await processMultipleEmls(event, emlFiles, { formatPreference, selectedTemplate, pagePreset }, taskId);
         } else {
           // Fallback if function doesn't exist
           console.error('[Main] processMultipleEmls function is not defined');
@@ -712,7 +1381,7 @@ ipcMain.on('process-dropped-files', async (event, data) => {
       if (pdfFiles.length === 1) {
         // Process single PDF - check if function exists
         if (typeof processSinglePdf === 'function') {
-          await processSinglePdf(event, pdfFiles[0], { formatPreference }, taskId);
+          await processSinglePdf(event, pdfFiles[0], { formatPreference, pagePreset, pdfLayout }, taskId);
         } else {
           // Fallback if function doesn't exist
           console.error('[Main] processSinglePdf function is not defined');
@@ -724,7 +1393,7 @@ ipcMain.on('process-dropped-files', async (event, data) => {
       } else {
         // Process multiple PDFs - check if function exists
         if (typeof processMultiplePdfs === 'function') {
-          await processMultiplePdfs(event, pdfFiles, { formatPreference }, taskId);
+          await processMultiplePdfs(event, pdfFiles, { formatPreference, pagePreset, pdfLayout }, taskId);
         } else {
           // Fallback if function doesn't exist
           console.error('[Main] processMultiplePdfs function is not defined');
@@ -737,7 +1406,7 @@ ipcMain.on('process-dropped-files', async (event, data) => {
     } else if (emlFiles.length > 0 && pdfFiles.length > 0) {
       // Mixed file types
       if (typeof processMixedFiles === 'function') {
-        await processMixedFiles(event, emlFiles, pdfFiles, { formatPreference, selectedTemplate }, taskId);
+        await processMixedFiles(event, emlFiles, pdfFiles, { formatPreference, selectedTemplate, pagePreset, pdfLayout }, taskId);
       } else {
         // Fallback if function doesn't exist
         console.error('[Main] processMixedFiles function is not defined');
@@ -747,10 +1416,10 @@ ipcMain.on('process-dropped-files', async (event, data) => {
         });
       }
     } else {
-      console.error('[Main] No valid .eml or .pdf files found');
+      console.error('[Main] No valid .eml, .pdf or ebook files found');
       event.reply('ebook-generated', {
         success: false,
-        error: 'No valid email (.eml) or PDF (.pdf) files found for processing'
+        error: 'No valid email (.eml), mailbox (mbox/Maildir), PDF (.pdf) or ebook (.epub, .azw3, .mobi) files found for processing'
       });
     }
     
@@ -770,8 +1439,19 @@ ipcMain.on('process-dropped-files', async (event, data) => {
       success: false,
       error: `Error processing files: ${error.message}`
     });
+  } finally {
+    if (mailboxImport) {
+      mailboxImport.cleanup();
+    }
   }
-});
+}
+
+// Only keep mailbox filters that actually narrow the import
+function mailboxFiltersInUse(filters) {
+  if (!filters) return null;
+  const used = (filters.from && filters.from.length) || (filters.listId && filters.listId.length) || filters.since || filters.until || filters.unread;
+  return used ? filters : null;
+}
 
 // UPDATED: Add options parameter and progress tracking to processSingleEml function
 async function processSingleEml(event, emlFilePath, options = {}, taskId = null) {
@@ -791,12 +1471,8 @@ async function processSingleEml(event, emlFilePath, options = {}, taskId = null)
     });
   }
   
-  // Define output path for the ebook
-  const userHome = os.homedir();
-  const downloadDir = path.join(userHome, 'Downloads', 'kindle-books');
-  ensureRequiredDirectories(); // Ensure download dir exists
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const baseOutputPath = path.join(downloadDir, `${path.basename(emlFilePath, '.eml')}_${timestamp}`);
+  // Output folder, filename template and collision policy from the settings
+  const output = settingsStore.get('output');
   
   try {
     // Update progress
@@ -823,13 +1499,11 @@ async function processSingleEml(event, emlFilePath, options = {}, taskId = null)
     }
     
     // Call the emlToEbook.convertEmlToEbook function with options
-    const { filePath, format } = await emlToEbook.convertEmlToEbook(
+    // Without a selected template the converter uses the detected type
+    const { filePath, format, skipped, templateReport } = await emlToEbook.convertEmlToEbook(
       emlFilePath,
-      baseOutputPath + '.epub',
-      {
-        formatPreference: options.formatPreference || 'auto',
-        selectedTemplate: options.selectedTemplate || emlData?.newsletterInfo?.type || 'generic'
-      }
+      output,
+      converterOptions(options)
     );
     
     // Final progress update
@@ -843,9 +1517,11 @@ async function processSingleEml(event, emlFilePath, options = {}, taskId = null)
     event.reply('ebook-generated', {
       success: true,
       filePath: filePath,
+      skipped,
       format: format,
       formatName: format.toUpperCase(),
-      preview: emlData
+      preview: emlData,
+      templateReport
     });
   } catch (error) {
     console.error(`[Main] Error converting email to ebook: ${error.message}\n${error.stack}`);
@@ -925,12 +1601,7 @@ async function processMultipleEmls(event, paths, options = {}, taskId = null) {
 
   log(`[Main] Combining ${validPaths.length} valid EML files`);
 
-  // Define output path for the combined ebook
-  const userHome = os.homedir();
-  const downloadDir = path.join(userHome, 'Downloads', 'kindle-books');
-  ensureRequiredDirectories(); // Ensure download dir exists
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const baseOutputPath = path.join(downloadDir, `Combined_Newsletters_${timestamp}`); // Base name
+  const output = settingsStore.get('output');
 
   try {
     // Update progress
@@ -940,12 +1611,10 @@ async function processMultipleEmls(event, paths, options = {}, taskId = null) {
     }
 
     // Use the multi-email converter with options
-    const { filePath, format, firstEmlData } = await emlToEbook.convertMultipleEmlsToEbook(
+    const { filePath, format, skipped, firstEmlData, templateReport } = await emlToEbook.convertMultipleEmlsToEbook(
       validPaths,
-      baseOutputPath + '.epub',
-      {
-        formatPreference: options.formatPreference || 'auto',
-        selectedTemplate: options.selectedTemplate,
+      output,
+      converterOptions(options, {
         onProgress: (percentage, status) => {
           // Send progress updates to renderer if we have a taskId
           if (taskId) {
@@ -954,7 +1623,7 @@ async function processMultipleEmls(event, paths, options = {}, taskId = null) {
             progressTracker.sendProgressToRenderer(taskId, scaledPercentage, status);
           }
         }
-      }
+      })
     );
 
     // Final progress update
@@ -998,9 +1667,11 @@ async function processMultipleEmls(event, paths, options = {}, taskId = null) {
     event.reply('ebook-generated', {
       success: true,
       filePath: filePath,
+      skipped,
       format: format,
       formatName: formatName,
-      preview: previewContent
+      preview: previewContent,
+      templateReport
     });
   } catch (error) {
     console.error(`[Main] Error creating combined ebook: ${error.message}\n${error.stack}`);
@@ -1032,12 +1703,7 @@ async function processSinglePdf(event, pdfFilePath, options = {}, taskId = null)
         return;
     }
 
-   // Define output path for the ebook
-   const userHome = os.homedir();
-   const downloadDir = path.join(userHome, 'Downloads', 'kindle-books');
-   ensureRequiredDirectories(); // Ensure download dir exists
-   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-   const baseOutputPath = path.join(downloadDir, `Converted_${path.basename(pdfFilePath, '.pdf')}_${timestamp}`); // Base name
+   const output = settingsStore.get('output');
 
    try {
         // Update progress
@@ -1047,10 +1713,10 @@ async function processSinglePdf(event, pdfFilePath, options = {}, taskId = null)
         }
 
         // Single PDF processing using convertPdfToEbook with options
-        const { filePath, format } = await emlToEbook.convertPdfToEbook(
+        const { filePath, format, skipped } = await emlToEbook.convertPdfToEbook(
           pdfFilePath,
-          baseOutputPath + '.epub',
-          { formatPreference: options.formatPreference || 'auto' }
+          output,
+          converterOptions(options)
         );
 
         // Final progress update
@@ -1064,7 +1730,7 @@ async function processSinglePdf(event, pdfFilePath, options = {}, taskId = null)
         // Extract basic PDF info for preview
         let pdfInfo = { title: path.basename(pdfFilePath, '.pdf'), author: 'Unknown', pageCount: 0, text: '' };
         try {
-            pdfInfo = await pdfProcessor.extractFromPDF(pdfFilePath);
+            pdfInfo = await pdfProcessor.extractFromPDF(fs.readFileSync(pdfFilePath));
         } catch (extractError) {
             log(`[Main] Could not extract full PDF info for preview: ${extractError.message}`, 'WARN');
         }
@@ -1073,13 +1739,14 @@ async function processSinglePdf(event, pdfFilePath, options = {}, taskId = null)
         event.reply('ebook-generated', {
             success: true,
             filePath: filePath,
+            skipped,
             format: format,
             formatName: format.toUpperCase(),
             preview: {
             subject: pdfInfo.title || path.basename(pdfFilePath, '.pdf'),
             text: (pdfInfo.text && pdfInfo.text.length > 10) ? pdfInfo.text.substring(0, 200) + (pdfInfo.text.length > 200 ? '...' : '') : `PDF Document with ${pdfInfo.pageCount} pages.`,
             from: pdfInfo.author || 'Unknown Author',
-            date: '', // PDF doesn't have a standard 'sent date' like email
+            date: pdfInfo.creationDate ? pdfInfo.creationDate.toLocaleDateString() : '', // When the PDF was made, if it says
             newsletterType: 'pdf' // Specific type for preview handling
             }
         });
@@ -1092,6 +1759,75 @@ async function processSinglePdf(event, pdfFilePath, options = {}, taskId = null)
     }
 }
 
+/**
+ * Re-optimize a single EPUB, AZW3 or MOBI for Kindle
+ * @param {Object} event - IPC event to reply to
+ * @param {string} bookFilePath - Path to the book
+ * @param {Object} options - formatPreference and pagePreset
+ * @param {string} taskId - Progress task, if any
+ */
+async function processSingleBook(event, bookFilePath, options = {}, taskId = null) {
+  log(`[Main] Processing single book: ${bookFilePath}`);
+
+  if (taskId) {
+    progressTracker.updateProgress(taskId, 1);
+    progressTracker.sendProgressToRenderer(taskId, 25, `Reading ${path.basename(bookFilePath)}...`);
+  }
+
+  if (!fs.existsSync(bookFilePath)) {
+    return event.reply('ebook-generated', {
+      success: false,
+      error: `File not found: ${path.basename(bookFilePath)}`
+    });
+  }
+
+  const output = settingsStore.get('output');
+
+  try {
+    if (taskId) {
+      progressTracker.updateProgress(taskId, 1);
+      progressTracker.sendProgressToRenderer(taskId, 50, `Optimizing book for Kindle...`);
+    }
+
+    const { filePath, format, skipped } = await emlToEbook.convertBookToEbook(
+      bookFilePath,
+      output,
+      converterOptions(options)
+    );
+
+    if (taskId) {
+      progressTracker.updateProgress(taskId, 1);
+      progressTracker.sendProgressToRenderer(taskId, 90, `Finalizing book...`);
+    }
+
+    log(`[Main] Book converted successfully to: ${filePath} (${format} format)`);
+
+    // Preview from the book's metadata and opening text
+    const { metadata, text } = await bookProcessor.extractFromBook(fs.readFileSync(bookFilePath));
+
+    event.reply('ebook-generated', {
+      success: true,
+      filePath: filePath,
+      skipped,
+      format: format,
+      formatName: format.toUpperCase(),
+      preview: {
+        subject: metadata.title || path.basename(bookFilePath, path.extname(bookFilePath)),
+        text: text ? text.substring(0, 200) + (text.length > 200 ? '...' : '') : `Ebook with ${metadata.pageCount} sections.`,
+        from: metadata.author || 'Unknown Author',
+        date: '',
+        newsletterType: 'book'
+      }
+    });
+  } catch (error) {
+    console.error(`[Main] Error converting book ${bookFilePath}: ${error.message}\n${error.stack}`);
+    event.reply('ebook-generated', {
+      success: false,
+      error: `Error converting book: ${error.message}`
+    });
+  }
+}
+
 // UPDATED: Add options parameter and progress tracking to processMultiplePdfs function
 async function processMultiplePdfs(event, paths, options = {}, taskId = null) {
   log(`[Main] Processing ${paths.length} PDF files`);
@@ -1129,12 +1865,7 @@ async function processMultiplePdfs(event, paths, options = {}, taskId = null) {
   }
 
 
-  // Define output path for the ebook
-  const userHome = os.homedir();
-  const downloadDir = path.join(userHome, 'Downloads', 'kindle-books');
-  ensureRequiredDirectories(); // Ensure download dir exists
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const baseOutputPath = path.join(downloadDir, `Combined_PDFs_${timestamp}`); // Base name
+  const output = settingsStore.get('output');
 
   try {
     // Update progress
@@ -1144,10 +1875,10 @@ async function processMultiplePdfs(event, paths, options = {}, taskId = null) {
     }
 
     // Multiple PDFs processing using convertMultiplePdfsToEbook with options
-    const { filePath, format } = await emlToEbook.convertMultiplePdfsToEbook(
+    const { filePath, format, skipped } = await emlToEbook.convertMultiplePdfsToEbook(
       validPaths,
-      baseOutputPath + '.epub',
-      { formatPreference: options.formatPreference || 'auto' }
+      output,
+      converterOptions(options)
     );
 
     // Final progress update
@@ -1161,6 +1892,7 @@ async function processMultiplePdfs(event, paths, options = {}, taskId = null) {
     event.reply('ebook-generated', {
       success: true,
       filePath: filePath,
+      skipped,
       format: format,
       formatName: format.toUpperCase(),
       preview: {
@@ -1207,11 +1939,7 @@ async function processMixedFiles(event, emlPaths, pdfPaths, options = {}, taskId
 
   log(`[Main] Valid EMLs: ${validEmlPaths.length} (Skipped: ${skippedEml}). Valid PDFs: ${validPdfPaths.length} (Skipped: ${skippedPdf})`);
 
-  // For mixed files, we'll create separate ebooks for each type
-  const userHome = os.homedir();
-  const downloadDir = path.join(userHome, 'Downloads', 'kindle-books');
-  ensureRequiredDirectories(); // Ensure download dir exists
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const output = settingsStore.get('output');
 
   let emlResult = null;
   let pdfResult = null;
@@ -1225,25 +1953,24 @@ async function processMixedFiles(event, emlPaths, pdfPaths, options = {}, taskId
         progressTracker.sendProgressToRenderer(taskId, 35, `Processing ${validEmlPaths.length} email files...`);
       }
 
-      const emlOutputPath = path.join(downloadDir, `Email_Collection_${timestamp}`); // Base name
       try {
-          if (validEmlPaths.length === 1) {
+          if (validEmlPaths.length === 1 && bookProcessor.isBookFile(validEmlPaths[0])) {
+              emlResult = await emlToEbook.convertBookToEbook(
+                validEmlPaths[0],
+                output,
+                converterOptions(options)
+              );
+          } else if (validEmlPaths.length === 1) {
               emlResult = await emlToEbook.convertEmlToEbook(
                 validEmlPaths[0],
-                emlOutputPath + '.epub',
-                {
-                  formatPreference: options.formatPreference || 'auto',
-                  selectedTemplate: options.selectedTemplate
-                }
+                output,
+                converterOptions(options)
               );
           } else {
               emlResult = await emlToEbook.convertMultipleEmlsToEbook(
                 validEmlPaths,
-                emlOutputPath + '.epub',
-                {
-                  formatPreference: options.formatPreference || 'auto',
-                  selectedTemplate: options.selectedTemplate
-                }
+                output,
+                converterOptions(options)
               );
           }
           log(`[Main] Created Email Collection: ${emlResult.filePath}`);
@@ -1261,19 +1988,18 @@ async function processMixedFiles(event, emlPaths, pdfPaths, options = {}, taskId
         progressTracker.sendProgressToRenderer(taskId, 65, `Processing ${validPdfPaths.length} PDF files...`);
       }
 
-      const pdfOutputPath = path.join(downloadDir, `PDF_Collection_${timestamp}`); // Base name
        try {
            if (validPdfPaths.length === 1) {
                pdfResult = await emlToEbook.convertPdfToEbook(
                  validPdfPaths[0],
-                 pdfOutputPath + '.epub',
-                 { formatPreference: options.formatPreference || 'auto' }
+                 output,
+                 converterOptions(options)
                );
            } else {
                pdfResult = await emlToEbook.convertMultiplePdfsToEbook(
                  validPdfPaths,
-                 pdfOutputPath + '.epub',
-                 { formatPreference: options.formatPreference || 'auto' }
+                 output,
+                 converterOptions(options)
                );
            }
            log(`[Main] Created PDF Collection: ${pdfResult.filePath}`);
@@ -1301,9 +2027,11 @@ async function processMixedFiles(event, emlPaths, pdfPaths, options = {}, taskId
   const response = {
       success: true,
       filePath: emlResult ? emlResult.filePath : pdfResult.filePath, // Primary file for opening
+      skipped: emlResult ? emlResult.skipped : pdfResult.skipped,
       format: emlResult ? emlResult.format : pdfResult.format,
       formatName: (emlResult ? emlResult.format : pdfResult.format).toUpperCase(),
       additionalFiles: [],
+      templateReport: emlResult ? emlResult.templateReport || [] : [],
       preview: {
           subject: `Mixed Content (${validEmlPaths.length} Emails, ${validPdfPaths.length} PDFs)`,
           html: `<p>Created separate ebooks:</p>`,
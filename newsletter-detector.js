@@ -1,13 +1,125 @@
 // utils/newsletter-detector.js
 const fs = require('fs');
 const path = require('path');
+const { applyRules } = require('./html-transforms');
+const { extractArticle } = require('./content-extractor');
+
+// Sponsor slots all platforms share; anchored to the start of a block so that
+// "together with" in the middle of a sentence is left alone
+const SPONSOR_PATTERNS = [
+  /^(sponsored by|together with|presented by|in partnership with|brought to you by|a message from|from our sponsor)\b/i,
+  /^(advertisement|sponsored|sponsor|partner)$/i
+];
+
+// "View in browser" bars, share prompts and unsubscribe footers; the unsubscribe wording is
+// the footer's own ("Unsubscribe", "unsubscribe here"), so an article that mentions it is left alone
+const CHROME_PATTERNS = [
+  /^(view|read) (this )?(email |post |issue )?(in (your |a )?browser|online)\b/i,
+  /^(forwarded this email|was this email forwarded)/i,
+  /^unsubscribe\s*($|[·|•,–-])/i,
+  /\bunsubscribe (here|from (this|the|our) (list|newsletter|mailing list|emails?))\b/i,
+  /\b(click|tap) here to unsubscribe\b/i
+];
+
+/**
+ * Cleanup rules for the platform templates (see html-transforms.js):
+ * keep finds the article body, strip and stripText remove the platform's chrome
+ */
+const PLATFORM_RULES = {
+  beehiiv: {
+    keep: ['#content-blocks'],
+    strip: ['.beehiiv__footer', '.beehiiv__boost', '.recommendations', '.poll', '[class*="referral"]', '[class*="sponsor"]'],
+    stripText: [...SPONSOR_PATTERNS, ...CHROME_PATTERNS, /powered by beehiiv/i, /^(share|refer) (this|a friend)/i]
+  },
+  ghost: {
+    keep: ['.post-title', '.post-meta', '.post-content', '.post-content-sans-serif'],
+    strip: ['.view-online', '.feedback-buttons', '.subscription-box', '.latest-posts-section', '.footer', '.footer-powered', '.kg-cta-card'],
+    stripText: [...SPONSOR_PATTERNS, ...CHROME_PATTERNS, /powered by ghost/i]
+  },
+  mailchimp: {
+    keep: ['#templateUpperBody', '#templateBody', '#templateColumns', '#templateLowerBody', '.mceSectionBody'],
+    strip: [
+      '#templatePreheader', '#templateHeader', '#templateFooter', '.mcnPreviewText',
+      '.mcnFollowBlock', '.mcnShareBlock', '#awesomewrap', '.monkeyRewardsContainer', '#canspamBarWrapper',
+      '.mceSectionHeader', '.mceSectionFooter'
+    ],
+    stripText: [...SPONSOR_PATTERNS, ...CHROME_PATTERNS, /^why did I get this\?/i, /update your preferences/i]
+  },
+  convertkit: {
+    keep: ['.ck-inner-section', '.ck-section'],
+    // Blocks the writer marked as email-only: subscribe prompts, referral links and the like
+    strip: ['.ck-hide-in-public-post', '.ck-footer'],
+    stripText: [...SPONSOR_PATTERNS, ...CHROME_PATTERNS, /update your profile/i]
+  },
+  buttondown: {
+    keep: ['.email-body-content', '.email-body'],
+    strip: ['.email-footer'],
+    stripText: [...SPONSOR_PATTERNS, ...CHROME_PATTERNS, /powered by buttondown/i]
+  }
+};
+
+// Shared by the platform templates: plain book typography, no newsletter-specific layout
+const PLATFORM_CSS = `
+  body {
+    font-family: 'Bookerly', Georgia, serif;
+    font-size: 12pt;
+    line-height: 1.5;
+  }
+  h1 {
+    font-size: 22pt;
+    margin-bottom: 0.3in;
+    text-align: center;
+    line-height: 1.2;
+  }
+  h2 {
+    font-size: 18pt;
+    margin-top: 0.3in;
+    margin-bottom: 0.2in;
+    line-height: 1.2;
+  }
+  h3 {
+    font-size: 16pt;
+    margin-top: 0.2in;
+    margin-bottom: 0.1in;
+  }
+  p {
+    margin: 0.8em 0;
+    text-indent: 0;
+    text-align: left;
+  }
+  img {
+    max-width: 95%;
+    height: auto !important;
+    margin: 0.2in auto;
+    display: block;
+  }
+  a {
+    color: #000;
+    text-decoration: underline;
+  }
+  blockquote {
+    margin: 0.2in 1em;
+    padding-left: 0.5em;
+    border-left: 2px solid #666;
+    font-style: italic;
+  }
+  ul, ol {
+    margin: 0.5em 0 0.5em 1em;
+  }
+  li {
+    margin-bottom: 0.3em;
+  }
+`;
+
 
 /**
  * Newsletter-specific templates for formatting emails for Kindle
+ * cover holds the colours of the covers generated for the newsletter (see cover-generator.js)
  */
 const NEWSLETTER_TEMPLATES = {
   // Stratechery template with improved image handling
   stratechery: {
+    cover: { background: '#003b5c', accent: '#f7a600' },
     cssTemplate: `
       body {
         font-family: 'Bookerly', Georgia, serif;
@@ -248,6 +360,7 @@ const NEWSLETTER_TEMPLATES = {
 
   // Substack template with improved image handling
   substack: {
+    cover: { background: '#ff6719', accent: '#1a1a1a' },
     cssTemplate: `
       body {
         font-family: 'Bookerly', Georgia, serif;
@@ -445,6 +558,7 @@ const NEWSLETTER_TEMPLATES = {
 
   // NEW: Axios template for precise formatting
   axios: {
+    cover: { background: '#16212e', accent: '#2d7ff9' },
     cssTemplate: `
       body {
         font-family: 'Bookerly', Georgia, serif;
@@ -565,6 +679,7 @@ const NEWSLETTER_TEMPLATES = {
 
   // NEW: Bulletin Media template
   bulletinmedia: {
+    cover: { background: '#0b3d2e', accent: '#c9a227' },
     cssTemplate: `
       body {
         font-family: 'Bookerly', Georgia, serif;
@@ -676,6 +791,7 @@ const NEWSLETTER_TEMPLATES = {
 
   // NEW: OneTech/Phillip newsletter template
   onetech: {
+    cover: { background: '#222222', accent: '#00a3e0' },
     cssTemplate: `
       body {
         font-family: 'Bookerly', Georgia, serif;
@@ -792,6 +908,7 @@ const NEWSLETTER_TEMPLATES = {
 
   // NEW: JeffSelingo newsletter template
   jeffselingo: {
+    cover: { background: '#4b2e83', accent: '#e8d3a2' },
     cssTemplate: `
       body {
         font-family: 'Bookerly', Georgia, serif;
@@ -898,8 +1015,87 @@ const NEWSLETTER_TEMPLATES = {
     }
   },
 
+  // Platform templates: one per sending platform, for newsletters without a template of their own.
+  // They only remove the platform's chrome and sponsor slots; the generators handle the rest.
+  beehiiv: {
+    cover: { background: '#0f0f23', accent: '#ffd100' },
+    cssTemplate: PLATFORM_CSS,
+    contentTransform: (html, context = {}) => {
+      if (!html) return '';
+      return applyRules(html, PLATFORM_RULES.beehiiv, context.steps);
+    }
+  },
+
+  ghost: {
+    cover: { background: '#15171a', accent: '#ff1a75' },
+    cssTemplate: `${PLATFORM_CSS}
+      .post-meta {
+        text-align: center;
+        font-style: italic;
+        color: #555;
+        margin-bottom: 0.2in;
+      }
+      .kg-callout-card {
+        margin: 0.2in 1em;
+        padding: 0.1in;
+        border-left: 3px solid #888;
+      }
+      .kg-image-card figcaption {
+        font-size: 10pt;
+        color: #666;
+        font-style: italic;
+        text-align: center;
+      }
+    `,
+    contentTransform: (html, context = {}) => {
+      if (!html) return '';
+      return applyRules(html, PLATFORM_RULES.ghost, context.steps);
+    }
+  },
+
+  mailchimp: {
+    cover: { background: '#ffe01b', accent: '#241c15' },
+    cssTemplate: `${PLATFORM_CSS}
+      .mcnTextContent h1, .mceText h1 {
+        text-align: left;
+      }
+    `,
+    contentTransform: (html, context = {}) => {
+      if (!html) return '';
+      return applyRules(html, PLATFORM_RULES.mailchimp, context.steps);
+    }
+  },
+
+  convertkit: {
+    cover: { background: '#fb6970', accent: '#373f45' },
+    cssTemplate: PLATFORM_CSS,
+    contentTransform: (html, context = {}) => {
+      if (!html) return '';
+      return applyRules(html, PLATFORM_RULES.convertkit, context.steps);
+    }
+  },
+
+  buttondown: {
+    cover: { background: '#0069ff', accent: '#ffffff' },
+    cssTemplate: `${PLATFORM_CSS}
+      pre, code {
+        font-family: 'Courier New', monospace;
+        font-size: 10pt;
+      }
+      pre {
+        white-space: pre-wrap;
+        margin: 0.5em 0;
+      }
+    `,
+    contentTransform: (html, context = {}) => {
+      if (!html) return '';
+      return applyRules(html, PLATFORM_RULES.buttondown, context.steps);
+    }
+  },
+
   // Generic template for any newsletter - improved image handling
   generic: {
+    cover: { background: '#2c3e50', accent: '#e67e22' },
     cssTemplate: `
       body {
         font-family: 'Bookerly', Georgia, serif;
@@ -980,9 +1176,24 @@ const NEWSLETTER_TEMPLATES = {
         margin-bottom: 0.3em;
       }
     `,
-    contentTransform: (html) => {
+    contentTransform: (html, context = {}) => {
       if (!html) return '';
 
+      // Keep only the main article when it can be found with enough confidence;
+      // templates that select their own content pass extractArticle: false
+      if (context.extractArticle !== false) {
+        const extraction = extractArticle(html);
+        if (context.steps) {
+          context.steps.push({
+            action: 'extract',
+            used: extraction.used,
+            confidence: extraction.confidence,
+            candidate: extraction.candidate
+          });
+        }
+        html = extraction.content;
+      }
+
       // First collect all image references
       const imageRegex = /<img[^>]*src="([^"]*)"[^>]*>/gi;
       const images = [];
@@ -1116,7 +1327,7 @@ const NEWSLETTER_PATTERNS = {
       'Ben Thompson'
     ],
     subjectPatterns: ['Stratechery'],
-    headerPatterns: []
+    headerPatterns: ['List-Id: stratechery', 'Return-Path: stratechery.com']
   },
 
   // NEW: Axios newsletter patterns
@@ -1131,7 +1342,7 @@ const NEWSLETTER_PATTERNS = {
       'axios newsletter'
     ],
     subjectPatterns: ['Axios'],
-    headerPatterns: []
+    headerPatterns: ['List-Id: axios.com', 'Return-Path: axios.com']
   },
 
   // NEW: Bulletin Media newsletter patterns
@@ -1176,22 +1387,273 @@ const NEWSLETTER_PATTERNS = {
     ],
     subjectPatterns: ['Jeff Selingo', 'Higher Ed', 'College'],
     headerPatterns: []
+  },
+
+  // Sending platforms; their header signatures (PLATFORM_SIGNATURES) count towards these too
+  beehiiv: {
+    domains: ['beehiiv.com'],
+    senderPatterns: ['@mail.beehiiv.com'],
+    bodyPatterns: ['Powered by beehiiv'],
+    htmlPatterns: ['beehiiv.com', 'id="content-blocks"'],
+    subjectPatterns: [],
+    headerPatterns: []
+  },
+
+  ghost: {
+    domains: ['ghost.io'],
+    senderPatterns: ['@ghost.io'],
+    bodyPatterns: ['Powered by Ghost'],
+    htmlPatterns: ['class="feedback-buttons', 'class="footer-powered', 'class="post-content-sans-serif'],
+    subjectPatterns: [],
+    headerPatterns: []
+  },
+
+  mailchimp: {
+    domains: ['mcsv.net', 'mcdlv.net', 'mailchimpapp.net'],
+    senderPatterns: [],
+    bodyPatterns: ['list-manage.com'],
+    htmlPatterns: ['id="templateBody"', 'mcnTextContent', 'mceSectionBody', 'list-manage.com'],
+    subjectPatterns: [],
+    headerPatterns: []
+  },
+
+  convertkit: {
+    domains: ['convertkit', 'ck.page'],
+    senderPatterns: [],
+    bodyPatterns: ['convertkit'],
+    htmlPatterns: ['convertkit-mail', 'ck-section', 'ck-hide-in-public-post'],
+    subjectPatterns: [],
+    headerPatterns: []
+  },
+
+  buttondown: {
+    domains: ['buttondown.email', 'buttondown.com'],
+    senderPatterns: [],
+    bodyPatterns: ['Powered by Buttondown'],
+    htmlPatterns: ['buttondown.email', 'buttondown.com'],
+    subjectPatterns: [],
+    headerPatterns: []
+  }
+};
+
+/**
+ * Email platforms recognised from raw headers
+ * Each signal is a header (lowercase) whose value matches a pattern; weights add up like detection scores
+ */
+const PLATFORM_SIGNATURES = {
+  substack: {
+    name: 'Substack',
+    signals: [
+      { header: 'x-mailer', pattern: /substack/i, weight: 8 },
+      { header: 'list-id', pattern: /substack\.com/i, weight: 8 },
+      { header: 'list-unsubscribe', pattern: /substack\.com/i, weight: 5 },
+      { header: 'return-path', pattern: /substack\.com/i, weight: 5 }
+    ]
+  },
+  mailchimp: {
+    name: 'Mailchimp',
+    signals: [
+      { header: 'x-mailer', pattern: /mailchimp/i, weight: 8 },
+      { header: 'list-id', pattern: /\.(mcsv\.net|list-manage\.com)/i, weight: 8 },
+      { header: 'x-mc-user', pattern: /./, weight: 6 },
+      { header: 'list-unsubscribe', pattern: /list-manage\.com/i, weight: 5 },
+      { header: 'return-path', pattern: /(mcsv|mcdlv|rsgsv)\.net/i, weight: 5 }
+    ]
+  },
+  convertkit: {
+    name: 'ConvertKit',
+    signals: [
+      { header: 'x-mailer', pattern: /convertkit|\bkit\.com/i, weight: 8 },
+      { header: 'list-id', pattern: /convertkit|ck\.page/i, weight: 8 },
+      { header: 'list-unsubscribe', pattern: /convertkit(-mail\d*)?\.com|unsubscribe\.kit\.com/i, weight: 5 },
+      { header: 'return-path', pattern: /convertkit(-mail\d*)?\.com|kit-mail\d*\.com/i, weight: 5 }
+    ]
+  },
+  beehiiv: {
+    name: 'Beehiiv',
+    signals: [
+      { header: 'x-mailer', pattern: /beehiiv/i, weight: 8 },
+      { header: 'list-id', pattern: /beehiiv/i, weight: 8 },
+      { header: 'x-beehiiv-type', pattern: /./, weight: 6 },
+      { header: 'list-unsubscribe', pattern: /beehiiv\.com/i, weight: 5 },
+      { header: 'return-path', pattern: /beehiiv\.com/i, weight: 5 }
+    ]
+  },
+  ghost: {
+    name: 'Ghost',
+    signals: [
+      { header: 'x-mailer', pattern: /\bghost\b/i, weight: 8 },
+      { header: 'list-id', pattern: /ghost\.io/i, weight: 8 },
+      // Ghost's own unsubscribe endpoint on the publication's domain
+      { header: 'list-unsubscribe', pattern: /\/unsubscribe\/\?uuid=[0-9a-f-]+&(amp;)?key=/i, weight: 6 },
+      { header: 'return-path', pattern: /ghost\.io/i, weight: 5 }
+    ]
+  },
+  buttondown: {
+    name: 'Buttondown',
+    signals: [
+      { header: 'x-mailer', pattern: /buttondown/i, weight: 8 },
+      { header: 'list-id', pattern: /buttondown/i, weight: 8 },
+      { header: 'list-unsubscribe', pattern: /buttondown\.(email|com)/i, weight: 5 },
+      { header: 'return-path', pattern: /buttondown\.(email|com)/i, weight: 5 }
+    ]
   }
 };
 
+// Body keywords are weak evidence; cap what they can add so a few common words
+// ("higher education", "subscribe now") can't outscore real header signals
+const MAX_BODY_SCORE = 4;
+
+// Names shown in the template picker for the built-in templates
+const BUILTIN_TEMPLATE_NAMES = {
+  generic: 'Generic Newsletter',
+  stratechery: 'Stratechery',
+  substack: 'Substack',
+  axios: 'Axios',
+  bulletinmedia: 'Bulletin Media',
+  onetech: 'OneTech/Phillip',
+  jeffselingo: 'Jeff Selingo',
+  beehiiv: 'Beehiiv',
+  ghost: 'Ghost',
+  mailchimp: 'Mailchimp',
+  convertkit: 'ConvertKit',
+  buttondown: 'Buttondown'
+};
+
+// Templates loaded from the user templates directory (see user-templates.js), keyed by id.
+// A user template with a built-in id replaces the built-in one.
+let userTemplates = {};
+
+/**
+ * Replace the set of user-defined templates
+ * @param {Object} templates - Map of id to { name, description, cssTemplate, contentTransform, patterns, source }
+ */
+function setUserTemplates(templates) {
+  userTemplates = templates || {};
+}
+
+/**
+ * Detection patterns for every known template, built-in and user-defined
+ * @returns {Object} - Map of type to patterns
+ */
+function getDetectionPatterns() {
+  const patterns = { ...NEWSLETTER_PATTERNS };
+  for (const [type, template] of Object.entries(userTemplates)) {
+    if (template.patterns) {
+      patterns[type] = template.patterns;
+    } else {
+      // Without patterns a user template can only be picked by hand
+      delete patterns[type];
+    }
+  }
+  return patterns;
+}
+
+/**
+ * All templates available for selection
+ * @returns {Array<Object>} - { id, name, description, builtIn, source } sorted with built-ins first
+ */
+function listTemplates() {
+  const builtIns = Object.keys(NEWSLETTER_TEMPLATES)
+    .filter(id => !userTemplates[id])
+    .map(id => ({ id, name: BUILTIN_TEMPLATE_NAMES[id] || id, description: '', builtIn: true, source: null }));
+  const userDefined = Object.entries(userTemplates)
+    .map(([id, template]) => ({
+      id,
+      name: template.name || id,
+      description: template.description || '',
+      builtIn: false,
+      source: template.source || null
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return [...builtIns, ...userDefined];
+}
+
+/**
+ * Recognise the sending platform from raw email headers
+ * @param {Object} headers - Lowercase header name to value (as produced by eml-parser)
+ * @returns {Object|null} - { id, name, score, confidence, signals } for the strongest platform, or null
+ */
+function detectPlatform(headers) {
+  if (!headers) return null;
+
+  let best = null;
+  for (const [id, platform] of Object.entries(PLATFORM_SIGNATURES)) {
+    let score = 0;
+    const signals = [];
+    platform.signals.forEach(({ header, pattern, weight }) => {
+      const value = headers[header];
+      if (value && pattern.test(value)) {
+        score += weight;
+        signals.push(formatHeaderName(header));
+      }
+    });
+    if (score > 0 && (!best || score > best.score)) {
+      best = { id, name: platform.name, score, confidence: Math.min(100, score * 10), signals };
+    }
+  }
+  return best;
+}
+
+/**
+ * Match "Header-Name: text" patterns against the email's headers
+ * @param {Array<string>} headerPatterns - Patterns such as 'X-Mailer: Substack'
+ * @param {Object} headers - Lowercase header name to value
+ * @returns {Array<string>} - The patterns that matched
+ */
+function matchHeaderPatterns(headerPatterns, headers) {
+  if (!headers) return [];
+  return headerPatterns.filter(pattern => {
+    const separator = pattern.indexOf(':');
+    if (separator === -1) return false;
+    const value = headers[pattern.slice(0, separator).trim().toLowerCase()];
+    const expected = pattern.slice(separator + 1).trim().toLowerCase();
+    return Boolean(value) && value.toLowerCase().includes(expected);
+  });
+}
+
+/**
+ * The display name from a List-Id header, e.g. "Money Stuff" <money-stuff.bloomberg.net>
+ * @param {string} listId - List-Id header value
+ * @returns {string|null} - The name, or null if the header only has the identifier
+ */
+function getListName(listId) {
+  if (!listId) return null;
+  const match = listId.match(/^\s*"?([^"<]+?)"?\s*</);
+  return match ? match[1].trim() : null;
+}
+
+function formatHeaderName(header) {
+  return header.replace(/(^|-)([a-z])/g, (match, dash, letter) => dash + letter.toUpperCase());
+}
+
 /**
  * Detect the type of newsletter based on content and metadata
- * @param {Object} content - The newsletter content with html, text, subject, from
- * @returns {Object} - The detected newsletter type, name, and confidence
+ * Raw headers (List-Id, List-Unsubscribe, X-Mailer, Return-Path) are the strongest evidence;
+ * sender, subject and body keywords follow
+ * @param {Object} content - The newsletter content with html, text, subject, from and optional headers
+ * @returns {Object} - The detected newsletter type, name, confidence, sending platform and the signals that matched
  */
 function detectNewsletterType(content) {
   try {
     if (!content) {
-      return { type: 'generic', name: 'Newsletter', confidence: 0 };
+      return { type: 'generic', name: 'Newsletter', confidence: 0, platform: null, signals: [] };
     }
 
-    const { html, text, subject, from } = content;
-    let bestMatch = { type: 'generic', name: 'Newsletter', confidence: 0 };
+    const { html, text, subject, from, headers } = content;
+    const platform = detectPlatform(headers);
+    const listName = getListName(headers && headers['list-id']);
+    const platformInfo = {
+      platform: platform ? platform.id : null,
+      platformName: platform ? platform.name : null
+    };
+    let bestMatch = {
+      type: 'generic',
+      name: listName || 'Newsletter',
+      confidence: 0,
+      ...platformInfo,
+      signals: platform ? platform.signals.map(header => `${header} (${platform.name})`) : []
+    };
 
     // Extract domain from from field if available
     let fromDomain = '';
@@ -1208,13 +1670,28 @@ function detectNewsletterType(content) {
     ].join(' ');
 
     // Score each newsletter type
-    for (const [type, patterns] of Object.entries(NEWSLETTER_PATTERNS)) {
+    for (const [type, patterns] of Object.entries(getDetectionPatterns())) {
       let score = 0;
-      const { domains, senderPatterns, bodyPatterns, subjectPatterns } = patterns;
+      let bodyScore = 0;
+      const signals = [];
+      const { domains = [], senderPatterns = [], bodyPatterns = [], subjectPatterns = [], htmlPatterns = [], headerPatterns = [] } = patterns;
+
+      // The sending platform counts for the template of the same name
+      if (platform && platform.id === type) {
+        score += platform.score;
+        signals.push(...platform.signals.map(header => `${header} (${platform.name})`));
+      }
+
+      // Explicit header patterns, e.g. 'List-Id: stratechery'
+      matchHeaderPatterns(headerPatterns, headers).forEach(pattern => {
+        score += 6;
+        signals.push(pattern);
+      });
 
       // Check domain in from field
       if (fromDomain && domains.some(domain => fromDomain.includes(domain))) {
         score += 5;
+        signals.push(`From domain ${fromDomain}`);
       }
 
       // Check sender patterns
@@ -1235,11 +1712,14 @@ function detectNewsletterType(content) {
         }
       }
 
+      // Everything above identifies the sender; everything below is about the content
+      const identityScore = score;
+
       // Check for patterns in body
       if (searchableContent) {
         for (const pattern of bodyPatterns) {
           if (searchableContent.toLowerCase().includes(pattern.toLowerCase())) {
-            score += 1;
+            bodyScore += 1;
           }
         }
       }
@@ -1249,7 +1729,7 @@ function detectNewsletterType(content) {
         const htmlSample = html.substring(0, 10000); // Limit to first 10000 chars
         for (const pattern of bodyPatterns) {
           if (htmlSample.toLowerCase().includes(pattern.toLowerCase())) {
-            score += 1;
+            bodyScore += 1;
           }
         }
 
@@ -1284,25 +1764,45 @@ function detectNewsletterType(content) {
            (htmlSample.includes('jeff selingo') || htmlSample.includes('higher education'))) {
           score += 3;
         }
+
+        // Platform and user templates declare their structural markers as htmlPatterns
+        if (htmlPatterns.some(pattern => htmlSample.includes(pattern))) {
+          score += 3;
+        }
+      }
+
+      // Once headers name the platform, keywords alone can't claim the newsletter for another type
+      if (platform && identityScore === 0) {
+        continue;
       }
+      score += Math.min(bodyScore, MAX_BODY_SCORE);
 
       // Normalize score as confidence (0-100)
       const confidence = Math.min(100, score * 10);
 
       // If this is the best match so far, update
       if (confidence > bestMatch.confidence) {
+        // Platform templates are shared by many newsletters; the List-Id names this one
+        const usePlatformName = PLATFORM_SIGNATURES[type] && !userTemplates[type] && listName;
         bestMatch = {
           type,
-          name: getNewsletterName(type, subject),
-          confidence
+          name: usePlatformName ? listName : getNewsletterName(type, subject),
+          confidence,
+          ...platformInfo,
+          signals
         };
       }
     }
 
+    // A known platform without a template of its own still tells us this is a newsletter
+    if (bestMatch.type === 'generic' && platform) {
+      bestMatch.confidence = platform.confidence;
+    }
+
     return bestMatch;
   } catch (error) {
     console.error(`Error detecting newsletter type: ${error.message}`);
-    return { type: 'generic', name: 'Newsletter', confidence: 0 };
+    return { type: 'generic', name: 'Newsletter', confidence: 0, platform: null, signals: [] };
   }
 }
 
@@ -1313,6 +1813,10 @@ function detectNewsletterType(content) {
  * @returns {string} - A friendly newsletter name
  */
 function getNewsletterName(type, subject) {
+  if (userTemplates[type] && userTemplates[type].name) {
+    return userTemplates[type].name;
+  }
+
   switch(type) {
     case 'substack':
       // Try to extract the newsletter name from subject
@@ -1334,6 +1838,13 @@ function getNewsletterName(type, subject) {
     case 'jeffselingo':
       return 'Jeff Selingo Newsletter';
 
+    case 'beehiiv':
+    case 'ghost':
+    case 'mailchimp':
+    case 'convertkit':
+    case 'buttondown':
+      return `${PLATFORM_SIGNATURES[type].name} Newsletter`;
+
     default:
       // Try to extract a newsletter name from the subject
       if (subject) {
@@ -1363,14 +1874,206 @@ function getNewsletterName(type, subject) {
  * @returns {Object} - The template object with cssTemplate and contentTransform
  */
 function getNewsletterTemplate(type) {
-  // Return the specified template or fallback to generic
-  return NEWSLETTER_TEMPLATES[type] || NEWSLETTER_TEMPLATES.generic;
+  // User templates win over built-ins; unknown types fall back to generic
+  return userTemplates[type] || NEWSLETTER_TEMPLATES[type] || NEWSLETTER_TEMPLATES.generic;
+}
+
+/**
+ * Work out which template applies to a newsletter
+ * @param {string|Object|null} template - A selected template id, a template object, or null/'auto' to use the detected type
+ * @param {Object} newsletterInfo - Detection result with type and confidence
+ * @returns {Object|null} - { id, name, builtIn, source, confidence, template }, or null when there is nothing to apply
+ */
+function resolveNewsletterTemplate(template, newsletterInfo = null) {
+  if (template && typeof template === 'object') {
+    return { id: 'custom', name: 'Custom', builtIn: false, source: 'provided', confidence: null, template };
+  }
+
+  let id;
+  let source;
+  if (typeof template === 'string' && template !== 'auto') {
+    id = template;
+    source = 'selected';
+  } else if (newsletterInfo && newsletterInfo.type) {
+    id = newsletterInfo.type;
+    source = 'detected';
+  } else {
+    return null;
+  }
+
+  if (!hasNewsletterTemplate(id)) {
+    console.warn(`[Newsletter Detector] Unknown template "${id}", using generic`);
+    id = 'generic';
+  }
+
+  return {
+    id,
+    name: userTemplates[id] ? (userTemplates[id].name || id) : (BUILTIN_TEMPLATE_NAMES[id] || id),
+    builtIn: !userTemplates[id],
+    source,
+    confidence: source === 'detected' && newsletterInfo.confidence !== undefined ? newsletterInfo.confidence : null,
+    template: getNewsletterTemplate(id)
+  };
+}
+
+/**
+ * Run a resolved template's content transform and report what it changed
+ * @param {string} content - Newsletter content
+ * @param {string} format - Content format; only 'html' is transformed
+ * @param {Object|null} resolved - Result of resolveNewsletterTemplate
+ * @returns {{content: string, report: Object|null}} - Transformed content and the template report
+ */
+function applyNewsletterTemplate(content, format, resolved) {
+  if (!resolved) {
+    return { content, report: null };
+  }
+
+  const { template } = resolved;
+  const report = {
+    id: resolved.id,
+    name: resolved.name,
+    builtIn: resolved.builtIn,
+    source: resolved.source,
+    confidence: resolved.confidence,
+    css: Boolean(template.cssTemplate && template.cssTemplate.trim()),
+    transformed: false,
+    error: null,
+    steps: [],
+    removed: { elements: {}, elementCount: 0, textCharacters: 0 }
+  };
+
+  if (format !== 'html' || typeof template.contentTransform !== 'function') {
+    return { content, report };
+  }
+
+  // User templates describe their own steps (keep/strip selectors); built-ins are one step
+  const steps = [];
+  try {
+    const transformed = template.contentTransform(content, { steps });
+    if (typeof transformed !== 'string') {
+      throw new Error('contentTransform did not return HTML');
+    }
+    report.transformed = true;
+    report.steps = steps.length > 0 ? steps : [{ action: 'transform', template: resolved.id }];
+    report.removed = describeRemoved(content, transformed);
+    content = transformed;
+  } catch (error) {
+    // Continue with the original content if the transformation fails
+    console.error(`[Newsletter Detector] Error in ${resolved.id} template transformation: ${error.message}`);
+    report.error = error.message;
+  }
+
+  return { content, report };
+}
+
+/**
+ * Count the elements and text a transform took out
+ */
+function describeRemoved(before, after) {
+  const countTags = (html) => {
+    const counts = {};
+    const tagPattern = /<([a-z][a-z0-9]*)\b/gi;
+    let match;
+    while ((match = tagPattern.exec(html)) !== null) {
+      const tag = match[1].toLowerCase();
+      counts[tag] = (counts[tag] || 0) + 1;
+    }
+    return counts;
+  };
+  const textLength = (html) => html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim().length;
+
+  const beforeCounts = countTags(before);
+  const afterCounts = countTags(after);
+  const elements = {};
+  let elementCount = 0;
+  Object.entries(beforeCounts).forEach(([tag, count]) => {
+    const removed = count - (afterCounts[tag] || 0);
+    if (removed > 0) {
+      elements[tag] = removed;
+      elementCount += removed;
+    }
+  });
+
+  return {
+    elements,
+    elementCount,
+    textCharacters: Math.max(0, textLength(before) - textLength(after))
+  };
+}
+
+/**
+ * Prefix every rule of a template stylesheet so it only applies inside one wrapper
+ * body/html selectors become the wrapper itself
+ * @param {string} css - Template CSS
+ * @param {string} scope - Wrapper selector, e.g. .template-substack
+ * @returns {string} - Scoped CSS
+ */
+function scopeCss(css, scope) {
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  let output = '';
+  let index = 0;
+
+  while (index < source.length) {
+    const open = source.indexOf('{', index);
+    if (open === -1) break;
+
+    // Statements like @import end in ";" and can't be scoped; drop them
+    let prelude = source.slice(index, open);
+    prelude = prelude.slice(prelude.lastIndexOf(';') + 1).trim();
+
+    let depth = 1;
+    let close = open + 1;
+    while (close < source.length && depth > 0) {
+      if (source[close] === '{') depth++;
+      if (source[close] === '}') depth--;
+      close++;
+    }
+    const body = source.slice(open + 1, close - 1);
+
+    if (/^@(media|supports)\b/i.test(prelude)) {
+      output += `${prelude} {\n${scopeCss(body, scope)}}\n`;
+    } else if (prelude.startsWith('@')) {
+      output += `${prelude} {${body}}\n`;
+    } else if (prelude) {
+      const selectors = prelude.split(',').map(selector => {
+        selector = selector.trim();
+        return /^(html|body)\b/i.test(selector)
+          ? selector.replace(/^(html\s+body|html|body)\b/i, scope)
+          : `${scope} ${selector}`;
+      });
+      output += `${selectors.join(', ')} {${body}}\n`;
+    }
+    index = close;
+  }
+
+  return output;
+}
+
+/**
+ * Check whether a template id is known
+ * @param {string} type - The template id
+ * @returns {boolean} - True for built-in and loaded user templates
+ */
+function hasNewsletterTemplate(type) {
+  return Boolean(userTemplates[type] || NEWSLETTER_TEMPLATES[type]);
 }
 
 module.exports = {
   detectNewsletterType,
   getNewsletterTemplate,
   getNewsletterName,
+  hasNewsletterTemplate,
+  resolveNewsletterTemplate,
+  applyNewsletterTemplate,
+  scopeCss,
+  listTemplates,
+  setUserTemplates,
+  detectPlatform,
   NEWSLETTER_TEMPLATES,
-  NEWSLETTER_PATTERNS
+  NEWSLETTER_PATTERNS,
+  PLATFORM_SIGNATURES
 };
@@ -0,0 +1,208 @@
+// utils/output-paths.js
+// Names converted books from a filename template and decides what happens when the name is taken
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const DEFAULT_OUTPUT_DIR = path.join(os.homedir(), 'Downloads', 'kindle-books');
+
+// 'version' keeps both files as "name (2).ext", 'overwrite' replaces the old one, 'skip' keeps it
+const COLLISION_POLICIES = ['version', 'overwrite', 'skip'];
+
+const DEFAULT_OUTPUT_SETTINGS = {
+  directory: DEFAULT_OUTPUT_DIR,
+  filenameTemplate: '{date} - {subject}',
+  newsletterFolders: false,
+  collision: 'version'
+};
+
+// Fields a filename template can use, e.g. "{newsletter}/{date} - {subject}.{ext}"
+const TEMPLATE_FIELDS = {
+  subject: 'Email subject, or the title of a PDF, ebook or digest',
+  newsletter: 'Newsletter name (PDFs, Books or Digests for other conversions)',
+  sender: 'Sender or author',
+  date: 'Date of the email (YYYY-MM-DD), or today',
+  time: 'Time of the email (HH-MM), or now',
+  timestamp: 'When the conversion ran',
+  source: 'Input file name without its extension',
+  ext: 'File extension of the output format'
+};
+
+// Told about each output file just before it is written, so watch folders can tell the app's own books from new input
+const writeListeners = new Set();
+
+const FIELD_PATTERN = /\{([a-z]+)\}/gi;
+const MAX_SEGMENT_LENGTH = 120;
+const WINDOWS_RESERVED = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+
+/**
+ * Check output settings before they are saved
+ * @param {Object} settings - { directory, filenameTemplate, newsletterFolders, collision }
+ * @returns {Array<string>} - Problems, empty when the settings are usable
+ */
+function validateOutputSettings(settings) {
+  const errors = [];
+  if (!settings.directory || !path.isAbsolute(settings.directory)) {
+    errors.push('The output folder must be an absolute path');
+  }
+
+  const template = settings.filenameTemplate || '';
+  if (!template.trim()) {
+    errors.push('The filename template is empty');
+  } else {
+    const unknown = Array.from(template.matchAll(FIELD_PATTERN))
+      .map(match => match[1])
+      .filter(field => !TEMPLATE_FIELDS[field]);
+    if (unknown.length > 0) {
+      errors.push(`Unknown template field(s) ${unknown.map(field => `{${field}}`).join(', ')}; use ${Object.keys(TEMPLATE_FIELDS).map(field => `{${field}}`).join(', ')}`);
+    }
+    if (path.isAbsolute(template) || template.split(/[\\/]/).some(segment => segment.trim() === '..')) {
+      errors.push('The filename template must stay inside the output folder');
+    }
+  }
+
+  if (!COLLISION_POLICIES.includes(settings.collision)) {
+    errors.push(`When a file exists: use one of ${COLLISION_POLICIES.join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * Fill in the filename template for a conversion
+ * "/" in the template makes subfolders; a "/" inside a field value becomes "-" so a subject stays one name
+ * @param {Object} settings - Output settings
+ * @param {Object} details - subject, newsletter, sender, date (Date or date string), source (input path) and ext
+ * @returns {string} - Absolute path of the output file
+ */
+function resolveOutputPath(settings, details) {
+  const values = templateValues(details);
+
+  let template = settings.filenameTemplate || DEFAULT_OUTPUT_SETTINGS.filenameTemplate;
+  if (settings.newsletterFolders && !/^\{newsletter\}[\\/]/i.test(template)) {
+    template = `{newsletter}/${template}`;
+  }
+
+  const segments = template.split(/[\\/]/)
+    .map(segment => sanitizeSegment(segment.replace(FIELD_PATTERN, (match, field) =>
+      values[field] !== undefined ? String(values[field]).replace(/[\\/]/g, '-') : match)))
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+
+  let fileName = segments.pop() || 'untitled';
+  const extension = `.${values.ext}`;
+  if (!fileName.toLowerCase().endsWith(extension.toLowerCase())) {
+    fileName += extension;
+  }
+
+  return path.join(settings.directory, ...segments, fileName);
+}
+
+/**
+ * What a newsletter issue would be saved as, to show next to the settings
+ * @param {Object} settings - Output settings
+ * @returns {string} - Absolute path of the example file
+ */
+function exampleOutputPath(settings) {
+  return resolveOutputPath(settings, {
+    subject: 'Weekly Roundup #42',
+    newsletter: 'Example Newsletter',
+    sender: 'Jane Writer',
+    date: new Date(),
+    source: 'weekly-roundup.eml',
+    ext: 'epub'
+  });
+}
+
+/**
+ * Write a file, applying the collision policy when the path is taken
+ * @param {string} filePath - Where the file should go
+ * @param {Buffer} buffer - Contents
+ * @param {string} collision - 'version', 'overwrite' or 'skip'
+ * @returns {{filePath: string, skipped: boolean}} - Where it went, and whether an existing file was kept instead
+ */
+function writeOutputFile(filePath, buffer, collision = 'version') {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  if (fs.existsSync(filePath)) {
+    if (collision === 'skip') {
+      console.log(`[Output] ${filePath} already exists, keeping it`);
+      return { filePath, skipped: true };
+    }
+    if (collision !== 'overwrite') {
+      filePath = nextVersion(filePath);
+    }
+  }
+
+  writeListeners.forEach(listener => listener(filePath));
+  fs.writeFileSync(filePath, buffer);
+  return { filePath, skipped: false };
+}
+
+/**
+ * Call a function with the path of every output file before it is written
+ * @param {Function} listener - (filePath) => void
+ * @returns {Function} - Call to stop listening
+ */
+function onOutputWrite(listener) {
+  writeListeners.add(listener);
+  return () => writeListeners.delete(listener);
+}
+
+/**
+ * "name.epub" becomes "name (2).epub", or the next free number
+ */
+function nextVersion(filePath) {
+  const extension = path.extname(filePath);
+  const base = filePath.slice(0, filePath.length - extension.length).replace(/ \(\d+\)$/, '');
+  let version = 2;
+  while (fs.existsSync(`${base} (${version})${extension}`)) {
+    version++;
+  }
+  return `${base} (${version})${extension}`;
+}
+
+function templateValues(details) {
+  const now = new Date();
+  const parsed = details.date ? new Date(details.date) : now;
+  const date = isNaN(parsed.getTime()) ? now : parsed;
+  const pad = number => String(number).padStart(2, '0');
+
+  return {
+    subject: details.subject || 'Untitled',
+    newsletter: details.newsletter || 'Newsletters',
+    sender: details.sender || 'Unknown',
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}-${pad(date.getMinutes())}`,
+    timestamp: now.toISOString().replace(/[:.]/g, '-'),
+    source: details.source ? path.basename(details.source, path.extname(details.source)) : 'output',
+    ext: details.ext || 'epub'
+  };
+}
+
+/**
+ * Make one path segment safe on every platform
+ */
+function sanitizeSegment(segment) {
+  let clean = segment
+    .replace(/[<>:"/\\|?*\x00-\x1f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_SEGMENT_LENGTH)
+    // Windows drops trailing dots and spaces
+    .replace(/[. ]+$/, '');
+  if (WINDOWS_RESERVED.test(clean)) {
+    clean += '_';
+  }
+  return clean;
+}
+
+module.exports = {
+  DEFAULT_OUTPUT_DIR,
+  DEFAULT_OUTPUT_SETTINGS,
+  COLLISION_POLICIES,
+  TEMPLATE_FIELDS,
+  validateOutputSettings,
+  resolveOutputPath,
+  exampleOutputPath,
+  writeOutputFile,
+  onOutputWrite
+};
@@ -4,6 +4,19 @@ const TurndownService = require('turndown');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { processHtml, fontCss } = require('./html-pipeline');
+const { embedImages } = require('./image-processor');
+const { resolveNewsletterTemplate, applyNewsletterTemplate, scopeCss } = require('./newsletter-detector');
+
+// Page sizes matching each Kindle's screen, so a page fills the display without zooming;
+// resolution is the screen in pixels, which pdf-processor.js cuts original PDF pages to the shape of
+const PAGE_PRESETS = {
+  basic: { name: 'Kindle (6")', width: '3.6in', height: '4.8in', margin: '0.2in', resolution: { width: 1072, height: 1448 } },
+  paperwhite: { name: 'Kindle Paperwhite (6.8")', width: '4.1in', height: '5.5in', margin: '0.25in', resolution: { width: 1236, height: 1648 } },
+  oasis: { name: 'Kindle Oasis (7")', width: '4.2in', height: '5.6in', margin: '0.25in', resolution: { width: 1264, height: 1680 } },
+  scribe: { name: 'Kindle Scribe (10.2")', width: '6.2in', height: '8.3in', margin: '0.4in', resolution: { width: 1860, height: 2480 } }
+};
+const DEFAULT_PAGE_PRESET = 'paperwhite';
 
 const turndownService = new TurndownService({
   headingStyle: 'atx',
@@ -26,6 +39,15 @@ function escapeHtml(text) {
              .replace(/'/g, '&#039;');
 }
 
+/**
+ * Render newsletter content to a Kindle-sized PDF
+ * @param {string} title - Title of the newsletter
+ * @param {string} content - Newsletter content
+ * @param {string} format - Format of content ('html', 'markdown', 'text')
+ * @param {Object} options - template (id or object), newsletterInfo, images (inline email images), imageOptions,
+ *   fonts (reading font settings), pagePreset (a PAGE_PRESETS key) and onTemplateReport(report) to learn what the template did
+ * @returns {Promise<Buffer>} - The PDF
+ */
 async function generatePDF(title, content, format, options = {}) {
   let browser = null;
 
@@ -37,27 +59,17 @@ async function generatePDF(title, content, format, options = {}) {
       format = 'html';
     }
 
-    let htmlContent;
-    if (format === 'html') {
-      // Apply newsletter-specific transformations if available
-      if (options.template && typeof options.template.contentTransform === 'function') {
-        try {
-          content = options.template.contentTransform(content);
-        } catch (transformError) {
-          console.error(`[PDF Generator] Error in template transformation: ${transformError.message}`);
-          // Continue with original content if transformation fails
-        }
-      }
-      htmlContent = preprocessHtmlForKindle(content);
-    } else if (format === 'markdown') {
-      htmlContent = marked.parse(content);
-    } else {
-      htmlContent = `<div>${escapeHtml(content).replace(/\n/g, '<br>')}</div>`;
+    // Selected template id or object, otherwise the detected newsletter type
+    const resolved = resolveNewsletterTemplate(options.template, options.newsletterInfo);
+    const applied = applyNewsletterTemplate(content, format, resolved);
+    if (applied.report) {
+      reportTemplate(applied.report, options);
     }
+    const htmlContent = await prepareHtmlContent(applied.content, format, options);
 
     // Use newsletter-specific template if available
-    const customCss = options.template?.cssTemplate || '';
-    const fullHtml = generateKindleTemplate(title, htmlContent, customCss, options.newsletterInfo);
+    const customCss = resolved ? resolved.template.cssTemplate || '' : '';
+    const fullHtml = generateKindleTemplate(title, htmlContent, customCss + fontCss(options.fonts), options.newsletterInfo);
 
     // Generate PDF with newsletter-specific options
     return await generatePdfWithPuppeteer(fullHtml, options);
@@ -123,6 +135,117 @@ async function generatePDF(title, content, format, options = {}) {
   }
 }
 
+/**
+ * Render several newsletters into one PDF, each starting on a new page under its own
+ * top-level heading so it gets an entry in the PDF outline
+ * @param {string} title - Title of the combined document
+ * @param {Array<Object>} sections - Sections with id, title, content, format and optional template/newsletterInfo/images
+ * @param {Object} options - imageOptions, fonts, pagePreset and onTemplateReport(report), called once per templated section
+ * @returns {Promise<Buffer>} - The PDF
+ */
+async function generateMultiSectionPDF(title, sections, options = {}) {
+  console.log(`[PDF Generator] Starting multi-section PDF generation for: ${title} (${sections ? sections.length : 0} sections)`);
+
+  if (!Array.isArray(sections) || sections.length === 0) {
+    throw new Error('No sections provided for multi-section PDF');
+  }
+
+  // One stylesheet serves the whole document, so each template's CSS is scoped to its sections
+  const scopedCss = new Map();
+  const sectionHtml = [];
+
+  for (const section of sections) {
+    let content = section.content;
+    let format = section.format || 'html';
+
+    if (!content || content.trim() === '') {
+      content = `<p>No content available for this newsletter.</p>`;
+      format = 'html';
+    }
+
+    // Sections without a template or newsletter info (the digest's contents page) are left as they are
+    const resolved = resolveNewsletterTemplate(section.template, section.newsletterInfo);
+    const applied = applyNewsletterTemplate(content, format, resolved);
+    let className = null;
+    if (resolved) {
+      className = `template-${resolved.id}`;
+      if (!scopedCss.has(className)) {
+        scopedCss.set(className, scopeCss(resolved.template.cssTemplate || '', `.${className}`));
+      }
+      reportTemplate({ section: section.title, ...applied.report }, options);
+    }
+
+    // All sections share one document, so heading ids are prefixed to stay unique
+    const htmlContent = await prepareHtmlContent(applied.content, format, {
+      ...options,
+      images: section.images,
+      idPrefix: section.id ? `${section.id}-` : ''
+    });
+    sectionHtml.push(`
+      <div class="pdf-section${className ? ` ${className}` : ''}"${section.id ? ` id="${section.id}"` : ''}>
+        <h1>${escapeHtml(section.title)}</h1>
+        ${generateMetaSection(section.newsletterInfo)}
+        ${htmlContent}
+      </div>
+    `);
+  }
+
+  const fullHtml = generateKindleTemplate(title, sectionHtml.join('\n'), Array.from(scopedCss.values()).join('\n') + fontCss(options.fonts));
+  return generatePdfWithPuppeteer(fullHtml, options);
+}
+
+/**
+ * Log which template ran and pass its report on
+ * @param {Object} report - Template report from applyNewsletterTemplate, with section for digests
+ * @param {Object} options - Generator options holding onTemplateReport
+ */
+function reportTemplate(report, options) {
+  const where = report.section ? ` to "${report.section}"` : '';
+  console.log(`[PDF Generator] Applied ${report.source} template ${report.id}${where}, removed ${report.removed.elementCount} element(s)${report.error ? ` (transform failed: ${report.error})` : ''}`);
+  if (typeof options.onTemplateReport === 'function') {
+    options.onTemplateReport(report);
+  }
+}
+
+/**
+ * Turn newsletter content into cleaned HTML with its images embedded
+ * @param {string} content - Newsletter content
+ * @param {string} format - Format of content ('html', 'markdown', 'text')
+ * @param {Object} options - images, imageOptions and idPrefix for heading ids
+ * @returns {Promise<string>} - HTML fragment
+ */
+async function prepareHtmlContent(content, format, options = {}) {
+  let htmlContent;
+  if (format === 'html') {
+    htmlContent = content;
+  } else if (format === 'markdown') {
+    htmlContent = marked.parse(content);
+  } else {
+    htmlContent = `<div>${escapeHtml(content).replace(/\n/g, '<br>')}</div>`;
+  }
+  // Same cleanup as the ebook generator: sanitize, flatten layout tables, size images, fix links
+  htmlContent = processHtml(htmlContent, { idPrefix: options.idPrefix });
+
+  // Chrome can't load cid: images, and e-ink gets the same downscaled grayscale copies as the ebooks
+  return embedImages(htmlContent, {
+    inline: true,
+    images: options.images,
+    imageOptions: options.imageOptions
+  });
+}
+
+/**
+ * Page size and margins for a preset
+ * @param {string} preset - A PAGE_PRESETS key; unknown or missing presets use the Paperwhite size
+ * @returns {Object} - The preset
+ */
+function getPagePreset(preset) {
+  if (preset && !PAGE_PRESETS[preset]) {
+    console.warn(`[PDF Generator] Unknown page preset "${preset}", using ${DEFAULT_PAGE_PRESET}`);
+  }
+  return PAGE_PRESETS[preset] || PAGE_PRESETS[DEFAULT_PAGE_PRESET];
+}
+
 async function generateTitlePage(titleText, options = {}) {
   let browser = null;
 
@@ -405,6 +528,11 @@ function generateKindleTemplate(title, htmlContent, customCss = '', newsletterIn
       margin-top: 1em;
     }
 
+    /* Every newsletter in a digest starts on a new page */
+    .pdf-section {
+      page-break-before: always;
+    }
+
     /* Page breaks */
     .page-break {
       page-break-after: always;
@@ -414,13 +542,6 @@ function generateKindleTemplate(title, htmlContent, customCss = '', newsletterIn
     }
   `;
 
-  // Newsletter meta information
-  const metaSection = newsletterInfo ?
-    `<div class="kindle-meta">
-      ${newsletterInfo.date ? `<div>${newsletterInfo.date}</div>` : ''}
-      ${newsletterInfo.from ? `<div>From: ${escapeHtml(newsletterInfo.from)}</div>` : ''}
-     </div>` : '';
-
   // Combine base CSS with custom newsletter CSS
   const finalCss = baseKindleCss + customCss;
 
@@ -438,7 +559,7 @@ function generateKindleTemplate(title, htmlContent, customCss = '', newsletterIn
     <body>
       <div class="content-wrapper">
         <h1>${escapeHtml(title)}</h1>
-        ${metaSection}
+        ${generateMetaSection(newsletterInfo)}
         ${htmlContent}
       </div>
     </body>
@@ -446,183 +567,17 @@ function generateKindleTemplate(title, htmlContent, customCss = '', newsletterIn
   `;
 }
 
-function preprocessHtmlForKindle(html) {
-  if (!html) return '';
-
-  try {
-    let clean = html;
-
-    // First, preserve image references by converting them to safe placeholders
-    const imageReferences = [];
-    clean = clean.replace(/<img([^>]+)>/gi, (match, attributes) => {
-      // Extract src attribute
-      const srcMatch = attributes.match(/src=["']([^"']+)["']/i);
-      const src = srcMatch ? srcMatch[1] : '';
-
-      // Extract alt attribute
-      const altMatch = attributes.match(/alt=["']([^"']+)["']/i);
-      const alt = altMatch ? altMatch[1] : 'Newsletter image';
-
-      // Store original image tag and generate a placeholder
-      const index = imageReferences.length;
-      imageReferences.push({
-        original: match,
-        src: src,
-        alt: alt
-      });
-
-      // Return a placeholder that we can find later
-      return `<!-- IMAGE_PLACEHOLDER_${index} -->`;
-    });
-
-    // Remove HTML comments (except our image placeholders)
-    clean = clean.replace(/<!--(?!IMAGE_PLACEHOLDER_)\s*[\s\S]*?-->/gi, '');
-
-    // Remove inline styles, font tags, script, style
-    clean = clean.replace(/<style[\s\S]*?<\/style>/gi, '');
-    clean = clean.replace(/<script[\s\S]*?<\/script>/gi, '');
-    clean = clean.replace(/<font[^>]*>/gi, '');
-    clean = clean.replace(/<\/font>/gi, '');
-
-    // Keep some inline styles for alignment but remove others
-    clean = clean.replace(/\sstyle="([^"]*)"/gi, (match, styles) => {
-      // Only keep alignment, display, margin styles
-      const keepStyles = styles.split(';')
-        .filter(style => {
-          const lowerStyle = style.toLowerCase().trim();
-          return lowerStyle.startsWith('text-align') ||
-                 lowerStyle.startsWith('display') ||
-                 lowerStyle.startsWith('margin') ||
-                 lowerStyle.startsWith('padding');
-        })
-        .join(';');
-
-      return keepStyles ? ` style="${keepStyles}"` : '';
-    });
-
-    // Remove spacer tables, divs, spans with no text
-    clean = clean.replace(/<table[^>]*>(\s|&nbsp;|<br>)*<\/table>/gi, '');
-    clean = clean.replace(/<div[^>]*>(\s|&nbsp;|<br>)*<\/div>/gi, '');
-    clean = clean.replace(/<span[^>]*>(\s|&nbsp;|<br>)*<\/span>/gi, '');
-
-    // Handle tables for better Kindle display
-    clean = clean.replace(/<table([^>]*)>/gi, (match, attrs) => {
-      // If table has border attribute or class with "data", keep it as table
-      if (attrs.includes('border') ||
-          attrs.includes('class="data') ||
-          attrs.includes('class="table')) {
-        return `<table${attrs} style="width:100%; margin:1em 0; border-collapse:collapse;">`;
-      } else {
-        // Otherwise convert to div (likely layout table)
-        return '<div style="width:100%; margin:0.5em 0;">';
-      }
-    });
-    clean = clean.replace(/<\/table>/gi, (match) => {
-      return '</div>';
-    });
-
-    // Better TR/TD handling
-    clean = clean.replace(/<tr[^>]*>/gi, '<div style="margin:0.2em 0; display:flex; flex-wrap:wrap;">');
-    clean = clean.replace(/<\/tr>/gi, '</div>');
-    clean = clean.replace(/<td([^>]*)>/gi, '<div$1 style="flex:1; min-width:50%; padding:0.2em;">');
-    clean = clean.replace(/<\/td>/gi, '</div>');
-
-    // Remove full URLs unless they're linked
-    clean = clean.replace(/https?:\/\/[^\s<>"']+/g, match => {
-      return clean.includes(`href="${match}"`) ? match : '';
-    });
-
-    // Handle lists better
-    clean = clean.replace(/<(ul|ol)([^>]*)>/gi, '<$1$2 style="margin-left:1em; padding-left:1em;">');
-
-    // Improve blockquote appearance
-    clean = clean.replace(/<blockquote([^>]*)>/gi, '<blockquote$1 style="margin:1em 0 1em 1em; padding-left:1em; border-left:3px solid #ccc; font-style:italic;">');
-
-    // Normalize heading styles
-    for (let i = 1; i <= 6; i++) {
-      const fontSize = 22 - (i * 2); // h1:22pt, h2:20pt, h3:18pt, etc.
-      clean = clean.replace(new RegExp(`<h${i}([^>]*)>`, 'gi'),
-        `<h${i}$1 style="font-size:${fontSize}pt; margin-top:1em; margin-bottom:0.5em; line-height:1.3;">`);
-    }
-
-    // Fix figure handling
-    clean = clean.replace(/<figure([^>]*)>([\s\S]*?)<\/figure>/gi, (match, attrs, content) => {
-      // Extract the image from the figure content
-      const imgMatch = /<img[^>]*>/i.exec(content);
-      const img = imgMatch ? imgMatch[0] : '';
-
-      // Extract the caption if any
-      const captionMatch = /<figcaption[^>]*>([\s\S]*?)<\/figcaption>/i.exec(content);
-      const caption = captionMatch ? captionMatch[1] : '';
-
-      return `
-        <div class="figure" style="margin:1em 0; text-align:center;">
-          ${img}
-          ${caption ? `<div class="image-caption" style="font-size:10pt; text-align:center; font-style:italic; color:#555; margin-top:0.5em;">${caption}</div>` : ''}
-        </div>
-      `;
-    });
-
-    // Special handling for newsletter images
-    clean = clean.replace(/Newsletter image/gi, match => {
-      return `<!-- NEWSLETTER_IMAGE_REFERENCE -->`;
-    });
-
-    // Handle content-disposition: attachment images (base64 encoding needed)
-    // This helps with images that are attachments and not displayed by default
-    clean = clean.replace(/Content-Disposition:\s*attachment/gi, 'Content-Disposition: inline');
-
-    // Now restore the image placeholders with properly formatted img tags
-    imageReferences.forEach((image, index) => {
-      const placeholder = `<!-- IMAGE_PLACEHOLDER_${index} -->`;
-      if (image.src) {
-        // Improve image handling for various protocols
-        let imgSrc = image.src;
-
-        // Handle data URIs better (they're already embedded)
-        if (imgSrc.startsWith('data:')) {
-          // Keep data URIs as they are
-        }
-        // Handle relative paths better
-        else if (!imgSrc.match(/^https?:\/\//i) && !imgSrc.startsWith('cid:') && !imgSrc.startsWith('data:')) {
-          // Try to convert to absolute path if possible
-          // This is a simplification - in a real implementation, you'd need to handle base URLs properly
-          imgSrc = `https://example.com/${imgSrc.replace(/^\//, '')}`;
-        }
-
-        // Handle CID references better (common in email)
-        else if (imgSrc.startsWith('cid:')) {
-          // These should have been processed earlier, but if we still have them here,
-          // we'll keep them, and Puppeteer will likely just show a broken image
-          console.log(`[PDF Generator] CID reference not preprocessed: ${imgSrc}`);
-        }
-
-        // Create an enhanced image tag with good Kindle formatting
-        const enhancedImageTag = `<img src="${imgSrc}" alt="${image.alt}" style="max-width:100%; height:auto !important; display:block; margin:1em auto;">`;
-        clean = clean.replace(placeholder, enhancedImageTag);
-      } else {
-        // If for some reason there's no src, remove the placeholder
-        clean = clean.replace(placeholder, '');
-      }
-    });
-
-    // Fix newsletter image references
-    clean = clean.replace(/<!-- NEWSLETTER_IMAGE_REFERENCE -->/gi, '<img src="/assets/newsletter-placeholder.png" alt="Newsletter image" class="newsletter-image">');
-
-    // Add first-paragraph class to first paragraph after headings
-    clean = clean.replace(/(<h[1-6][^>]*>[\s\S]*?<\/h[1-6]>)(\s*<p)/gi, '$1$2 class="first-paragraph"');
-
-    // Replace multiple <br> tags with a single paragraph break
-    clean = clean.replace(/<br\s*\/?>\s*<br\s*\/?>/gi, '</p><p>');
-
-    // Fix for any remaining spacing issues
-    clean = clean.replace(/(<\/p>)(\s*)(<p)/gi, '$1$2$3');
-
-    return clean;
-  } catch (error) {
-    console.error(`[PDF Generator] Error preprocessing HTML: ${error.message}`);
-    return html || ''; // Return original or empty string if null
-  }
+/**
+ * Date and sender line shown under a newsletter's title
+ * @param {Object} newsletterInfo - Newsletter info with date and from
+ * @returns {string} - HTML, empty without newsletter info
+ */
+function generateMetaSection(newsletterInfo) {
+  return newsletterInfo ?
+    `<div class="kindle-meta">
+      ${newsletterInfo.date ? `<div>${newsletterInfo.date}</div>` : ''}
+      ${newsletterInfo.from ? `<div>From: ${escapeHtml(newsletterInfo.from)}</div>` : ''}
+     </div>` : '';
 }
 
 async function generatePdfWithPuppeteer(html, options = {}) {
@@ -857,18 +812,22 @@ async function generatePdfWithPuppeteer(html, options = {}) {
       }
     });
 
-    // Always use 6x9 standard page size for Kindle
+    // Size the page for the chosen Kindle screen
+    const preset = getPagePreset(options.pagePreset);
     const pdfOptions = {
-      width: '6in',
-      height: '9in',
+      width: preset.width,
+      height: preset.height,
       margin: {
-        top: '0.5in',
-        right: '0.5in',
-        bottom: '0.5in',
-        left: '0.5in'
+        top: preset.margin,
+        right: preset.margin,
+        bottom: preset.margin,
+        left: preset.margin
       },
       printBackground: true,
       displayHeaderFooter: false,
+      // Bookmarks built from the headings, so the Kindle's "Go To" menu can jump between articles
+      outline: true,
+      tagged: true,
       timeout: 60000 // 60 second timeout
     };
 
@@ -940,5 +899,9 @@ async function generatePdfWithPuppeteer(html, options = {}) {
 
 module.exports = {
   generatePDF,
-  generateTitlePage
+  generateMultiSectionPDF,
+  generateTitlePage,
+  getPagePreset,
+  PAGE_PRESETS,
+  DEFAULT_PAGE_PRESET
 };
@@ -1,23 +1,90 @@
-// utils/pdf-processor.js - Simplified version
+// utils/pdf-processor.js
+// Reads what a PDF says about itself (Info dictionary, XMP, page labels, outline) and keeps a PDF's
+// original pages but fits them to a small e-ink screen: every page is rendered to a coarse bitmap,
+// trimmed to the box its content covers and, on request, split into readable pieces
+// (the halves of a landscape spread, the columns of a two-column layout, screen-sized runs of a column).
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { PDFDocument } = require('pdf-lib');
+const jimp = require('jimp');
+const {
+  PDFDocument, PDFName, PDFDict, PDFArray, PDFString, PDFHexString, PDFNumber, PDFRawStream, decodePDFRawStream
+} = require('pdf-lib');
+const { extractPages, pageMatrix } = require('./pdf-text-extractor');
+const { pageText, pageTitle } = require('./pdf-reflow');
+const { getPagePreset } = require('./pdf-generator');
 
-// Extract basic info from an input PDF
+// How PDF inputs become PDF output: reflowed as text (pdf-reflow.js), or their own pages trimmed (crop) or trimmed and split
+const PDF_LAYOUTS = ['reflow', 'crop', 'split'];
+
+// The first page with text among these gives the preview text and, failing the metadata, the title
+const TEXT_PAGES = 3;
+// Outlines and name trees can be cyclic in broken files
+const MAX_OUTLINE_DEPTH = 10;
+const MAX_OUTLINE_ITEMS = 5000;
+// Metadata titles that are really a file name, an application's placeholder or nothing at all
+const JUNK_TITLE = /^(?:untitled(?: document)?|document\d*|title|none|unknown|slide \d+|\s*|[a-z]:\\.*|\/.*)$/i;
+const APPLICATION_PREFIX = /^(?:microsoft (?:word|powerpoint|excel) - |adobe indesign - )/i;
+const FILE_EXTENSION = /\.(?:docx?|pptx?|xlsx?|pdf|indd|qxd|pages|odt|rtf|tex|dvi|ps|txt|html?)$/i;
+
+// Long side of the bitmap a page is rendered to for finding its content
+const RENDER_SIZE = 1000;
+// How far from the background colour (0-255) a pixel has to be to count as content
+const INK_CONTRAST = 48;
+// Rows and columns with no more content pixels than this are specks (scanner dust, stray dots)
+const SPECK_PIXELS = 2;
+// White space kept around the content, in points
+const CROP_PADDING = 6;
+// Images covering more of the page than this are painted from their pixels, so a scan's own border is trimmed;
+// smaller ones count as solid blocks
+const SCAN_SHARE = 0.5;
+// Text sits this far above and below its baseline, in ems
+const ASCENT = 0.8;
+const DESCENT = 0.25;
+// A column gutter is at least this wide (points), lies in the middle half of the content
+// and runs clear between content on this share of the rows that have content
+const MIN_GUTTER = 8;
+const GUTTER_ZONE = [0.25, 0.75];
+const GUTTER_CLEAR_SHARE = 0.6;
+// Lines that overrun into the gutter still leave a channel this wide (points) where columns are side by side
+const MIN_CHANNEL = 4;
+// Landscape pages are halved at a gutter in this part of the content
+const SPREAD_ZONE = [0.35, 0.65];
+// Full-width stretches of a column layout thinner than this (points) are rules, not titles
+const MIN_SPAN = 4;
+// Pieces shorter than this (points) join a neighbour when that doesn't make the neighbour wider by more than the slack
+const MIN_PIECE_HEIGHT = 72;
+const FRAGMENT_WIDTH_SLACK = 1.1;
+// Short pieces that join neither neighbour and are narrower than this (points) are dropped: a page number or folio
+// between two columns isn't worth a screen of its own
+const MIN_LONE_WIDTH = 72;
+// Pieces taller than the screen's shape by this factor are cut into equal screens, each cut moving up
+// by at most this share of a screen to fall between lines; narrower pieces are left whole
+const TALL_TOLERANCE = 1.35;
+const CUT_SLACK = 0.35;
+const MIN_FIT_WIDTH = 72;
+
+/**
+ * Read a PDF's metadata, page labels, outline and opening text
+ * The XMP packet wins over the Info dictionary when it is at least as recent; a title that is only a file name
+ * or placeholder is replaced by the largest text on the first page
+ * @param {Buffer} pdfBuffer - The PDF
+ * @returns {Promise<Object>} - title, author, subject, keywords (array), creator, producer, language,
+ *   creationDate and modificationDate (Date or null), pageCount, pageLabels (one per page, empty without labels),
+ *   outline ({ title, page (1-based, null if it points nowhere), children }) and text (the first page with text)
+ */
 async function extractFromPDF(pdfBuffer) {
   try {
-    // Get PDF metadata using pdf-lib
-    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+    const pages = await extractPages(pdfBuffer, { pageLimit: TEXT_PAGES });
+    const textPage = pages.find(page => page.runs.some(run => run.text.trim()));
 
     return {
-      metadata: {
-        pageCount: pdfDoc.getPageCount(),
-        title: '',  // Basic version doesn't extract title
-        author: '',
-        creator: '',
-        producer: ''
-      }
+      ...readMetadata(pdfDoc, pages[0]),
+      pageCount: pdfDoc.getPageCount(),
+      pageLabels: readPageLabels(pdfDoc),
+      outline: readOutline(pdfDoc),
+      text: textPage ? pageText(textPage) : ''
     };
   } catch (error) {
     console.error('Error extracting from PDF:', error);
@@ -25,43 +92,871 @@ async function extractFromPDF(pdfBuffer) {
   }
 }
 
-// Convert PDF to Kindle-optimized PDF
-async function convertPDFToKindleFormat(pdfBuffer, options) {
+/**
+ * The document's metadata, merged from the Info dictionary and XMP
+ * @param {PDFDocument} pdfDoc - The PDF
+ * @param {Object} firstPage - Its first page from extractPages, for a title when the metadata has none
+ * @returns {Object} - title, author, subject, keywords, creator, producer, language, creationDate, modificationDate
+ */
+function readMetadata(pdfDoc, firstPage) {
+  const info = readInfoDictionary(pdfDoc);
+  const xmp = readXmp(pdfDoc);
+  const xmpIsCurrent = xmp && (!info.modificationDate || (xmp.modificationDate && xmp.modificationDate >= info.modificationDate));
+  const pick = key => {
+    const [first, second] = xmpIsCurrent ? [xmp, info] : [info, xmp || {}];
+    const value = first[key];
+    return (Array.isArray(value) ? value.length > 0 : value) ? value : second[key];
+  };
+
+  let title = cleanTitle(pick('title'));
+  if (!title && firstPage && firstPage.runs.some(run => run.text.trim())) {
+    title = pageTitle(firstPage);
+  }
+
+  return {
+    title,
+    author: (pick('author') || '').trim(),
+    subject: (pick('subject') || '').trim(),
+    keywords: pick('keywords') || [],
+    creator: (pick('creator') || '').trim(),
+    producer: (pick('producer') || '').trim(),
+    language: (pick('language') || '').trim(),
+    creationDate: pick('creationDate') || null,
+    modificationDate: pick('modificationDate') || null
+  };
+}
+
+function readInfoDictionary(pdfDoc) {
+  // pdf-lib throws on some malformed values; one bad field shouldn't lose the others
+  const read = getter => {
+    try {
+      return getter() || null;
+    } catch (error) {
+      return null;
+    }
+  };
+  const keywords = read(() => pdfDoc.getKeywords());
+  const language = pdfDoc.catalog.lookup(PDFName.of('Lang'));
+  return {
+    title: read(() => pdfDoc.getTitle()),
+    author: read(() => pdfDoc.getAuthor()),
+    subject: read(() => pdfDoc.getSubject()),
+    keywords: keywords ? keywords.split(/[,;]\s*|\s{2,}/).map(keyword => keyword.trim()).filter(Boolean) : [],
+    creator: read(() => pdfDoc.getCreator()),
+    producer: read(() => pdfDoc.getProducer()),
+    language: language instanceof PDFString || language instanceof PDFHexString ? language.decodeText() : null,
+    creationDate: read(() => pdfDoc.getCreationDate()),
+    modificationDate: read(() => pdfDoc.getModificationDate())
+  };
+}
+
+/**
+ * The Dublin Core and PDF properties of the document's XMP packet
+ * @returns {Object|null} - Same fields as the Info dictionary, or null without XMP
+ */
+function readXmp(pdfDoc) {
+  const stream = pdfDoc.catalog.lookup(PDFName.of('Metadata'));
+  if (!(stream instanceof PDFRawStream)) return null;
+
+  let xml;
   try {
-    // In this simplified version, we're just going to apply some basic
-    // optimizations to the PDF rather than extracting text and images
+    const bytes = stream.dict.get(PDFName.of('Filter')) ? decodePDFRawStream(stream).decode() : stream.contents;
+    xml = Buffer.from(bytes).toString('utf8');
+  } catch (error) {
+    console.warn(`[PDF Processor] Could not read the XMP metadata: ${error.message}`);
+    return null;
+  }
 
-    // Load the PDF
-    const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const date = value => {
+    const parsed = value ? new Date(value) : null;
+    return parsed && !isNaN(parsed.getTime()) ? parsed : null;
+  };
+  const keywords = xmpValues(xml, 'pdf:Keywords').join(', ');
+  return {
+    title: xmpValues(xml, 'dc:title')[0] || null,
+    author: xmpValues(xml, 'dc:creator').join(', ') || null,
+    subject: xmpValues(xml, 'dc:description')[0] || null,
+    keywords: [
+      ...xmpValues(xml, 'dc:subject'),
+      ...(keywords ? keywords.split(/[,;]\s*/) : [])
+    ].map(keyword => keyword.trim()).filter((keyword, index, all) => keyword && all.indexOf(keyword) === index),
+    creator: xmpValues(xml, 'xmp:CreatorTool')[0] || null,
+    producer: xmpValues(xml, 'pdf:Producer')[0] || null,
+    language: xmpValues(xml, 'dc:language')[0] || null,
+    creationDate: date(xmpValues(xml, 'xmp:CreateDate')[0]),
+    modificationDate: date(xmpValues(xml, 'xmp:ModifyDate')[0] || xmpValues(xml, 'xmp:MetadataDate')[0])
+  };
+}
 
-    // Create a new PDF
-    const kindlePdf = await PDFDocument.create();
+/**
+ * Values of an XMP property, written as an element (plain, or an rdf:Alt/Bag/Seq of rdf:li) or as an attribute
+ * An rdf:Alt's x-default entry comes first
+ */
+function xmpValues(xml, property) {
+  const escaped = property.replace(':', '\\:');
+  const element = xml.match(new RegExp(`<${escaped}(?:\\s[^>]*)?>([\\s\\S]*?)</${escaped}>`));
+  if (element) {
+    const items = [...element[1].matchAll(/<rdf:li(\s[^>]*)?>([\s\S]*?)<\/rdf:li>/g)];
+    if (items.length === 0) {
+      const text = decodeXmlText(element[1]);
+      return text ? [text] : [];
+    }
+    return items
+      .sort((a, b) => Number(/x-default/.test(b[1] || '')) - Number(/x-default/.test(a[1] || '')))
+      .map(item => decodeXmlText(item[2]))
+      .filter(Boolean);
+  }
+
+  const attribute = xml.match(new RegExp(`\\s${escaped}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+  const text = attribute ? decodeXmlText(attribute[1] !== undefined ? attribute[1] : attribute[2]) : '';
+  return text ? [text] : [];
+}
+
+function decodeXmlText(text) {
+  return text
+    .replace(/<[^>]+>/g, '')
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * A metadata title without the authoring application's prefix; '' when it's a file name or a placeholder
+ */
+function cleanTitle(title) {
+  const cleaned = String(title || '').replace(APPLICATION_PREFIX, '').replace(/\s+/g, ' ').trim();
+  return JUNK_TITLE.test(cleaned) || FILE_EXTENSION.test(cleaned) ? '' : cleaned;
+}
+
+/**
+ * The label every page shows in a reader ("iii", "A-2", "17"), from the /PageLabels number tree
+ * @returns {Array<string>} - One label per page, or an empty array if the PDF doesn't define labels
+ */
+function readPageLabels(pdfDoc) {
+  const context = pdfDoc.context;
+  const root = pdfDoc.catalog.lookup(PDFName.of('PageLabels'));
+  if (!(root instanceof PDFDict)) return [];
+
+  const ranges = numberTreeEntries(context, root)
+    .filter(([start, style]) => typeof start === 'number' && style instanceof PDFDict)
+    .sort((a, b) => a[0] - b[0]);
+  if (ranges.length === 0) return [];
+
+  const labels = [];
+  const pageCount = pdfDoc.getPageCount();
+  ranges.forEach(([start, style], index) => {
+    const end = index + 1 < ranges.length ? ranges[index + 1][0] : pageCount;
+    const numbering = style.lookup(PDFName.of('S'));
+    const prefix = style.lookup(PDFName.of('P'));
+    const first = style.lookup(PDFName.of('St'));
+    const prefixText = prefix instanceof PDFString || prefix instanceof PDFHexString ? prefix.decodeText() : '';
+    const firstNumber = first instanceof PDFNumber ? first.asNumber() : 1;
+
+    for (let page = start; page < Math.min(end, pageCount); page++) {
+      labels[page] = prefixText + formatPageNumber(page - start + firstNumber, numbering instanceof PDFName ? numbering.decodeText() : null);
+    }
+  });
+  // Pages before the first range have no label of their own; readers show their number
+  for (let page = 0; page < pageCount; page++) {
+    if (labels[page] === undefined) labels[page] = String(page + 1);
+  }
+  return labels;
+}
+
+function numberTreeEntries(context, node, depth = 0) {
+  if (!(node instanceof PDFDict) || depth > MAX_OUTLINE_DEPTH) return [];
+  const entries = [];
+  const nums = node.lookup(PDFName.of('Nums'));
+  if (nums instanceof PDFArray) {
+    for (let i = 0; i + 1 < nums.size(); i += 2) {
+      const key = nums.lookup(i);
+      entries.push([key instanceof PDFNumber ? key.asNumber() : null, nums.lookup(i + 1)]);
+    }
+  }
+  const kids = node.lookup(PDFName.of('Kids'));
+  if (kids instanceof PDFArray) {
+    for (let i = 0; i < kids.size(); i++) {
+      entries.push(...numberTreeEntries(context, kids.lookup(i), depth + 1));
+    }
+  }
+  return entries;
+}
+
+function formatPageNumber(number, numbering) {
+  switch (numbering) {
+    case 'D': return String(number);
+    case 'R': return toRoman(number);
+    case 'r': return toRoman(number).toLowerCase();
+    case 'A': return toLetters(number);
+    case 'a': return toLetters(number).toLowerCase();
+    // A range with only a prefix labels its pages with the prefix alone
+    default: return '';
+  }
+}
+
+function toRoman(number) {
+  const numerals = [[1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+    [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+  let remaining = number;
+  let roman = '';
+  numerals.forEach(([value, numeral]) => {
+    while (remaining >= value) {
+      roman += numeral;
+      remaining -= value;
+    }
+  });
+  return roman;
+}
+
+function toLetters(number) {
+  // A..Z, then AA..ZZ, AAA..: the letter repeats, it doesn't carry like a base-26 number
+  const letter = String.fromCharCode(65 + ((number - 1) % 26));
+  return letter.repeat(Math.floor((number - 1) / 26) + 1);
+}
+
+/**
+ * The document outline (bookmarks) with the page each entry points to
+ * @returns {Array<Object>} - Top-level entries: { title, page (1-based, or null), children }
+ */
+function readOutline(pdfDoc) {
+  const context = pdfDoc.context;
+  const root = pdfDoc.catalog.lookup(PDFName.of('Outlines'));
+  if (!(root instanceof PDFDict)) return [];
+
+  const pageNumbers = new Map(pdfDoc.getPages().map((page, index) => [page.ref, index + 1]));
+  const namedDestinations = readNamedDestinations(pdfDoc);
+  const seen = new Set();
+
+  const pageOf = destination => {
+    let target = destination;
+    if (target instanceof PDFName || target instanceof PDFString || target instanceof PDFHexString) {
+      target = namedDestinations.get(target.decodeText());
+    }
+    target = context.lookup(target);
+    if (target instanceof PDFDict) {
+      target = target.lookup(PDFName.of('D'));
+    }
+    if (!(target instanceof PDFArray) || target.size() === 0) return null;
+    const page = target.get(0);
+    if (pageNumbers.has(page)) return pageNumbers.get(page);
+    // Remote destinations give a page index instead of a page
+    const index = context.lookup(page);
+    return index instanceof PDFNumber && index.asNumber() < pageNumbers.size ? index.asNumber() + 1 : null;
+  };
+
+  const readItems = (first, depth) => {
+    const items = [];
+    let item = first;
+    while (item instanceof PDFDict && !seen.has(item) && seen.size < MAX_OUTLINE_ITEMS) {
+      seen.add(item);
+      const title = item.lookup(PDFName.of('Title'));
+      let destination = item.get(PDFName.of('Dest'));
+      const action = item.lookup(PDFName.of('A'));
+      if (!destination && action instanceof PDFDict && String(action.lookup(PDFName.of('S'))) === '/GoTo') {
+        destination = action.get(PDFName.of('D'));
+      }
+      items.push({
+        title: title instanceof PDFString || title instanceof PDFHexString ? title.decodeText().replace(/\s+/g, ' ').trim() : '',
+        page: destination ? pageOf(destination) : null,
+        children: depth < MAX_OUTLINE_DEPTH ? readItems(item.lookup(PDFName.of('First')), depth + 1) : []
+      });
+      item = item.lookup(PDFName.of('Next'));
+    }
+    return items;
+  };
+
+  try {
+    return readItems(root.lookup(PDFName.of('First')), 0);
+  } catch (error) {
+    console.warn(`[PDF Processor] Could not read the outline: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Named destinations, from the catalog's /Dests dictionary (PDF 1.1) and the /Names /Dests name tree
+ */
+function readNamedDestinations(pdfDoc) {
+  const destinations = new Map();
+  const dests = pdfDoc.catalog.lookup(PDFName.of('Dests'));
+  if (dests instanceof PDFDict) {
+    dests.entries().forEach(([name, value]) => destinations.set(name.decodeText(), value));
+  }
 
-    // Copy all pages from the original
-    const pages = await kindlePdf.copyPages(pdfDoc, pdfDoc.getPageIndices());
+  const names = pdfDoc.catalog.lookup(PDFName.of('Names'));
+  const tree = names instanceof PDFDict ? names.lookup(PDFName.of('Dests')) : null;
+  const walk = (node, depth) => {
+    if (!(node instanceof PDFDict) || depth > MAX_OUTLINE_DEPTH) return;
+    const pairs = node.lookup(PDFName.of('Names'));
+    if (pairs instanceof PDFArray) {
+      for (let i = 0; i + 1 < pairs.size(); i += 2) {
+        const key = pairs.lookup(i);
+        if (key instanceof PDFString || key instanceof PDFHexString) {
+          destinations.set(key.decodeText(), pairs.get(i + 1));
+        }
+      }
+    }
+    const kids = node.lookup(PDFName.of('Kids'));
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) walk(kids.lookup(i), depth + 1);
+    }
+  };
+  walk(tree, 0);
+  return destinations;
+}
 
-    // Add each page to the new PDF
-    for (const page of pages) {
-      // Adjust page dimensions if needed
-      if (options.adjustMargins) {
-        // This is a simplification - in reality, you'd want more sophisticated margin adjustment
-        const { width, height } = page.getSize();
-        page.setCropBox(10, 10, width - 20, height - 20);
+/**
+ * Convert a PDF to a Kindle-friendly PDF of its original pages, trimmed to their content
+ * @param {Buffer} pdfBuffer - The PDF
+ * @param {Object} options - splitPages to cut landscape spreads and column layouts into readable pieces,
+ *   pagePreset (a PAGE_PRESETS key) for the screen those pieces are shaped for
+ * @returns {Promise<Buffer>} - The new PDF
+ */
+async function convertPDFToKindleFormat(pdfBuffer, options = {}) {
+  try {
+    const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+    const pages = await extractPages(pdfBuffer);
+    const { resolution } = getPagePreset(options.pagePreset);
+    const screenShape = resolution.height / resolution.width;
+
+    // Work out every output page first: which source page it shows and the part of it to show
+    const plan = [];
+    let trimmed = 0;
+    for (const [index, page] of pages.entries()) {
+      const render = await renderPage(page);
+      const content = inkBounds(render, { left: 0, top: 0, right: render.width - 1, bottom: render.height - 1 });
+      if (!content) {
+        // Blank pages are kept as they are
+        plan.push({ index, box: null });
+        continue;
       }
 
-      kindlePdf.addPage(page);
+      const pieces = options.splitPages ? splitPage(render, content, screenShape) : [content];
+      const pdfPage = pdfDoc.getPage(index);
+      pieces.forEach(piece => {
+        plan.push({ index, box: toUserSpace(pdfPage, page, toPoints(render, piece)) });
+      });
+      trimmed++;
     }
 
-    // Save the PDF
-    const kindleBuffer = await kindlePdf.save();
+    // Pages copied together share their fonts, images and content streams
+    const kindlePdf = await PDFDocument.create();
+    const copies = await kindlePdf.copyPages(pdfDoc, plan.map(entry => entry.index));
+    copies.forEach((copy, i) => {
+      const box = plan[i].box;
+      if (box) {
+        copy.setMediaBox(box.x, box.y, box.width, box.height);
+        copy.setCropBox(box.x, box.y, box.width, box.height);
+      }
+      kindlePdf.addPage(copy);
+    });
+
+    const metadata = readMetadata(pdfDoc, pages[0]);
+    if (metadata.title) kindlePdf.setTitle(metadata.title);
+    if (metadata.author) kindlePdf.setAuthor(metadata.author);
+    if (metadata.subject) kindlePdf.setSubject(metadata.subject);
+    if (metadata.keywords.length > 0) kindlePdf.setKeywords(metadata.keywords);
+    if (metadata.language) kindlePdf.setLanguage(metadata.language);
+
+    // Bookmarks point to the first piece of their page, and every piece keeps its page's label
+    const firstPiece = new Map();
+    plan.forEach((entry, i) => {
+      if (!firstPiece.has(entry.index)) firstPiece.set(entry.index, i);
+    });
+    const sourceLabels = readPageLabels(pdfDoc);
+    writeOutline(kindlePdf, readOutline(pdfDoc), page => copies[firstPiece.get(page - 1)]);
+    writePageLabels(kindlePdf, plan.map(entry => sourceLabels[entry.index] || String(entry.index + 1)));
 
-    return Buffer.from(kindleBuffer);
+    console.log(`[PDF Processor] Trimmed ${trimmed} of ${pages.length} page(s) into ${plan.length} page(s)`);
+    return Buffer.from(await kindlePdf.save());
   } catch (error) {
     console.error('Error converting PDF to Kindle format:', error);
     throw error;
   }
 }
 
+/**
+ * Give a PDF an outline (bookmarks), replacing any it has
+ * @param {PDFDocument} pdfDoc - The PDF to write to
+ * @param {Array<Object>} outline - Entries as readOutline returns them
+ * @param {Function} pageOf - Maps an entry's 1-based page to the PDFPage it should open
+ */
+function writeOutline(pdfDoc, outline, pageOf) {
+  if (outline.length === 0) return;
+  const context = pdfDoc.context;
+
+  // Returns the refs of the items written, so the caller can link First, Last and Count
+  const writeItems = (entries, parentRef) => {
+    const refs = entries.map(() => context.nextRef());
+    let visible = 0;
+    entries.forEach((entry, i) => {
+      const item = context.obj({
+        Title: PDFHexString.fromText(entry.title),
+        Parent: parentRef
+      });
+      if (i > 0) item.set(PDFName.of('Prev'), refs[i - 1]);
+      if (i + 1 < refs.length) item.set(PDFName.of('Next'), refs[i + 1]);
+
+      const page = entry.page ? pageOf(entry.page) : null;
+      if (page) {
+        item.set(PDFName.of('Dest'), context.obj([page.ref, PDFName.of('Fit')]));
+      }
+
+      const children = writeItems(entry.children, refs[i]);
+      if (children.refs.length > 0) {
+        item.set(PDFName.of('First'), children.refs[0]);
+        item.set(PDFName.of('Last'), children.refs[children.refs.length - 1]);
+        // A negative count leaves the entry closed
+        item.set(PDFName.of('Count'), PDFNumber.of(-children.visible));
+      }
+      context.assign(refs[i], item);
+      visible++;
+    });
+    return { refs, visible };
+  };
+
+  const rootRef = context.nextRef();
+  const { refs, visible } = writeItems(outline, rootRef);
+  context.assign(rootRef, context.obj({
+    Type: 'Outlines',
+    First: refs[0],
+    Last: refs[refs.length - 1],
+    Count: visible
+  }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), rootRef);
+}
+
+/**
+ * Label every page of a PDF, one label each, as a /PageLabels number tree
+ * @param {PDFDocument} pdfDoc - The PDF to write to
+ * @param {Array<string>} labels - One label per page
+ */
+function writePageLabels(pdfDoc, labels) {
+  const nums = [];
+  labels.forEach((label, index) => {
+    // A prefix-only range per page: consecutive pieces of one source page share its label
+    if (index > 0 && labels[index - 1] === label) return;
+    nums.push(PDFNumber.of(index), pdfDoc.context.obj({ P: PDFHexString.fromText(label) }));
+  });
+  if (nums.length === 0) return;
+  pdfDoc.catalog.set(PDFName.of('PageLabels'), pdfDoc.context.obj({ Nums: nums }));
+}
+
+/**
+ * Render a page's text, paths and images to a bitmap and mark the pixels that stand out from its background
+ * @param {Object} page - A page from extractPages
+ * @returns {Promise<Object>} - { width, height, scale (pixels per point), ink (1 per content pixel) }
+ */
+async function renderPage(page) {
+  const scale = RENDER_SIZE / Math.max(page.width, page.height, 1);
+  const width = Math.max(1, Math.round(page.width * scale));
+  const height = Math.max(1, Math.round(page.height * scale));
+  const canvas = new jimp(width, height, 0xffffffff);
+
+  // Paths first, since they are mostly backgrounds, boxes and rules; then images, then text on top
+  page.paths.forEach(box => {
+    fillRect(canvas, box, scale, Math.round(box.level * 255));
+  });
+
+  for (const image of page.images) {
+    const area = image.width * image.height;
+    const decoded = area > page.width * page.height * SCAN_SHARE ? await image.load() : null;
+    let painted = false;
+    if (decoded) {
+      try {
+        const pixels = await jimp.read(decoded.buffer);
+        const left = Math.round(image.x * scale);
+        const top = Math.round(image.y * scale);
+        pixels.resize(Math.max(1, Math.round(image.width * scale)), Math.max(1, Math.round(image.height * scale)));
+        canvas.composite(pixels, left, top);
+        painted = true;
+      } catch (error) {
+        console.warn(`[PDF Processor] Could not render image ${image.key} on page ${page.number}: ${error.message}`);
+      }
+    }
+    if (!painted) {
+      fillRect(canvas, image, scale, 0);
+    }
+  }
+
+  page.runs.forEach(run => {
+    const box = run.rotated
+      ? { x: run.x, y: run.y - run.fontSize, width: run.fontSize, height: run.fontSize }
+      : { x: run.x, y: run.y - run.fontSize * ASCENT, width: run.width, height: run.fontSize * (ASCENT + DESCENT) };
+    fillRect(canvas, box, scale, 0);
+  });
+
+  const data = canvas.bitmap.data;
+  const luminance = new Uint8Array(width * height);
+  for (let i = 0; i < luminance.length; i++) {
+    luminance[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+  }
+
+  const background = backgroundLevel(luminance, width, height);
+  const ink = new Uint8Array(width * height);
+  for (let i = 0; i < ink.length; i++) {
+    ink[i] = Math.abs(luminance[i] - background) > INK_CONTRAST ? 1 : 0;
+  }
+  return { width, height, scale, ink };
+}
+
+function fillRect(canvas, box, scale, level) {
+  const { width, height, data } = canvas.bitmap;
+  const left = Math.max(0, Math.floor(box.x * scale));
+  const top = Math.max(0, Math.floor(box.y * scale));
+  const right = Math.min(width - 1, Math.ceil((box.x + box.width) * scale) - 1);
+  const bottom = Math.min(height - 1, Math.ceil((box.y + box.height) * scale) - 1);
+  for (let y = top; y <= bottom; y++) {
+    for (let x = left; x <= right; x++) {
+      const offset = (y * width + x) * 4;
+      data[offset] = data[offset + 1] = data[offset + 2] = level;
+    }
+  }
+}
+
+/**
+ * The page colour: the most common shade along the edges of the bitmap
+ */
+function backgroundLevel(luminance, width, height) {
+  const counts = new Array(16).fill(0);
+  const sums = new Array(16).fill(0);
+  const add = value => {
+    counts[value >> 4]++;
+    sums[value >> 4] += value;
+  };
+  for (let x = 0; x < width; x++) {
+    add(luminance[x]);
+    add(luminance[(height - 1) * width + x]);
+  }
+  for (let y = 0; y < height; y++) {
+    add(luminance[y * width]);
+    add(luminance[y * width + width - 1]);
+  }
+  const bucket = counts.indexOf(Math.max(...counts));
+  return Math.round(sums[bucket] / counts[bucket]);
+}
+
+/**
+ * The box around the content within a region, ignoring specks at its edges
+ * @param {Object} render - From renderPage
+ * @param {Object} region - { left, top, right, bottom } in pixels, inclusive
+ * @returns {Object|null} - The content box in pixels, or null if the region is blank
+ */
+function inkBounds(render, region) {
+  const rows = inkPerRow(render, region);
+  const columns = inkPerColumn(render, region);
+  const first = counts => counts.findIndex(count => count > SPECK_PIXELS);
+  const last = counts => counts.length - 1 - [...counts].reverse().findIndex(count => count > SPECK_PIXELS);
+
+  const top = first(rows);
+  const left = first(columns);
+  if (top === -1 || left === -1) return null;
+  return {
+    left: region.left + left,
+    top: region.top + top,
+    right: region.left + last(columns),
+    bottom: region.top + last(rows)
+  };
+}
+
+function inkPerRow(render, region) {
+  const counts = [];
+  for (let y = region.top; y <= region.bottom; y++) {
+    let count = 0;
+    for (let x = region.left; x <= region.right; x++) {
+      count += render.ink[y * render.width + x];
+    }
+    counts.push(count);
+  }
+  return counts;
+}
+
+function inkPerColumn(render, region) {
+  const counts = [];
+  for (let x = region.left; x <= region.right; x++) {
+    let count = 0;
+    for (let y = region.top; y <= region.bottom; y++) {
+      count += render.ink[y * render.width + x];
+    }
+    counts.push(count);
+  }
+  return counts;
+}
+
+/**
+ * Cut a page's content into pieces that are readable on their own, in reading order
+ * @param {Object} render - From renderPage
+ * @param {Object} content - The page's content box in pixels
+ * @param {number} screenShape - Height over width of the screen
+ * @returns {Array<Object>} - Piece boxes in pixels
+ */
+function splitPage(render, content, screenShape) {
+  let halves = [content];
+  // A landscape page is often a spread of two pages; without a gutter it is one wide page, which halving
+  // would only cut through the middle of its lines
+  const spreadGutter = render.width > render.height ? findGutter(render, content, SPREAD_ZONE, GUTTER_CLEAR_SHARE) : null;
+  if (spreadGutter) {
+    halves = [
+      inkBounds(render, { ...content, right: spreadGutter.center }),
+      inkBounds(render, { ...content, left: spreadGutter.center + 1 })
+    ].filter(Boolean);
+  }
+
+  return halves
+    .flatMap(half => mergeFragments(render, splitColumns(render, half)))
+    .flatMap(piece => fitToScreen(render, piece, screenShape));
+}
+
+/**
+ * Join pieces too short to be worth a screen (a running header, a logo, a title) with their neighbours,
+ * as long as the joined piece doesn't take in a column beside them; small ones that can't join are dropped
+ * unless they are all there is
+ */
+function mergeFragments(render, pieces) {
+  const minHeight = MIN_PIECE_HEIGHT * render.scale;
+  const isFragment = piece => piece.bottom - piece.top + 1 < minHeight;
+  const widthOf = piece => piece.right - piece.left + 1;
+  const union = (a, b) => ({
+    left: Math.min(a.left, b.left),
+    top: Math.min(a.top, b.top),
+    right: Math.max(a.right, b.right),
+    bottom: Math.max(a.bottom, b.bottom)
+  });
+
+  const merged = [];
+  pieces.forEach(piece => {
+    const previous = merged[merged.length - 1];
+    if (previous && (isFragment(previous) || isFragment(piece))) {
+      const joined = union(previous, piece);
+      const body = isFragment(previous) ? piece : previous;
+      if ((isFragment(previous) && isFragment(piece)) || widthOf(joined) <= widthOf(body) * FRAGMENT_WIDTH_SLACK) {
+        merged[merged.length - 1] = joined;
+        return;
+      }
+    }
+    merged.push(piece);
+  });
+
+  const isScrap = piece => isFragment(piece) && widthOf(piece) < MIN_LONE_WIDTH * render.scale;
+  const kept = merged.filter(piece => !isScrap(piece));
+  return kept.length > 0 ? kept : merged;
+}
+
+/**
+ * Split a column layout into its columns, keeping full-width parts (titles, wide figures) whole
+ */
+function splitColumns(render, box) {
+  const gutter = findGutter(render, box, GUTTER_ZONE, GUTTER_CLEAR_SHARE);
+  if (!gutter) return [box];
+
+  // Each row with content either leaves a channel down the gutter or runs across it (a title, a wide figure);
+  // blank rows join the stretch above
+  const minChannel = Math.max(1, Math.round(MIN_CHANNEL * render.scale));
+  const stretches = [];
+  let current = null;
+  for (let y = box.top; y <= box.bottom; y++) {
+    if (!rowHasInk(render, y, box.left, box.right)) {
+      if (current) current.bottom = y;
+      continue;
+    }
+    const split = longestClearRun(render, y, gutter.left, gutter.right) >= minChannel;
+    if (current && current.split === split) {
+      current.bottom = y;
+    } else {
+      current = { top: y, bottom: y, split };
+      stretches.push(current);
+    }
+  }
+
+  // A rule drawn across both columns doesn't make a full-width piece of its own
+  const minSpan = MIN_SPAN * render.scale;
+  const merged = [];
+  stretches.forEach(stretch => {
+    const previous = merged[merged.length - 1];
+    if (previous && (previous.split === stretch.split || (!stretch.split && stretch.bottom - stretch.top < minSpan))) {
+      previous.bottom = stretch.bottom;
+    } else {
+      merged.push({ ...stretch });
+    }
+  });
+
+  return merged.flatMap(stretch => {
+    const region = { left: box.left, right: box.right, top: stretch.top, bottom: stretch.bottom };
+    const parts = stretch.split
+      ? [{ ...region, right: gutter.center }, { ...region, left: gutter.center + 1 }]
+      : [region];
+    return parts.map(part => inkBounds(render, part)).filter(Boolean);
+  });
+}
+
+/**
+ * The widest clear vertical band in a zone of the box
+ * @param {Object} render - From renderPage
+ * @param {Object} box - Content box in pixels
+ * @param {Array<number>} zone - Start and end of the searched band as shares of the box width
+ * @param {number} minClear - Share of content rows the band has to run clear between content on
+ * @returns {Object|null} - { left, right, center } in pixels
+ */
+function findGutter(render, box, zone, minClear) {
+  const boxWidth = box.right - box.left + 1;
+  const start = box.left + Math.floor(boxWidth * zone[0]);
+  const end = box.left + Math.ceil(boxWidth * zone[1]);
+  const minWidth = Math.max(1, Math.round(MIN_GUTTER * render.scale));
+
+  // Where each row's content starts and ends: a gutter has content on both sides of it
+  const rows = [];
+  for (let y = box.top; y <= box.bottom; y++) {
+    const offset = y * render.width;
+    let first = -1;
+    let last = -1;
+    for (let x = box.left; x <= box.right; x++) {
+      if (!render.ink[offset + x]) continue;
+      if (first === -1) first = x;
+      last = x;
+    }
+    if (first !== -1) rows.push({ offset, first, last });
+  }
+  if (rows.length === 0) return null;
+
+  const clear = [];
+  for (let x = start; x <= end; x++) {
+    let between = 0;
+    rows.forEach(row => {
+      if (row.first < x && row.last > x && !render.ink[row.offset + x]) between++;
+    });
+    clear.push(between / rows.length);
+  }
+
+  // Grade each band of columns that are clear enough by how clear it is, then by width
+  let best = null;
+  let bandStart = -1;
+  for (let i = 0; i <= clear.length; i++) {
+    const inBand = i < clear.length && clear[i] >= minClear;
+    if (inBand && bandStart === -1) bandStart = i;
+    if (inBand || bandStart === -1) continue;
+
+    const width = i - bandStart;
+    if (width >= minWidth) {
+      const score = clear.slice(bandStart, i).reduce((sum, value) => sum + value, 0) / width;
+      if (!best || score > best.score + 0.01 || (Math.abs(score - best.score) <= 0.01 && width > best.width)) {
+        best = { left: start + bandStart, right: start + i - 1, score, width };
+      }
+    }
+    bandStart = -1;
+  }
+  if (!best) return null;
+  return { left: best.left, right: best.right, center: Math.round((best.left + best.right) / 2) };
+}
+
+function longestClearRun(render, y, left, right) {
+  const offset = y * render.width;
+  let longest = 0;
+  let run = 0;
+  for (let x = left; x <= right; x++) {
+    run = render.ink[offset + x] ? 0 : run + 1;
+    longest = Math.max(longest, run);
+  }
+  return longest;
+}
+
+function rowHasInk(render, y, left, right) {
+  const offset = y * render.width;
+  for (let x = left; x <= right; x++) {
+    if (render.ink[offset + x]) return true;
+  }
+  return false;
+}
+
+/**
+ * Cut a piece that is much taller than the screen into screen-shaped pieces, between lines where possible
+ */
+function fitToScreen(render, piece, screenShape) {
+  const width = piece.right - piece.left + 1;
+  const height = piece.bottom - piece.top + 1;
+  const screenHeight = width * screenShape;
+  if (width < MIN_FIT_WIDTH * render.scale || height <= screenHeight * TALL_TOLERANCE) {
+    return [piece];
+  }
+
+  // Equal parts, so the last screen isn't a sliver
+  const count = Math.max(2, Math.round(height / screenHeight));
+  const partHeight = height / count;
+  const pieces = [];
+  let top = piece.top;
+  for (let part = 1; part < count; part++) {
+    const ideal = piece.top + Math.round(partHeight * part) - 1;
+    let cut = ideal;
+    for (let y = ideal; y > Math.max(top, ideal - partHeight * CUT_SLACK); y--) {
+      if (!rowHasInk(render, y, piece.left, piece.right)) {
+        cut = y;
+        break;
+      }
+    }
+    pieces.push({ ...piece, top, bottom: cut });
+    top = cut + 1;
+  }
+  pieces.push({ ...piece, top });
+  return pieces.map(part => inkBounds(render, part)).filter(Boolean);
+}
+
+/**
+ * A pixel box as a padded box in page points, measured from the top left of the displayed page
+ */
+function toPoints(render, box) {
+  const maxX = render.width / render.scale;
+  const maxY = render.height / render.scale;
+  const left = Math.max(0, box.left / render.scale - CROP_PADDING);
+  const top = Math.max(0, box.top / render.scale - CROP_PADDING);
+  const right = Math.min(maxX, (box.right + 1) / render.scale + CROP_PADDING);
+  const bottom = Math.min(maxY, (box.bottom + 1) / render.scale + CROP_PADDING);
+  return { left, top, right, bottom };
+}
+
+/**
+ * A box on the displayed page (top-down, rotation applied) in the page's own coordinates, for its crop box
+ */
+function toUserSpace(pdfPage, page, box) {
+  const rotation = ((pdfPage.getRotation().angle % 360) + 360) % 360;
+  const [a, b, c, d, e, f] = pageMatrix(pdfPage.getCropBox(), rotation);
+  const determinant = a * d - b * c;
+  const corners = [[box.left, box.top], [box.right, box.bottom]].map(([x, y]) => {
+    const dx = x - e;
+    const dy = page.height - y - f;
+    return [(d * dx - c * dy) / determinant, (a * dy - b * dx) / determinant];
+  });
+  const xs = corners.map(corner => corner[0]);
+  const ys = corners.map(corner => corner[1]);
+  return {
+    x: Math.min(...xs),
+    y: Math.min(...ys),
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys)
+  };
+}
+
+/**
+ * Put the pages of several PDFs into one, in order
+ * @param {Array<Buffer>} pdfBuffers - The PDFs
+ * @param {string} title - Title of the combined document
+ * @returns {Promise<Buffer>} - The combined PDF
+ */
+async function combinePDFs(pdfBuffers, title) {
+  const combined = await PDFDocument.create();
+  for (const pdfBuffer of pdfBuffers) {
+    const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+    const pages = await combined.copyPages(pdfDoc, pdfDoc.getPageIndices());
+    pages.forEach(page => combined.addPage(page));
+  }
+  combined.setTitle(title);
+  return Buffer.from(await combined.save());
+}
+
 // Generate a thumbnail from the first page of a PDF
 async function generatePDFThumbnail(pdfBuffer, thumbnailPath) {
   try {
@@ -90,5 +985,7 @@ async function generatePDFThumbnail(pdfBuffer, thumbnailPath) {
 module.exports = {
   extractFromPDF,
   convertPDFToKindleFormat,
-  generatePDFThumbnail
+  combinePDFs,
+  generatePDFThumbnail,
+  PDF_LAYOUTS
 };
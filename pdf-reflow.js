@@ -0,0 +1,662 @@
+// utils/pdf-reflow.js
+// Turns a PDF's positioned text back into flowing HTML: lines, columns, headings and paragraphs
+const { extractPages } = require('./pdf-text-extractor');
+
+// Runs on the same row: baselines within this share of the larger font size (lets superscripts join their line)
+const ROW_TOLERANCE = 0.4;
+// Horizontal gap (in ems) that separates two blocks of text on the same row
+const SEGMENT_GAP = 0.8;
+// Horizontal gap (in ems) that stands for a space between two runs
+const SPACE_GAP = 0.15;
+// Running headers and footers live in the top and bottom share of the page, within the first and last few rows
+const MARGIN_ZONE = 0.1;
+const MARGIN_ROWS = 3;
+// A margin line that repeats on this share of the pages is a running header or footer
+const REPEAT_SHARE = 0.5;
+// A text block wider than this share of the text area spans columns and can't mark a gutter
+const WIDE_SEGMENT = 0.6;
+// Each side of a gutter needs this share of the page's (non-spanning) text
+const MIN_COLUMN_SHARE = 0.15;
+// Lines this much larger than the body text are headings
+const HEADING_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 300;
+// A page's title sits in this top share of it
+const TITLE_ZONE = 0.6;
+// A vertical gap this many times the usual line spacing starts a new paragraph
+const PARAGRAPH_GAP = 1.4;
+// Images smaller than this (points) are rules, bullets and ornaments
+const MIN_IMAGE_SIZE = 24;
+
+const PAGE_NUMBER = /^(?:page\s+)?(?:[-–—]\s*)?(?:\d+|[ivxlcdm]+)(?:\s*[-–—])?(?:\s*(?:of|\/)\s*\d+)?$/i;
+const BULLET = /^[•●▪◦■‣∙○]\s*/;
+const MONOSPACE = /mono|courier|consol|menlo|cmtt|typewriter/i;
+const TERMINAL_PUNCTUATION = /[.!?:]["”’)\]]?$/;
+
+/**
+ * Reflow a PDF into HTML that an ebook can lay out again
+ * Running headers, footers and page numbers are dropped, columns are read in order,
+ * larger text becomes headings and embedded images are kept where they appear
+ * @param {Buffer} pdfBuffer - The PDF
+ * @param {Object} options - chapters ({ title, page }, e.g. from the PDF's outline) to also get the HTML cut into chapters
+ * @returns {Promise<{html: string, pageCount: number, stats: Object, chapters: Array<Object>}>} - The HTML, the number
+ *   of pages, what was found (characters, headings, paragraphs, images, removedLines, multiColumnPages) and, when
+ *   chapters were given, their { title, html }
+ */
+async function reflowPdf(pdfBuffer, options = {}) {
+  const pages = await extractPages(pdfBuffer);
+  const stats = { characters: 0, headings: 0, paragraphs: 0, images: 0, removedLines: 0, multiColumnPages: 0 };
+
+  const pageRows = pages.map(page => buildRows(page.runs.filter(run => !run.rotated && run.text.trim())));
+  stats.removedLines = removeRunningLines(pages, pageRows);
+
+  const segmentsByPage = pageRows.map(rows => rows.flatMap(splitRow));
+  const bodySize = findBodySize(segmentsByPage.flat());
+  const headingLevels = rankHeadingSizes(segmentsByPage.flat(), bodySize);
+  const images = await collectImages(pages);
+
+  const items = [];
+  pages.forEach((page, index) => {
+    const segments = segmentsByPage[index];
+    const gutters = findGutters(segments, bodySize);
+    if (gutters.length > 0) stats.multiColumnPages++;
+    items.push(...readingOrder(page, segments, images[index], gutters, bodySize));
+  });
+
+  const blocks = buildBlocks(items, bodySize, headingLevels);
+  if (blocks.length === 0) {
+    throw new Error('No text or images found in the PDF (scanned pages need OCR first)');
+  }
+
+  const rendered = blocks.map(block => {
+    if (block.type === 'heading') {
+      stats.headings++;
+    } else if (block.type === 'image') {
+      stats.images++;
+    } else {
+      stats.paragraphs++;
+    }
+    stats.characters += block.text ? block.text.length : 0;
+    return renderBlock(block);
+  });
+
+  console.log(`[PDF Reflow] ${pages.length} page(s): ${stats.paragraphs} paragraph(s), ${stats.headings} heading(s), ` +
+    `${stats.images} image(s), ${stats.removedLines} header/footer line(s) removed, ${stats.multiColumnPages} multi-column page(s)`);
+  const chapters = options.chapters && options.chapters.length > 0
+    ? splitChapters(blocks, rendered, options.chapters)
+    : [];
+  return { html: wrapLists(rendered.join('\n')), pageCount: pages.length, stats, chapters };
+}
+
+/**
+ * Cut the blocks into chapters; a chapter starts at the heading matching its title on its page,
+ * or at the top of that page when there is none
+ * @returns {Array<{title: string, html: string}>} - Chapters that got any content
+ */
+function splitChapters(blocks, rendered, chapters) {
+  const sorted = chapters.filter(chapter => chapter.page).sort((a, b) => a.page - b.page);
+  let previousStart = 0;
+  const starts = sorted.map(chapter => {
+    const heading = blocks.findIndex((block, index) => index >= previousStart && block.page === chapter.page &&
+      block.type === 'heading' && sameTitle(block.text, chapter.title));
+    const firstOnPage = blocks.findIndex((block, index) => index >= previousStart && block.page >= chapter.page);
+    const start = heading !== -1 ? heading : (firstOnPage !== -1 ? firstOnPage : blocks.length);
+    previousStart = start;
+    // The chapter title is shown already, so its heading in the text is dropped
+    return { start, skip: heading !== -1 ? heading : -1 };
+  });
+  // A cover or title page before the first chapter opens it
+  if (starts.length > 0) starts[0].start = 0;
+
+  return sorted.map((chapter, index) => {
+    const end = index + 1 < starts.length ? starts[index + 1].start : blocks.length;
+    const html = [];
+    for (let i = starts[index].start; i < end; i++) {
+      if (i !== starts[index].skip) html.push(rendered[i]);
+    }
+    return { title: chapter.title, html: wrapLists(html.join('\n')) };
+  }).filter(chapter => chapter.html.trim());
+}
+
+function sameTitle(a, b) {
+  // Letter-spaced fonts come out as "In tro duction", so only letters and digits are compared
+  const normalize = text => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  return normalize(a) !== '' && normalize(a) === normalize(b);
+}
+
+/**
+ * Plain text of a page, row by row from the top, for previews
+ * @param {Object} page - A page from extractPages
+ * @returns {string} - The text, one line per row
+ */
+function pageText(page) {
+  return buildRows(page.runs.filter(run => !run.rotated && run.text.trim()))
+    .map(row => joinRuns(row.runs))
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * The title a page shows: its largest text, when that stands out from the rest and sits in the top of the page
+ * @param {Object} page - A page from extractPages
+ * @returns {string} - The title, or '' if nothing stands out
+ */
+function pageTitle(page) {
+  const rows = buildRows(page.runs.filter(run => !run.rotated && run.text.trim()));
+  if (rows.length === 0) return '';
+
+  const bodySize = dominantSize(rows.flatMap(row => row.runs));
+  const largest = Math.max(...rows.map(row => row.fontSize));
+  if (!isHeadingSize(largest, bodySize)) return '';
+
+  // A title set over several lines keeps them all
+  const titleRows = rows.filter(row => Math.abs(row.fontSize - largest) < 0.5 && row.y < page.height * TITLE_ZONE);
+  const title = titleRows.map(row => joinRuns(row.runs)).join(' ').replace(/\s+/g, ' ').trim();
+  return title.length <= MAX_HEADING_LENGTH ? title : '';
+}
+
+/**
+ * Text of a row's runs, with spaces only where the runs are apart
+ */
+function joinRuns(runs) {
+  let text = '';
+  let previousEnd = null;
+  runs.forEach(run => {
+    if (previousEnd !== null && run.x - previousEnd > run.fontSize * SPACE_GAP && !/\s$/.test(text)) {
+      text += ' ';
+    }
+    text += run.text;
+    previousEnd = run.x + run.width;
+  });
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Group runs into rows that share a baseline, left to right
+ * @returns {Array<{y: number, runs: Array<Object>}>} - Rows from the top of the page down
+ */
+function buildRows(runs) {
+  const rows = [];
+  let row = null;
+  [...runs].sort((a, b) => a.y - b.y || a.x - b.x).forEach(run => {
+    if (row && Math.abs(run.y - row.y) <= ROW_TOLERANCE * Math.max(run.fontSize, row.fontSize)) {
+      row.runs.push(run);
+      // The largest text on the row sets its baseline, not a superscript that sorted first
+      if (run.fontSize > row.fontSize) {
+        row.y = run.y;
+        row.fontSize = run.fontSize;
+      }
+    } else {
+      row = { y: run.y, fontSize: run.fontSize, runs: [run] };
+      rows.push(row);
+    }
+  });
+  rows.forEach(current => current.runs.sort((a, b) => a.x - b.x));
+  return rows;
+}
+
+/**
+ * Drop running headers, footers and page numbers from every page
+ * @returns {number} - Rows removed
+ */
+function removeRunningLines(pages, pageRows) {
+  const marginRows = pageRows.map((rows, index) => {
+    const height = pages[index].height;
+    const candidates = new Set([...rows.slice(0, MARGIN_ROWS), ...rows.slice(-MARGIN_ROWS)]);
+    return Array.from(candidates).filter(row => row.y < height * MARGIN_ZONE || row.y > height * (1 - MARGIN_ZONE));
+  });
+
+  // Page numbers inside the text change from page to page, so lines are compared with digits masked
+  const pagesByKey = new Map();
+  marginRows.forEach((rows, index) => {
+    rows.forEach(row => {
+      const key = rowKey(row);
+      if (!pagesByKey.has(key)) pagesByKey.set(key, new Set());
+      pagesByKey.get(key).add(index);
+    });
+  });
+
+  const minRepeats = Math.max(2, Math.ceil(pages.length * REPEAT_SHARE));
+  let removed = 0;
+  marginRows.forEach((rows, index) => {
+    rows.forEach(row => {
+      const text = rowText(row);
+      const repeats = pagesByKey.get(rowKey(row)).size;
+      // A header that carries the page number ("Chapter 2: Setup    13") only repeats within its chapter
+      const numbered = /^\d+\s|\s\d+$/.test(text);
+      if (PAGE_NUMBER.test(text) || repeats >= minRepeats || (numbered && repeats >= 2)) {
+        pageRows[index].splice(pageRows[index].indexOf(row), 1);
+        removed++;
+      }
+    });
+  });
+  return removed;
+}
+
+function rowText(row) {
+  return row.runs.map(run => run.text).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+function rowKey(row) {
+  return rowText(row).toLowerCase().replace(/\d+/g, '#');
+}
+
+/**
+ * Split a row where the gap between runs is wide enough to separate columns or table cells
+ * @returns {Array<Object>} - Segments: x, right, y, fontSize, parts ({ text, bold, italic }) and text
+ */
+function splitRow(row) {
+  const segments = [];
+  let current = null;
+  row.runs.forEach(run => {
+    if (current && run.x - current.right > SEGMENT_GAP * Math.max(run.fontSize, current.fontSize)) {
+      current = null;
+    }
+    if (!current) {
+      current = { x: run.x, right: run.x + run.width, y: row.y, fontSize: run.fontSize, runs: [] };
+      segments.push(current);
+    }
+
+    const last = current.runs[current.runs.length - 1];
+    // Fake bold draws the same text twice, slightly offset
+    if (last && last.text === run.text && Math.abs(last.x - run.x) < run.fontSize * 0.3) return;
+
+    current.runs.push(run);
+    current.right = Math.max(current.right, run.x + run.width);
+    current.fontSize = run.fontSize;
+  });
+
+  return segments.map(segment => {
+    const parts = [];
+    segment.runs.forEach((run, index) => {
+      const previous = segment.runs[index - 1];
+      let text = run.text;
+      if (previous && run.x - (previous.x + previous.width) > SPACE_GAP * run.fontSize &&
+          !/\s$/.test(previous.text) && !/^\s/.test(text)) {
+        text = ` ${text}`;
+      }
+      const last = parts[parts.length - 1];
+      if (last && last.bold === run.bold && last.italic === run.italic) {
+        last.text += text;
+      } else {
+        parts.push({ text, bold: run.bold, italic: run.italic });
+      }
+    });
+
+    return {
+      x: segment.x,
+      right: segment.right,
+      y: segment.y,
+      fontSize: dominantSize(segment.runs),
+      mono: segment.runs.every(run => MONOSPACE.test(run.fontName)),
+      parts,
+      text: parts.map(part => part.text).join('').replace(/\s+/g, ' ').trim()
+    };
+  });
+}
+
+function dominantSize(runs) {
+  const counts = new Map();
+  runs.forEach(run => counts.set(run.fontSize, (counts.get(run.fontSize) || 0) + run.text.length));
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * The font size most of the text is set in
+ */
+function findBodySize(segments) {
+  const counts = new Map();
+  segments.forEach(segment => {
+    const size = Math.round(segment.fontSize * 2) / 2;
+    counts.set(size, (counts.get(size) || 0) + segment.text.length);
+  });
+  const ranked = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+  return ranked.length > 0 ? ranked[0][0] : 10;
+}
+
+/**
+ * Map heading font sizes to h2-h4, largest first (the chapter title is the h1)
+ * @returns {Map<number, number>} - Rounded font size to heading level
+ */
+function rankHeadingSizes(segments, bodySize) {
+  const sizes = new Set();
+  segments.forEach(segment => {
+    if (isHeadingSize(segment.fontSize, bodySize) && /\p{L}{2}/u.test(segment.text)) {
+      sizes.add(Math.round(segment.fontSize * 2) / 2);
+    }
+  });
+  const levels = new Map();
+  Array.from(sizes).sort((a, b) => b - a).forEach((size, index) => levels.set(size, Math.min(2 + index, 4)));
+  return levels;
+}
+
+function isHeadingSize(fontSize, bodySize) {
+  return fontSize >= bodySize * HEADING_RATIO;
+}
+
+/**
+ * Find the gaps between text columns
+ * Blocks too wide to sit in one column are left out, and each side of a gutter
+ * must hold a fair share of the page's text
+ * @returns {Array<{left: number, right: number, center: number}>} - Gutters from left to right
+ */
+function findGutters(segments, bodySize) {
+  if (segments.length < 6) return [];
+  const minX = Math.min(...segments.map(segment => segment.x));
+  const maxX = Math.max(...segments.map(segment => segment.right));
+  const textWidth = maxX - minX;
+  const narrow = segments.filter(segment => segment.right - segment.x < textWidth * WIDE_SEGMENT);
+  if (narrow.length < 6) return [];
+
+  // How many blocks cover each point across the page
+  const start = Math.floor(minX);
+  const coverage = new Array(Math.ceil(maxX) - start + 1).fill(0);
+  narrow.forEach(segment => {
+    for (let x = Math.floor(segment.x); x < Math.ceil(segment.right); x++) coverage[x - start]++;
+  });
+
+  // A title centred across the columns may cross the gutter
+  const allowed = Math.max(1, Math.floor(narrow.length * 0.05));
+  const minWidth = Math.max(6, bodySize * 0.5);
+  const totalText = narrow.reduce((sum, segment) => sum + segment.text.length, 0);
+  const gutters = [];
+  let gapStart = null;
+  coverage.forEach((count, index) => {
+    if (count <= allowed && gapStart === null) {
+      gapStart = index;
+    } else if (count > allowed && gapStart !== null) {
+      const gutter = { left: start + gapStart, right: start + index };
+      gapStart = null;
+      if (gutter.right - gutter.left < minWidth) return;
+
+      // The ragged ends of lines can reach into the gap, so columns are split at its middle
+      gutter.center = (gutter.left + gutter.right) / 2;
+      const leftText = narrow.filter(segment => segment.right <= gutter.center);
+      const rightText = narrow.filter(segment => segment.x >= gutter.center);
+      const share = list => list.reduce((sum, segment) => sum + segment.text.length, 0) / totalText;
+      if (leftText.length >= 3 && rightText.length >= 3 &&
+          share(leftText) >= MIN_COLUMN_SHARE && share(rightText) >= MIN_COLUMN_SHARE) {
+        gutters.push(gutter);
+      }
+    }
+  });
+  return gutters;
+}
+
+/**
+ * Put a page's text and images in reading order
+ * The page is cut into bands at anything that spans a gutter; within a band the
+ * columns are read one after the other
+ * @returns {Array<Object>} - Items (segments or images) tagged with page, column key and column bounds
+ */
+function readingOrder(page, segments, images, gutters, bodySize) {
+  const entries = [
+    ...segments.map(segment => ({ ...segment, kind: 'text' })),
+    ...images.map(image => ({ ...image, kind: 'image', right: image.x + image.width }))
+  ].sort((a, b) => a.y - b.y || a.x - b.x);
+
+  const columnOf = entry => {
+    for (let index = 0; index < gutters.length; index++) {
+      if (entry.right <= gutters[index].center) return index;
+      if (entry.x < gutters[index].center) return -1; // Crosses this gutter
+    }
+    return gutters.length;
+  };
+
+  const bands = [];
+  let band = null;
+  entries.forEach(entry => {
+    const column = gutters.length > 0 ? columnOf(entry) : 0;
+    if (column === -1) {
+      bands.push({ columns: [[entry]] });
+      band = null;
+      return;
+    }
+    if (!band) {
+      band = { columns: Array.from({ length: gutters.length + 1 }, () => []) };
+      bands.push(band);
+    }
+    band.columns[column].push(entry);
+  });
+
+  const ordered = [];
+  bands.forEach((current, bandIndex) => {
+    current.columns.forEach((entries, columnIndex) => {
+      const texts = entries.filter(entry => entry.kind === 'text');
+      const bounds = {
+        left: texts.length ? Math.min(...texts.map(entry => entry.x)) : 0,
+        right: texts.length ? Math.max(...texts.map(entry => entry.right)) : page.width
+      };
+      const spacing = lineSpacing(texts, bodySize);
+      entries.forEach(entry => ordered.push({ ...entry, page: page.number, column: `${page.number}-${bandIndex}-${columnIndex}`, bounds, spacing }));
+    });
+  });
+  return ordered;
+}
+
+/**
+ * The usual distance between baselines of body text in a column
+ */
+function lineSpacing(entries, bodySize) {
+  const gaps = [];
+  for (let i = 1; i < entries.length; i++) {
+    const gap = entries[i].y - entries[i - 1].y;
+    if (gap > bodySize * 0.5 && gap < bodySize * 3) gaps.push(gap);
+  }
+  if (gaps.length === 0) return bodySize * 1.2;
+  gaps.sort((a, b) => a - b);
+  return gaps[Math.floor(gaps.length / 2)];
+}
+
+/**
+ * Load each page's images, dropping ornaments, page backgrounds behind real text
+ * and images repeated across pages (logos, letterheads)
+ * @returns {Promise<Array<Array<Object>>>} - Per page: images with x, y, width, height and a data: URI src
+ */
+async function collectImages(pages) {
+  const pagesByKey = new Map();
+  pages.forEach(page => page.images.forEach(image => {
+    if (!pagesByKey.has(image.key)) pagesByKey.set(image.key, new Set());
+    pagesByKey.get(image.key).add(page.number);
+  }));
+  const minRepeats = Math.max(2, Math.ceil(pages.length * REPEAT_SHARE));
+
+  const result = [];
+  for (const page of pages) {
+    const kept = [];
+    const hasText = page.runs.some(run => run.text.trim());
+    for (const image of page.images) {
+      if (image.width < MIN_IMAGE_SIZE || image.height < MIN_IMAGE_SIZE) continue;
+      if (hasText && image.width * image.height >= page.width * page.height * 0.9) continue;
+      if (pagesByKey.get(image.key).size >= minRepeats) continue;
+      // The same image drawn twice on one page only needs to appear once
+      if (kept.some(other => other.key === image.key)) continue;
+
+      const decoded = await image.load();
+      if (!decoded) continue;
+      kept.push({ ...image, src: `data:${decoded.mimeType};base64,${decoded.buffer.toString('base64')}` });
+    }
+    result.push(kept);
+  }
+  return result;
+}
+
+/**
+ * Turn items in reading order into headings, paragraphs, list items and figures
+ * Paragraphs carry on into the next column or page by the same rules as from one line to the next
+ * @returns {Array<Object>} - Blocks: { type: 'heading', level, text } | { type: 'paragraph'|'item', parts, text } |
+ *   { type: 'code', text } | { type: 'image', src }, each with the page it starts on
+ */
+function buildBlocks(items, bodySize, headingLevels) {
+  const blocks = [];
+  let block = null;
+  let previous = null;
+
+  items.forEach(item => {
+    if (item.kind === 'image') {
+      blocks.push({ type: 'image', src: item.src, page: item.page });
+      block = null;
+      previous = null;
+      return;
+    }
+
+    const sizeKey = Math.round(item.fontSize * 2) / 2;
+    if (isHeadingSize(item.fontSize, bodySize) && headingLevels.has(sizeKey) && item.text.length <= MAX_HEADING_LENGTH) {
+      const level = headingLevels.get(sizeKey);
+      // A heading set over two lines stays one heading
+      const continues = block && block.type === 'heading' && block.level === level && previous &&
+        previous.column === item.column && item.y - previous.y < item.fontSize * 2;
+      if (continues) {
+        block.text += ` ${item.text}`;
+      } else {
+        block = { type: 'heading', level, text: item.text, page: item.page };
+        blocks.push(block);
+      }
+      previous = item;
+      return;
+    }
+
+    const sameRow = previous && previous.column === item.column && Math.abs(item.y - previous.y) < item.fontSize * ROW_TOLERANCE;
+    if (item.mono) {
+      // Code keeps its lines and indentation
+      const gap = previous && previous.column === item.column ? item.y - previous.y : 0;
+      if (block && block.type === 'code' && previous && previous.mono && gap <= item.spacing * 3) {
+        const indent = Math.max(0, Math.round((item.x - block.firstX) / (item.fontSize * 0.6)));
+        block.text += sameRow ? ` ${item.text}` : `${gap > item.spacing * PARAGRAPH_GAP ? '\n' : ''}\n${' '.repeat(indent)}${item.text}`;
+      } else {
+        block = { type: 'code', text: item.text, firstX: item.x, page: item.page };
+        blocks.push(block);
+      }
+      previous = item;
+      return;
+    }
+
+    const bullet = BULLET.test(item.text);
+    if (block && (block.type === 'paragraph' || block.type === 'item') && !bullet &&
+        (sameRow || continuesBlock(block, previous, item))) {
+      appendParts(block, item.parts, sameRow);
+    } else {
+      block = { type: bullet ? 'item' : 'paragraph', parts: [], text: '', indent: indentOf(item), page: item.page };
+      if (bullet) {
+        item.parts = stripBullet(item.parts);
+      }
+      appendParts(block, item.parts, false);
+      blocks.push(block);
+    }
+    previous = item;
+  });
+
+  return blocks.filter(current => current.type === 'image' || current.text.trim());
+}
+
+/**
+ * Whether a line carries on the paragraph (or list item) before it
+ * Indents and short lines are measured within each line's own column, so moving to the next column or page
+ * is judged like any other line break
+ */
+function continuesBlock(block, previous, item) {
+  if (!previous || previous.kind !== 'text') return false;
+  const endsSentence = TERMINAL_PUNCTUATION.test(block.text.trim());
+
+  const em = item.fontSize;
+  // Footnotes, captions and the like are set in a different size
+  if (Math.abs(item.fontSize - previous.fontSize) > Math.max(previous.fontSize, item.fontSize) * 0.15) return false;
+  // Only lines in the same column have a gap between them
+  if (previous.column === item.column && item.y - previous.y > item.spacing * PARAGRAPH_GAP) return false;
+  if (block.type === 'item') {
+    // The list item's text hangs to the right of its bullet
+    return indentOf(item) > block.indent + em * 0.5;
+  }
+  if (indentOf(item) > indentOf(previous) + em * 0.8) return false;
+  // A short line that ends a sentence ends the paragraph
+  if (endsSentence && previous.bounds.right - previous.right > em * 2) return false;
+  return true;
+}
+
+/**
+ * How far a line starts from the left edge of its column
+ */
+function indentOf(line) {
+  return line.x - line.bounds.left;
+}
+
+function appendParts(block, parts, sameRow) {
+  if (block.parts.length > 0) {
+    const lastPart = block.parts[block.parts.length - 1];
+    const firstText = parts.length ? parts[0].text.trimStart() : '';
+    if (!sameRow && /\p{L}-$/u.test(lastPart.text) && /^\p{Ll}/u.test(firstText)) {
+      // Hyphenated at the end of the line
+      lastPart.text = lastPart.text.slice(0, -1);
+    } else if (!/\s$/.test(lastPart.text)) {
+      lastPart.text += ' ';
+    }
+  }
+  parts.forEach((part, index) => {
+    const text = index === 0 ? part.text.trimStart() : part.text;
+    const last = block.parts[block.parts.length - 1];
+    if (last && last.bold === part.bold && last.italic === part.italic) {
+      last.text += text;
+    } else {
+      block.parts.push({ text, bold: part.bold, italic: part.italic });
+    }
+  });
+  block.text = block.parts.map(part => part.text).join('');
+}
+
+function stripBullet(parts) {
+  const stripped = parts.map(part => ({ ...part }));
+  while (stripped.length > 0) {
+    stripped[0].text = stripped[0].text.trimStart().replace(BULLET, '');
+    if (stripped[0].text.trim()) break;
+    stripped.shift();
+  }
+  return stripped;
+}
+
+function renderBlock(block) {
+  if (block.type === 'heading') {
+    return `<h${block.level}>${escapeHtml(block.text.trim())}</h${block.level}>`;
+  }
+  if (block.type === 'image') {
+    return `<div class="figure"><img src="${block.src}" alt="" /></div>`;
+  }
+  if (block.type === 'code') {
+    return `<pre>${escapeHtml(block.text)}</pre>`;
+  }
+
+  const html = block.parts.map(part => {
+    if (!part.text.trim() || (!part.italic && !part.bold)) return escapeHtml(part.text);
+    // Spaces between words stay outside the tags
+    const [, before, text, after] = part.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    let html = escapeHtml(text);
+    if (part.italic) html = `<em>${html}</em>`;
+    if (part.bold) html = `<strong>${html}</strong>`;
+    return `${before}${html}${after}`;
+  }).join('').trim();
+  return block.type === 'item' ? `<li>${html}</li>` : `<p>${html}</p>`;
+}
+
+/**
+ * Wrap runs of consecutive list items in <ul>
+ */
+function wrapLists(html) {
+  return html.replace(/(?:<li>[\s\S]*?<\/li>\n?)+/g, items => `<ul>\n${items.trim()}\n</ul>\n`);
+}
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  return String(text).replace(/&/g, '&amp;')
+                     .replace(/</g, '&lt;')
+                     .replace(/>/g, '&gt;')
+                     .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  reflowPdf,
+  pageText,
+  pageTitle
+};
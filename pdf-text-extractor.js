@@ -0,0 +1,1271 @@
+// utils/pdf-text-extractor.js
+// Reads the text and images off PDF pages by interpreting their content streams.
+// Every piece of text comes out as a run with its position, font size and style;
+// pdf-reflow.js puts the runs back together into lines, paragraphs and headings.
+// Painted paths are kept as boxes so pdf-processor.js can tell where a page's content is.
+const jimp = require('jimp');
+const {
+  PDFDocument, PDFName, PDFDict, PDFArray, PDFNumber, PDFString, PDFHexString, PDFRawStream, PDFRef, PDFBool,
+  StandardFonts, StandardFontEmbedder, decodePDFRawStream
+} = require('pdf-lib');
+
+// Image filters pdf-lib can decode; DCTDecode (JPEG) is passed through as is
+const DECODABLE_FILTERS = ['FlateDecode', 'Fl', 'LZWDecode', 'LZW', 'ASCII85Decode', 'A85', 'ASCIIHexDecode', 'AHx', 'RunLengthDecode', 'RL'];
+// Form XObjects can nest; anything deeper than this is a loop
+const MAX_FORM_DEPTH = 12;
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Glyph names for WinAnsiEncoding codes 32-255, which also gives most Latin glyph names their character
+const WIN_ANSI_NAMES = [
+  'space', 'exclam', 'quotedbl', 'numbersign', 'dollar', 'percent', 'ampersand', 'quotesingle', 'parenleft', 'parenright',
+  'asterisk', 'plus', 'comma', 'hyphen', 'period', 'slash', 'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven',
+  'eight', 'nine', 'colon', 'semicolon', 'less', 'equal', 'greater', 'question', 'at',
+  'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N', 'O', 'P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z',
+  'bracketleft', 'backslash', 'bracketright', 'asciicircum', 'underscore', 'grave',
+  'a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l', 'm', 'n', 'o', 'p', 'q', 'r', 's', 't', 'u', 'v', 'w', 'x', 'y', 'z',
+  'braceleft', 'bar', 'braceright', 'asciitilde', null,
+  'Euro', null, 'quotesinglbase', 'florin', 'quotedblbase', 'ellipsis', 'dagger', 'daggerdbl', 'circumflex', 'perthousand',
+  'Scaron', 'guilsinglleft', 'OE', null, 'Zcaron', null, null, 'quoteleft', 'quoteright', 'quotedblleft', 'quotedblright',
+  'bullet', 'endash', 'emdash', 'tilde', 'trademark', 'scaron', 'guilsinglright', 'oe', null, 'zcaron', 'Ydieresis',
+  'space', 'exclamdown', 'cent', 'sterling', 'currency', 'yen', 'brokenbar', 'section', 'dieresis', 'copyright',
+  'ordfeminine', 'guillemotleft', 'logicalnot', 'hyphen', 'registered', 'macron', 'degree', 'plusminus', 'twosuperior',
+  'threesuperior', 'acute', 'mu', 'paragraph', 'periodcentered', 'cedilla', 'onesuperior', 'ordmasculine', 'guillemotright',
+  'onequarter', 'onehalf', 'threequarters', 'questiondown',
+  'Agrave', 'Aacute', 'Acircumflex', 'Atilde', 'Adieresis', 'Aring', 'AE', 'Ccedilla', 'Egrave', 'Eacute', 'Ecircumflex',
+  'Edieresis', 'Igrave', 'Iacute', 'Icircumflex', 'Idieresis', 'Eth', 'Ntilde', 'Ograve', 'Oacute', 'Ocircumflex', 'Otilde',
+  'Odieresis', 'multiply', 'Oslash', 'Ugrave', 'Uacute', 'Ucircumflex', 'Udieresis', 'Yacute', 'Thorn', 'germandbls',
+  'agrave', 'aacute', 'acircumflex', 'atilde', 'adieresis', 'aring', 'ae', 'ccedilla', 'egrave', 'eacute', 'ecircumflex',
+  'edieresis', 'igrave', 'iacute', 'icircumflex', 'idieresis', 'eth', 'ntilde', 'ograve', 'oacute', 'ocircumflex', 'otilde',
+  'odieresis', 'divide', 'oslash', 'ugrave', 'uacute', 'ucircumflex', 'udieresis', 'yacute', 'thorn', 'ydieresis'
+];
+// Unicode for WinAnsi codes 128-159, where it differs from Latin-1
+const WIN_ANSI_HIGH = [
+  0x20AC, 0, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0, 0x017D, 0,
+  0, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0, 0x017E, 0x0178
+];
+// StandardEncoding and MacRomanEncoding codes that differ from WinAnsi and matter for prose
+const STANDARD_DIFFERENCES = {
+  39: 'quoteright', 96: 'quoteleft', 161: 'exclamdown', 166: 'florin', 169: 'quotesingle', 170: 'quotedblleft',
+  172: 'guilsinglleft', 173: 'guilsinglright', 174: 'fi', 175: 'fl', 177: 'endash', 178: 'dagger', 179: 'daggerdbl',
+  183: 'bullet', 185: 'quotedblbase', 186: 'quotedblright', 188: 'ellipsis', 208: 'emdash', 225: 'AE', 233: 'Oslash',
+  234: 'OE', 241: 'ae', 245: 'dotlessi', 249: 'oslash', 250: 'oe', 251: 'germandbls'
+};
+const MAC_ROMAN_DIFFERENCES = {
+  128: 'Adieresis', 129: 'Aring', 130: 'Ccedilla', 131: 'Eacute', 132: 'Ntilde', 133: 'Odieresis', 134: 'Udieresis',
+  135: 'aacute', 136: 'agrave', 137: 'acircumflex', 138: 'adieresis', 139: 'atilde', 140: 'aring', 141: 'ccedilla',
+  142: 'eacute', 143: 'egrave', 144: 'ecircumflex', 145: 'edieresis', 146: 'iacute', 147: 'igrave', 148: 'icircumflex',
+  149: 'idieresis', 150: 'ntilde', 151: 'oacute', 152: 'ograve', 153: 'ocircumflex', 154: 'odieresis', 155: 'otilde',
+  156: 'uacute', 157: 'ugrave', 158: 'ucircumflex', 159: 'udieresis', 165: 'bullet', 167: 'germandbls', 169: 'copyright',
+  174: 'AE', 175: 'Oslash', 190: 'ae', 191: 'oslash', 201: 'ellipsis', 202: 'space', 208: 'endash', 209: 'emdash',
+  210: 'quotedblleft', 211: 'quotedblright', 212: 'quoteleft', 213: 'quoteright', 222: 'fi', 223: 'fl'
+};
+// Glyph names outside WinAnsi that show up in text fonts
+const EXTRA_GLYPHS = {
+  fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', dotlessi: 'ı', minus: '−', fraction: '⁄',
+  Lslash: 'Ł', lslash: 'ł', nbspace: ' ', sfthyphen: '­', periodcentered: '·',
+  quotereversed: '‛', arrowright: '→', arrowleft: '←', checkmark: '✓', uni00A0: ' '
+};
+const GLYPH_UNICODE = buildGlyphTable();
+
+/**
+ * Extract the text runs and image placements of every page
+ * @param {Buffer|Uint8Array} pdfBuffer - The PDF
+ * @param {Object} options - pageLimit to read only the first few pages
+ * @returns {Promise<Array<Object>>} - One entry per page: number, width, height, runs
+ *   ({ text, x, y, width, fontSize, fontName, bold, italic, rotated }, y measured from the top),
+ *   images ({ key, x, y, width, height, load() }, load resolving to { buffer, mimeType } or null)
+ *   and paths ({ x, y, width, height, level }, level being the paint's grey from 0 black to 1 white)
+ */
+async function extractPages(pdfBuffer, options = {}) {
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  } catch (error) {
+    if (/encrypted/i.test(error.message)) {
+      throw new Error('Encrypted PDFs can\'t be converted');
+    }
+    throw error;
+  }
+
+  const caches = { fonts: new Map(), images: new Map() };
+  const pages = pdfDoc.getPages();
+  return pages.slice(0, options.pageLimit || pages.length).map((page, index) => {
+    const box = page.getCropBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const sideways = rotation === 90 || rotation === 270;
+    const width = sideways ? box.height : box.width;
+    const height = sideways ? box.width : box.height;
+
+    const result = { number: index + 1, width, height, runs: [], images: [], paths: [] };
+    const interpreter = new ContentInterpreter(pdfDoc.context, caches, result);
+    try {
+      interpreter.run(readContents(pdfDoc.context, page.node.Contents()), page.node.Resources(), pageMatrix(box, rotation));
+    } catch (error) {
+      console.warn(`[PDF Text] Could not read page ${index + 1}: ${error.message}`);
+    }
+
+    // Flip to top-down coordinates, which is how the layout is read
+    result.runs.forEach(run => { run.y = height - run.y; });
+    result.images.forEach(image => { image.y = height - image.y - image.height; });
+    result.paths.forEach(box => { box.y = height - box.y - box.height; });
+    return result;
+  });
+}
+
+/**
+ * Maps user space onto the displayed page: crop box origin at the bottom left, page rotation applied
+ */
+function pageMatrix(box, rotation) {
+  const { x, y, width, height } = box;
+  switch (rotation) {
+    case 90: return [0, -1, 1, 0, -y, width + x];
+    case 180: return [-1, 0, 0, -1, width + x, height + y];
+    case 270: return [0, 1, -1, 0, height + y, -x];
+    default: return [1, 0, 0, 1, -x, -y];
+  }
+}
+
+/**
+ * Runs content stream operators, tracking the graphics and text state
+ */
+class ContentInterpreter {
+  constructor(context, caches, page) {
+    this.context = context;
+    this.caches = caches;
+    this.page = page;
+  }
+
+  run(bytes, resources, matrix) {
+    this.state = {
+      ctm: matrix, font: null, fontSize: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0, render: 0,
+      lineWidth: 1, fillLevel: 0, strokeLevel: 0
+    };
+    this.stack = [];
+    this.pathBox = null;
+    this.textMatrix = IDENTITY;
+    this.lineMatrix = IDENTITY;
+    this.execute(bytes, resources, 0);
+  }
+
+  execute(bytes, resources, depth) {
+    const lexer = new ContentLexer(bytes);
+    let operands = [];
+    let token;
+    while ((token = lexer.next()) !== undefined) {
+      if (!(token instanceof Operator)) {
+        operands.push(token);
+        continue;
+      }
+      if (token.name === 'BI') {
+        lexer.skipInlineImage();
+      } else {
+        try {
+          this.operate(token.name, operands, resources, depth);
+        } catch (error) {
+          // A bad operand shouldn't cost the rest of the page
+          console.warn(`[PDF Text] Skipped ${token.name} on page ${this.page.number}: ${error.message}`);
+        }
+      }
+      operands = [];
+    }
+  }
+
+  operate(op, operands, resources, depth) {
+    const state = this.state;
+    const num = (index) => (typeof operands[index] === 'number' ? operands[index] : 0);
+
+    switch (op) {
+      case 'q':
+        this.stack.push({ ...state });
+        break;
+      case 'Q':
+        if (this.stack.length > 0) this.state = this.stack.pop();
+        break;
+      case 'cm':
+        state.ctm = multiply(operands.slice(0, 6).map((value, index) => num(index)), state.ctm);
+        break;
+      case 'BT':
+        this.textMatrix = IDENTITY;
+        this.lineMatrix = IDENTITY;
+        break;
+      case 'Tc': state.charSpacing = num(0); break;
+      case 'Tw': state.wordSpacing = num(0); break;
+      case 'Tz': state.scale = num(0) / 100; break;
+      case 'TL': state.leading = num(0); break;
+      case 'Ts': state.rise = num(0); break;
+      case 'Tr': state.render = num(0); break;
+      case 'Tf':
+        state.font = operands[0] instanceof Name ? this.loadFont(resources, operands[0].name) : null;
+        state.fontSize = num(1);
+        break;
+      case 'Td':
+        this.moveText(num(0), num(1));
+        break;
+      case 'TD':
+        state.leading = -num(1);
+        this.moveText(num(0), num(1));
+        break;
+      case 'Tm':
+        this.lineMatrix = operands.slice(0, 6).map((value, index) => num(index));
+        this.textMatrix = this.lineMatrix;
+        break;
+      case 'T*':
+        this.moveText(0, -state.leading);
+        break;
+      case 'Tj':
+        this.showText(operands[0]);
+        break;
+      case '\'':
+        this.moveText(0, -state.leading);
+        this.showText(operands[0]);
+        break;
+      case '"':
+        state.wordSpacing = num(0);
+        state.charSpacing = num(1);
+        this.moveText(0, -state.leading);
+        this.showText(operands[2]);
+        break;
+      case 'TJ':
+        (Array.isArray(operands[0]) ? operands[0] : []).forEach(item => {
+          if (typeof item === 'number') {
+            // Kerning: thousandths of a unit of text space, moving left
+            this.advance(-item / 1000 * state.fontSize * state.scale);
+          } else {
+            this.showText(item);
+          }
+        });
+        break;
+      case 'Do':
+        if (operands[0] instanceof Name) this.drawXObject(resources, operands[0].name, depth);
+        break;
+      case 'w': state.lineWidth = num(0); break;
+      case 'm':
+      case 'l':
+        this.addPathPoint(num(0), num(1));
+        break;
+      case 'c':
+        this.addPathPoint(num(0), num(1));
+        this.addPathPoint(num(2), num(3));
+        this.addPathPoint(num(4), num(5));
+        break;
+      case 'v':
+      case 'y':
+        this.addPathPoint(num(0), num(1));
+        this.addPathPoint(num(2), num(3));
+        break;
+      case 're':
+        this.addPathPoint(num(0), num(1));
+        this.addPathPoint(num(0) + num(2), num(1) + num(3));
+        break;
+      case 'S':
+      case 's':
+        this.paintPath(state.strokeLevel, true);
+        break;
+      case 'f':
+      case 'F':
+      case 'f*':
+        this.paintPath(state.fillLevel, false);
+        break;
+      case 'B':
+      case 'B*':
+      case 'b':
+      case 'b*':
+        this.paintPath(state.fillLevel, true);
+        break;
+      case 'n':
+        this.pathBox = null;
+        break;
+      case 'g': state.fillLevel = num(0); break;
+      case 'G': state.strokeLevel = num(0); break;
+      case 'rg':
+      case 'k':
+      case 'sc':
+      case 'scn':
+        state.fillLevel = colorLevel(operands);
+        break;
+      case 'RG':
+      case 'K':
+      case 'SC':
+      case 'SCN':
+        state.strokeLevel = colorLevel(operands);
+        break;
+      case 'cs': state.fillLevel = 0; break;
+      case 'CS': state.strokeLevel = 0; break;
+      default:
+        // Clipping, shadings and marked content don't change where the content is
+        break;
+    }
+  }
+
+  moveText(tx, ty) {
+    this.lineMatrix = multiply([1, 0, 0, 1, tx, ty], this.lineMatrix);
+    this.textMatrix = this.lineMatrix;
+  }
+
+  advance(tx) {
+    this.textMatrix = multiply([1, 0, 0, 1, tx, 0], this.textMatrix);
+  }
+
+  showText(value) {
+    const state = this.state;
+    if (!(value instanceof Uint8Array) || !state.font) return;
+    const font = state.font;
+
+    const start = multiply([state.fontSize * state.scale, 0, 0, state.fontSize, 0, state.rise], multiply(this.textMatrix, state.ctm));
+    let text = '';
+    font.decode(value).forEach(({ code, text: glyphText, width }) => {
+      text += glyphText;
+      const spacing = state.charSpacing + (code === 32 && font.singleByte ? state.wordSpacing : 0);
+      this.advance((width * state.fontSize + spacing) * state.scale);
+    });
+    const end = multiply([state.fontSize * state.scale, 0, 0, state.fontSize, 0, state.rise], multiply(this.textMatrix, state.ctm));
+
+    // Text clipped away (render mode 7) is never seen; invisible text (3) is usually an OCR layer and is kept
+    if (!text || state.render === 7) return;
+
+    const fontSize = Math.hypot(start[2], start[3]) * font.sizeScale;
+    this.page.runs.push({
+      text,
+      x: Math.min(start[4], end[4]),
+      y: start[5],
+      width: Math.abs(end[4] - start[4]),
+      fontSize: Math.round(fontSize * 10) / 10,
+      fontName: font.name,
+      bold: font.bold || state.render === 2,
+      italic: font.italic,
+      // Vertical text (margin notes, spine labels) can't be reflowed
+      rotated: Math.abs(start[1]) > Math.abs(start[0]) * 0.1 || start[3] < 0
+    });
+  }
+
+  addPathPoint(x, y) {
+    const ctm = this.state.ctm;
+    const px = ctm[0] * x + ctm[2] * y + ctm[4];
+    const py = ctm[1] * x + ctm[3] * y + ctm[5];
+    const box = this.pathBox || (this.pathBox = { left: px, bottom: py, right: px, top: py });
+    box.left = Math.min(box.left, px);
+    box.right = Math.max(box.right, px);
+    box.bottom = Math.min(box.bottom, py);
+    box.top = Math.max(box.top, py);
+  }
+
+  paintPath(level, stroked) {
+    const box = this.pathBox;
+    this.pathBox = null;
+    if (!box) return;
+
+    const ctm = this.state.ctm;
+    const halfWidth = stroked ? Math.max(this.state.lineWidth, 0.5) * Math.hypot(ctm[0], ctm[1]) / 2 : 0;
+    this.page.paths.push({
+      x: box.left - halfWidth,
+      y: box.bottom - halfWidth,
+      width: box.right - box.left + halfWidth * 2,
+      height: box.top - box.bottom + halfWidth * 2,
+      level: Math.min(Math.max(level, 0), 1)
+    });
+  }
+
+  drawXObject(resources, name, depth) {
+    const xobjects = lookupDict(resources, 'XObject');
+    const ref = xobjects ? xobjects.get(PDFName.of(name)) : null;
+    const stream = ref ? this.context.lookup(ref) : null;
+    if (!(stream instanceof PDFRawStream)) return;
+
+    const subtype = nameOf(stream.dict.get(PDFName.of('Subtype')));
+    if (subtype === 'Form' && depth < MAX_FORM_DEPTH) {
+      const saved = { ...this.state };
+      const matrix = numbersOf(this.context, stream.dict.get(PDFName.of('Matrix')));
+      if (matrix.length === 6) {
+        this.state.ctm = multiply(matrix, this.state.ctm);
+      }
+      const formResources = lookupDict(stream.dict, 'Resources', this.context) || resources;
+      this.execute(decodeStream(stream), formResources, depth + 1);
+      this.state = saved;
+    } else if (subtype === 'Image') {
+      this.placeImage(ref, stream);
+    }
+  }
+
+  placeImage(ref, stream) {
+    // Images are drawn into the unit square, scaled by the CTM
+    const ctm = this.state.ctm;
+    const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([x, y]) => [ctm[0] * x + ctm[2] * y + ctm[4], ctm[1] * x + ctm[3] * y + ctm[5]]);
+    const xs = corners.map(corner => corner[0]);
+    const ys = corners.map(corner => corner[1]);
+    const key = ref instanceof PDFRef ? ref.toString() : `inline-${this.page.number}-${this.page.images.length}`;
+    const caches = this.caches;
+
+    this.page.images.push({
+      key,
+      x: Math.min(...xs),
+      y: Math.min(...ys),
+      width: Math.max(...xs) - Math.min(...xs),
+      height: Math.max(...ys) - Math.min(...ys),
+      load: () => {
+        if (!caches.images.has(key)) {
+          caches.images.set(key, decodeImage(this.context, stream).catch(error => {
+            console.warn(`[PDF Text] Could not decode image ${key}: ${error.message}`);
+            return null;
+          }));
+        }
+        return caches.images.get(key);
+      }
+    });
+  }
+
+  loadFont(resources, name) {
+    const fonts = lookupDict(resources, 'Font', this.context);
+    const ref = fonts ? fonts.get(PDFName.of(name)) : null;
+    const dict = ref ? this.context.lookup(ref) : null;
+    if (!(dict instanceof PDFDict)) return null;
+
+    if (!this.caches.fonts.has(dict)) {
+      this.caches.fonts.set(dict, new PdfFont(this.context, dict));
+    }
+    return this.caches.fonts.get(dict);
+  }
+}
+
+/**
+ * What a font needs for text extraction: code to character mapping and glyph widths
+ */
+class PdfFont {
+  constructor(context, dict) {
+    this.context = context;
+    const subtype = nameOf(dict.get(PDFName.of('Subtype')));
+    const baseFont = (nameOf(dict.get(PDFName.of('BaseFont'))) || '').replace(/^[A-Z]{6}\+/, '');
+    const composite = subtype === 'Type0';
+    const descendant = composite ? lookupArrayItem(context, dict.get(PDFName.of('DescendantFonts')), 0) : null;
+    const descriptor = lookupDict(descendant || dict, 'FontDescriptor', context);
+    const flags = descriptor ? numberOf(context, descriptor.get(PDFName.of('Flags'))) : 0;
+
+    this.name = baseFont || subtype || 'unknown';
+    this.singleByte = !composite;
+    this.bold = /bold|black|heavy|semibold|demi/i.test(baseFont) || Boolean(flags & 0x40000);
+    this.italic = /italic|oblique/i.test(baseFont) || Boolean(flags & 0x40);
+
+    // Type 3 glyphs are drawn in their own space, scaled by the font matrix
+    const fontMatrix = subtype === 'Type3' ? numbersOf(context, dict.get(PDFName.of('FontMatrix'))) : [];
+    this.widthScale = fontMatrix.length === 6 ? fontMatrix[0] : 0.001;
+    this.sizeScale = fontMatrix.length === 6 ? Math.abs(fontMatrix[3]) * 1000 || 1 : 1;
+
+    const toUnicode = dict.get(PDFName.of('ToUnicode'));
+    const toUnicodeStream = toUnicode ? context.lookup(toUnicode) : null;
+    this.cmap = toUnicodeStream instanceof PDFRawStream ? parseToUnicode(decodeStream(toUnicodeStream)) : null;
+
+    if (composite) {
+      this.codeLengths = this.cmap && this.cmap.codeLengths.length ? this.cmap.codeLengths : [2];
+      this.readWidths = this.compositeWidths(descendant);
+      if (!this.cmap && descriptor) {
+        this.cidText = embeddedCidText(context, descendant, descriptor);
+      }
+    } else {
+      this.codeLengths = [1];
+      const builtIn = descriptor ? embeddedType1Encoding(context, descriptor) : null;
+      this.encoding = simpleEncoding(context, dict.get(PDFName.of('Encoding')), /^(Symbol|ZapfDingbats)/.test(baseFont), builtIn);
+      const firstChar = numberOf(context, dict.get(PDFName.of('FirstChar')));
+      const widths = numbersOf(context, dict.get(PDFName.of('Widths')));
+      const missingWidth = descriptor ? numberOf(context, descriptor.get(PDFName.of('MissingWidth'))) : 0;
+      // The standard 14 fonts may come without widths; their metrics ship with pdf-lib
+      const standardWidth = widths.length === 0 ? standardFontWidths(baseFont) : null;
+      const fallback = missingWidth || (/courier/i.test(baseFont) ? 600 : 500);
+      this.readWidths = code => {
+        const width = widths[code - firstChar];
+        if (width !== undefined) return width;
+        return (standardWidth && standardWidth(this.encoding[code])) || fallback;
+      };
+    }
+  }
+
+  compositeWidths(descendant) {
+    const widths = new Map();
+    let defaultWidth = 1000;
+    if (descendant instanceof PDFDict) {
+      defaultWidth = numberOf(this.context, descendant.get(PDFName.of('DW'))) || 1000;
+      const list = this.context.lookup(descendant.get(PDFName.of('W')));
+      const items = list instanceof PDFArray ? list.asArray().map(item => this.context.lookup(item)) : [];
+      for (let i = 0; i < items.length;) {
+        const first = numberValue(items[i]);
+        if (items[i + 1] instanceof PDFArray) {
+          // c [w1 w2 ...]
+          numbersOf(this.context, items[i + 1]).forEach((width, offset) => widths.set(first + offset, width));
+          i += 2;
+        } else {
+          // cfirst clast w
+          const last = numberValue(items[i + 1]);
+          const width = numberValue(items[i + 2]);
+          for (let cid = first; cid <= last && cid - first < 65536; cid++) widths.set(cid, width);
+          i += 3;
+        }
+      }
+    }
+    return code => (widths.has(code) ? widths.get(code) : defaultWidth);
+  }
+
+  /**
+   * Split a string operand into glyphs
+   * @param {Uint8Array} bytes - String bytes
+   * @returns {Array<{code: number, text: string, width: number}>} - Glyph codes, their text and advance (text space units)
+   */
+  decode(bytes) {
+    const glyphs = [];
+    for (let i = 0; i < bytes.length;) {
+      const length = this.codeLength(bytes, i);
+      let code = 0;
+      for (let j = 0; j < length; j++) code = code * 256 + (bytes[i + j] || 0);
+      i += length;
+
+      let text;
+      if (this.cmap && this.cmap.map.has(code)) {
+        text = this.cmap.map.get(code);
+      } else if (this.singleByte) {
+        text = this.encoding[code] || '';
+      } else {
+        text = this.cidText ? this.cidText(code) : '';
+      }
+      if (!text && !this.warned) {
+        console.warn(`[PDF Text] Some glyphs of ${this.name} have no Unicode mapping and are left out`);
+        this.warned = true;
+      }
+      glyphs.push({ code, text: text.replace(/[\u0000-\u001f]/g, ''), width: this.readWidths(code) * this.widthScale });
+    }
+    return glyphs;
+  }
+
+  codeLength(bytes, offset) {
+    if (this.codeLengths.length === 1 || !this.cmap) return this.codeLengths[0];
+    for (const length of this.codeLengths) {
+      let code = 0;
+      for (let j = 0; j < length; j++) code = code * 256 + (bytes[offset + j] || 0);
+      if (this.cmap.codespace.some(range => range.length === length && code >= range.low && code <= range.high)) {
+        return length;
+      }
+    }
+    return this.codeLengths[0];
+  }
+}
+
+/**
+ * Glyph widths of a standard 14 font, looked up by the character a code stands for
+ * @returns {Function|null} - Text to width in thousandths of an em, or null for other fonts
+ */
+function standardFontWidths(baseFont) {
+  if (!Object.values(StandardFonts).includes(baseFont)) return null;
+  const embedder = StandardFontEmbedder.for(baseFont);
+  return text => {
+    if (!text) return 0;
+    try {
+      return embedder.font.getWidthOfGlyph(embedder.encoding.encodeUnicodeCodePoint(text.codePointAt(0)).name);
+    } catch (error) {
+      return 0;
+    }
+  };
+}
+
+/**
+ * Character for every code of a simple font, from its /Encoding (a name or a dictionary of Differences)
+ * @param {Array<string>} builtIn - Glyph names by code from the embedded font program, used when no base encoding is named
+ * @returns {Array<string>} - Text by code
+ */
+function simpleEncoding(context, encodingObject, symbolic, builtIn = null) {
+  const encoding = context.lookup(encodingObject);
+  let baseName = nameOf(encoding);
+  let differences = [];
+  if (encoding instanceof PDFDict) {
+    baseName = nameOf(encoding.get(PDFName.of('BaseEncoding')));
+    const list = context.lookup(encoding.get(PDFName.of('Differences')));
+    differences = list instanceof PDFArray ? list.asArray().map(item => context.lookup(item)) : [];
+  }
+
+  const table = new Array(256).fill('');
+  for (let code = 32; code < 256; code++) {
+    let name = WIN_ANSI_NAMES[code - 32];
+    if (baseName === 'MacRomanEncoding') {
+      name = code < 127 ? name : MAC_ROMAN_DIFFERENCES[code];
+    } else if (baseName !== 'WinAnsiEncoding' && !symbolic) {
+      // Type 1 fonts default to StandardEncoding
+      name = STANDARD_DIFFERENCES[code] || (code < 127 ? name : null);
+    }
+    table[code] = symbolic && !baseName ? String.fromCharCode(code) : glyphToUnicode(name);
+  }
+  if (builtIn && !baseName) {
+    // TeX fonts keep ligatures, quotes and bullets below 32, where no standard encoding looks
+    builtIn.forEach((name, index) => { table[index] = glyphToUnicode(name); });
+  }
+
+  let code = 0;
+  differences.forEach(item => {
+    if (item instanceof PDFNumber) {
+      code = item.asNumber();
+    } else if (item instanceof PDFName) {
+      table[code] = glyphToUnicode(item.decodeText());
+      code++;
+    }
+  });
+  return table;
+}
+
+/**
+ * Character(s) for an Adobe glyph name: known names, uniXXXX, uXXXX[XX] and name.suffix variants
+ */
+function glyphToUnicode(name) {
+  if (!name) return '';
+  if (GLYPH_UNICODE[name] !== undefined) return GLYPH_UNICODE[name];
+
+  const base = name.split('.')[0];
+  if (base !== name && GLYPH_UNICODE[base] !== undefined) return GLYPH_UNICODE[base];
+  const uni = base.match(/^uni((?:[0-9A-F]{4})+)$/);
+  if (uni) {
+    return uni[1].match(/.{4}/g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+  }
+  const u = base.match(/^u([0-9A-F]{4,6})$/);
+  if (u) {
+    return String.fromCodePoint(parseInt(u[1], 16));
+  }
+  // Ligature names like f_f_i
+  if (/^[A-Za-z](_[A-Za-z])+$/.test(base)) {
+    return base.replace(/_/g, '');
+  }
+  return '';
+}
+
+function buildGlyphTable() {
+  const table = { ...EXTRA_GLYPHS };
+  WIN_ANSI_NAMES.forEach((name, index) => {
+    const code = index + 32;
+    if (!name || table[name] !== undefined) return;
+    table[name] = String.fromCharCode(code >= 128 && code < 160 ? WIN_ANSI_HIGH[code - 128] : code);
+  });
+  // Soft hyphens are usually drawn as plain hyphens
+  table.hyphen = '-';
+  return table;
+}
+
+/**
+ * The built-in encoding of an embedded Type 1 font (FontFile), from the
+ * "dup <code> /<name> put" lines of its clear-text part
+ * @returns {Array<string>|null} - Glyph names by code, or null for StandardEncoding and other font formats
+ */
+function embeddedType1Encoding(context, descriptor) {
+  const stream = context.lookup(descriptor.get(PDFName.of('FontFile')));
+  if (!(stream instanceof PDFRawStream)) return null;
+
+  try {
+    const bytes = decodeStream(stream);
+    const clearText = Buffer.from(bytes.buffer, bytes.byteOffset, Math.min(bytes.length, 65536)).toString('latin1').split('eexec')[0];
+    if (/\/Encoding\s+StandardEncoding\s+def/.test(clearText)) return null;
+
+    const names = [];
+    for (const match of clearText.matchAll(/dup\s+(\d+)\s*\/([^\s/]+)\s+put/g)) {
+      if (+match[1] < 256) names[+match[1]] = match[2];
+    }
+    return names.length > 0 ? names : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Text for the CIDs of an embedded TrueType CID font that has no ToUnicode map,
+ * read backwards from the font program's own cmap table
+ * @returns {Function|null} - CID to text, or null when the font can't tell
+ */
+function embeddedCidText(context, descendant, descriptor) {
+  const stream = context.lookup(descriptor.get(PDFName.of('FontFile2')));
+  if (!(stream instanceof PDFRawStream) || !(descendant instanceof PDFDict)) return null;
+
+  let unicodeByGlyph;
+  try {
+    unicodeByGlyph = trueTypeUnicodeByGlyph(decodeStream(stream));
+  } catch (error) {
+    console.warn(`[PDF Text] Could not read the cmap of ${nameOf(descriptor.get(PDFName.of('FontName')))}: ${error.message}`);
+    return null;
+  }
+  if (!unicodeByGlyph || unicodeByGlyph.size === 0) return null;
+
+  // CIDToGIDMap is Identity or a stream of 2-byte glyph ids indexed by CID
+  const cidToGid = context.lookup(descendant.get(PDFName.of('CIDToGIDMap')));
+  const gidMap = cidToGid instanceof PDFRawStream ? decodeStream(cidToGid) : null;
+  return cid => {
+    const gid = gidMap ? (gidMap[cid * 2] << 8) | gidMap[cid * 2 + 1] : cid;
+    return unicodeByGlyph.get(gid) || '';
+  };
+}
+
+/**
+ * Reverse a TrueType font's Unicode cmap subtable (format 4 or 12)
+ * @returns {Map<number, string>|null} - Glyph id to character
+ */
+function trueTypeUnicodeByGlyph(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tableCount = view.getUint16(4);
+  let cmap = null;
+  for (let i = 0; i < tableCount; i++) {
+    if (latin1(bytes, 12 + i * 16, 16 + i * 16) === 'cmap') cmap = view.getUint32(12 + i * 16 + 8);
+  }
+  if (cmap === null) return null;
+
+  // Prefer full Unicode (3,10), then BMP (3,1), then any Unicode platform subtable
+  let subtable = null;
+  let bestRank = 0;
+  for (let i = 0; i < view.getUint16(cmap + 2); i++) {
+    const record = cmap + 4 + i * 8;
+    const platform = view.getUint16(record);
+    const encoding = view.getUint16(record + 2);
+    const rank = platform === 3 && encoding === 10 ? 3 : platform === 3 && encoding === 1 ? 2 : platform === 0 ? 1 : 0;
+    if (rank > bestRank) {
+      bestRank = rank;
+      subtable = cmap + view.getUint32(record + 4);
+    }
+  }
+  if (subtable === null) return null;
+
+  const map = new Map();
+  const add = (code, gid) => {
+    if (gid && !map.has(gid)) map.set(gid, String.fromCodePoint(code));
+  };
+  const format = view.getUint16(subtable);
+  if (format === 4) {
+    const segCountX2 = view.getUint16(subtable + 6);
+    const ends = subtable + 14;
+    const starts = ends + segCountX2 + 2;
+    const deltas = starts + segCountX2;
+    const rangeOffsets = deltas + segCountX2;
+    for (let s = 0; s < segCountX2 / 2; s++) {
+      const end = view.getUint16(ends + s * 2);
+      const start = view.getUint16(starts + s * 2);
+      const delta = view.getInt16(deltas + s * 2);
+      const rangeOffset = view.getUint16(rangeOffsets + s * 2);
+      for (let code = start; code <= end && code !== 0xFFFF; code++) {
+        if (rangeOffset === 0) {
+          add(code, (code + delta) & 0xFFFF);
+        } else {
+          const gid = view.getUint16(rangeOffsets + s * 2 + rangeOffset + (code - start) * 2);
+          add(code, gid ? (gid + delta) & 0xFFFF : 0);
+        }
+      }
+    }
+  } else if (format === 12) {
+    const groups = view.getUint32(subtable + 12);
+    for (let g = 0; g < groups; g++) {
+      const group = subtable + 16 + g * 12;
+      const start = view.getUint32(group);
+      const end = Math.min(view.getUint32(group + 4), start + 0xFFFF);
+      const startGid = view.getUint32(group + 8);
+      for (let code = start; code <= end; code++) add(code, startGid + code - start);
+    }
+  }
+  return map;
+}
+
+/**
+ * Parse a ToUnicode CMap's codespace ranges, bfchar and bfrange entries
+ * @param {Uint8Array} bytes - Decoded CMap stream
+ * @returns {{map: Map<number, string>, codespace: Array<Object>, codeLengths: Array<number>}}
+ */
+function parseToUnicode(bytes) {
+  const source = Buffer.from(bytes).toString('latin1');
+  const map = new Map();
+  const codespace = [];
+  const hexToNumber = hex => parseInt(hex || '0', 16);
+  const hexToText = hex => {
+    const padded = hex.length % 4 === 0 ? hex : hex.padStart(Math.ceil(hex.length / 4) * 4, '0');
+    let text = '';
+    for (let i = 0; i < padded.length; i += 4) text += String.fromCharCode(parseInt(padded.substr(i, 4), 16));
+    return text;
+  };
+
+  sections(source, 'begincodespacerange', 'endcodespacerange').forEach(body => {
+    for (const match of body.matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>/g)) {
+      codespace.push({ length: Math.ceil(match[1].length / 2), low: hexToNumber(match[1]), high: hexToNumber(match[2]) });
+    }
+  });
+
+  sections(source, 'beginbfchar', 'endbfchar').forEach(body => {
+    for (const match of body.matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]*)>/g)) {
+      map.set(hexToNumber(match[1]), hexToText(match[2]));
+    }
+  });
+
+  sections(source, 'beginbfrange', 'endbfrange').forEach(body => {
+    for (const match of body.matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(<[0-9A-Fa-f]*>|\[[^\]]*\])/g)) {
+      const low = hexToNumber(match[1]);
+      const high = Math.min(hexToNumber(match[2]), low + 65535);
+      if (match[3].startsWith('[')) {
+        const targets = Array.from(match[3].matchAll(/<([0-9A-Fa-f]*)>/g)).map(target => hexToText(target[1]));
+        targets.forEach((text, offset) => { if (low + offset <= high) map.set(low + offset, text); });
+      } else {
+        const start = hexToText(match[3].slice(1, -1));
+        const prefix = start.slice(0, -1);
+        const last = start.charCodeAt(start.length - 1);
+        for (let code = low; code <= high; code++) {
+          map.set(code, prefix + String.fromCharCode(last + code - low));
+        }
+      }
+    }
+  });
+
+  const codeLengths = Array.from(new Set(codespace.map(range => range.length))).sort((a, b) => a - b);
+  return { map, codespace, codeLengths };
+}
+
+function sections(source, begin, end) {
+  const bodies = [];
+  let index = 0;
+  while ((index = source.indexOf(begin, index)) !== -1) {
+    const close = source.indexOf(end, index);
+    if (close === -1) break;
+    bodies.push(source.slice(index + begin.length, close));
+    index = close + end.length;
+  }
+  return bodies;
+}
+
+/**
+ * Decode an image XObject to JPEG or PNG bytes
+ * @returns {Promise<{buffer: Buffer, mimeType: string}|null>} - null for masks and formats we can't decode (JPEG 2000, CCITT, JBIG2)
+ */
+async function decodeImage(context, stream) {
+  const dict = stream.dict;
+  const get = key => context.lookup(dict.get(PDFName.of(key)));
+  const filters = namesOf(context, dict.get(PDFName.of('Filter')));
+
+  const imageMask = get('ImageMask');
+  if (imageMask instanceof PDFBool && imageMask.asBoolean()) return null;
+
+  if (filters.length === 1 && (filters[0] === 'DCTDecode' || filters[0] === 'DCT')) {
+    return { buffer: Buffer.from(stream.contents), mimeType: 'image/jpeg' };
+  }
+  if (!filters.every(filter => DECODABLE_FILTERS.includes(filter))) return null;
+
+  const width = numberValue(get('Width'));
+  const height = numberValue(get('Height'));
+  const bitsPerComponent = numberValue(get('BitsPerComponent')) || 8;
+  const colorSpace = resolveColorSpace(context, get('ColorSpace'));
+  if (!width || !height || !colorSpace) return null;
+
+  let data = decodePDFRawStream(stream).decode();
+  const parms = context.lookup(lookupArrayItem(context, dict.get(PDFName.of('DecodeParms')), -1) || dict.get(PDFName.of('DecodeParms')));
+  const predictor = parms instanceof PDFDict ? numberOf(context, parms.get(PDFName.of('Predictor'))) : 0;
+  if (predictor >= 10) {
+    data = undoPngPredictor(data, colorSpace.components, bitsPerComponent, width);
+  }
+
+  const decode = numbersOf(context, dict.get(PDFName.of('Decode')));
+  const invert = colorSpace.components === 1 && !colorSpace.palette && decode[0] === 1 && decode[1] === 0;
+  const rgba = Buffer.alloc(width * height * 4);
+  const rowBytes = Math.ceil(width * colorSpace.components * bitsPerComponent / 8);
+  const maxValue = (1 << Math.min(bitsPerComponent, 8)) - 1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const samples = [];
+      for (let c = 0; c < colorSpace.components; c++) {
+        const sampleIndex = x * colorSpace.components + c;
+        let value;
+        if (bitsPerComponent === 8) {
+          value = data[y * rowBytes + sampleIndex];
+        } else if (bitsPerComponent === 16) {
+          value = data[y * rowBytes + sampleIndex * 2];
+        } else {
+          const bit = sampleIndex * bitsPerComponent;
+          const byte = data[y * rowBytes + (bit >> 3)] || 0;
+          value = (byte >> (8 - bitsPerComponent - (bit & 7))) & maxValue;
+        }
+        samples.push(value || 0);
+      }
+      const [r, g, b] = colorSpace.toRgb(samples, bitsPerComponent === 16 ? 255 : maxValue, invert);
+      const offset = (y * width + x) * 4;
+      rgba[offset] = r;
+      rgba[offset + 1] = g;
+      rgba[offset + 2] = b;
+      rgba[offset + 3] = 255;
+    }
+  }
+
+  const image = new jimp({ data: rgba, width, height });
+  return { buffer: await image.getBufferAsync(jimp.MIME_PNG), mimeType: 'image/png' };
+}
+
+/**
+ * Grey level (0 black, 1 white) of a colour given as gray, RGB or CMYK operands; patterns count as black
+ */
+function colorLevel(operands) {
+  const values = operands.filter(value => typeof value === 'number');
+  if (operands.some(value => value instanceof Name)) return 0;
+  if (values.length === 1) return values[0];
+  if (values.length === 3) return 0.299 * values[0] + 0.587 * values[1] + 0.114 * values[2];
+  if (values.length === 4) {
+    const [c, m, y, k] = values;
+    return (0.299 * (1 - c) + 0.587 * (1 - m) + 0.114 * (1 - y)) * (1 - k);
+  }
+  return 0;
+}
+
+/**
+ * Number of components and an RGB conversion for the colour spaces images commonly use
+ */
+function resolveColorSpace(context, value) {
+  const scaleTo255 = (sample, max) => Math.round(sample * 255 / max);
+  const gray = { components: 1, toRgb: ([v], max, invert) => { const g = scaleTo255(invert ? max - v : v, max); return [g, g, g]; } };
+  const rgb = { components: 3, toRgb: (samples, max) => samples.map(v => scaleTo255(v, max)) };
+  const cmyk = {
+    components: 4,
+    toRgb: ([c, m, y, k], max) => [c, m, y].map(v => Math.round(255 * (1 - v / max) * (1 - k / max)))
+  };
+
+  const name = nameOf(value);
+  if (name) {
+    if (/Gray|^G$/.test(name)) return gray;
+    if (/RGB$/.test(name)) return rgb;
+    if (/CMYK$/.test(name)) return cmyk;
+    return null;
+  }
+  if (!(value instanceof PDFArray)) return null;
+
+  const family = nameOf(context.lookup(value.get(0)));
+  if (family === 'ICCBased') {
+    const profile = context.lookup(value.get(1));
+    const components = profile && profile.dict ? numberOf(context, profile.dict.get(PDFName.of('N'))) : 3;
+    return components === 1 ? gray : components === 4 ? cmyk : rgb;
+  }
+  if (family === 'CalRGB' || family === 'Lab') return rgb;
+  if (family === 'CalGray') return gray;
+  if (family === 'Indexed' || family === 'I') {
+    const base = resolveColorSpace(context, context.lookup(value.get(1)));
+    const lookup = context.lookup(value.get(3));
+    let table;
+    if (lookup instanceof PDFRawStream) table = decodeStream(lookup);
+    else if (lookup instanceof PDFHexString || lookup instanceof PDFString) table = lookup.asBytes();
+    if (!base || !table) return null;
+    return {
+      components: 1,
+      palette: true,
+      toRgb: ([index]) => base.toRgb(Array.from(table.slice(index * base.components, (index + 1) * base.components)), 255, false)
+    };
+  }
+  return null;
+}
+
+function undoPngPredictor(data, components, bitsPerComponent, columns) {
+  const bytesPerPixel = Math.max(1, Math.ceil(components * bitsPerComponent / 8));
+  const rowBytes = Math.ceil(columns * components * bitsPerComponent / 8);
+  const rows = Math.floor(data.length / (rowBytes + 1));
+  const output = new Uint8Array(rows * rowBytes);
+
+  for (let row = 0; row < rows; row++) {
+    const type = data[row * (rowBytes + 1)];
+    const input = row * (rowBytes + 1) + 1;
+    const out = row * rowBytes;
+    for (let i = 0; i < rowBytes; i++) {
+      const left = i >= bytesPerPixel ? output[out + i - bytesPerPixel] : 0;
+      const up = row > 0 ? output[out - rowBytes + i] : 0;
+      const upLeft = row > 0 && i >= bytesPerPixel ? output[out - rowBytes + i - bytesPerPixel] : 0;
+      let predicted = 0;
+      if (type === 1) predicted = left;
+      else if (type === 2) predicted = up;
+      else if (type === 3) predicted = (left + up) >> 1;
+      else if (type === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      output[out + i] = (data[input + i] + predicted) & 0xff;
+    }
+  }
+  return output;
+}
+
+/**
+ * Tokenizer for content streams: numbers, strings (as bytes), names, arrays, dictionaries and operators
+ */
+class ContentLexer {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  /**
+   * @returns {*} - The next operand or Operator, undefined at the end
+   */
+  next() {
+    this.skipWhitespace();
+    if (this.pos >= this.bytes.length) return undefined;
+    const ch = this.bytes[this.pos];
+
+    switch (ch) {
+      case 0x28: // (
+        return this.readLiteralString();
+      case 0x3C: // <
+        if (this.bytes[this.pos + 1] === 0x3C) {
+          this.pos += 2;
+          return this.readDictionary();
+        }
+        return this.readHexString();
+      case 0x2F: // /
+        return this.readName();
+      case 0x5B: { // [
+        this.pos++;
+        const items = [];
+        let item;
+        while ((item = this.next()) !== undefined && item !== ARRAY_END) {
+          if (!(item instanceof Operator)) items.push(item);
+        }
+        return items;
+      }
+      case 0x5D: // ]
+        this.pos++;
+        return ARRAY_END;
+      case 0x3E: // >> outside a dictionary
+        this.pos += this.bytes[this.pos + 1] === 0x3E ? 2 : 1;
+        return DICT_END;
+      default:
+        break;
+    }
+
+    if (ch === 0x2B || ch === 0x2D || ch === 0x2E || (ch >= 0x30 && ch <= 0x39)) {
+      return this.readNumber();
+    }
+
+    const start = this.pos;
+    while (this.pos < this.bytes.length && !isWhitespace(this.bytes[this.pos]) && !isDelimiter(this.bytes[this.pos])) {
+      this.pos++;
+    }
+    if (this.pos === start) {
+      // A stray delimiter (e.g. ")" or "{"); step over it
+      this.pos++;
+      return this.next();
+    }
+    const word = latin1(this.bytes, start, this.pos);
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    return new Operator(word);
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.bytes.length) {
+      const ch = this.bytes[this.pos];
+      if (isWhitespace(ch)) {
+        this.pos++;
+      } else if (ch === 0x25) { // % comment
+        while (this.pos < this.bytes.length && this.bytes[this.pos] !== 0x0A && this.bytes[this.pos] !== 0x0D) this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  readNumber() {
+    const start = this.pos;
+    this.pos++;
+    while (this.pos < this.bytes.length) {
+      const ch = this.bytes[this.pos];
+      if ((ch >= 0x30 && ch <= 0x39) || ch === 0x2E) this.pos++;
+      else break;
+    }
+    const value = parseFloat(latin1(this.bytes, start, this.pos));
+    return isNaN(value) ? 0 : value;
+  }
+
+  readName() {
+    this.pos++;
+    const start = this.pos;
+    while (this.pos < this.bytes.length && !isWhitespace(this.bytes[this.pos]) && !isDelimiter(this.bytes[this.pos])) {
+      this.pos++;
+    }
+    return new Name(latin1(this.bytes, start, this.pos).replace(/#([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))));
+  }
+
+  readLiteralString() {
+    this.pos++;
+    const out = [];
+    let depth = 1;
+    while (this.pos < this.bytes.length) {
+      let ch = this.bytes[this.pos++];
+      if (ch === 0x5C) { // backslash
+        ch = this.bytes[this.pos++];
+        const escapes = { 0x6E: 0x0A, 0x72: 0x0D, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0C };
+        if (escapes[ch] !== undefined) {
+          out.push(escapes[ch]);
+        } else if (ch >= 0x30 && ch <= 0x37) {
+          let octal = ch - 0x30;
+          for (let i = 0; i < 2 && this.bytes[this.pos] >= 0x30 && this.bytes[this.pos] <= 0x37; i++) {
+            octal = octal * 8 + (this.bytes[this.pos++] - 0x30);
+          }
+          out.push(octal & 0xff);
+        } else if (ch === 0x0D) {
+          // Line continuation
+          if (this.bytes[this.pos] === 0x0A) this.pos++;
+        } else if (ch !== 0x0A) {
+          out.push(ch);
+        }
+        continue;
+      }
+      if (ch === 0x28) depth++;
+      if (ch === 0x29 && --depth === 0) break;
+      out.push(ch);
+    }
+    return Uint8Array.from(out);
+  }
+
+  readHexString() {
+    this.pos++;
+    let hex = '';
+    while (this.pos < this.bytes.length && this.bytes[this.pos] !== 0x3E) {
+      const ch = this.bytes[this.pos++];
+      if (!isWhitespace(ch)) hex += String.fromCharCode(ch);
+    }
+    this.pos++;
+    if (hex.length % 2) hex += '0';
+    return Uint8Array.from(hex.match(/../g) || [], pair => parseInt(pair, 16) || 0);
+  }
+
+  readDictionary() {
+    const dict = {};
+    let key = null;
+    let item;
+    while ((item = this.next()) !== undefined && item !== DICT_END) {
+      if (key === null && item instanceof Name) {
+        key = item.name;
+      } else if (key !== null) {
+        dict[key] = item;
+        key = null;
+      }
+    }
+    return dict;
+  }
+
+  /**
+   * Skip an inline image (BI ... ID <data> EI); its data isn't tokenizable
+   */
+  skipInlineImage() {
+    let item;
+    while ((item = this.next()) !== undefined && !(item instanceof Operator && item.name === 'ID')) {
+      // Image parameters are not needed
+    }
+    this.pos++;
+    while (this.pos < this.bytes.length - 1) {
+      if (this.bytes[this.pos] === 0x45 && this.bytes[this.pos + 1] === 0x49 &&
+          isWhitespace(this.bytes[this.pos - 1]) &&
+          (this.pos + 2 >= this.bytes.length || isWhitespace(this.bytes[this.pos + 2]) || isDelimiter(this.bytes[this.pos + 2]))) {
+        this.pos += 2;
+        return;
+      }
+      this.pos++;
+    }
+    this.pos = this.bytes.length;
+  }
+}
+
+class Operator {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+class Name {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+const ARRAY_END = Symbol('array end');
+const DICT_END = Symbol('dict end');
+
+function isWhitespace(ch) {
+  return ch === 0x20 || ch === 0x0A || ch === 0x0D || ch === 0x09 || ch === 0x0C || ch === 0x00;
+}
+
+function isDelimiter(ch) {
+  return ch === 0x28 || ch === 0x29 || ch === 0x3C || ch === 0x3E || ch === 0x5B || ch === 0x5D ||
+    ch === 0x7B || ch === 0x7D || ch === 0x2F || ch === 0x25;
+}
+
+function latin1(bytes, start, end) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset + start, end - start).toString('latin1');
+}
+
+/**
+ * Concatenate a page's content streams (Contents may be one stream or an array)
+ */
+function readContents(context, contents) {
+  const resolved = context.lookup(contents);
+  const streams = resolved instanceof PDFArray
+    ? resolved.asArray().map(item => context.lookup(item))
+    : [resolved];
+
+  const parts = streams.filter(stream => stream instanceof PDFRawStream).map(decodeStream);
+  const total = parts.reduce((sum, part) => sum + part.length + 1, 0);
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach(part => {
+    bytes.set(part, offset);
+    // Streams split at arbitrary points still need a separator between them
+    bytes[offset + part.length] = 0x0A;
+    offset += part.length + 1;
+  });
+  return bytes;
+}
+
+function decodeStream(stream) {
+  const filters = namesOf(stream.dict.context, stream.dict.get(PDFName.of('Filter')));
+  return filters.length ? decodePDFRawStream(stream).decode() : stream.contents;
+}
+
+// Multiply two PDF matrices [a b c d e f]: m1 applied first, then m2
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+function lookupDict(dict, key, context = null) {
+  if (!(dict instanceof PDFDict)) return null;
+  const value = (context || dict.context).lookup(dict.get(PDFName.of(key)));
+  return value instanceof PDFDict ? value : null;
+}
+
+function lookupArrayItem(context, value, index) {
+  const array = context.lookup(value);
+  if (!(array instanceof PDFArray) || array.size() === 0) return null;
+  return context.lookup(array.get(index < 0 ? array.size() + index : index));
+}
+
+function nameOf(value) {
+  return value instanceof PDFName ? value.decodeText() : null;
+}
+
+function namesOf(context, value) {
+  const resolved = context.lookup(value);
+  if (resolved instanceof PDFArray) {
+    return resolved.asArray().map(item => nameOf(context.lookup(item))).filter(Boolean);
+  }
+  const name = nameOf(resolved);
+  return name ? [name] : [];
+}
+
+function numberValue(value) {
+  return value instanceof PDFNumber ? value.asNumber() : 0;
+}
+
+function numberOf(context, value) {
+  return numberValue(context.lookup(value));
+}
+
+function numbersOf(context, value) {
+  const array = context.lookup(value);
+  return array instanceof PDFArray ? array.asArray().map(item => numberOf(context, item)) : [];
+}
+
+module.exports = {
+  extractPages,
+  pageMatrix
+};
@@ -15,9 +15,108 @@ const clearBtn = document.getElementById('clear-btn');
 const openFileBtn = document.getElementById('open-pdf-btn');
 const showInFolderBtn = document.getElementById('show-in-folder-btn');
 const openSendToKindleBtn = document.getElementById('open-send-to-kindle-btn');
+const emailToKindleBtn = document.getElementById('email-to-kindle-btn');
+const sendToDeviceBtn = document.getElementById('send-to-device-btn');
+const deviceStatus = document.getElementById('device-status');
+const deviceCollection = document.getElementById('device-collection');
+
+// Kindle Delivery Settings Elements
+const deliveryFields = {
+  kindleAddress: document.getElementById('delivery-kindle-address'),
+  fromAddress: document.getElementById('delivery-from-address'),
+  host: document.getElementById('delivery-host'),
+  port: document.getElementById('delivery-port'),
+  security: document.getElementById('delivery-security'),
+  user: document.getElementById('delivery-user'),
+  pass: document.getElementById('delivery-pass')
+};
+const deliveryAllowSelfSigned = document.getElementById('delivery-allow-self-signed');
+const deliveryClearPass = document.getElementById('delivery-clear-pass');
+const deliveryTestBtn = document.getElementById('delivery-test-btn');
+const deliverySaveBtn = document.getElementById('delivery-save-btn');
+
+// IMAP Mailbox Settings Elements
+const imapFields = {
+  host: document.getElementById('imap-host'),
+  port: document.getElementById('imap-port'),
+  security: document.getElementById('imap-security'),
+  user: document.getElementById('imap-user'),
+  pass: document.getElementById('imap-pass'),
+  folders: document.getElementById('imap-folders'),
+  afterConversion: document.getElementById('imap-after-conversion'),
+  moveTo: document.getElementById('imap-move-to'),
+  maxMessages: document.getElementById('imap-max-messages')
+};
+const imapAllowSelfSigned = document.getElementById('imap-allow-self-signed');
+const imapClearPass = document.getElementById('imap-clear-pass');
+const imapTestBtn = document.getElementById('imap-test-btn');
+const imapSaveBtn = document.getElementById('imap-save-btn');
+const imapImportBtn = document.getElementById('imap-import-btn');
+
+// What the password fields show for a saved password, by how it is stored
+const PASSWORD_PLACEHOLDERS = {
+  encrypted: '(saved)',
+  plaintext: '(saved unencrypted)',
+  unreadable: '(could not be decrypted, enter it again)'
+};
+
+// Settings Elements
+const settingsView = document.getElementById('settings-view');
+const settingsInputs = document.querySelectorAll('[data-setting]');
+const settingsChooseFolderBtns = document.querySelectorAll('[data-choose-folder]');
+const settingsDefaultTemplate = document.getElementById('settings-default-template');
+const settingsCalibrePath = document.getElementById('settings-calibre-path');
+const settingsSaveBtn = document.getElementById('settings-save-btn');
+const settingsResetBtn = document.getElementById('settings-reset-btn');
+const outputTemplateFields = document.getElementById('output-template-fields');
+const outputExample = document.getElementById('output-example');
+
+// Watch Folder Elements
+const watchFolderList = document.getElementById('watch-folder-list');
+const watchFolderRecent = document.getElementById('watch-folder-recent');
+const addWatchFolderBtn = document.getElementById('add-watch-folder-btn');
+const watchFolderFormat = document.getElementById('watch-folder-format');
+
+// Scheduled Digest Elements
+const digestScheduleList = document.getElementById('digest-schedule-list');
+const digestRunList = document.getElementById('digest-run-list');
+const digestScheduleNewBtn = document.getElementById('digest-schedule-new-btn');
+const digestScheduleEditor = document.getElementById('digest-schedule-editor');
+const digestScheduleName = document.getElementById('digest-schedule-name');
+const digestSchedulePreset = document.getElementById('digest-schedule-preset');
+const digestScheduleDayField = document.getElementById('digest-schedule-day-field');
+const digestScheduleDay = document.getElementById('digest-schedule-day');
+const digestScheduleTimeField = document.getElementById('digest-schedule-time-field');
+const digestScheduleTime = document.getElementById('digest-schedule-time');
+const digestScheduleCronField = document.getElementById('digest-schedule-cron-field');
+const digestScheduleCron = document.getElementById('digest-schedule-cron');
+const digestScheduleSources = document.getElementById('digest-schedule-sources');
+const digestScheduleAddSourceBtn = document.getElementById('digest-schedule-add-source-btn');
+const digestScheduleFormat = document.getElementById('digest-schedule-format');
+const digestScheduleDeliver = document.getElementById('digest-schedule-deliver');
+const digestScheduleEnabled = document.getElementById('digest-schedule-enabled');
+const digestScheduleCancelBtn = document.getElementById('digest-schedule-cancel-btn');
+const digestScheduleSaveBtn = document.getElementById('digest-schedule-save-btn');
+
+// Library Elements
+const sectionTabs = document.querySelectorAll('.section-tab');
+const libraryView = document.getElementById('library-view');
+const librarySearch = document.getElementById('library-search');
+const libraryList = document.getElementById('library-list');
 
 // Format Selection
 const formatOptions = document.querySelectorAll('input[name="format"]');
+const pagePresetRow = document.getElementById('page-preset-row');
+const pagePresetSelect = document.getElementById('page-preset');
+const pdfLayoutRow = document.getElementById('pdf-layout-row');
+const pdfLayoutSelect = document.getElementById('pdf-layout');
+
+// Mailbox Filter Elements
+const mailboxFilterFrom = document.getElementById('mailbox-filter-from');
+const mailboxFilterListId = document.getElementById('mailbox-filter-list-id');
+const mailboxFilterSince = document.getElementById('mailbox-filter-since');
+const mailboxFilterUntil = document.getElementById('mailbox-filter-until');
+const mailboxFilterUnread = document.getElementById('mailbox-filter-unread');
 
 // Template Dialog Elements
 const templateDialog = document.getElementById('template-dialog');
@@ -28,6 +127,7 @@ const templateSelector = document.getElementById('template-selector');
 const templatePreview = document.getElementById('template-preview-content');
 const templateConfirmBtn = document.getElementById('template-confirm-btn');
 const templateCancelBtn = document.getElementById('template-cancel-btn');
+const templatesFolderBtn = document.getElementById('templates-folder-btn');
 
 // State
 let uploadedFiles = [];
@@ -39,6 +139,16 @@ let detectedNewsletterInfo = null; // Store detected newsletter info
 let selectedTemplate = null; // Store selected template
 let selectedFormat = 'auto'; // Store selected format
 let progressInterval = null; // Store progress animation interval
+let watchFolderStatus = { directories: [], recent: [] }; // Last status sent by the folder watcher
+let watchFolderCurrent = null; // File the watcher is converting right now
+let kindleDevices = []; // Kindles currently mounted over USB
+let libraryEntries = []; // Last library listing from the main process
+let availableTemplates = []; // Built-in and user templates from the main process
+let outputDirectory = ''; // Folder converted books are saved in, from the output settings
+let appSettings = null; // Last settings sent by the main process
+let digestStatus = { schedules: [], runs: [] }; // Last status sent by the digest scheduler
+let digestEditing = null; // Schedule open in the editor: { id, sources }
+let settingsSaveRequested = false; // Confirm saves from the Settings view, not remembered choices
 
 // Init
 document.addEventListener('DOMContentLoaded', () => {
@@ -48,11 +158,6 @@ document.addEventListener('DOMContentLoaded', () => {
 
   console.log('[Renderer] Initialized');
 
-  // Set initial output path display
-  const userHome = '/Users'; // Simplified since os.homedir() isn't available
-  const downloadDir = `${userHome}/Downloads/kindle-books`;
-  outputPathDisplay.textContent = downloadDir;
-
   // Set initial selected format
   selectedFormat = document.querySelector('input[name="format"]:checked')?.value || 'auto';
   console.log(`[Renderer] Initial format selected: ${selectedFormat}`);
@@ -71,6 +176,7 @@ document.addEventListener('DOMContentLoaded', () => {
   ipc.on('ebook-generated', (result) => {
     console.log('[Renderer] Received ebook-generated event:', result);
     isProcessing = false;
+    refreshLibrary();
     dropZone.classList.remove('processing');
 
     // Clear progress animation interval if it exists
@@ -90,10 +196,17 @@ document.addEventListener('DOMContentLoaded', () => {
       // Store any additional files (for mixed content)
       additionalGeneratedFiles = result.additionalFiles || [];
 
-      showStatus(`${formatName} created successfully: ${path.basename(result.filePath)}`, 'success');
+      if (result.skipped) {
+        showStatus(`${path.basename(result.filePath)} already exists, kept the existing file`, 'info', 8000);
+      } else {
+        showStatus(`${formatName} created successfully: ${path.basename(result.filePath)}`, 'success');
+      }
+      outputPathDisplay.textContent = result.filePath;
       openFileBtn.disabled = false;
       showInFolderBtn.disabled = false;
       if (openSendToKindleBtn) openSendToKindleBtn.disabled = false;
+      if (emailToKindleBtn) emailToKindleBtn.disabled = false;
+      updateSendToDeviceState();
 
       // Update button text to reflect actual format
       if (openFileBtn) {
@@ -152,6 +265,8 @@ document.addEventListener('DOMContentLoaded', () => {
         openFileBtn.disabled = false;
         showInFolderBtn.disabled = false;
         if (openSendToKindleBtn) openSendToKindleBtn.disabled = false;
+        if (emailToKindleBtn) emailToKindleBtn.disabled = false;
+        updateSendToDeviceState();
       }
 
       // Add retry button handler
@@ -193,12 +308,224 @@ document.addEventListener('DOMContentLoaded', () => {
 
   ipc.on('progress-update', (data) => {
     console.log('[Renderer] Received progress update:', data);
+    // Email deliveries report through the status bar, not the conversion spinner
+    if (typeof data.taskId === 'string' && data.taskId.startsWith('delivery_')) {
+      if (data.percentage >= 0 && data.percentage < 100) {
+        showStatus(`Email to Kindle: ${data.status}`, 'info', 0);
+      }
+      return;
+    }
     updateProgressDisplay(data.percentage, data.status);
   });
 
+  ipc.on('kindle-delivery-config', (config) => {
+    Object.entries(deliveryFields).forEach(([key, input]) => {
+      if (input && key !== 'pass') input.value = config[key] ?? '';
+    });
+    if (deliveryFields.pass) {
+      deliveryFields.pass.value = '';
+      deliveryFields.pass.placeholder = PASSWORD_PLACEHOLDERS[config.passwordStorage] || '';
+    }
+    if (deliveryClearPass) deliveryClearPass.checked = false;
+    if (deliveryAllowSelfSigned) deliveryAllowSelfSigned.checked = Boolean(config.allowSelfSigned);
+  });
+
+  ipc.on('kindle-delivery-result', (result) => {
+    console.log('[Renderer] Received kindle-delivery-result event:', result);
+    if (result.action === 'send') {
+      if (emailToKindleBtn) emailToKindleBtn.disabled = !generatedFilePath;
+      refreshLibrary();
+      if (result.success) {
+        const attempts = result.attempts > 1 ? ` after ${result.attempts} attempts` : '';
+        const sentAs = result.sentAs ? ` as ${result.sentAs.toUpperCase()}` : '';
+        showStatus(`Sent ${path.basename(result.filePath)}${sentAs} to ${result.to}${attempts}`, 'success', 8000);
+      } else {
+        showStatus(`Email to Kindle failed: ${result.error}`, 'error', 10000);
+      }
+    } else if (result.action === 'test') {
+      showStatus(result.success ? 'SMTP connection works' : `SMTP test failed: ${result.error}`, result.success ? 'success' : 'error', 8000);
+    } else if (result.action === 'save') {
+      if (result.success && result.warning) {
+        showStatus(result.warning, 'warning', 10000);
+      } else {
+        showStatus(result.success ? 'Kindle delivery settings saved' : `Settings not saved: ${result.error}`, result.success ? 'success' : 'error', 8000);
+      }
+    }
+  });
+
+  ipc.on('imap-config', (config) => {
+    Object.entries(imapFields).forEach(([key, input]) => {
+      if (!input || key === 'pass') return;
+      input.value = Array.isArray(config[key]) ? config[key].join(', ') : config[key] ?? '';
+    });
+    if (imapFields.pass) {
+      imapFields.pass.value = '';
+      imapFields.pass.placeholder = PASSWORD_PLACEHOLDERS[config.passwordStorage] || '';
+    }
+    if (imapClearPass) imapClearPass.checked = false;
+    if (imapAllowSelfSigned) imapAllowSelfSigned.checked = Boolean(config.allowSelfSigned);
+    if (imapFields.moveTo) imapFields.moveTo.disabled = config.afterConversion !== 'move';
+  });
+
+  ipc.on('imap-result', (result) => {
+    console.log('[Renderer] Received imap-result event:', result);
+    if (result.action === 'test') {
+      if (!result.success) {
+        showStatus(`IMAP test failed: ${result.error}`, 'error', 10000);
+      } else if (result.missing && result.missing.length > 0) {
+        showStatus(`Connected, but these folders were not found: ${result.missing.join(', ')}. The server has ${result.folders.join(', ')}`, 'error', 12000);
+      } else {
+        showStatus(`IMAP connection works (${result.folders.length} folder(s))`, 'success', 8000);
+      }
+    } else if (result.action === 'save') {
+      if (result.success && result.warning) {
+        showStatus(result.warning, 'warning', 10000);
+      } else {
+        showStatus(result.success ? 'IMAP mailbox settings saved' : `Settings not saved: ${result.error}`, result.success ? 'success' : 'error', 8000);
+      }
+    } else if (result.action === 'finish') {
+      if (result.success) {
+        const done = result.after === 'move' ? 'moved' : 'marked as read';
+        showStatus(`${result.updated} message(s) ${done} in the IMAP mailbox`, 'info', 6000);
+      } else {
+        showStatus(`The ebook was made, but the messages were not updated: ${result.error}`, 'error', 10000);
+      }
+    }
+  });
+
+  ipc.on('settings', (data) => {
+    const firstLoad = !appSettings;
+    appSettings = data.settings;
+    outputDirectory = appSettings.output.directory;
+    if (!generatedFilePath) outputPathDisplay.textContent = outputDirectory;
+
+    settingsInputs.forEach(input => {
+      const value = getSetting(input.dataset.setting);
+      if (input.type === 'checkbox') {
+        input.checked = Boolean(value);
+      } else {
+        input.value = value ?? '';
+      }
+    });
+    renderDefaultTemplateOptions();
+    if (settingsCalibrePath) {
+      settingsCalibrePath.placeholder = data.detectedCalibrePath || 'Look for Calibre in the usual places';
+    }
+    if (outputExample) outputExample.textContent = data.outputExample;
+    if (outputTemplateFields && data.outputFields) {
+      outputTemplateFields.innerHTML = Object.entries(data.outputFields)
+        .map(([field, description]) => `<code title="${escapeHtml(description)}">{${field}}</code>`)
+        .join(' ');
+    }
+
+    // The main window starts from the saved preferences; later changes there are saved as they happen
+    if (firstLoad) applyConversionSettings();
+    if (data.saved && settingsSaveRequested) showStatus('Settings saved', 'success');
+    settingsSaveRequested = false;
+  });
+
+  // Scheduled digest events
+  ipc.on('digest-schedules', (status) => {
+    digestStatus = status;
+    // The reply to Save Digest; a rejected schedule comes back as an 'error' instead
+    if (digestEditing && digestEditing.saving) {
+      closeDigestEditor();
+      showStatus('Digest schedule saved', 'success');
+    }
+    renderDigestSchedules();
+  });
+
+  ipc.on('digest-schedule-source', ({ directory }) => {
+    if (digestEditing && !digestEditing.sources.includes(directory)) {
+      digestEditing.sources.push(directory);
+      renderDigestSources();
+    }
+  });
+
+  ipc.on('digest-schedule-result', (run) => {
+    refreshLibrary();
+    if (!run.success) {
+      showStatus(`${run.name} failed: ${run.error}`, 'error', 10000);
+    } else if (run.outputPath) {
+      const delivered = run.delivered ? `, delivered to ${run.delivered}` : '';
+      showStatus(`${run.name}: ${run.emails} email(s) → ${path.basename(run.outputPath)}${delivered}${run.error ? ` (${run.error})` : ''}`,
+        run.error ? 'warning' : 'success', 8000);
+    }
+  });
+
   ipc.on('error', (message) => {
+    if (digestEditing) digestEditing.saving = false;
     showStatus(`Error: ${message}`, 'error', 5000);
   });
+
+  // Watch folder events (kept separate from 'ebook-generated' so background
+  // conversions don't interrupt whatever is in the main view)
+  ipc.on('watch-folder-status', (status) => {
+    watchFolderStatus = status;
+    renderWatchFolders();
+  });
+
+  ipc.on('watch-folder-processing', ({ sourcePath }) => {
+    watchFolderCurrent = sourcePath;
+    renderWatchFolders();
+  });
+
+  ipc.on('watch-folder-result', (result) => {
+    console.log('[Renderer] Received watch-folder-result event:', result);
+    watchFolderCurrent = null;
+    refreshLibrary();
+    if (result.success) {
+      showStatus(`Watch folder: ${path.basename(result.sourcePath)} converted to ${path.basename(result.filePath)}`, 'success');
+    } else {
+      showStatus(`Watch folder: could not convert ${path.basename(result.sourcePath)}: ${result.error}`, 'error', 8000);
+    }
+  });
+
+  ipc.send('watch-folder-list');
+  ipc.send('digest-schedules-list');
+  ipc.send('kindle-delivery-get-config');
+  ipc.send('imap-get-config');
+  ipc.send('settings-get');
+
+  ipc.on('kindle-devices', (devices) => {
+    kindleDevices = devices || [];
+    renderDeviceStatus();
+    renderLibrary();
+  });
+
+  ipc.on('send-to-device-result', (result) => {
+    console.log('[Renderer] Received send-to-device-result event:', result);
+    updateSendToDeviceState();
+    refreshLibrary();
+    if (result.success) {
+      const where = result.collection ? ` (${result.collection})` : '';
+      showStatus(`Copied to ${result.device}${where}. Eject the Kindle before unplugging it.`, 'success', 8000);
+    } else {
+      showStatus(`Send to device failed: ${result.error}`, 'error', 8000);
+    }
+  });
+
+  ipc.send('kindle-devices-list');
+
+  ipc.on('library-entries', (entries) => {
+    libraryEntries = entries || [];
+    renderLibrary();
+  });
+
+  // Sent on startup and whenever a file in the templates folder changes
+  ipc.on('templates-updated', (status) => {
+    availableTemplates = status.templates || [];
+    renderTemplateOptions();
+    renderDefaultTemplateOptions();
+    renderLibrary();
+    if (status.errors && status.errors.length > 0) {
+      const { file, error } = status.errors[0];
+      const more = status.errors.length > 1 ? ` (and ${status.errors.length - 1} more)` : '';
+      showStatus(`Template ${path.basename(file)} not loaded: ${error}${more}`, 'warning', 8000);
+    }
+  });
+
+  ipc.send('templates-list');
 });
 
 // Event Listeners
@@ -230,6 +557,163 @@ function setupEventListeners() {
     });
   }
 
+  if (emailToKindleBtn) {
+    emailToKindleBtn.addEventListener('click', () => {
+      if (generatedFilePath) {
+        emailToKindleBtn.disabled = true;
+        ipc.send('send-to-kindle-email', { filePath: generatedFilePath });
+        showStatus('Emailing to Kindle...', 'info', 0);
+      }
+    });
+  }
+
+  sectionTabs.forEach(tab => {
+    tab.addEventListener('click', () => showSectionView(tab.dataset.view));
+  });
+
+  if (librarySearch) {
+    librarySearch.addEventListener('input', () => refreshLibrary());
+  }
+
+  if (libraryList) {
+    libraryList.addEventListener('click', handleLibraryAction);
+  }
+
+  if (sendToDeviceBtn) {
+    sendToDeviceBtn.addEventListener('click', () => {
+      if (generatedFilePath && kindleDevices.length > 0) {
+        sendToDeviceBtn.disabled = true;
+        ipc.send('send-to-device', {
+          filePath: generatedFilePath,
+          collection: deviceCollection?.value.trim() || null
+        });
+        showStatus('Copying to Kindle...', 'info', 0);
+      }
+    });
+  }
+
+  if (deliveryTestBtn) {
+    deliveryTestBtn.addEventListener('click', () => {
+      ipc.send('kindle-delivery-test', getDeliverySettings());
+      showStatus('Testing SMTP connection...', 'info', 0);
+    });
+  }
+
+  if (deliverySaveBtn) {
+    deliverySaveBtn.addEventListener('click', () => {
+      ipc.send('kindle-delivery-save-config', getDeliverySettings());
+    });
+  }
+
+  if (imapTestBtn) {
+    imapTestBtn.addEventListener('click', () => {
+      ipc.send('imap-test', getImapSettings());
+      showStatus('Testing IMAP connection...', 'info', 0);
+    });
+  }
+
+  if (imapSaveBtn) {
+    imapSaveBtn.addEventListener('click', () => {
+      ipc.send('imap-save-config', getImapSettings());
+    });
+  }
+
+  if (imapFields.afterConversion && imapFields.moveTo) {
+    imapFields.afterConversion.addEventListener('change', () => {
+      imapFields.moveTo.disabled = imapFields.afterConversion.value !== 'move';
+    });
+  }
+
+  if (imapImportBtn) {
+    imapImportBtn.addEventListener('click', importFromImap);
+  }
+
+  settingsChooseFolderBtns.forEach(button => {
+    button.addEventListener('click', () => {
+      settingsSaveRequested = true;
+      ipc.send('settings-choose-folder', { setting: button.dataset.chooseFolder });
+    });
+  });
+
+  if (settingsSaveBtn) {
+    settingsSaveBtn.addEventListener('click', () => {
+      settingsSaveRequested = true;
+      ipc.send('settings-save', getSettingsForm());
+    });
+  }
+
+  if (settingsResetBtn) {
+    settingsResetBtn.addEventListener('click', () => {
+      if (confirm('Put every setting back to its default? Kindle email delivery is kept.')) {
+        settingsSaveRequested = true;
+        ipc.send('settings-reset', {});
+      }
+    });
+  }
+
+  // Choices made in the main window become the new defaults
+  if (pagePresetSelect) {
+    pagePresetSelect.addEventListener('change', () => {
+      ipc.send('settings-save', { conversion: { pagePreset: pagePresetSelect.value } });
+    });
+  }
+
+  if (pdfLayoutSelect) {
+    pdfLayoutSelect.addEventListener('change', () => {
+      ipc.send('settings-save', { conversion: { pdfLayout: pdfLayoutSelect.value } });
+    });
+  }
+
+  if (deviceCollection) {
+    deviceCollection.addEventListener('change', () => {
+      ipc.send('settings-save', { delivery: { deviceCollection: deviceCollection.value.trim() } });
+    });
+  }
+
+  if (digestScheduleNewBtn) {
+    digestScheduleNewBtn.addEventListener('click', () => openDigestEditor(null));
+  }
+
+  if (digestSchedulePreset) {
+    digestSchedulePreset.addEventListener('change', updateDigestPresetFields);
+  }
+
+  if (digestScheduleAddSourceBtn) {
+    digestScheduleAddSourceBtn.addEventListener('click', () => ipc.send('digest-schedule-choose-source'));
+  }
+
+  if (digestScheduleCancelBtn) {
+    digestScheduleCancelBtn.addEventListener('click', closeDigestEditor);
+  }
+
+  if (digestScheduleSaveBtn) {
+    digestScheduleSaveBtn.addEventListener('click', () => {
+      if (!digestEditing) return;
+      digestEditing.saving = true;
+      ipc.send('digest-schedule-save', {
+        id: digestEditing.id,
+        name: digestScheduleName.value.trim(),
+        cron: getDigestCron(),
+        sources: digestEditing.sources,
+        formatPreference: digestScheduleFormat.value,
+        deliver: digestScheduleDeliver.value,
+        enabled: digestScheduleEnabled.checked
+      });
+    });
+  }
+
+  if (addWatchFolderBtn) {
+    addWatchFolderBtn.addEventListener('click', () => {
+      ipc.send('watch-folder-add');
+    });
+  }
+
+  if (watchFolderFormat) {
+    watchFolderFormat.addEventListener('change', () => {
+      ipc.send('watch-folder-format', { formatPreference: watchFolderFormat.value });
+    });
+  }
+
   // Enable generate button and add event listener
   if (generateKindleBtn) {
     generateKindleBtn.addEventListener('click', () => {
@@ -245,6 +729,8 @@ function setupEventListeners() {
       option.addEventListener('change', () => {
         selectedFormat = document.querySelector('input[name="format"]:checked')?.value || 'auto';
         console.log(`[Renderer] Format changed to: ${selectedFormat}`);
+        updatePagePresetVisibility();
+        ipc.send('settings-save', { conversion: { format: selectedFormat } });
 
         // Update button state if we have files
         if (uploadedFiles.length > 0) {
@@ -288,6 +774,10 @@ function setupEventListeners() {
   if (templateSelector) {
     templateSelector.addEventListener('change', updateTemplatePreview);
   }
+
+  if (templatesFolderBtn) {
+    templatesFolderBtn.addEventListener('click', () => ipc.send('templates-open-folder'));
+  }
 }
 
 // Add a file picker button to the UI
@@ -317,12 +807,14 @@ function openFilePicker() {
   
   if (dialog && typeof dialog.showOpenDialog === 'function') {
     dialog.showOpenDialog({
-      title: 'Select Email or PDF Files',
+      title: 'Select Email, PDF or Ebook Files',
       properties: ['openFile', 'multiSelections'],
       filters: [
-        { name: 'Email & PDF Files', extensions: ['eml', 'pdf'] },
+        { name: 'Email, PDF & Ebook Files', extensions: ['eml', 'mbox', 'mbx', 'pdf', 'epub', 'azw3', 'mobi'] },
         { name: 'Email Files', extensions: ['eml'] },
+        { name: 'Mailboxes', extensions: ['mbox', 'mbx'] },
         { name: 'PDF Files', extensions: ['pdf'] },
+        { name: 'Ebooks', extensions: ['epub', 'azw3', 'mobi'] },
         { name: 'All Files', extensions: ['*'] }
       ]
     }).then(result => {
@@ -336,7 +828,7 @@ function openFilePicker() {
       // Fall back to regular file input
       const input = document.createElement('input');
       input.type = 'file';
-      input.accept = '.eml,.pdf';
+      input.accept = '.eml,.mbox,.mbx,.pdf,.epub,.azw3,.mobi';
       input.multiple = true;
       input.addEventListener('change', (e) => {
         if (e.target.files && e.target.files.length > 0) {
@@ -350,7 +842,7 @@ function openFilePicker() {
     // Fall back to regular file input
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.eml,.pdf';
+    input.accept = '.eml,.mbox,.mbx,.pdf,.epub,.azw3,.mobi';
     input.multiple = true;
     input.addEventListener('change', (e) => {
       if (e.target.files && e.target.files.length > 0) {
@@ -382,7 +874,10 @@ function processSelectedFiles() {
   ipc.send('process-dropped-files', {
     paths: uploadedFiles,
     formatPreference: formatPreference,
-    selectedTemplate: selectedTemplate
+    selectedTemplate: selectedTemplate,
+    pagePreset: getPagePreset(),
+    pdfLayout: getPdfLayout(),
+    mailboxFilters: getMailboxFilters()
   });
   
   showStatus(`Processing ${uploadedFiles.length} file(s)...`, 'info');
@@ -391,6 +886,244 @@ function processSelectedFiles() {
   startProgressAnimation();
 }
 
+// Fetch the newsletters matching the mailbox filters from the IMAP mailbox and convert them
+function importFromImap() {
+  if (isProcessing) return;
+
+  isProcessing = true;
+  dropZone.classList.add('processing');
+  updateGenerateButtonState(false);
+
+  ipc.send('imap-import', {
+    filters: { ...getMailboxFilters(), unread: Boolean(mailboxFilterUnread?.checked) },
+    formatPreference: selectedFormat || document.querySelector('input[name="format"]:checked')?.value || 'auto',
+    selectedTemplate: selectedTemplate,
+    pagePreset: getPagePreset(),
+    pdfLayout: getPdfLayout()
+  });
+
+  showStatus('Fetching newsletters from the IMAP mailbox...', 'info', 0);
+  startProgressAnimation();
+}
+
+// Switch the right-hand panel between the preview, the library and the settings
+function showSectionView(view) {
+  sectionTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.view === view));
+  previewPanel.hidden = view !== 'preview';
+  if (libraryView) libraryView.hidden = view !== 'library';
+  if (settingsView) settingsView.hidden = view !== 'settings';
+  if (view === 'library') refreshLibrary();
+}
+
+// A setting by its "section.key" name, e.g. "fonts.size"
+function getSetting(name) {
+  const [section, key] = name.split('.');
+  return appSettings?.[section]?.[key];
+}
+
+// Every field of the Settings view, grouped by section; the main process checks the values
+function getSettingsForm() {
+  const changes = {};
+  settingsInputs.forEach(input => {
+    const [section, key] = input.dataset.setting.split('.');
+    changes[section] = changes[section] || {};
+    changes[section][key] = input.type === 'checkbox' ? input.checked : input.value.trim();
+  });
+  return changes;
+}
+
+// Put the saved format, PDF options and collection into the main window
+function applyConversionSettings() {
+  const { conversion, delivery } = appSettings;
+  const formatOption = document.querySelector(`input[name="format"][value="${conversion.format}"]`);
+  if (formatOption) {
+    formatOption.checked = true;
+    selectedFormat = conversion.format;
+  }
+  if (pagePresetSelect) pagePresetSelect.value = conversion.pagePreset;
+  if (pdfLayoutSelect) pdfLayoutSelect.value = conversion.pdfLayout;
+  if (deviceCollection && !deviceCollection.value) deviceCollection.value = delivery.deviceCollection;
+  updatePagePresetVisibility();
+}
+
+function refreshLibrary() {
+  if (!libraryView || libraryView.hidden) return;
+  ipc.send('library-list', { query: librarySearch?.value || '' });
+}
+
+function renderLibrary() {
+  if (!libraryList) return;
+
+  if (libraryEntries.length === 0) {
+    libraryList.innerHTML = `<li class="library-empty">${librarySearch?.value ? 'No conversions match your search' : 'Converted ebooks will appear here'}</li>`;
+    return;
+  }
+
+  // Re-convert offers the same templates as the template dialog
+  const templateOptions = Array.from(templateSelector?.options || [])
+    .filter(option => option.value !== 'auto');
+
+  libraryList.innerHTML = libraryEntries.map(entry => {
+    const created = new Date(entry.createdAt).toLocaleString();
+    const size = entry.size ? ` · ${formatBytes(entry.size)}` : '';
+    const sources = entry.sources.length === 1 ? path.basename(entry.sources[0]) : `${entry.sources.length} source files`;
+    const origin = entry.origin === 'watch-folder' ? ' · from watch folder'
+      : entry.origin === 'schedule' ? ' · scheduled digest'
+      : entry.origin === 'imap' ? ' · from IMAP mailbox' : '';
+    const lastDelivery = entry.deliveries && entry.deliveries.length > 0 ? entry.deliveries[entry.deliveries.length - 1] : null;
+    const delivered = lastDelivery
+      ? ` · sent to ${escapeHtml(lastDelivery.target)} ${new Date(lastDelivery.at).toLocaleDateString()}`
+      : '';
+    const disabled = entry.exists ? '' : 'disabled';
+    const options = templateOptions.map(option =>
+      `<option value="${escapeHtml(option.value)}" ${option.value === entry.template ? 'selected' : ''}>${escapeHtml(option.textContent)}</option>`
+    ).join('');
+
+    return `
+      <li class="library-entry ${entry.exists ? '' : 'missing'}" data-id="${escapeHtml(entry.id)}">
+        <h4>${escapeHtml(entry.title)}</h4>
+        <div class="library-meta">
+          ${escapeHtml(created)} · ${escapeHtml(capitalizeFirstLetter(entry.newsletterType))} · template ${escapeHtml(entry.template)} · ${escapeHtml((entry.format || '').toUpperCase())}${size}${origin}${delivered}<br>
+          ${escapeHtml(sources)} → ${escapeHtml(entry.exists ? entry.outputPath : `${entry.outputPath} (file missing)`)}
+        </div>
+        <div class="library-actions">
+          <button class="secondary-btn" data-action="open" ${disabled}>Open</button>
+          <button class="secondary-btn" data-action="show" ${disabled}>Show in Folder</button>
+          <button class="secondary-btn" data-action="email" ${disabled}>Email to Kindle</button>
+          <button class="secondary-btn" data-action="device" ${entry.exists && kindleDevices.length > 0 ? '' : 'disabled'}>Send to Device</button>
+          <select data-role="template">${options}</select>
+          <button class="secondary-btn" data-action="reconvert">Re-convert</button>
+          <button class="danger-btn" data-action="delete">Delete</button>
+        </div>
+      </li>
+    `;
+  }).join('');
+}
+
+function handleLibraryAction(e) {
+  const button = e.target.closest('button[data-action]');
+  if (!button || button.disabled) return;
+
+  const item = button.closest('.library-entry');
+  const entry = libraryEntries.find(candidate => candidate.id === item.dataset.id);
+  if (!entry) return;
+
+  switch (button.dataset.action) {
+    case 'open':
+      ipc.send('open-file', { filePath: entry.outputPath });
+      break;
+    case 'show':
+      ipc.send('show-in-folder', { filePath: entry.outputPath });
+      break;
+    case 'email':
+      ipc.send('send-to-kindle-email', { filePath: entry.outputPath });
+      showStatus('Emailing to Kindle...', 'info', 0);
+      break;
+    case 'device':
+      ipc.send('send-to-device', { filePath: entry.outputPath, collection: deviceCollection?.value.trim() || null });
+      showStatus('Copying to Kindle...', 'info', 0);
+      break;
+    case 'reconvert': {
+      if (isProcessing) {
+        showStatus('Wait for the current conversion to finish', 'info');
+        return;
+      }
+      const template = item.querySelector('select[data-role="template"]')?.value;
+      showSectionView('preview');
+      isProcessing = true;
+      dropZone.classList.add('processing');
+      updateGenerateButtonState(false);
+      ipc.send('library-reconvert', { id: entry.id, selectedTemplate: template });
+      showStatus(`Re-converting "${entry.title}" with the ${template} template...`, 'info');
+      startProgressAnimation();
+      break;
+    }
+    case 'delete':
+      if (confirm(`Delete "${entry.title}" and its ebook file${entry.additionalFiles.length ? 's' : ''}?`)) {
+        ipc.send('library-delete', { id: entry.id, query: librarySearch?.value || '' });
+      }
+      break;
+  }
+}
+
+// Show connected Kindles and their free space
+function renderDeviceStatus() {
+  if (deviceStatus) {
+    deviceStatus.textContent = kindleDevices.length === 0
+      ? 'No Kindle connected over USB'
+      : kindleDevices.map(device => {
+          const free = device.freeBytes !== null ? `, ${formatBytes(device.freeBytes)} free` : '';
+          return `${device.name}${device.version ? ` (${device.version})` : ''}${free}`;
+        }).join(' · ');
+  }
+  updateSendToDeviceState();
+}
+
+function updateSendToDeviceState() {
+  if (sendToDeviceBtn) {
+    sendToDeviceBtn.disabled = !generatedFilePath || kindleDevices.length === 0;
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Read the Kindle delivery form; a blank password keeps the saved one
+function getImapSettings() {
+  const settings = {};
+  Object.entries(imapFields).forEach(([key, input]) => {
+    if (input) settings[key] = input.value.trim();
+  });
+  settings.port = Number(settings.port) || 993;
+  settings.maxMessages = Number(settings.maxMessages) || 50;
+  settings.allowSelfSigned = Boolean(imapAllowSelfSigned?.checked);
+  settings.clearPassword = Boolean(imapClearPass?.checked);
+  return settings;
+}
+
+function getDeliverySettings() {
+  const settings = {};
+  Object.entries(deliveryFields).forEach(([key, input]) => {
+    if (input) settings[key] = input.value.trim();
+  });
+  settings.port = Number(settings.port) || 587;
+  settings.allowSelfSigned = Boolean(deliveryAllowSelfSigned?.checked);
+  settings.clearPassword = Boolean(deliveryClearPass?.checked);
+  return settings;
+}
+
+// Collect the mbox/Maildir filters; comma-separated fields become lists
+function getMailboxFilters() {
+  const toList = (input) => (input && input.value ? input.value.split(',').map(item => item.trim()).filter(Boolean) : []);
+  return {
+    from: toList(mailboxFilterFrom),
+    listId: toList(mailboxFilterListId),
+    since: mailboxFilterSince?.value || null,
+    until: mailboxFilterUntil?.value || null
+  };
+}
+
+// The Kindle screen PDF pages are sized for; only sent with PDF output
+function getPagePreset() {
+  return selectedFormat === 'pdf' && pagePresetSelect ? pagePresetSelect.value : null;
+}
+
+// Whether PDF inputs are reflowed or keep their pages; only sent with PDF output
+function getPdfLayout() {
+  return selectedFormat === 'pdf' && pdfLayoutSelect ? pdfLayoutSelect.value : null;
+}
+
+function updatePagePresetVisibility() {
+  if (pagePresetRow) {
+    pagePresetRow.hidden = selectedFormat !== 'pdf';
+  }
+  if (pdfLayoutRow) {
+    pdfLayoutRow.hidden = selectedFormat !== 'pdf';
+  }
+}
+
 // Handle files selected via dialog
 function handleFileSelection(filePaths) {
   console.log('[Renderer] Files selected via dialog:', filePaths);
@@ -505,7 +1238,10 @@ function handleFileDrop(files) {
   ipc.send('process-dropped-files', { 
     paths: filePaths,
     formatPreference: selectedFormat || 'auto',
-    selectedTemplate: selectedTemplate || null
+    selectedTemplate: selectedTemplate || null,
+    pagePreset: getPagePreset(),
+    pdfLayout: getPdfLayout(),
+    mailboxFilters: getMailboxFilters()
   });
   
   // Show processing indication
@@ -659,8 +1395,11 @@ function showTemplateConfirmation(info) {
 
   // Fill in newsletter info
   detectedName.textContent = info.name || 'Newsletter';
-  detectedType.textContent = capitalizeFirstLetter(info.type || 'generic');
+  const platform = info.platformName && info.platform !== info.type ? ` · sent with ${info.platformName}` : '';
+  detectedType.textContent = `${capitalizeFirstLetter(info.type || 'generic')}${platform}`;
   detectedConfidence.textContent = `${info.confidence}%`;
+  // Hovering the confidence shows which headers and patterns matched
+  detectedConfidence.title = (info.signals || []).join(', ');
 
   // Set selector to detected type
   templateSelector.value = info.type || 'generic';
@@ -672,6 +1411,58 @@ function showTemplateConfirmation(info) {
   templateDialog.classList.add('active');
 }
 
+// Rebuild the template picker, keeping the current choice if it still exists
+function renderTemplateOptions() {
+  if (!templateSelector || availableTemplates.length === 0) return;
+
+  const current = templateSelector.value;
+  const option = (template) => {
+    const element = document.createElement('option');
+    element.value = template.id;
+    element.textContent = template.name;
+    return element;
+  };
+
+  templateSelector.innerHTML = '<option value="auto">Auto-detected (Recommended)</option>';
+  availableTemplates.filter(template => template.builtIn)
+    .forEach(template => templateSelector.appendChild(option(template)));
+
+  const userDefined = availableTemplates.filter(template => !template.builtIn);
+  if (userDefined.length > 0) {
+    const group = document.createElement('optgroup');
+    group.label = 'Your templates';
+    userDefined.forEach(template => group.appendChild(option(template)));
+    templateSelector.appendChild(group);
+  }
+
+  const stillAvailable = Array.from(templateSelector.options).some(element => element.value === current);
+  templateSelector.value = stillAvailable ? current : 'auto';
+  if (templateDialog?.classList.contains('active')) {
+    updateTemplatePreview();
+  }
+}
+
+// The template choice in the Settings view; the saved one stays listed even if its file is gone
+function renderDefaultTemplateOptions() {
+  if (!settingsDefaultTemplate) return;
+
+  const current = getSetting('conversion.defaultTemplate') ?? settingsDefaultTemplate.value;
+  settingsDefaultTemplate.innerHTML = '<option value="">Detect the newsletter type</option>';
+  availableTemplates.forEach(template => {
+    const element = document.createElement('option');
+    element.value = template.id;
+    element.textContent = template.builtIn ? template.name : `${template.name} (yours)`;
+    settingsDefaultTemplate.appendChild(element);
+  });
+  if (current && !availableTemplates.some(template => template.id === current)) {
+    const element = document.createElement('option');
+    element.value = current;
+    element.textContent = `${current} (not found)`;
+    settingsDefaultTemplate.appendChild(element);
+  }
+  settingsDefaultTemplate.value = current || '';
+}
+
 // Update template preview based on selection
 function updateTemplatePreview() {
   if (!templatePreview || !templateSelector) {
@@ -687,8 +1478,21 @@ function updateTemplatePreview() {
   templatePreview.classList.add(`template-${selectedType === 'auto' ?
     (detectedNewsletterInfo?.type || 'generic') : selectedType}`);
 
+  const previewType = selectedType === 'auto' ? (detectedNewsletterInfo?.type || 'generic') : selectedType;
+
+  // User templates describe themselves
+  const userTemplate = availableTemplates.find(template => template.id === previewType && !template.builtIn);
+  if (userTemplate) {
+    templatePreview.innerHTML = `
+      <p class="template-example">Your "${escapeHtml(userTemplate.name)}" template will be applied.</p>
+      <p class="template-example">${escapeHtml(userTemplate.description || 'Its styles and cleanup rules come from your templates folder.')}</p>
+      <p class="template-example"><span style="font-style: italic; font-size: 0.9em; color: #666;">${escapeHtml(path.basename(userTemplate.source || ''))}</span></p>
+    `;
+    return;
+  }
+
   // Update content based on template type
-  switch(selectedType === 'auto' ? (detectedNewsletterInfo?.type || 'generic') : selectedType) {
+  switch(previewType) {
     case 'stratechery':
       templatePreview.innerHTML = `
         <p class="template-example">This newsletter will be formatted with Stratechery's template.</p>
@@ -735,6 +1539,56 @@ function updateTemplatePreview() {
   }
 }
 
+// Describe which template ran on each newsletter and what it removed
+function renderTemplateReport(reports) {
+  const describe = (report) => {
+    const origin = report.source === 'selected' ? 'chosen by you'
+      : `detected${report.confidence !== null && report.confidence !== undefined ? `, ${report.confidence}% match` : ''}`;
+    const removedTags = Object.entries(report.removed.elements)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([tag, count]) => `${count} &lt;${escapeHtml(tag)}&gt;`)
+      .join(', ');
+    const removed = report.removed.elementCount > 0
+      ? `Removed ${report.removed.elementCount} element(s) (${removedTags}) and ${report.removed.textCharacters} characters of text.`
+      : 'Nothing was removed.';
+    // Platform templates carry many rules for markup an email may not use; only list the ones that matched
+    const selectorSteps = report.steps
+      .filter(step => step.action === 'keep' || ((step.action === 'strip' || step.action === 'strip-text') && step.removed > 0))
+      .map(step => {
+        if (step.action === 'keep') return `kept ${step.matched} × ${escapeHtml(step.selector)}`;
+        if (step.action === 'strip') return `stripped ${step.removed} × ${escapeHtml(step.selector)}`;
+        return `stripped ${step.removed} block(s) matching ${escapeHtml(step.pattern)}`;
+      })
+      .join('; ');
+    const extraction = report.steps.find(step => step.action === 'extract');
+    const extracted = !extraction ? ''
+      : extraction.used
+        ? ` Found the article (${extraction.confidence}% confidence).`
+        : ` Kept the whole email: the article was only found with ${extraction.confidence}% confidence.`;
+    const outcome = report.error
+      ? `The template's cleanup failed (${escapeHtml(report.error)}); its styles were still applied.`
+      : `${removed}${extracted}`;
+
+    return `
+      <li>
+        ${report.section ? `<strong>${escapeHtml(report.section)}</strong>: ` : ''}${escapeHtml(report.name)}
+        <span class="template-badge">${origin}</span>
+        <div class="template-description">${outcome}${selectorSteps ? ` Rules: ${selectorSteps}.` : ''}</div>
+      </li>
+    `;
+  };
+
+  return `
+    <div class="template-info">
+      <div class="template-info-title">Template${reports.length > 1 ? 's' : ''} applied</div>
+      <ul class="template-report">
+        ${reports.map(describe).join('')}
+      </ul>
+    </div>
+  `;
+}
+
 // Preview updates
 function updatePreviewWithSuccess(result) {
   const formatName = result.formatName || result.format?.toUpperCase() || 'EPUB';
@@ -754,7 +1608,9 @@ function updatePreviewWithSuccess(result) {
 
   // Add template info if available
   let templateInfoSection = '';
-  if (detectedNewsletterInfo && detectedNewsletterInfo.type && detectedNewsletterInfo.type !== 'generic') {
+  if (result.templateReport && result.templateReport.length > 0) {
+    templateInfoSection = renderTemplateReport(result.templateReport);
+  } else if (detectedNewsletterInfo && detectedNewsletterInfo.type && detectedNewsletterInfo.type !== 'generic') {
     templateInfoSection = `
       <div class="template-info">
         <div class="template-info-title">
@@ -780,7 +1636,9 @@ function updatePreviewWithSuccess(result) {
       ${additionalFilesSection}
       <div class="preview-note">
         <p>For the best reading experience, send this file to your Kindle device.</p>
-        <p>${formatName} format provides better text reflowing, font adjustments, and Kindle navigation features.</p>
+        <p>${result.format === 'pdf'
+          ? 'The PDF pages are sized for your Kindle\'s screen; use Go To to jump between headings.'
+          : `${formatName} format provides better text reflowing, font adjustments, and Kindle navigation features.`}</p>
       </div>
     </div>
   `;
@@ -805,6 +1663,13 @@ function updatePreviewWithContent(data) {
                  PDF
                  </div>`;
     contentType = 'PDF Document';
+  } else if (data.newsletterType === 'book') {
+    typeBadge = `<div style="display: inline-block; background-color: #27ae60; color: white;
+                 padding: 4px 8px; border-radius: 4px; font-size: 12px;
+                 margin-left: 10px; vertical-align: middle;">
+                 Ebook
+                 </div>`;
+    contentType = 'Ebook';
   } else if (data.newsletterType === 'mixed') {
     typeBadge = `<div style="display: inline-block; background-color: #9b59b6; color: white;
                  padding: 4px 8px; border-radius: 4px; font-size: 12px;
@@ -837,7 +1702,7 @@ function updatePreviewWithContent(data) {
   // Template info section if newsletter type detected
   let templateInfoSection = '';
   if (data.newsletterType && data.newsletterType !== 'generic' &&
-      data.newsletterType !== 'pdf' && data.newsletterType !== 'mixed') {
+      data.newsletterType !== 'pdf' && data.newsletterType !== 'book' && data.newsletterType !== 'mixed') {
     templateInfoSection = `
       <div class="template-info">
         <div class="template-info-title">
@@ -976,6 +1841,7 @@ function clearContent(updateUI = true) {
   uploadedFiles = [];
   generatedFilePath = null;
   additionalGeneratedFiles = [];
+  outputPathDisplay.textContent = outputDirectory;
   detectedNewsletterInfo = null;
   selectedTemplate = null;
   isProcessing = false; // Important: reset processing state
@@ -1004,6 +1870,8 @@ function clearContent(updateUI = true) {
     openFileBtn.disabled = true;
     showInFolderBtn.disabled = true;
     if (openSendToKindleBtn) openSendToKindleBtn.disabled = true;
+    if (emailToKindleBtn) emailToKindleBtn.disabled = true;
+    updateSendToDeviceState();
     updateGenerateButtonState(false);
   }
 
@@ -1023,6 +1891,244 @@ function showStatus(msg, type = 'info', timeout = 4000) {
   }
 }
 
+// Render the watched folders and recent automatic conversions
+function renderWatchFolders() {
+  if (!watchFolderList || !watchFolderRecent) return;
+
+  if (watchFolderFormat && watchFolderStatus.formatPreference) {
+    watchFolderFormat.value = watchFolderStatus.formatPreference;
+  }
+
+  const emptyItem = (text) => {
+    const item = document.createElement('li');
+    item.className = 'watch-folder-empty';
+    item.textContent = text;
+    return item;
+  };
+
+  watchFolderList.innerHTML = '';
+  if (watchFolderStatus.directories.length === 0) {
+    watchFolderList.appendChild(emptyItem('No folders watched'));
+  }
+  watchFolderStatus.directories.forEach(directory => {
+    const item = document.createElement('li');
+    item.className = directory.active ? 'active' : 'inactive';
+    item.title = directory.active ? directory.path : `${directory.path} (not available)`;
+
+    const label = document.createElement('span');
+    label.className = 'watch-folder-path';
+    label.textContent = directory.path;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'secondary-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      ipc.send('watch-folder-remove', { directory: directory.path });
+    });
+
+    item.appendChild(label);
+    item.appendChild(removeBtn);
+    watchFolderList.appendChild(item);
+  });
+
+  watchFolderRecent.innerHTML = '';
+  if (watchFolderCurrent) {
+    const item = document.createElement('li');
+    item.className = 'processing';
+    item.textContent = `Converting ${path.basename(watchFolderCurrent)}…`;
+    watchFolderRecent.appendChild(item);
+  }
+  if (!watchFolderCurrent && watchFolderStatus.recent.length === 0) {
+    watchFolderRecent.appendChild(emptyItem('Nothing converted yet'));
+  }
+  watchFolderStatus.recent.forEach(entry => {
+    const item = document.createElement('li');
+    item.className = entry.success ? 'success' : 'error';
+    const time = new Date(entry.processedAt).toLocaleTimeString();
+
+    if (entry.success) {
+      item.textContent = `${time} ${path.basename(entry.sourcePath)} → ${path.basename(entry.outputPath)}`;
+      item.title = 'Select this ebook for Open / Show in Folder / Send to Kindle';
+      item.addEventListener('click', () => selectWatchFolderOutput(entry));
+    } else {
+      item.textContent = `${time} ${path.basename(entry.sourcePath)}: ${entry.error}`;
+      item.title = entry.sourcePath;
+    }
+    watchFolderRecent.appendChild(item);
+  });
+}
+
+// Render the digest schedules and their recent runs
+function renderDigestSchedules() {
+  if (!digestScheduleList || !digestRunList) return;
+
+  const emptyItem = (text) => {
+    const item = document.createElement('li');
+    item.className = 'watch-folder-empty';
+    item.textContent = text;
+    return item;
+  };
+  const button = (text, onClick) => {
+    const element = document.createElement('button');
+    element.className = 'secondary-btn';
+    element.textContent = text;
+    element.addEventListener('click', onClick);
+    return element;
+  };
+
+  digestScheduleList.innerHTML = '';
+  if (digestStatus.schedules.length === 0) {
+    digestScheduleList.appendChild(emptyItem('No scheduled digests'));
+  }
+  digestStatus.schedules.forEach(schedule => {
+    const item = document.createElement('li');
+    item.className = schedule.enabled ? 'active' : 'inactive';
+    item.title = schedule.sources.join('\n');
+
+    const info = document.createElement('span');
+    info.className = 'digest-schedule-info';
+    info.textContent = schedule.name;
+    const when = document.createElement('span');
+    when.className = 'digest-schedule-when';
+    if (schedule.running || schedule.queued) {
+      when.textContent = 'Building now…';
+    } else {
+      const next = schedule.nextRunAt ? ` · next ${new Date(schedule.nextRunAt).toLocaleString()}` : ' · off';
+      when.textContent = `${schedule.description}${next}`;
+    }
+    info.appendChild(when);
+
+    item.appendChild(info);
+    item.appendChild(button('Run Now', () => ipc.send('digest-schedule-run-now', { id: schedule.id })));
+    item.appendChild(button('Edit', () => openDigestEditor(schedule)));
+    item.appendChild(button('Remove', () => {
+      if (confirm(`Remove the "${schedule.name}" digest? Books it already built are kept.`)) {
+        ipc.send('digest-schedule-remove', { id: schedule.id });
+      }
+    }));
+    digestScheduleList.appendChild(item);
+  });
+
+  digestRunList.innerHTML = '';
+  if (digestStatus.runs.length === 0) {
+    digestRunList.appendChild(emptyItem('No digests built yet'));
+  }
+  digestStatus.runs.slice(0, 10).forEach(run => {
+    const item = document.createElement('li');
+    const time = new Date(run.startedAt).toLocaleString();
+    const caughtUp = run.caughtUp ? ' (catch-up)' : '';
+    item.title = run.error || '';
+
+    if (run.success && run.outputPath) {
+      const delivered = run.delivered ? ` → ${run.delivered}` : '';
+      item.className = run.error ? 'error' : 'success';
+      item.textContent = `${time} ${run.name}${caughtUp}: ${run.emails} email(s) → ${path.basename(run.outputPath)}${delivered}`;
+      item.addEventListener('click', () => selectWatchFolderOutput({ outputPath: run.outputPath, format: run.format }));
+    } else {
+      item.className = run.success ? 'processing' : 'error';
+      item.textContent = `${time} ${run.name}${caughtUp}: ${run.error}`;
+    }
+    digestRunList.appendChild(item);
+  });
+}
+
+// Open the schedule editor, empty for a new digest
+function openDigestEditor(schedule) {
+  if (!digestScheduleEditor) return;
+
+  digestEditing = { id: schedule ? schedule.id : null, sources: schedule ? [...schedule.sources] : [], saving: false };
+  digestScheduleName.value = schedule ? schedule.name : '';
+  digestScheduleFormat.value = schedule ? schedule.formatPreference : 'auto';
+  digestScheduleDeliver.value = schedule ? schedule.deliver : 'none';
+  digestScheduleEnabled.checked = schedule ? schedule.enabled : true;
+
+  // Daily, weekday and weekly schedules get the simple fields; anything else is edited as cron
+  const cron = schedule ? schedule.cron : '0 7 * * *';
+  const simple = cron.match(/^(\d{1,2}) (\d{1,2}) \* \* (\*|1-5|[0-6])$/);
+  digestScheduleCron.value = cron;
+  if (simple) {
+    const [, minute, hour, weekday] = simple;
+    digestSchedulePreset.value = weekday === '*' ? 'daily' : weekday === '1-5' ? 'weekdays' : 'weekly';
+    if (digestSchedulePreset.value === 'weekly') digestScheduleDay.value = weekday;
+    digestScheduleTime.value = `${hour.padStart(2, '0')}:${minute.padStart(2, '0')}`;
+  } else {
+    digestSchedulePreset.value = 'custom';
+  }
+
+  updateDigestPresetFields();
+  renderDigestSources();
+  digestScheduleEditor.hidden = false;
+  digestScheduleName.focus();
+}
+
+function closeDigestEditor() {
+  digestEditing = null;
+  if (digestScheduleEditor) digestScheduleEditor.hidden = true;
+}
+
+function updateDigestPresetFields() {
+  const preset = digestSchedulePreset.value;
+  digestScheduleDayField.hidden = preset !== 'weekly';
+  digestScheduleTimeField.hidden = preset === 'custom';
+  digestScheduleCronField.hidden = preset !== 'custom';
+  if (preset === 'custom' && !digestScheduleCron.value.trim()) {
+    digestScheduleCron.value = getDigestCron();
+  }
+}
+
+// The editor's schedule as a cron expression
+function getDigestCron() {
+  const preset = digestSchedulePreset.value;
+  if (preset === 'custom') return digestScheduleCron.value.trim();
+
+  const [hour, minute] = (digestScheduleTime.value || '07:00').split(':').map(Number);
+  const weekday = preset === 'weekdays' ? '1-5' : preset === 'weekly' ? digestScheduleDay.value : '*';
+  return `${minute} ${hour} * * ${weekday}`;
+}
+
+function renderDigestSources() {
+  if (!digestScheduleSources || !digestEditing) return;
+
+  digestScheduleSources.innerHTML = '';
+  if (digestEditing.sources.length === 0) {
+    const item = document.createElement('li');
+    item.className = 'watch-folder-empty';
+    item.textContent = 'No folders yet';
+    digestScheduleSources.appendChild(item);
+  }
+  digestEditing.sources.forEach(directory => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'watch-folder-path';
+    label.textContent = directory;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'secondary-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      digestEditing.sources = digestEditing.sources.filter(source => source !== directory);
+      renderDigestSources();
+    });
+
+    item.appendChild(label);
+    item.appendChild(removeBtn);
+    digestScheduleSources.appendChild(item);
+  });
+}
+
+// Make an automatically converted ebook the current output
+function selectWatchFolderOutput(entry) {
+  generatedFilePath = entry.outputPath;
+  generatedFileFormat = entry.format || 'epub';
+  openFileBtn.disabled = false;
+  showInFolderBtn.disabled = false;
+  if (openSendToKindleBtn) openSendToKindleBtn.disabled = false;
+  if (emailToKindleBtn) emailToKindleBtn.disabled = false;
+  updateSendToDeviceState();
+  openFileBtn.textContent = `Open ${generatedFileFormat.toUpperCase()}`;
+  showStatus(`Selected ${path.basename(entry.outputPath)}`, 'info', 3000);
+}
+
 function escapeHtml(unsafe) {
   if (!unsafe) return '';
   return unsafe
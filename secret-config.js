@@ -0,0 +1,161 @@
+// utils/secret-config.js
+// Settings saved as JSON in userData with a password that is encrypted at rest when the system allows it.
+// Kindle email delivery (SMTP) and the IMAP importer each keep one of these.
+const fs = require('fs');
+const path = require('path');
+
+class SecretConfig {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Config file name inside the data directory
+   * @param {Object} options.defaults - Every setting with its default, pass included
+   * @param {string} options.logLabel - Log prefix, e.g. 'IMAP Importer'
+   * @param {string} options.notSetUp - Start of the error when the settings can't be used, e.g. 'The IMAP mailbox is not set up'
+   * @param {Function} options.normalize - (config) => config with form values coerced to their types
+   * @param {Function} options.validate - (config) => human-readable problems, empty when usable
+   * @param {Function} options.describe - (config) => short summary for the log when settings are saved
+   */
+  constructor({ file, defaults, logLabel, notSetUp, normalize = config => config, validate, describe }) {
+    this.file = file;
+    this.defaults = defaults;
+    this.logLabel = logLabel;
+    this.notSetUp = notSetUp;
+    this.normalize = normalize;
+    this.validate = validate;
+    this.describe = describe;
+
+    this.config = { ...defaults };
+    this.configPath = null;
+    this.secretStore = null;
+    // The saved encrypted password when this system can't decrypt it; written back until it is replaced
+    this.unreadableSecret = null;
+  }
+
+  /**
+   * Load the saved settings
+   * @param {string} dataDir - Directory for the config file (the app's userData)
+   * @param {Object} secretStore - Optional Electron safeStorage (or compatible) to encrypt the password at rest
+   */
+  init(dataDir, secretStore = null) {
+    this.configPath = path.join(dataDir, this.file);
+    this.secretStore = secretStore;
+    this.config = { ...this.defaults };
+    this.unreadableSecret = null;
+
+    if (!fs.existsSync(this.configPath)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+      const { passEncrypted, ...rest } = saved;
+      this.config = { ...this.defaults, ...rest };
+
+      if (passEncrypted) {
+        try {
+          if (!this.canEncrypt()) {
+            throw new Error('secure storage is not available');
+          }
+          this.config.pass = this.secretStore.decryptString(Buffer.from(passEncrypted, 'base64'));
+        } catch (error) {
+          // No keyring this time, or a different one: keep the password as saved, it may decrypt on the next start
+          this.unreadableSecret = passEncrypted;
+          console.warn(`[${this.logLabel}] The saved password could not be decrypted (${error.message}); it needs to be entered again`);
+        }
+      }
+    } catch (error) {
+      console.error(`[${this.logLabel}] Could not read ${this.configPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Settings without the password, safe to hand to the renderer
+   * passwordStorage is 'encrypted', 'plaintext' when the system has no secure storage,
+   * or 'unreadable' when the saved password can't be decrypted and must be entered again
+   */
+  getConfig() {
+    const { pass, ...rest } = this.config;
+    return {
+      ...rest,
+      hasPassword: Boolean(pass),
+      passwordStorage: pass ? (this.canEncrypt() ? 'encrypted' : 'plaintext') : this.unreadableSecret ? 'unreadable' : null
+    };
+  }
+
+  /**
+   * Merge and persist new settings; an empty or missing password keeps the saved one
+   * @param {Object} changes - Partial settings; clearPassword: true removes the saved password
+   * @returns {Object} - The redacted settings
+   */
+  saveConfig(changes = {}) {
+    const { clearPassword, ...values } = changes;
+    const next = this.normalize({ ...this.config, ...values });
+    if (clearPassword) {
+      next.pass = '';
+    } else if (!values.pass) {
+      next.pass = this.config.pass;
+    }
+
+    const errors = this.problems(next);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    this.config = next;
+    if (clearPassword || values.pass) {
+      this.unreadableSecret = null;
+    }
+
+    if (this.configPath) {
+      const { pass, ...rest } = next;
+      const saved = { ...rest };
+      if (pass && this.canEncrypt()) {
+        saved.passEncrypted = this.secretStore.encryptString(pass).toString('base64');
+      } else if (pass) {
+        console.warn(`[${this.logLabel}] Secure storage is not available, so the password is saved unencrypted in ${this.configPath}`);
+        saved.pass = pass;
+      } else if (this.unreadableSecret) {
+        saved.passEncrypted = this.unreadableSecret;
+      }
+      fs.mkdirSync(path.dirname(this.configPath), { recursive: true });
+      fs.writeFileSync(this.configPath, JSON.stringify(saved, null, 2), { mode: 0o600 });
+    }
+
+    console.log(`[${this.logLabel}] Settings saved (${this.describe(next)})`);
+    return this.getConfig();
+  }
+
+  isConfigured() {
+    return this.problems(this.config).length === 0;
+  }
+
+  /**
+   * The saved settings with unsaved overrides on top, ready to connect with
+   * @param {Object} overrides - Settings to try instead of the saved ones; an empty password keeps the saved one
+   *   unless clearPassword is set
+   */
+  resolveConfig(overrides = {}) {
+    const { clearPassword, ...values } = overrides;
+    const config = this.normalize({ ...this.config, ...values });
+    if (!values.pass && !clearPassword) {
+      config.pass = this.config.pass;
+    }
+    const errors = this.problems(config);
+    if (errors.length > 0) {
+      throw new Error(`${this.notSetUp}: ${errors.join('; ')}`);
+    }
+    return config;
+  }
+
+  // What validate finds, with the reason when the password is missing because it couldn't be decrypted
+  problems(config) {
+    const errors = this.validate(config);
+    if (errors.length > 0 && !config.pass && this.unreadableSecret) {
+      errors.unshift('The saved password could not be decrypted on this system; enter it again');
+    }
+    return errors;
+  }
+
+  canEncrypt() {
+    return Boolean(this.secretStore && this.secretStore.isEncryptionAvailable());
+  }
+}
+
+module.exports = { SecretConfig };
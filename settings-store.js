@@ -0,0 +1,254 @@
+// utils/settings-store.js
+// App preferences in one place: a schema with defaults, validation and migrations, saved as JSON in userData.
+// Kindle email delivery and the IMAP mailbox keep their own files (secret-config.js) so their passwords can be encrypted.
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { DEFAULT_IMAGE_OPTIONS } = require('./image-processor');
+const { FONT_FAMILIES } = require('./html-pipeline');
+const { PAGE_PRESETS, DEFAULT_PAGE_PRESET } = require('./pdf-generator');
+const { PDF_LAYOUTS } = require('./pdf-processor');
+const {
+  DEFAULT_OUTPUT_SETTINGS,
+  COLLISION_POLICIES,
+  validateOutputSettings
+} = require('./output-paths');
+
+const SETTINGS_FILE = 'settings.json';
+
+// Every setting, grouped by section, with its type, default and allowed values
+const SETTINGS_SCHEMA = {
+  conversion: {
+    format: { type: 'enum', values: ['auto', 'azw3', 'epub', 'pdf'], default: 'auto' },
+    defaultTemplate: { type: 'string', default: '' }, // Empty: use the detected newsletter type
+    pagePreset: { type: 'enum', values: Object.keys(PAGE_PRESETS), default: DEFAULT_PAGE_PRESET },
+    pdfLayout: { type: 'enum', values: PDF_LAYOUTS, default: 'reflow' }
+  },
+  images: {
+    maxWidth: { type: 'integer', min: 200, max: 4000, default: DEFAULT_IMAGE_OPTIONS.maxWidth },
+    maxHeight: { type: 'integer', min: 200, max: 4000, default: DEFAULT_IMAGE_OPTIONS.maxHeight },
+    grayscale: { type: 'boolean', default: DEFAULT_IMAGE_OPTIONS.grayscale },
+    quality: { type: 'integer', min: 10, max: 100, default: DEFAULT_IMAGE_OPTIONS.quality },
+    downloadRemote: { type: 'boolean', default: DEFAULT_IMAGE_OPTIONS.downloadRemote }
+  },
+  fonts: {
+    family: { type: 'enum', values: Object.keys(FONT_FAMILIES), default: 'bookerly' },
+    size: { type: 'integer', min: 70, max: 160, default: 100 }, // Percent of the reader's size
+    lineHeight: { type: 'number', min: 1, max: 2.5, default: 1.6 },
+    indent: { type: 'boolean', default: true }
+  },
+  calibre: {
+    enabled: { type: 'boolean', default: true }, // Off: always use the built-in KF8 writer
+    path: { type: 'path', default: '' } // Folder holding ebook-convert; empty: look for it
+  },
+  output: {
+    directory: { type: 'path', default: DEFAULT_OUTPUT_SETTINGS.directory },
+    filenameTemplate: { type: 'string', default: DEFAULT_OUTPUT_SETTINGS.filenameTemplate },
+    newsletterFolders: { type: 'boolean', default: DEFAULT_OUTPUT_SETTINGS.newsletterFolders },
+    collision: { type: 'enum', values: COLLISION_POLICIES, default: DEFAULT_OUTPUT_SETTINGS.collision }
+  },
+  delivery: {
+    deviceCollection: { type: 'string', default: '' } // Collection books copied over USB are added to
+  },
+  watch: {
+    format: { type: 'enum', values: ['auto', 'azw3', 'epub', 'pdf'], default: 'auto' } // For books from watch folders
+  },
+  digest: {
+    contentsPage: { type: 'boolean', default: true },
+    cover: { type: 'enum', values: ['mosaic', 'title'], default: 'mosaic' },
+    order: { type: 'enum', values: ['added', 'oldest', 'newest'], default: 'added' }
+  }
+};
+
+// Each migration upgrades settings saved by one version to the next: MIGRATIONS[0] turns version 1 into 2, and so on
+const MIGRATIONS = [
+  // 1 → 2: the watch folders' output format was saved with the folder list
+  (saved, dataDir) => {
+    const legacyPath = path.join(dataDir, 'watch-folders.json');
+    if (!fs.existsSync(legacyPath)) return saved;
+
+    const { formatPreference } = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+    if (formatPreference) {
+      saved.watch = { format: formatPreference, ...(saved.watch || {}) };
+      console.log(`[Settings] Imported the watch folder format from ${legacyPath}`);
+    }
+    return saved;
+  }
+];
+
+const SETTINGS_VERSION = MIGRATIONS.length + 1;
+
+class SettingsStore extends EventEmitter {
+  constructor() {
+    super();
+    this.settings = defaultSettings();
+    this.settingsPath = null;
+  }
+
+  /**
+   * Load the saved settings, migrating them from older versions
+   * Values that no longer validate fall back to their defaults
+   * @param {string} dataDir - Directory for the settings file (the app's userData)
+   */
+  init(dataDir) {
+    this.settingsPath = path.join(dataDir, SETTINGS_FILE);
+
+    let saved = {};
+    try {
+      if (fs.existsSync(this.settingsPath)) {
+        saved = JSON.parse(fs.readFileSync(this.settingsPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`[Settings] Could not read ${this.settingsPath}, using defaults: ${error.message}`);
+    }
+
+    // Settings from before versions were saved, or none yet, are version 1 so older files are imported
+    const version = Number(saved.version) || 1;
+    for (let from = version; from < SETTINGS_VERSION; from++) {
+      try {
+        saved = MIGRATIONS[from - 1](saved, dataDir);
+      } catch (error) {
+        console.error(`[Settings] Migration from version ${from} failed: ${error.message}`);
+      }
+    }
+
+    const { settings, errors } = normalizeSettings(saved, defaultSettings());
+    errors.forEach(error => console.warn(`[Settings] ${error}, using the default`));
+    this.settings = settings;
+
+    if (version < SETTINGS_VERSION) {
+      this.write();
+    }
+    this.emit('change', this.get());
+  }
+
+  /**
+   * Current settings
+   * @param {string} section - One section (e.g. 'output'), or every section when omitted
+   * @returns {Object} - A copy that is safe to change
+   */
+  get(section = null) {
+    const copy = JSON.parse(JSON.stringify(this.settings));
+    return section ? copy[section] : copy;
+  }
+
+  /**
+   * Merge, validate and persist changes
+   * @param {Object} changes - Partial settings by section, e.g. { fonts: { size: 110 } }
+   * @returns {Object} - All settings after the change
+   */
+  save(changes = {}) {
+    const merged = this.get();
+    Object.entries(changes || {}).forEach(([section, values]) => {
+      if (SETTINGS_SCHEMA[section] && values && typeof values === 'object') {
+        merged[section] = { ...merged[section], ...values };
+      }
+    });
+
+    const { settings, errors } = normalizeSettings(merged, null);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    this.settings = settings;
+    this.write();
+
+    console.log(`[Settings] Saved ${Object.keys(changes || {}).join(', ') || 'settings'}`);
+    this.emit('change', this.get());
+    return this.get();
+  }
+
+  /**
+   * Put one section, or everything, back to the defaults
+   * @param {string} section - Section to reset, or every section when omitted
+   * @returns {Object} - All settings after the reset
+   */
+  reset(section = null) {
+    const defaults = defaultSettings();
+    return this.save(section ? { [section]: defaults[section] } : defaults);
+  }
+
+  write() {
+    if (!this.settingsPath) return;
+    fs.mkdirSync(path.dirname(this.settingsPath), { recursive: true });
+    fs.writeFileSync(this.settingsPath, JSON.stringify({ version: SETTINGS_VERSION, ...this.settings }, null, 2));
+  }
+}
+
+function defaultSettings() {
+  const settings = {};
+  Object.entries(SETTINGS_SCHEMA).forEach(([section, fields]) => {
+    settings[section] = {};
+    Object.entries(fields).forEach(([key, rule]) => {
+      settings[section][key] = rule.default;
+    });
+  });
+  return settings;
+}
+
+/**
+ * Coerce settings to the schema's types and check them
+ * Unknown sections and keys are dropped
+ * @param {Object} input - Settings by section
+ * @param {Object|null} fallback - Settings to use for invalid values; null reports them instead
+ * @returns {{settings: Object, errors: Array<string>}} - Clean settings and what was wrong
+ */
+function normalizeSettings(input, fallback) {
+  const settings = {};
+  const errors = [];
+
+  Object.entries(SETTINGS_SCHEMA).forEach(([section, fields]) => {
+    const values = input && typeof input[section] === 'object' && input[section] ? input[section] : {};
+    settings[section] = {};
+    Object.entries(fields).forEach(([key, rule]) => {
+      const raw = values[key] === undefined ? rule.default : values[key];
+      const { value, error } = coerce(raw, rule);
+      if (error) {
+        errors.push(`${section}.${key} ${error}`);
+        settings[section][key] = fallback ? fallback[section][key] : raw;
+      } else {
+        settings[section][key] = value;
+      }
+    });
+  });
+
+  // Output naming has rules beyond single values, e.g. template fields
+  const outputErrors = validateOutputSettings(settings.output);
+  if (outputErrors.length > 0) {
+    errors.push(...outputErrors.map(error => `output: ${error}`));
+    if (fallback) settings.output = { ...fallback.output };
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * One value in the type its schema rule asks for
+ * Form fields arrive as strings, so numbers and booleans are converted
+ */
+function coerce(value, rule) {
+  switch (rule.type) {
+    case 'boolean':
+      if (typeof value === 'boolean') return { value };
+      if (value === 'true' || value === 'false') return { value: value === 'true' };
+      return { error: 'must be true or false' };
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || value === null || !Number.isFinite(number)) return { error: 'must be a number' };
+      if (rule.type === 'integer' && !Number.isInteger(number)) return { error: 'must be a whole number' };
+      if (number < rule.min || number > rule.max) return { error: `must be between ${rule.min} and ${rule.max}` };
+      return { value: number };
+    }
+    case 'enum':
+      return rule.values.includes(value) ? { value } : { error: `must be one of ${rule.values.join(', ')}` };
+    case 'path': {
+      const text = String(value || '').trim();
+      if (text && !path.isAbsolute(text)) return { error: 'must be an absolute path' };
+      return { value: text ? path.normalize(text) : '' };
+    }
+    default:
+      return typeof value === 'string' ? { value: value.trim() } : { error: 'must be text' };
+  }
+}
+
+module.exports = new SettingsStore();
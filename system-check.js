@@ -10,6 +10,28 @@ class SystemCheck {
     this.issues = [];
     this.warnings = [];
     this.calibrePath = null;
+    this.calibreEnabled = true;
+    this.configuredCalibrePath = null;
+  }
+
+  /**
+   * Apply the Calibre settings
+   * @param {Object} calibre - enabled (false always uses the built-in KF8 writer) and path (folder holding ebook-convert)
+   */
+  configureCalibre({ enabled = true, path: folder = '' } = {}) {
+    this.calibreEnabled = enabled;
+    this.configuredCalibrePath = folder || null;
+  }
+
+  /**
+   * Command that runs Calibre's ebook-convert: from the configured folder, the folder found
+   * by findCalibrePath, or PATH. Null when Calibre is switched off.
+   */
+  getEbookConvertCommand() {
+    if (!this.calibreEnabled) return null;
+    const folder = this.configuredCalibrePath || this.calibrePath;
+    if (!folder) return 'ebook-convert';
+    return path.join(folder, process.platform === 'win32' ? 'ebook-convert.exe' : 'ebook-convert');
   }
 
   async findCalibrePath() {
@@ -64,6 +86,23 @@ class SystemCheck {
   }
 
   async checkCalibre() {
+    if (!this.calibreEnabled) {
+      return false;
+    }
+    if (this.configuredCalibrePath) {
+      try {
+        await execFilePromise(this.getEbookConvertCommand(), ['--version']);
+        return true;
+      } catch (error) {
+        this.issues.push({
+          type: 'calibre',
+          message: `Calibre's ebook-convert was not found in ${this.configuredCalibrePath}. AZW3 files will be written by the built-in KF8 writer.`,
+          resolution: 'Choose the folder that contains ebook-convert in Settings, or clear it to search automatically'
+        });
+        return false;
+      }
+    }
+
     try {
       // First try with existing PATH
       await execFilePromise('ebook-convert', ['--version']);
@@ -84,7 +123,7 @@ class SystemCheck {
 
       this.issues.push({
         type: 'calibre',
-        message: 'Calibre not found in PATH. AZW3 conversion will not be available.',
+        message: 'Calibre not found in PATH. AZW3 files will be written by the built-in KF8 writer.',
         resolution: 'Install Calibre from https://calibre-ebook.com/download'
       });
       return false;
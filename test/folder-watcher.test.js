@@ -0,0 +1,91 @@
+// test/folder-watcher.test.js
+// Watch folders convert what is dropped into them, but never the books the app writes itself
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const folderWatcher = require('../folder-watcher');
+const { writeOutputFile, onOutputWrite } = require('../output-paths');
+
+const DEBOUNCE_MS = 50;
+// Long enough for a file to settle (two debounce intervals) and be converted
+const SETTLE_MS = 500;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let dataDir;
+let watchDir;
+let converted;
+let stopRecording;
+
+test.beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'folder-watcher-test-'));
+  watchDir = path.join(dataDir, 'inbox');
+  fs.mkdirSync(watchDir);
+  converted = [];
+  stopRecording = onOutputWrite(filePath => folderWatcher.recordOutput(filePath));
+});
+
+test.afterEach(() => {
+  stopRecording();
+  folderWatcher.stop();
+  folderWatcher.setOutputDirectory(null);
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Converts like the app with PDF output saved next to the input
+async function convertNextToInput(filePath) {
+  converted.push(path.basename(filePath));
+  const outputPath = path.join(watchDir, `${path.basename(filePath, path.extname(filePath))} book.pdf`);
+  const written = writeOutputFile(outputPath, Buffer.from('%PDF-1.4'), 'version');
+  return { success: true, filePath: written.filePath, format: 'pdf' };
+}
+
+function startWatching(outputDirectory = null) {
+  folderWatcher.init(dataDir, convertNextToInput, { debounceMs: DEBOUNCE_MS });
+  folderWatcher.setOutputDirectory(outputDirectory);
+  folderWatcher.addDirectory(watchDir);
+}
+
+test('converts a dropped file once, and not the book written next to it', async () => {
+  startWatching(path.join(dataDir, 'books'));
+  fs.writeFileSync(path.join(watchDir, 'issue.eml'), 'Subject: Issue\r\n\r\nHello');
+  await wait(SETTLE_MS * 2);
+
+  assert.deepStrictEqual(converted, ['issue.eml']);
+  assert.ok(fs.existsSync(path.join(watchDir, 'issue book.pdf')));
+  assert.strictEqual(folderWatcher.ledger[path.join(watchDir, 'issue book.pdf')].output, true);
+});
+
+test('a new file in place of a deleted book is converted', async () => {
+  startWatching(path.join(dataDir, 'books'));
+  fs.writeFileSync(path.join(watchDir, 'issue.eml'), 'Subject: Issue\r\n\r\nHello');
+  await wait(SETTLE_MS);
+
+  fs.unlinkSync(path.join(watchDir, 'issue book.pdf'));
+  await wait(SETTLE_MS);
+  fs.writeFileSync(path.join(watchDir, 'issue book.pdf'), '%PDF-1.4 from elsewhere');
+  await wait(SETTLE_MS * 2);
+
+  assert.deepStrictEqual(converted, ['issue.eml', 'issue book.pdf']);
+});
+
+test('files in the output folder are never converted', async () => {
+  folderWatcher.init(dataDir, convertNextToInput, { debounceMs: DEBOUNCE_MS });
+  folderWatcher.addDirectory(watchDir);
+  // The output folder was changed to the watch folder after it was added
+  folderWatcher.setOutputDirectory(watchDir);
+  fs.writeFileSync(path.join(watchDir, 'issue.eml'), 'Subject: Issue\r\n\r\nHello');
+  await wait(SETTLE_MS);
+
+  assert.deepStrictEqual(converted, []);
+});
+
+test('refuses to watch the output folder or a folder inside it', () => {
+  folderWatcher.init(dataDir, convertNextToInput, { debounceMs: DEBOUNCE_MS });
+  folderWatcher.setOutputDirectory(dataDir);
+
+  assert.throws(() => folderWatcher.addDirectory(watchDir), /where converted books are saved/);
+  assert.deepStrictEqual(folderWatcher.getStatus().directories, []);
+});
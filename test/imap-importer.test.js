@@ -0,0 +1,183 @@
+// test/imap-importer.test.js
+// Fetches from a local IMAP server to check the folder, sender, List-Id and unread filters,
+// and that converted messages are marked read or moved afterwards
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hoodiecrow = require('hoodiecrow-imap');
+const imapImporter = require('../imap-importer');
+
+const USER = 'reader';
+const PASS = 'secret';
+
+// Stands in for Electron's safeStorage so the password isn't saved in plain text
+const fakeSecretStore = {
+  isEncryptionAvailable: () => true,
+  encryptString: text => Buffer.from(`enc:${text}`),
+  decryptString: buffer => buffer.toString().replace(/^enc:/, '')
+};
+
+function message({ from, subject, date, listId = null }) {
+  return [
+    `From: ${from}`,
+    'To: reader@example.com',
+    `Subject: ${subject}`,
+    `Date: ${date}`,
+    listId ? `List-Id: ${listId}` : null,
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    `<p>${subject}</p>`
+  ].filter(line => line !== null).join('\r\n');
+}
+
+// A fresh mailbox for each test, since marking and moving change it
+function mailbox() {
+  return {
+    INBOX: {
+      messages: [
+        {
+          raw: message({ from: 'The Weekly Bee <weeklybee@mail.beehiiv.com>', subject: 'The harbour reopens', date: 'Wed, 14 Oct 2026 08:00:00 +0000', listId: 'The Weekly Bee <weeklybee.beehiiv.com>' }),
+          flags: [],
+          internaldate: '14-Oct-2026 08:00:00 +0000'
+        },
+        {
+          raw: message({ from: 'Build Notes <notes@buttondown.email>', subject: 'Build Notes 41', date: 'Thu, 15 Oct 2026 08:00:00 +0000', listId: '<buildnotes.buttondown.email>' }),
+          flags: ['\\Seen'],
+          internaldate: '15-Oct-2026 08:00:00 +0000'
+        },
+        {
+          raw: message({ from: 'Build Notes <notes@buttondown.email>', subject: 'Build Notes 42', date: 'Fri, 16 Oct 2026 08:00:00 +0000', listId: '<buildnotes.buttondown.email>' }),
+          flags: [],
+          internaldate: '16-Oct-2026 08:00:00 +0000'
+        },
+        {
+          raw: message({ from: 'A Friend <friend@example.com>', subject: 'Lunch?', date: 'Sat, 17 Oct 2026 08:00:00 +0000' }),
+          flags: [],
+          internaldate: '17-Oct-2026 08:00:00 +0000'
+        }
+      ]
+    },
+    '': {
+      separator: '/',
+      folders: {
+        Newsletters: {
+          messages: [{
+            raw: message({ from: 'Field Notes <noreply@fieldnotes.example>', subject: 'A week in the orchard', date: 'Mon, 19 Oct 2026 08:00:00 +0000', listId: '<fieldnotes.example>' }),
+            flags: [],
+            internaldate: '19-Oct-2026 08:00:00 +0000'
+          }]
+        },
+        Archive: { messages: [] }
+      }
+    }
+  };
+}
+
+let server;
+let dataDir;
+
+test.beforeEach(async () => {
+  server = hoodiecrow({
+    plugins: ['ID', 'LITERALPLUS', 'UIDPLUS', 'MOVE', 'ENABLE'],
+    users: { [USER]: { password: PASS } },
+    storage: mailbox()
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'imap-importer-test-'));
+  imapImporter.init(dataDir, fakeSecretStore);
+  imapImporter.saveConfig({
+    host: '127.0.0.1',
+    port: server.server.address().port,
+    security: 'none',
+    user: USER,
+    pass: PASS,
+    folders: 'INBOX',
+    afterConversion: 'none'
+  });
+});
+
+test.afterEach(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function fetchSubjects(filters, config = {}) {
+  if (Object.keys(config).length > 0) {
+    imapImporter.saveConfig(config);
+  }
+  const fetched = await imapImporter.fetchMessages(filters);
+  try {
+    fetched.messages.forEach(fetchedMessage => assert.ok(fs.existsSync(fetchedMessage.path), `${fetchedMessage.subject} should be saved as .eml`));
+    return fetched.messages.map(fetchedMessage => fetchedMessage.subject);
+  } finally {
+    fetched.cleanup();
+  }
+}
+
+test('fetches every message in the configured folders, oldest first', async () => {
+  assert.deepStrictEqual(await fetchSubjects({}), ['The harbour reopens', 'Build Notes 41', 'Build Notes 42', 'Lunch?']);
+  assert.deepStrictEqual(await fetchSubjects({}, { folders: 'Newsletters' }), ['A week in the orchard']);
+  assert.deepStrictEqual(await fetchSubjects({}, { folders: 'INBOX, Newsletters' }), ['The harbour reopens', 'Build Notes 41', 'Build Notes 42', 'Lunch?', 'A week in the orchard']);
+});
+
+test('reports a folder the server does not have', async () => {
+  imapImporter.saveConfig({ folders: 'Newsleters' });
+  await assert.rejects(imapImporter.fetchMessages({}), /Folder "Newsleters" does not exist/);
+});
+
+test('filters by sender', async () => {
+  assert.deepStrictEqual(await fetchSubjects({ from: 'notes@buttondown.email' }), ['Build Notes 41', 'Build Notes 42']);
+  assert.deepStrictEqual(await fetchSubjects({ from: ['beehiiv.com', 'friend@example.com'] }), ['The harbour reopens', 'Lunch?']);
+});
+
+test('filters by List-Id', async () => {
+  const fetched = await imapImporter.fetchMessages({ listId: 'weeklybee.beehiiv.com' });
+  fetched.cleanup();
+
+  assert.deepStrictEqual(fetched.messages.map(fetchedMessage => fetchedMessage.subject), ['The harbour reopens']);
+  assert.strictEqual(fetched.messages[0].listId, 'The Weekly Bee <weeklybee.beehiiv.com>');
+  assert.strictEqual(fetched.messages[0].source, 'imap://127.0.0.1/INBOX');
+});
+
+test('only fetches unread messages when asked', async () => {
+  assert.deepStrictEqual(await fetchSubjects({ unread: true, from: 'notes@buttondown.email' }), ['Build Notes 42']);
+  assert.deepStrictEqual(await fetchSubjects({ unread: false, from: 'notes@buttondown.email' }), ['Build Notes 41', 'Build Notes 42']);
+});
+
+test('marks converted messages read, so the next unread import skips them', async () => {
+  imapImporter.saveConfig({ afterConversion: 'read' });
+  const fetched = await imapImporter.fetchMessages({ from: 'beehiiv.com' });
+  fetched.cleanup();
+
+  assert.deepStrictEqual(await imapImporter.finishMessages(fetched.messages), { updated: 1, action: 'read' });
+  assert.deepStrictEqual(await fetchSubjects({ unread: true }), ['Build Notes 42', 'Lunch?']);
+});
+
+test('moves converted messages to the chosen folder', async () => {
+  imapImporter.saveConfig({ afterConversion: 'move', moveTo: 'Archive' });
+  const fetched = await imapImporter.fetchMessages({ from: 'notes@buttondown.email' });
+  fetched.cleanup();
+
+  assert.deepStrictEqual(await imapImporter.finishMessages(fetched.messages), { updated: 2, action: 'move' });
+  assert.deepStrictEqual(await fetchSubjects({}), ['The harbour reopens', 'Lunch?']);
+  assert.deepStrictEqual(await fetchSubjects({}, { folders: 'Archive', afterConversion: 'none' }), ['Build Notes 41', 'Build Notes 42']);
+});
+
+test('keeps fetched messages in the data folder until they are discarded', async () => {
+  const fetched = await imapImporter.fetchMessages({ from: 'notes@buttondown.email' });
+  const paths = fetched.messages.map(fetchedMessage => fetchedMessage.path);
+  const outside = path.join(dataDir, 'imap-mailbox.json');
+
+  assert.strictEqual(path.dirname(fetched.importDir), path.join(dataDir, 'imap-messages'));
+  paths.forEach(messagePath => assert.ok(messagePath.startsWith(fetched.importDir)));
+
+  assert.strictEqual(imapImporter.discardMessages([paths[0], outside]), 1);
+  assert.ok(fs.existsSync(outside), 'files outside the messages folder are left alone');
+  assert.ok(fs.existsSync(fetched.importDir), 'the import folder stays while it has messages');
+
+  assert.strictEqual(imapImporter.discardMessages([paths[1]]), 1);
+  assert.ok(!fs.existsSync(fetched.importDir), 'the import folder goes with its last message');
+});
@@ -0,0 +1,213 @@
+// test/kindle-delivery.test.js
+// Sends through a local SMTP server to check delivery, auth failures and retries,
+// and checks how the password is stored with and without secure storage
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SMTPServer } = require('smtp-server');
+const kindleDelivery = require('../kindle-delivery');
+
+const USER = 'reader';
+const PASS = 'secret';
+
+// Stands in for Electron's safeStorage; "encryption" only has to round-trip
+const fakeSecretStore = available => ({
+  isEncryptionAvailable: () => available,
+  encryptString: text => Buffer.from(`enc:${text}`),
+  decryptString: buffer => buffer.toString().replace(/^enc:/, '')
+});
+
+let server;
+let port;
+let dataDir;
+let ebookPath;
+let received = [];
+let tempFailures = 0;
+
+test.before(async () => {
+  server = new SMTPServer({
+    secure: false,
+    disabledCommands: ['STARTTLS'],
+    allowInsecureAuth: true,
+    logger: false,
+    onAuth(auth, session, callback) {
+      if (auth.username === USER && auth.password === PASS) {
+        callback(null, { user: auth.username });
+      } else {
+        callback(new Error('Invalid username or password'));
+      }
+    },
+    onRcptTo(address, session, callback) {
+      if (tempFailures > 0) {
+        tempFailures--;
+        const error = new Error('Mailbox busy, try again later');
+        error.responseCode = 451;
+        return callback(error);
+      }
+      callback();
+    },
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => {
+        received.push({ to: session.envelope.rcptTo.map(rcpt => rcpt.address), raw: Buffer.concat(chunks).toString() });
+        callback();
+      });
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.server.address().port;
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kindle-delivery-test-'));
+  ebookPath = path.join(dataDir, 'Weekly Digest.epub');
+  fs.writeFileSync(ebookPath, 'not really an epub');
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  received = [];
+  tempFailures = 0;
+});
+
+function settings(changes = {}) {
+  return {
+    kindleAddress: 'reader@kindle.com',
+    fromAddress: 'me@example.com',
+    host: '127.0.0.1',
+    port,
+    security: 'none',
+    user: USER,
+    pass: PASS,
+    maxRetries: 2,
+    retryDelayMs: 10,
+    ...changes
+  };
+}
+
+test('sends the ebook as an attachment to the Kindle address', async () => {
+  const result = await kindleDelivery.sendFile(ebookPath, { config: settings() });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.attempts, 1);
+  assert.strictEqual(received.length, 1);
+  assert.deepStrictEqual(received[0].to, ['reader@kindle.com']);
+  assert.match(received[0].raw, /filename="Weekly Digest\.epub"/);
+  assert.match(received[0].raw, /Content-Type: application\/epub\+zip/);
+});
+
+test('refuses an AZW3 attachment, which Send to Kindle by email bounces', async () => {
+  const azw3Path = path.join(dataDir, 'Weekly Digest.azw3');
+  fs.writeFileSync(azw3Path, 'not really an azw3');
+
+  await assert.rejects(
+    kindleDelivery.sendFile(azw3Path, { config: settings() }),
+    /Weekly Digest\.azw3 is an AZW3 book, which Send to Kindle by email rejects/
+  );
+  assert.strictEqual(received.length, 0);
+});
+
+test('gives up at once when the server rejects the login', async () => {
+  await assert.rejects(
+    kindleDelivery.sendFile(ebookPath, { config: settings({ pass: 'wrong' }) }),
+    error => {
+      assert.match(error.message, /^Could not send to reader@kindle\.com: /);
+      assert.strictEqual(error.code, 'EAUTH');
+      return true;
+    }
+  );
+  assert.strictEqual(received.length, 0);
+});
+
+test('retries after a 4xx reply and reports the attempts it took', async () => {
+  tempFailures = 1;
+  const progress = [];
+  const result = await kindleDelivery.sendFile(ebookPath, {
+    config: settings(),
+    onProgress: (percentage, status) => progress.push(status)
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.attempts, 2);
+  assert.strictEqual(received.length, 1);
+  assert.ok(progress.some(status => status.startsWith('Send failed')), 'the retry should be reported');
+});
+
+test('stops retrying once the attempts run out', async () => {
+  tempFailures = 10;
+  await assert.rejects(
+    kindleDelivery.sendFile(ebookPath, { config: settings({ maxRetries: 1 }) }),
+    error => {
+      assert.strictEqual(error.responseCode, 451);
+      return true;
+    }
+  );
+  assert.strictEqual(tempFailures, 8);
+});
+
+test('encrypts the saved password when secure storage is available', () => {
+  kindleDelivery.init(dataDir, fakeSecretStore(true));
+  const config = kindleDelivery.saveConfig(settings());
+  const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'kindle-delivery.json'), 'utf8'));
+
+  assert.strictEqual(config.passwordStorage, 'encrypted');
+  assert.strictEqual(config.pass, undefined);
+  assert.strictEqual(saved.pass, undefined);
+  assert.strictEqual(Buffer.from(saved.passEncrypted, 'base64').toString(), `enc:${PASS}`);
+
+  kindleDelivery.init(dataDir, fakeSecretStore(true));
+  assert.strictEqual(kindleDelivery.resolveConfig().pass, PASS);
+});
+
+test('reports plaintext storage when secure storage is unavailable', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  fs.rmSync(path.join(dataDir, 'kindle-delivery.json'), { force: true });
+  kindleDelivery.init(dataDir, fakeSecretStore(false));
+  const config = kindleDelivery.saveConfig(settings());
+  const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'kindle-delivery.json'), 'utf8'));
+
+  assert.strictEqual(config.passwordStorage, 'plaintext');
+  assert.strictEqual(saved.pass, PASS);
+  assert.strictEqual(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /saved unencrypted/);
+});
+
+test('keeps a saved password that cannot be decrypted until it is entered again', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const file = path.join(dataDir, 'kindle-delivery.json');
+  kindleDelivery.init(dataDir, fakeSecretStore(true));
+  kindleDelivery.saveConfig(settings());
+  const { passEncrypted } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  kindleDelivery.init(dataDir, fakeSecretStore(false));
+  const config = kindleDelivery.getConfig();
+  assert.strictEqual(config.passwordStorage, 'unreadable');
+  assert.strictEqual(config.hasPassword, false);
+  assert.match(warn.mock.calls[0].arguments[0], /could not be decrypted/);
+  assert.throws(() => kindleDelivery.resolveConfig(), /could not be decrypted on this system; enter it again/);
+
+  // Saving other settings leaves the encrypted password in place
+  kindleDelivery.saveConfig({ user: '' });
+  assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).passEncrypted, passEncrypted);
+
+  kindleDelivery.init(dataDir, fakeSecretStore(true));
+  assert.strictEqual(kindleDelivery.resolveConfig({ user: USER }).pass, PASS);
+});
+
+test('forgets the saved password when asked to', () => {
+  kindleDelivery.init(dataDir, fakeSecretStore(true));
+  kindleDelivery.saveConfig(settings());
+  const config = kindleDelivery.saveConfig({ user: '', clearPassword: true });
+  const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'kindle-delivery.json'), 'utf8'));
+
+  assert.strictEqual(config.hasPassword, false);
+  assert.strictEqual(config.passwordStorage, null);
+  assert.strictEqual(saved.pass, undefined);
+  assert.strictEqual(saved.passEncrypted, undefined);
+  assert.strictEqual(saved.clearPassword, undefined);
+});
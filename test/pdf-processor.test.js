@@ -0,0 +1,75 @@
+// test/pdf-processor.test.js
+// Split mode cuts two-column pages into their columns without giving page numbers a page of their own
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { convertPDFToKindleFormat } = require('../pdf-processor');
+
+const WORDS = 'the harbour reopened after a long winter and the boats came back one by one with nets and crates'.split(' ');
+const FONT_SIZE = 10;
+
+// A line of words as wide as fits
+function lineOf(font, width) {
+  let text = '';
+  for (let i = 0; font.widthOfTextAtSize(`${text}${WORDS[i % WORDS.length]} `, FONT_SIZE) < width; i++) {
+    text += `${WORDS[i % WORDS.length]} `;
+  }
+  return text.trim();
+}
+
+/**
+ * Letter pages with two columns of text, 225pt wide with an 18pt gutter, and a page number centred under them
+ */
+async function twoColumnPdf(pageCount, { title = null } = {}) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  for (let number = 1; number <= pageCount; number++) {
+    const page = doc.addPage([612, 792]);
+    if (title) {
+      page.drawText(title, { x: 72, y: 730, size: 24, font });
+    }
+    for (let y = title ? 690 : 720; y > 90; y -= 13) {
+      page.drawText(lineOf(font, 225), { x: 72, y, size: FONT_SIZE, font });
+      page.drawText(lineOf(font, 225), { x: 315, y, size: FONT_SIZE, font });
+    }
+    const label = `Page ${number}`;
+    page.drawText(label, { x: 306 - font.widthOfTextAtSize(label, FONT_SIZE) / 2, y: 50, size: FONT_SIZE, font });
+  }
+  return Buffer.from(await doc.save());
+}
+
+async function outputSizes(pdfBuffer) {
+  const output = await PDFDocument.load(await convertPDFToKindleFormat(pdfBuffer, { splitPages: true }));
+  return output.getPages().map(page => {
+    const { width, height } = page.getMediaBox();
+    return { width: Math.round(width), height: Math.round(height) };
+  });
+}
+
+test('splits each column into screens and drops the page number under them', async t => {
+  t.mock.method(console, 'log', () => {});
+  const sizes = await outputSizes(await twoColumnPdf(3));
+
+  assert.strictEqual(sizes.length, 12, 'two screens for each of two columns on three pages');
+  sizes.forEach(size => assert.ok(size.width > 200 && size.height > 300, `${size.width}x${size.height} should be a column screen`));
+});
+
+test('keeps a title across both columns', async t => {
+  t.mock.method(console, 'log', () => {});
+  const sizes = await outputSizes(await twoColumnPdf(1, { title: 'The harbour reopens after the long winter' }));
+
+  assert.strictEqual(sizes.length, 5);
+  assert.ok(sizes[0].height < 72 && sizes[0].width > 200, 'the title comes first, on its own');
+});
+
+test('keeps a page whose only content is short', async t => {
+  t.mock.method(console, 'log', () => {});
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  doc.addPage([612, 792]).drawText('Notes', { x: 290, y: 400, size: FONT_SIZE, font });
+
+  const sizes = await outputSizes(Buffer.from(await doc.save()));
+
+  assert.strictEqual(sizes.length, 1);
+  assert.ok(sizes[0].width < 72 && sizes[0].height < 72, 'the page is trimmed to its one word');
+});
@@ -0,0 +1,112 @@
+// test/pdf-reflow.test.js
+// Reflowed columns read in order and join their lines into the same paragraphs, whichever column a line is in
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { reflowPdf } = require('../pdf-reflow');
+
+const FONT_SIZE = 10;
+const LEADING = 12;
+const COLUMN_WIDTH = 225;
+const GUTTER = 18;
+const INDENT = 12;
+
+const PARAGRAPHS = [
+  'The harbour reopened after a long winter. Boats came back one by one, with nets and crates stacked high on their decks and gulls wheeling overhead.',
+  'By noon the quay was crowded with buyers, and the fish market had its busiest morning in months. Prices held steady even as the catch came in.',
+  'Nobody expected the ice to clear so early this year, least of all the harbour master, who had planned a quiet week of repairs to the north pier.',
+  'The ferry to the islands runs again from Monday on its summer timetable, weather permitting, with an extra sailing on Saturday evenings.'
+];
+
+// Lines as wide as fit the column, the first of each paragraph indented
+function layOut(font, paragraphs) {
+  const lines = [];
+  paragraphs.forEach(paragraph => {
+    let text = '';
+    let indent = INDENT;
+    paragraph.split(' ').forEach(word => {
+      if (text && font.widthOfTextAtSize(`${text} ${word}`, FONT_SIZE) > COLUMN_WIDTH - indent) {
+        lines.push({ text, indent });
+        text = word;
+        indent = 0;
+      } else {
+        text = text ? `${text} ${word}` : word;
+      }
+    });
+    lines.push({ text, indent });
+  });
+  return lines;
+}
+
+/**
+ * One letter page with the lines poured into columns of the same font, size and leading
+ * @param {Array<Object>} lines - From layOut, or lines with a fontSize of their own
+ * @param {number} linesPerColumn - Where each column breaks
+ */
+async function columnPdf(lines, linesPerColumn) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.TimesRoman);
+  const page = doc.addPage([612, 792]);
+  lines.forEach((line, index) => {
+    const column = Math.floor(index / linesPerColumn);
+    page.drawText(line.text, {
+      x: 72 + column * (COLUMN_WIDTH + GUTTER) + line.indent,
+      y: 720 - (index % linesPerColumn) * LEADING,
+      size: line.fontSize || FONT_SIZE,
+      font
+    });
+  });
+  return Buffer.from(await doc.save());
+}
+
+async function paragraphsOf(pdfBuffer) {
+  const { html } = await reflowPdf(pdfBuffer);
+  return Array.from(html.matchAll(/<p>(.*?)<\/p>/g), match => match[1]);
+}
+
+async function timesRoman() {
+  return (await PDFDocument.create()).embedFont(StandardFonts.TimesRoman);
+}
+
+test('two and three columns give the same paragraphs as one', async t => {
+  t.mock.method(console, 'log', () => {});
+  const lines = layOut(await timesRoman(), [...PARAGRAPHS, ...PARAGRAPHS]);
+
+  const single = await paragraphsOf(await columnPdf(lines, lines.length));
+  assert.deepStrictEqual(single, [...PARAGRAPHS, ...PARAGRAPHS]);
+
+  for (const columns of [2, 3]) {
+    const pdf = await columnPdf(lines, Math.ceil(lines.length / columns));
+    assert.deepStrictEqual(await paragraphsOf(pdf), single, `${columns} columns`);
+  }
+});
+
+// The first column ends with the line that runs on into "least of all the harbour master"
+function breakAfterThisYear(lines) {
+  return lines.findIndex(line => line.text.endsWith('this year,')) + 1;
+}
+
+test('a sentence ending at the foot of a column does not end its paragraph', async t => {
+  t.mock.method(console, 'log', () => {});
+  const lines = layOut(await timesRoman(), PARAGRAPHS);
+  const cut = breakAfterThisYear(lines);
+  // A full line that ends a sentence, but not the paragraph
+  lines[cut - 1] = { ...lines[cut - 1], text: lines[cut - 1].text.replace(/,$/, '.') };
+
+  const single = await paragraphsOf(await columnPdf(lines, lines.length));
+  assert.strictEqual(single.length, PARAGRAPHS.length);
+  assert.deepStrictEqual(await paragraphsOf(await columnPdf(lines, cut)), single);
+});
+
+test('smaller text at the top of the next column does not carry on the paragraph', async t => {
+  t.mock.method(console, 'log', () => {});
+  const lines = layOut(await timesRoman(), PARAGRAPHS);
+  const cut = breakAfterThisYear(lines);
+  // The paragraph breaks off mid-sentence at the foot of the first column; a caption heads the second
+  const caption = { text: 'Photograph by the harbour office', indent: 0, fontSize: 7 };
+  const pdf = await columnPdf([...lines.slice(0, cut), caption, ...lines.slice(cut)], cut);
+
+  const paragraphs = await paragraphsOf(pdf);
+  assert.strictEqual(paragraphs.length, PARAGRAPHS.length + 2);
+  assert.strictEqual(paragraphs[3], caption.text);
+});
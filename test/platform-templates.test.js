@@ -0,0 +1,157 @@
+// test/platform-templates.test.js
+// Each fixture is a typical issue from one sending platform: its template must find the
+// article and drop the platform's web-view links, sponsor slots, share prompts and footers
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const cheerio = require('cheerio');
+const { parseEmlFile } = require('../eml-parser');
+const { resolveNewsletterTemplate, applyNewsletterTemplate } = require('../newsletter-detector');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'platforms');
+
+const PLATFORMS = {
+  beehiiv: {
+    kept: [
+      'The harbour reopens',
+      'the first catch was sold on the quay',
+      'the council has promised a parking plan'
+    ],
+    removed: [
+      'Read Online',
+      'Together with Acme Insurance',
+      'Acme insures fishing fleets',
+      'Coastal Weekly',
+      'The Tide Report',
+      'Powered by beehiiv',
+      'unsubscribe here'
+    ]
+  },
+  ghost: {
+    kept: [
+      'A week in the orchard',
+      'By Jane Rowe',
+      'a slow conversation between the grower and the weather',
+      'The first batch of juice was sharper'
+    ],
+    removed: [
+      'View in browser',
+      'Become a paid member',
+      'More like this',
+      'Unsubscribe',
+      'Powered by Ghost'
+    ]
+  },
+  mailchimp: {
+    kept: [
+      'Widget News for October',
+      'Our new brass gears shipped this month',
+      'Bring sturdy shoes'
+    ],
+    removed: [
+      'New gears, a factory tour and more',
+      'View this email in your browser',
+      'Sponsored by Gearbox Monthly',
+      'Follow us on Twitter',
+      'Share this with a friend',
+      'All rights reserved',
+      'unsubscribe from this list',
+      'Mailchimp rewards'
+    ]
+  },
+  convertkit: {
+    kept: [
+      'On keeping a notebook',
+      'I have kept a paper notebook for eleven years',
+      'Dates make an old notebook searchable'
+    ],
+    removed: [
+      'Forward it along',
+      'Sponsored by Inkwell Pens',
+      '113 Cherry St',
+      'Update your profile'
+    ]
+  },
+  buttondown: {
+    kept: [
+      'Build Notes 42: faster test runs',
+      'Our test suite took nine minutes last month',
+      'db.rollback()',
+      'what we learned from caching node_modules'
+    ],
+    removed: [
+      'Brought to you by Runner Cloud',
+      'because you subscribed to Build Notes',
+      'Powered by Buttondown'
+    ]
+  }
+};
+
+async function convertFixture(platform) {
+  const email = await parseEmlFile(path.join(FIXTURES, `${platform}.eml`));
+  const resolved = resolveNewsletterTemplate('auto', email.newsletterInfo);
+  const { content, report } = applyNewsletterTemplate(email.html, 'html', resolved);
+  const text = cheerio.load(content).text().replace(/\s+/g, ' ');
+  return { email, resolved, content, report, text };
+}
+
+Object.entries(PLATFORMS).forEach(([platform, expected]) => {
+  test(`${platform}: detected from the headers and given the platform template`, async () => {
+    const { email, resolved } = await convertFixture(platform);
+    assert.strictEqual(email.newsletterInfo.platform, platform);
+    assert.strictEqual(resolved.id, platform);
+  });
+
+  test(`${platform}: keeps the article`, async () => {
+    const { text, report } = await convertFixture(platform);
+    expected.kept.forEach(phrase => assert.ok(text.includes(phrase), `"${phrase}" should be kept`));
+
+    const keep = report.steps.find(step => step.action === 'keep');
+    assert.ok(keep && keep.matched > 0, 'the keep selectors should find the article');
+  });
+
+  test(`${platform}: removes the platform chrome and sponsor blocks`, async () => {
+    const { text } = await convertFixture(platform);
+    expected.removed.forEach(phrase => assert.ok(!text.includes(phrase), `"${phrase}" should be removed`));
+  });
+});
+
+test('beehiiv: text rules still remove the chrome when the article container is missing', async () => {
+  const email = await parseEmlFile(path.join(FIXTURES, 'beehiiv.eml'));
+  const html = email.html.replace(' id="content-blocks"', '');
+  const { content, report } = applyNewsletterTemplate(html, 'html', resolveNewsletterTemplate('beehiiv'));
+  const text = cheerio.load(content).text().replace(/\s+/g, ' ');
+
+  assert.strictEqual(report.steps.find(step => step.action === 'keep').matched, 0);
+  assert.ok(text.includes('the first catch was sold on the quay'));
+  ['Read Online', 'Together with Acme Insurance', 'Powered by beehiiv', 'unsubscribe here']
+    .forEach(phrase => assert.ok(!text.includes(phrase), `"${phrase}" should be removed`));
+});
+
+test('ghost: article paragraphs that mention unsubscribing are kept', async () => {
+  const email = await parseEmlFile(path.join(FIXTURES, 'ghost.eml'));
+  const mentions = [
+    'Half the readers who wrote in said they would unsubscribe if we ran another cider issue.',
+    'Unsubscribe rates mean little to a grower.'
+  ];
+  const html = email.html.replace('<blockquote>', `${mentions.map(line => `<p>${line}</p>`).join('')}<blockquote>`);
+  const { content } = applyNewsletterTemplate(html, 'html', resolveNewsletterTemplate('ghost'));
+  const text = cheerio.load(content).text().replace(/\s+/g, ' ');
+
+  mentions.forEach(line => assert.ok(text.includes(line), `"${line}" should be kept`));
+  assert.ok(text.includes('The apples came in early this year'));
+});
+
+test('beehiiv: a sponsor line inside an article section takes only itself', async () => {
+  const email = await parseEmlFile(path.join(FIXTURES, 'beehiiv.eml'));
+  const section = '<div class="section"><h2>Library news</h2>' +
+    '<p>Together with Acme Insurance, the library now lends out life jackets.</p>' +
+    '<p>The new wing opens in May.</p></div>';
+  const html = email.html.replace('<div class="beehiiv__boost">', `${section}<div class="beehiiv__boost">`);
+  const { content } = applyNewsletterTemplate(html, 'html', resolveNewsletterTemplate('beehiiv'));
+  const text = cheerio.load(content).text().replace(/\s+/g, ' ');
+
+  assert.ok(text.includes('Library news'), 'the section heading should be kept');
+  assert.ok(text.includes('The new wing opens in May.'), 'the rest of the section should be kept');
+  assert.ok(!text.includes('lends out life jackets'), 'the sponsor line should be removed');
+});
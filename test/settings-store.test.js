@@ -0,0 +1,71 @@
+// test/settings-store.test.js
+// Settings saved by older versions are migrated, taking in what other files used to hold
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const settingsStore = require('../settings-store');
+
+let dataDir;
+
+test.beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-store-test-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function writeJson(name, value) {
+  fs.writeFileSync(path.join(dataDir, name), JSON.stringify(value));
+}
+
+function readJson(name) {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, name), 'utf8'));
+}
+
+test('version 1 settings take the watch folder format from watch-folders.json', t => {
+  t.mock.method(console, 'log', () => {});
+  writeJson('settings.json', { version: 1, fonts: { size: 120 } });
+  writeJson('watch-folders.json', { directories: ['/books/inbox'], formatPreference: 'pdf' });
+
+  settingsStore.init(dataDir);
+
+  assert.strictEqual(settingsStore.get('watch').format, 'pdf');
+  assert.strictEqual(settingsStore.get('fonts').size, 120);
+  const saved = readJson('settings.json');
+  assert.strictEqual(saved.version, 2);
+  assert.strictEqual(saved.watch.format, 'pdf');
+});
+
+test('the format is imported when there is no settings file yet', t => {
+  t.mock.method(console, 'log', () => {});
+  writeJson('watch-folders.json', { directories: [], formatPreference: 'epub' });
+
+  settingsStore.init(dataDir);
+
+  assert.strictEqual(settingsStore.get('watch').format, 'epub');
+  assert.strictEqual(readJson('settings.json').version, 2);
+});
+
+test('migrated settings are not imported again', () => {
+  writeJson('settings.json', { version: 2, watch: { format: 'azw3' } });
+  writeJson('watch-folders.json', { directories: [], formatPreference: 'pdf' });
+
+  settingsStore.init(dataDir);
+
+  assert.strictEqual(settingsStore.get('watch').format, 'azw3');
+});
+
+test('an imported format that is no longer offered falls back to the default', t => {
+  t.mock.method(console, 'log', () => {});
+  const warn = t.mock.method(console, 'warn', () => {});
+  writeJson('settings.json', { version: 1 });
+  writeJson('watch-folders.json', { directories: [], formatPreference: 'mobi' });
+
+  settingsStore.init(dataDir);
+
+  assert.strictEqual(settingsStore.get('watch').format, 'auto');
+  assert.match(warn.mock.calls[0].arguments[0], /watch\.format must be one of/);
+});
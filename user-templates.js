@@ -0,0 +1,322 @@
+// utils/user-templates.js
+// Loads newsletter templates from a user templates directory and reloads them when files change
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const cheerio = require('cheerio');
+const newsletterDetector = require('./newsletter-detector');
+const { applyRules, validateSelector } = require('./html-transforms');
+
+const TEMPLATE_EXTENSIONS = ['.json', '.js', '.css'];
+const PATTERN_FIELDS = ['domains', 'senderPatterns', 'subjectPatterns', 'bodyPatterns', 'htmlPatterns', 'headerPatterns'];
+const VALID_ID = /^[a-z0-9][a-z0-9_-]*$/;
+const HEX_COLOUR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const README = `Newsletter templates
+====================
+
+Each template is one file, or a .json/.js file plus a .css file with the same name.
+The file name (without extension) is the template id, e.g. money-stuff.json -> "money-stuff".
+Files are reloaded as soon as they change.
+
+money-stuff.json
+{
+  "name": "Money Stuff",
+  "description": "Matt Levine's finance column",
+  "extends": "generic",
+  "patterns": {
+    "domains": ["bloomberg.net"],
+    "senderPatterns": ["Matt Levine"],
+    "subjectPatterns": ["Money Stuff"],
+    "bodyPatterns": ["Money Stuff"],
+    "htmlPatterns": ["class=\\"newsletter-body\\""]
+  },
+  "keep": ".newsletter-body",
+  "strip": [".share-buttons", "table.footer", "img[width=\\"1\\"]"],
+  "css": "p { text-indent: 0; }",
+  "cover": { "background": "#1a1a2e", "accent": "#f5a623", "logo": "money-stuff-logo.png" }
+}
+
+- patterns: matched case-insensitively against the sender domain (+5), sender (+3),
+  subject (+2) and body text (+1); htmlPatterns (+3) are matched in the raw HTML.
+  Leave patterns out to make a template that is only picked by hand.
+- keep: CSS selector(s) for the content worth reading; everything else is dropped.
+  Without keep, the generic template looks for the article on its own.
+- strip: CSS selectors for elements to remove.
+- css: extra styles, or put them in money-stuff.css.
+- cover: colours (#rrggbb) of the generated ebook covers and an optional logo image,
+  relative to this folder. Without a logo the cover shows the newsletter's initial.
+- extends: a built-in template whose CSS and cleanup run first (default "generic",
+  use null to start from scratch). For a newsletter sent with Beehiiv, Ghost, Mailchimp,
+  ConvertKit or Buttondown, extending that platform's template removes its footers,
+  sponsor blocks and "view in browser" links for you.
+
+money-stuff.js takes the same fields as module.exports, plus an optional
+contentTransform(html, { cheerio }) that returns the transformed HTML.
+JavaScript templates run with the app's full permissions; only use ones you trust.
+`;
+
+class UserTemplates extends EventEmitter {
+  constructor() {
+    super();
+    this.directory = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.errors = [];
+    // File changes usually arrive in bursts (editor save = write + rename)
+    this.debounceMs = 300;
+  }
+
+  /**
+   * Load templates from a directory and watch it for changes
+   * @param {string} directory - The user templates directory (created with a README if missing)
+   * @param {Object} options - watch: false to load once, without watching or creating the directory (e.g. the CLI)
+   */
+  init(directory, options = {}) {
+    this.stop();
+    this.directory = directory;
+    const watch = options.watch !== false;
+
+    try {
+      if (watch && !fs.existsSync(directory)) {
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(path.join(directory, 'README.txt'), README);
+      }
+    } catch (error) {
+      console.error(`[User Templates] Could not create ${directory}: ${error.message}`);
+    }
+
+    this.load();
+    if (watch) {
+      this.watch();
+    }
+  }
+
+  /**
+   * (Re)read every template in the directory and hand them to the detector
+   * @returns {Object} - The status from getStatus()
+   */
+  load() {
+    const templates = {};
+    this.errors = [];
+
+    let names = [];
+    try {
+      names = fs.readdirSync(this.directory);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[User Templates] Could not read ${this.directory}: ${error.message}`);
+      }
+    }
+
+    // Group money-stuff.json / money-stuff.js / money-stuff.css under one id
+    const groups = new Map();
+    names.forEach(name => {
+      const ext = path.extname(name).toLowerCase();
+      if (name.startsWith('.') || !TEMPLATE_EXTENSIONS.includes(ext)) return;
+      const id = path.basename(name, path.extname(name)).toLowerCase();
+      const group = groups.get(id) || {};
+      group[ext.slice(1)] = path.join(this.directory, name);
+      groups.set(id, group);
+    });
+
+    groups.forEach((files, id) => {
+      const mainFile = files.js || files.json || files.css;
+      try {
+        if (!VALID_ID.test(id)) {
+          throw new Error('File names may only use letters, digits, "-" and "_"');
+        }
+        if (files.js && files.json) {
+          console.warn(`[User Templates] Both ${path.basename(files.js)} and ${path.basename(files.json)} exist; using the .js file`);
+        }
+        templates[id] = buildTemplate(id, readDefinition(files), mainFile);
+      } catch (error) {
+        console.error(`[User Templates] Skipping ${path.basename(mainFile)}: ${error.message}`);
+        this.errors.push({ file: mainFile, error: error.message });
+      }
+    });
+
+    newsletterDetector.setUserTemplates(templates);
+    console.log(`[User Templates] Loaded ${Object.keys(templates).length} template(s) from ${this.directory}${this.errors.length ? `, ${this.errors.length} with errors` : ''}`);
+
+    const status = this.getStatus();
+    this.emit('change', status);
+    return status;
+  }
+
+  watch() {
+    if (this.watcher || !fs.existsSync(this.directory)) return;
+
+    try {
+      this.watcher = fs.watch(this.directory, () => {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.load(), this.debounceMs);
+      });
+      this.watcher.on('error', error => {
+        console.error(`[User Templates] Error watching ${this.directory}: ${error.message}`);
+        this.stop();
+      });
+    } catch (error) {
+      console.error(`[User Templates] Could not watch ${this.directory}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Templates available for selection, plus any files that failed to load
+   */
+  getStatus() {
+    return {
+      directory: this.directory,
+      templates: newsletterDetector.listTemplates(),
+      errors: this.errors
+    };
+  }
+
+  stop() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+/**
+ * Read a template's definition from its .js or .json file and pick up a paired .css file
+ */
+function readDefinition(files) {
+  let definition = {};
+
+  if (files.js) {
+    // Drop the cached module so edits take effect on reload
+    delete require.cache[require.resolve(files.js)];
+    definition = require(files.js);
+  } else if (files.json) {
+    try {
+      definition = JSON.parse(fs.readFileSync(files.json, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+  }
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('A template must be an object');
+  }
+
+  definition = { ...definition };
+  if (files.css) {
+    definition.css = [definition.css || definition.cssTemplate || '', fs.readFileSync(files.css, 'utf8')].join('\n');
+    delete definition.cssTemplate;
+  }
+  return definition;
+}
+
+/**
+ * Turn a plugin definition into the { cssTemplate, contentTransform } shape the built-in templates use
+ * @param {string} id - Template id
+ * @param {Object} definition - Parsed plugin
+ * @param {string} source - File it came from
+ * @returns {Object} - The template
+ */
+function buildTemplate(id, definition, source) {
+  const baseId = definition.extends === undefined ? 'generic' : definition.extends;
+  let base = null;
+  if (baseId !== null) {
+    base = newsletterDetector.NEWSLETTER_TEMPLATES[baseId];
+    if (!base) {
+      throw new Error(`"extends" must be one of ${Object.keys(newsletterDetector.NEWSLETTER_TEMPLATES).join(', ')} or null`);
+    }
+  }
+
+  const keep = toStringList(definition.keep, 'keep');
+  const strip = toStringList(definition.strip, 'strip');
+  [...keep, ...strip].forEach(validateSelector);
+
+  if (definition.contentTransform !== undefined && typeof definition.contentTransform !== 'function') {
+    throw new Error('contentTransform must be a function');
+  }
+  const css = definition.css !== undefined ? definition.css : definition.cssTemplate;
+  if (css !== undefined && typeof css !== 'string') {
+    throw new Error('css must be a string');
+  }
+
+  const customTransform = definition.contentTransform;
+  const cover = readCover(definition.cover, path.dirname(source));
+
+  return {
+    name: typeof definition.name === 'string' && definition.name.trim() ? definition.name.trim() : id,
+    description: typeof definition.description === 'string' ? definition.description : '',
+    patterns: normalizePatterns(definition.patterns),
+    cover: { ...(base ? base.cover : {}), ...cover },
+    cssTemplate: `${base ? base.cssTemplate : ''}\n${css || ''}`,
+    // context.steps, when given, collects what ran for the template report
+    contentTransform: (html, context = {}) => {
+      const steps = context.steps || [];
+      let content = html;
+      if (base) {
+        steps.push({ action: 'transform', template: baseId });
+        // With its own keep selectors the template already knows where the article is
+        content = base.contentTransform(content, { steps, extractArticle: keep.length === 0 });
+      }
+      if (keep.length > 0 || strip.length > 0) {
+        content = applyRules(content, { keep, strip }, steps);
+      }
+      if (customTransform) {
+        const transformed = customTransform(content, { cheerio });
+        content = typeof transformed === 'string' ? transformed : content;
+        steps.push({ action: 'transform', template: id });
+      }
+      return content;
+    },
+    source
+  };
+}
+
+/**
+ * Validate a template's cover scheme and resolve its logo against the templates directory
+ */
+function readCover(cover, directory) {
+  if (cover === undefined || cover === null) return {};
+  if (typeof cover !== 'object' || Array.isArray(cover)) {
+    throw new Error('cover must be an object');
+  }
+
+  const scheme = {};
+  ['background', 'accent'].forEach(field => {
+    if (cover[field] === undefined) return;
+    if (typeof cover[field] !== 'string' || !HEX_COLOUR.test(cover[field])) {
+      throw new Error(`cover.${field} must be a colour like #1a1a2e`);
+    }
+    scheme[field] = cover[field];
+  });
+  if (cover.logo !== undefined) {
+    if (typeof cover.logo !== 'string' || !cover.logo.trim()) {
+      throw new Error('cover.logo must be the name of an image file');
+    }
+    scheme.logo = path.resolve(directory, cover.logo);
+  }
+  return scheme;
+}
+
+function normalizePatterns(patterns) {
+  if (patterns === undefined || patterns === null) return null;
+  if (typeof patterns !== 'object' || Array.isArray(patterns)) {
+    throw new Error('patterns must be an object');
+  }
+  const normalized = {};
+  PATTERN_FIELDS.forEach(field => {
+    normalized[field] = toStringList(patterns[field], `patterns.${field}`);
+  });
+  return normalized;
+}
+
+function toStringList(value, field) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.every(item => typeof item === 'string' && item.trim())) {
+    throw new Error(`${field} must be a string or a list of strings`);
+  }
+  return list.map(item => item.trim());
+}
+
+module.exports = new UserTemplates();